@@ -6,6 +6,11 @@ const fs = require('fs');
 const { createServer } = require('@app-core/server');
 const { createConnection } = require('@app-core/mongoose');
 const { createQueue } = require('@app-core/queue');
+const { configureTokenStore } = require('@app-core/jwt');
+const { appLogger } = require('@app-core/logger');
+const databaseTokenStore = require('@app/services/auth/token-store');
+const sweepPendingTransactions = require('@app/services/payment/sweep-pending-transactions');
+const { PENDING_SWEEP_INTERVAL_SECS } = require('@app/services/payment/constants');
 
 const canLogEndpointInformation = process.env.CAN_LOG_ENDPOINT_INFORMATION;
 
@@ -15,6 +20,8 @@ createConnection({
 
 createQueue();
 
+configureTokenStore(databaseTokenStore);
+
 const server = createServer({
   port: process.env.PORT,
   JSONLimit: '150mb',
@@ -28,6 +35,15 @@ const ENDPOINT_CONFIGS = [
   {
     path: './endpoints/payment/',
   },
+  {
+    path: './endpoints/account/',
+  },
+  {
+    path: './endpoints/transaction/',
+  },
+  {
+    path: './endpoints/otp/',
+  },
 ];
 
 function logEndpointMetaData(endpointConfigs) {
@@ -90,3 +106,14 @@ ENDPOINT_CONFIGS.forEach((config) => {
 });
 
 server.startServer();
+
+function logSweepError(error) {
+  appLogger.errorX(error, 'sweep-pending-transactions-error');
+}
+
+// scheduled jobs do not always survive a restart: every pending transaction is scheduled again
+// on start, and due ones that were missed on every sweep after
+sweepPendingTransactions().catch(logSweepError);
+setInterval(() => {
+  sweepPendingTransactions({ due_by: Date.now() }).catch(logSweepError);
+}, PENDING_SWEEP_INTERVAL_SECS * 1000);
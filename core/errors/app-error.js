@@ -2,7 +2,7 @@
  * Throw an app error
  * @param {String} errorMessage
  * @param {String} [errorCode]
- * @param {{context:any, details:any}} [options]
+ * @param {{context?:any, details?:any, headers?:Object<string, string>}} [options] - headers are sent with the error response
  */
 function appError(errorMessage, errorCode = 'ERR', options = {}) {
   const error = new Error(errorMessage);
@@ -17,6 +17,10 @@ function appError(errorMessage, errorCode = 'ERR', options = {}) {
     error.details = options.details;
   }
 
+  if (options.headers) {
+    error.headers = options.headers;
+  }
+
   throw error;
 }
 
@@ -19,6 +19,7 @@ const ERROR_CODE = {
   VALIDATIONERR: 'VALIDATION_ERROR',
   INVLDDATA: 'INVALID_REQUEST_DATA',
   RTLIMERR: 'RATE_LIMIT_ERROR',
+  IDEMPOTENCYERR: 'IDEMPOTENCY_KEY_REUSED',
 };
 
 const ERROR_STATUS_CODE_MAPPING = {
@@ -35,6 +36,7 @@ const ERROR_STATUS_CODE_MAPPING = {
   DUPLICATE_RECORD: 409,
   APPLICATION_ERROR: 500,
   RATE_LIMIT_ERROR: 429,
+  IDEMPOTENCY_KEY_REUSED: 422,
 };
 
 module.exports = { ERROR_CODE, ERROR_STATUS_CODE_MAPPING };
@@ -1,4 +1,6 @@
 // @ts-check
+const { parseRequestValidation } = require('./validate-request');
+
 /**
  * Object containing information about the request
  * @typedef {Object} RequestProperties
@@ -10,6 +12,7 @@
  * @property {string} hostname - The hostname of the request.
  * @property {string} useragent - The useragent of the request
  * @property {string} handlerPath - The endpoint path as defined in the constructor of the handler.
+ * @property {string} [requestId] - The id of the request, from its X-Request-Id header or generated. Sent back in the X-Request-Id response header.
  */
 
 /**
@@ -21,6 +24,7 @@
  * @property {Object} params - Object representing any parsed params in the request URL.
  * @property {Object} meta - Object that can be used by the handler to add extra data about the request or to pass them on through the middleware chain.
  * @property {Object} props - Object containing custom properties from the handler.
+ * @property {string[]} scopes - Scopes the authenticated user must hold to call the handler.
  * @property {RequestProperties} properties - Object containing information about the request.
  */
 
@@ -38,6 +42,7 @@
  * @typedef {Object} ResponseComponents
  * @property {ResponseBody} body - Object representing the body of the response.
  * @property {String} statusCode - HTTP Status code returned for the response.
+ * @property {Object<string, string>} headers - Headers set on the response by the handler chain.
  */
 
 /**
@@ -66,11 +71,25 @@
  * @property {Object} [meta] - Object containing data that can be used to augment the content of the actual request meta.
  */
 
+/**
+ * A cookie to set on the response.
+ * @typedef {Object} ResponseCookie
+ * @property {string} name
+ * @property {string|null} value - null clears the cookie.
+ * @property {import('express').CookieOptions} [options] - Options such as httpOnly, secure, sameSite and maxAge.
+ */
+
 /**
  * Object representing the result of a handler function.
  * @typedef {Object} HandlerResult
  * @property {import('./enums').HTTPStatusCode} status - HTTP Status code.
  * @property {*} [data] - Actual data to be returned as the response to the endpoint request.
+ * @property {Object<string, string>} [headers] - Headers to set on the response. Headers returned by a middleware are also sent when a later handler throws.
+ * @property {ResponseCookie[]} [cookies] - Cookies to set on the response.
+ * @property {string} [redirect] - URL to redirect the client to. The status defaults to 302 unless a 3xx status is given.
+ * @property {string|Buffer|import('stream').Readable} [body] - Raw body sent in place of the JSON envelope. Streams are piped to the client.
+ * @property {string} [contentType] - Content type of the response, as a MIME type or an extension such as csv.
+ * @property {string} [attachment] - File name to offer the response for download as.
  * @property {boolean} [endHandlerChain=false] - Boolean value that defaults to false. If set to true and there are still items in the handler chain, the execution will not proceed to execute other handlers.
  * @property {boolean} [skipNextMiddlewareHandler=false] - Boolean value that defaults to false and indicates whether or not the next middleware handler in the handler chain should be executed or not.
  * @property {boolean} [skipOtherMiddlewareHandlers=false] - Boolean value that defaults to false and is similar in function to the endHandlerChain property in that if set to true, it ensures no other middlewarehandler in the handler chain is executed.
@@ -99,6 +118,8 @@
  * @property {string} [path="/"] - The request or endpoint path. It's optional and defaults to the root
  * @property {HandlerConfiguration[]} [middlewares] - Optional array of middlewares where each middleware is itself a handleConfiguration.
  * @property {Object} [props] - Optional custom properties of a handler.
+ * @property {string[]} [scopes] - Optional scopes (e.g. payments:write) a user must hold to call the handler. They are enforced by the authentication middleware.
+ * @property {import('./validate-request').RequestValidation} [validation] - Optional VSL specs for the body, query, params and headers of the request. They are checked before the middlewares run, and the validated values replace the request's own. Numbers and booleans in the query and params are converted from their strings.
  * @property {HandlerFunction} handler - Required function that defines the handler logic with two arguments requestComponents and helpers.
  * @property {ResponseEndEventFunction} [onResponseEnd] - Optional event callback for post-processing ops required when there's a need to capture the request and response sent.
  */
@@ -114,6 +135,8 @@ function createExpressHandler(handlerConfiguration) {
     method: handlerConfiguration.method,
     middlewares: handlerConfiguration.middlewares,
     props: handlerConfiguration.props,
+    scopes: handlerConfiguration.scopes,
+    validation: parseRequestValidation(handlerConfiguration.validation),
     handler: handlerConfiguration.handler,
     onResponseEnd: handlerConfiguration.onResponseEnd,
   };
@@ -9,7 +9,7 @@ const expressEnums = require('./enums');
  * @property {number} [port] - Optional parameter that defines the port the express server should listen on.
  * @property {string} [JSONLimit] - The max size allowed to be passed in the request body as JSON.
  * @property {boolean} [enableCors] - Optional parameter used to configure whether or not the server should allow CORS requests.
- * @property {boolean} [generateRequestIds] - Optional parameter indicating whether or not unique request IDs should be generated for every request that hits the server.
+ * @property {boolean} [generateRequestIds] - Optional parameter indicating whether or not unique request IDs should be generated for requests that do not come with a valid X-Request-Id header. Defaults to true.
  */
 
 /**
@@ -19,10 +19,12 @@ const expressEnums = require('./enums');
  */
 function Server(serverConfig = {}) {
   const express = require('express');
-  const { appLogger } = require('@app-core/logger');
+  const { appLogger, runWithRequestContext, REQUEST_ID_HEADER } = require('@app-core/logger');
+  const { ulid } = require('@app-core/randomness');
   const { ERROR_STATUS_CODE_MAPPING } = require('@app-core/errors');
   const cors = require('cors');
   const { getClientIp } = require('request-ip');
+  const { validateRequest } = require('./validate-request');
   const app = express();
 
   const errorCodeMappings = ERROR_STATUS_CODE_MAPPING;
@@ -58,9 +60,28 @@ function Server(serverConfig = {}) {
     port = 8811,
     JSONLimit = '50mb',
     enableCors = false,
-    // generateRequestIds = false
+    generateRequestIds = true,
   } = serverConfig;
 
+  // ids from clients are only trusted when they are short and free of characters that could
+  // break log lines or headers
+  const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+  /**
+   * Returns the id of a request: the X-Request-Id it came with, or a new ULID
+   * @param {import("express").Request} request
+   * @returns {string|undefined}
+   */
+  function resolveRequestId(request) {
+    const incomingRequestId = request.get(REQUEST_ID_HEADER);
+
+    if (incomingRequestId && VALID_REQUEST_ID.test(incomingRequestId)) {
+      return incomingRequestId;
+    }
+
+    return generateRequestIds ? ulid() : undefined;
+  }
+
   if (enableCors) {
     app.use(cors());
   }
@@ -83,13 +104,82 @@ function Server(serverConfig = {}) {
 
   const LOG_APP_REQUEST = parseInt(process.env.LOG_APP_REQUEST, 10);
 
+  /**
+   * Streams a handler's raw body to the client. A stream that fails before anything was sent
+   * gets the usual error response; one that fails midway can only be cut off.
+   * @param {import("express").Response} expressResponse
+   * @param {import("stream").Readable} bodyStream
+   */
+  function pipeBodyStream(expressResponse, bodyStream) {
+    bodyStream.on('error', (error) => {
+      appLogger.errorX(error, 'response-stream-error');
+
+      if (!expressResponse.headersSent) {
+        expressResponse.status(500).json({ status: 'error', message: 'Some error occured.' });
+      } else {
+        expressResponse.destroy(error);
+      }
+    });
+
+    bodyStream.pipe(expressResponse);
+  }
+
+  /**
+   * Writes the result of a handler chain to the response.
+   * Results with a redirect send the client there, and results with a body send it as is
+   * (a string, Buffer or readable stream) in place of the usual {status, message, data} JSON.
+   * @param {import("express").Response} expressResponse
+   * @param {import('./create-handler').HandlerResult} result
+   * @param {import('./create-handler').ResponseComponents} responseComponents
+   */
+  function sendHandlerResult(expressResponse, result, responseComponents) {
+    expressResponse.set(responseComponents.headers);
+
+    (result.cookies || []).forEach((cookie) => {
+      if (cookie.value === null) {
+        expressResponse.clearCookie(cookie.name, cookie.options);
+      } else {
+        expressResponse.cookie(cookie.name, cookie.value, cookie.options);
+      }
+    });
+
+    if (result.redirect) {
+      expressResponse.redirect(responseComponents.statusCode, result.redirect);
+      return;
+    }
+
+    if (result.attachment) {
+      expressResponse.attachment(result.attachment);
+    }
+
+    if (result.contentType) {
+      expressResponse.type(result.contentType);
+    }
+
+    expressResponse.status(responseComponents.statusCode);
+
+    if (result.body === undefined) {
+      expressResponse.json(responseComponents.body);
+    } else if (typeof result.body?.pipe === 'function') {
+      pipeBodyStream(expressResponse, result.body);
+    } else {
+      expressResponse.send(result.body);
+    }
+  }
+
   /**
    *
    * @param {import('./create-handler').HandlerConfiguration} handlerConfiguration
    */
   function addHandler(handlerConfiguration) {
     const { method, path } = handlerConfiguration;
-    app[method](path, async (expressRequest, expressResponse) => {
+
+    /**
+     * @param {import("express").Request} expressRequest
+     * @param {import("express").Response} expressResponse
+     * @param {string} [requestId]
+     */
+    async function handleRequest(expressRequest, expressResponse, requestId) {
       /** @type {import("./create-handler").RequestComponents} */
       const requestComponents = {
         body: {},
@@ -98,11 +188,13 @@ function Server(serverConfig = {}) {
         headers: {},
         meta: {},
         props: handlerConfiguration.props || {},
+        scopes: handlerConfiguration.scopes || [],
         properties: {},
       };
 
       const responseComponents = {
         statusCode: 0,
+        headers: requestId ? { [REQUEST_ID_HEADER]: requestId } : {},
         body: {
           message: '',
           status: '',
@@ -129,6 +221,7 @@ function Server(serverConfig = {}) {
         properties.handlerPath = path;
         properties.hostname = expressRequest.hostname;
         properties.userAgent = expressRequest.headers['user-agent'];
+        properties.requestId = requestId;
 
         requestComponents.body = body;
         requestComponents.query = query;
@@ -138,6 +231,19 @@ function Server(serverConfig = {}) {
         requestComponents.properties = properties;
         requestComponents.body = body;
 
+        if (handlerConfiguration.validation) {
+          const validatedParts = validateRequest(
+            requestComponents,
+            handlerConfiguration.validation
+          );
+
+          requestComponents.body = validatedParts.body || requestComponents.body;
+          requestComponents.query = validatedParts.query || requestComponents.query;
+          requestComponents.params = validatedParts.params || requestComponents.params;
+          // headers outside the spec are kept, since middlewares read ones such as authorization
+          requestComponents.headers = { ...requestComponents.headers, ...validatedParts.headers };
+        }
+
         /**
          * Do Middleware stuff here
          */
@@ -170,6 +276,9 @@ function Server(serverConfig = {}) {
             middlewareExecutionContext.shouldSkipNextMiddleware = true; // Skip next middleware. Use the context object to hold this
           }
 
+          // response headers set by a middleware are sent whether or not the request succeeds
+          Object.assign(responseComponents.headers, middlewareExecutionResult.headers);
+
           const middlewareAugments = middlewareExecutionResult.augments || {};
           if (middlewareAugments.meta) {
             requestComponents.meta = {
@@ -221,12 +330,16 @@ function Server(serverConfig = {}) {
           result = middlewareExecutionContext.result;
         }
 
+        Object.assign(responseComponents.headers, result.headers);
         responseComponents.statusCode = result.status || 200;
+        if (result.redirect && !(result.status >= 300 && result.status < 400)) {
+          responseComponents.statusCode = 302;
+        }
         responseComponents.body.status = 'success';
         responseComponents.body.message = result.message;
         responseComponents.body.data = result.data || {};
 
-        expressResponse.status(responseComponents.statusCode).json(responseComponents.body);
+        sendHandlerResult(expressResponse, result, responseComponents);
       } catch (error) {
         const statusCode = !error.isApplicationError
           ? 500
@@ -241,6 +354,7 @@ function Server(serverConfig = {}) {
 
         appLogger.error(requestLog, `error: ${statusCode} ${method} ${path}`);
 
+        Object.assign(responseComponents.headers, error.headers);
         responseComponents.statusCode = statusCode;
         responseComponents.body.status = 'error';
         responseComponents.body.message = error.isApplicationError
@@ -249,7 +363,10 @@ function Server(serverConfig = {}) {
         responseComponents.body.errors = error.details || undefined;
         responseComponents.body.data = error.context;
 
-        expressResponse.status(responseComponents.statusCode).json(responseComponents.body); // Todo: Add a callback config that can be used to handle this in a custom way.
+        expressResponse
+          .set(responseComponents.headers)
+          .status(responseComponents.statusCode)
+          .json(responseComponents.body); // Todo: Add a callback config that can be used to handle this in a custom way.
       } finally {
         if (typeof handlerConfiguration.onResponseEnd === 'function') {
           try {
@@ -260,6 +377,17 @@ function Server(serverConfig = {}) {
           }
         }
       }
+    }
+
+    app[method](path, (expressRequest, expressResponse) => {
+      const requestId = resolveRequestId(expressRequest);
+
+      // everything logged while the request is handled, including in services, carries its id
+      return requestId
+        ? runWithRequestContext({ requestId }, () =>
+            handleRequest(expressRequest, expressResponse, requestId)
+          )
+        : handleRequest(expressRequest, expressResponse);
     });
   }
 
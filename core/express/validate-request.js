@@ -0,0 +1,149 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+
+const REQUEST_PARTS = ['body', 'query', 'params', 'headers'];
+
+// query strings and route params only ever hold strings, so their numbers and booleans are
+// converted before they are validated
+const STRING_PARTS = ['query', 'params'];
+
+const BOOLEAN_STRINGS = { true: true, false: false };
+
+const INVALID_REQUEST_MESSAGE = 'Invalid request data. Please check the errors and try again.';
+
+/**
+ * VSL specs a handler validates the parts of its requests against. Header names are lowercase,
+ * as express receives them, and only headers VSL can name (no hyphens) can be checked.
+ * @typedef {Object} RequestValidation
+ * @property {string|Object} [body]
+ * @property {string|Object} [query]
+ * @property {string|Object} [params]
+ * @property {string|Object} [headers]
+ */
+
+/**
+ * Parses the specs of a handler's validation config once, when the handler is created
+ * @param {RequestValidation} [validation]
+ * @returns {RequestValidation|undefined}
+ */
+function parseRequestValidation(validation) {
+  if (!validation) return undefined;
+
+  return REQUEST_PARTS.reduce((parsedValidation, part) => {
+    const spec = validation[part];
+    if (!spec) return parsedValidation;
+
+    const parsedSpec = typeof spec === 'string' ? validator.parse(spec) : spec;
+
+    // a spec that does not parse is a mistake in the handler, not in the requests it gets
+    if (!parsedSpec?.root) {
+      throwAppError(`The ${part} validation spec could not be parsed.`, ERROR_CODE.APPERR);
+    }
+
+    return { ...parsedValidation, [part]: parsedSpec };
+  }, {});
+}
+
+/**
+ * Converts a string to the number or boolean a field expects. Strings that are not a number or
+ * true/false are left as they are, for the validator to reject.
+ * @param {*} value
+ * @param {string} dataType
+ */
+function convertString(value, dataType) {
+  if (typeof value !== 'string') return value;
+
+  if (dataType === 'number') {
+    const number = Number(value);
+    return value.trim() && Number.isFinite(number) ? number : value;
+  }
+
+  if (dataType === 'boolean' && Object.hasOwn(BOOLEAN_STRINGS, value)) {
+    return BOOLEAN_STRINGS[value];
+  }
+
+  return value;
+}
+
+/**
+ * Converts the top-level string values of a query or params object to the types of their fields,
+ * including the items of repeated query values such as ?ids=1&ids=2
+ * @param {Object} values
+ * @param {Object} parsedSpec
+ * @returns {Object}
+ */
+function convertStringValues(values, parsedSpec) {
+  const fields = parsedSpec.root.children || {};
+
+  return Object.keys(values).reduce((convertedValues, name) => {
+    const field = fields[name];
+    let value = values[name];
+
+    if (field?.dataType === 'array' && Array.isArray(value)) {
+      value = value.map((item) => convertString(item, field.arrayChildrenType));
+    } else if (field) {
+      value = convertString(value, field.dataType);
+    }
+
+    return { ...convertedValues, [name]: value };
+  }, {});
+}
+
+/**
+ * Lists the violations of a validation error with their paths prefixed by the request part,
+ * e.g. body.amount
+ * @returns {import('@app-core/validator/validator').Violation[]}
+ */
+function getPartViolations(error, part) {
+  const violations = error.details || [];
+
+  if (!violations.length) {
+    return [{ path: part, constraint: 'type', expected: 'object', message: error.message }];
+  }
+
+  // groups such as @atLeastOne on the part itself have an empty path
+  return violations.map((violation) => ({
+    ...violation,
+    path: violation.path ? `${part}.${violation.path}` : part,
+  }));
+}
+
+/**
+ * Validates every part of a request that has a spec and returns the validated values. Parts
+ * without a spec are left out. Numbers and booleans in the query and params are converted from
+ * their strings first. A request with failing fields is rejected with a VALIDATIONERR
+ * whose details list every violation across all the parts.
+ * @param {import('./create-handler').RequestComponents} requestComponents
+ * @param {RequestValidation} parsedValidation
+ * @returns {Object<string, Object>}
+ */
+function validateRequest(requestComponents, parsedValidation) {
+  const validatedParts = {};
+  let errors = [];
+
+  Object.keys(parsedValidation).forEach((part) => {
+    const values = requestComponents[part] || {};
+
+    try {
+      validatedParts[part] = validator.validate(
+        STRING_PARTS.includes(part) ? convertStringValues(values, parsedValidation[part]) : values,
+        parsedValidation[part],
+        { abortEarly: false }
+      );
+    } catch (error) {
+      if (error.isApplicationError !== true) throw error;
+      errors = errors.concat(getPartViolations(error, part));
+    }
+  });
+
+  if (errors.length) {
+    throwAppError(INVALID_REQUEST_MESSAGE, ERROR_CODE.VALIDATIONERR, { details: errors });
+  }
+
+  return validatedParts;
+}
+
+module.exports = {
+  parseRequestValidation,
+  validateRequest,
+};
@@ -1,6 +1,6 @@
 const appValidator = require('@app-core/validator');
 const { throwAppError, ERROR_CODE } = require('@app-core/errors');
-const { TimeLogger, appLogger } = require('@app-core/logger');
+const { TimeLogger, appLogger, getRequestId, REQUEST_ID_HEADER } = require('@app-core/logger');
 const { LOG_TYPE } = require('@app-core/logger/constants');
 const { makeAxiosRequest } = require('./request-client');
 
@@ -48,8 +48,23 @@ const parsedSpec = appValidator.parse(spec);
  * @throws
  */
 
+/**
+ * Forwards the id of the request being handled, unless the caller set the header already
+ */
+function withRequestIdHeader(headers = {}) {
+  const requestId = getRequestId();
+  const hasRequestIdHeader = Object.keys(headers).some(
+    (header) => header.toLowerCase() === REQUEST_ID_HEADER.toLowerCase()
+  );
+
+  return requestId && !hasRequestIdHeader
+    ? { ...headers, [REQUEST_ID_HEADER]: requestId }
+    : headers;
+}
+
 async function requestProxy(requestConfiguration = {}) {
   const params = appValidator.validate(requestConfiguration, parsedSpec);
+  params.headers = withRequestIdHeader(params.headers);
 
   const logLabel = requestConfiguration.logLabel || 'REQ-PROXY';
   const timeLogger = TimeLogger(`${logLabel}-DURATION`);
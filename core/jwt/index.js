@@ -1,7 +1,18 @@
 const sign = require('./sign');
 const verify = require('./verify');
+const createMemoryTokenStore = require('./memory-token-store');
+const { REFRESH_TOKEN_STATUS, configureTokenStore, getTokenStore } = require('./token-store');
+const { TOKEN_TYPES, issueTokenPair, rotateRefreshToken, revokeToken } = require('./token-pair');
 
 module.exports = {
   sign,
   verify,
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeToken,
+  configureTokenStore,
+  getTokenStore,
+  createMemoryTokenStore,
+  TOKEN_TYPES,
+  REFRESH_TOKEN_STATUS,
 };
@@ -0,0 +1,74 @@
+// @ts-check
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+
+// Only used outside production when no key is configured, so local setups work out of the box
+const DEVELOPMENT_FALLBACK_SECRET = 'ABJWT12SECR04ET';
+const LEGACY_KEY_ID = 'default';
+
+/**
+ * JWT Signing Key
+ * @typedef {Object} JWTSigningKey
+ * @property {string} kid - The key id written to the kid header of the tokens it signs
+ * @property {string} secret
+ */
+
+/**
+ * Reads the signing keys from JWT_SIGNING_KEYS, a comma separated list such as "2024-01:secret1,2024-06:secret2".
+ * JWT_SECRET is kept as the "default" key so tokens signed before keys were introduced still verify.
+ * @returns {Object<string, string>} secrets by kid
+ */
+function loadSigningKeys() {
+  const keys = {};
+
+  (process.env.JWT_SIGNING_KEYS || '').split(',').forEach((entry) => {
+    const separatorIndex = entry.indexOf(':');
+    const kid = entry.substring(0, separatorIndex).trim();
+    const secret = entry.substring(separatorIndex + 1).trim();
+
+    if (separatorIndex > 0 && kid && secret) {
+      keys[kid] = secret;
+    }
+  });
+
+  if (process.env.JWT_SECRET) {
+    keys[LEGACY_KEY_ID] = keys[LEGACY_KEY_ID] || process.env.JWT_SECRET;
+  } else if (!Object.keys(keys).length && process.env.NODE_ENV !== 'production') {
+    keys[LEGACY_KEY_ID] = DEVELOPMENT_FALLBACK_SECRET;
+  }
+
+  return keys;
+}
+
+/**
+ * Returns the key new tokens are signed with: JWT_ACTIVE_KID, or the first configured key.
+ * Rotating a secret means adding a new key, making it active and removing the old key once
+ * the tokens it signed have expired.
+ * @returns {JWTSigningKey}
+ */
+function getSigningKey() {
+  const keys = loadSigningKeys();
+  const kid = process.env.JWT_ACTIVE_KID || Object.keys(keys)[0];
+
+  if (!kid || !keys[kid]) {
+    throwAppError('No JWT signing key is configured.', ERROR_CODE.APPERR, {
+      context: { kid },
+    });
+  }
+
+  return { kid, secret: keys[kid] };
+}
+
+/**
+ * Returns the secret of a key id, or undefined if the key is unknown.
+ * Tokens without a kid were signed with the legacy JWT_SECRET.
+ * @param {string} [kid]
+ * @returns {string|undefined}
+ */
+function getVerificationSecret(kid) {
+  return loadSigningKeys()[kid || LEGACY_KEY_ID];
+}
+
+module.exports = {
+  getSigningKey,
+  getVerificationSecret,
+};
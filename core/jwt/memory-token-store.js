@@ -0,0 +1,77 @@
+/**
+ * Refresh Token Record
+ * @typedef {Object} RefreshTokenRecord
+ * @property {string} jti
+ * @property {string} family_id - Shared by every refresh token rotated from the same login
+ * @property {string} subject
+ * @property {Object} claims - The claims carried over to the access tokens of the family
+ * @property {string} status - active | used | revoked
+ * @property {number} expires_at
+ */
+
+/**
+ * Token Store
+ * @typedef {Object} TokenStore
+ * @property {function(RefreshTokenRecord): Promise<void>} saveRefreshToken
+ * @property {function(string): Promise<RefreshTokenRecord|null>} findRefreshToken
+ * @property {function(string): Promise<boolean>} markRefreshTokenUsed - Moves an active token to used; resolves to false if it was not active
+ * @property {function(string): Promise<void>} revokeRefreshTokenFamily
+ * @property {function(string, number): Promise<void>} revokeToken - Adds a jti to the revocation list until it expires
+ * @property {function(string): Promise<boolean>} isTokenRevoked
+ */
+
+/**
+ * Creates an in-process token store.
+ * Tokens are lost when the process exits and are not shared between instances, so production
+ * setups should configure a persistent store with configureTokenStore.
+ * @returns {TokenStore}
+ */
+function createMemoryTokenStore() {
+  const refreshTokens = new Map();
+  const revokedTokens = new Map();
+
+  function removeExpired(map) {
+    const now = Date.now();
+    map.forEach((record, key) => {
+      if ((record.expires_at ?? record) <= now) map.delete(key);
+    });
+  }
+
+  return {
+    async saveRefreshToken(record) {
+      removeExpired(refreshTokens);
+      refreshTokens.set(record.jti, { ...record });
+    },
+    async findRefreshToken(jti) {
+      const record = refreshTokens.get(jti);
+      return record ? { ...record } : null;
+    },
+    async markRefreshTokenUsed(jti) {
+      const record = refreshTokens.get(jti);
+      const isActive = record?.status === 'active';
+
+      if (isActive) {
+        record.status = 'used';
+      }
+      return isActive;
+    },
+    async revokeRefreshTokenFamily(familyId) {
+      refreshTokens.forEach((record) => {
+        if (record.family_id === familyId) {
+          // eslint-disable-next-line no-param-reassign
+          record.status = 'revoked';
+        }
+      });
+    },
+    async revokeToken(jti, expiresAt) {
+      removeExpired(revokedTokens);
+      revokedTokens.set(jti, expiresAt);
+    },
+    async isTokenRevoked(jti) {
+      const expiresAt = revokedTokens.get(jti);
+      return expiresAt !== undefined && expiresAt > Date.now();
+    },
+  };
+}
+
+module.exports = createMemoryTokenStore;
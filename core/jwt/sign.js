@@ -1,12 +1,13 @@
 // @ts-check
 const jwt = require('jsonwebtoken');
+const { getSigningKey } = require('./keys');
 
 /**
  * JWTSignPayload
  * @typedef {Object} JWTSignPayload
  * @property {Object} data - The data to encode
  * @property {string} [expiration] - When the JWT Token should expire
- * @property {string} [secret] - The JWT Secret to use when signing the data. Defaults to the JWT_SECRET environment variable if availble or 'ABJWT12SECR04ET'
+ * @property {string} [secret] - The JWT Secret to use when signing the data. Defaults to the active signing key (see keys.js), whose id is written to the kid header
  */
 
 /**
@@ -16,12 +17,14 @@ const jwt = require('jsonwebtoken');
  */
 
 function signPayload(jwtPayloadToSign) {
-  const {
-    data,
-    expiration = process.env.JWT_DEFAULT_EXPIRY || '1H',
-    secret = process.env.JWT_SECRET || 'ABJWT12SECR04ET',
-  } = jwtPayloadToSign;
-  return jwt.sign(data, secret, { expiresIn: expiration });
+  const { data, expiration = process.env.JWT_DEFAULT_EXPIRY || '1H', secret } = jwtPayloadToSign;
+
+  if (secret) {
+    return jwt.sign(data, secret, { expiresIn: expiration });
+  }
+
+  const signingKey = getSigningKey();
+  return jwt.sign(data, signingKey.secret, { expiresIn: expiration, keyid: signingKey.kid });
 }
 
 module.exports = signPayload;
@@ -0,0 +1,139 @@
+// @ts-check
+const jwt = require('jsonwebtoken');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { ulid } = require('@app-core/randomness');
+const sign = require('./sign');
+const verify = require('./verify');
+const { getTokenStore, REFRESH_TOKEN_STATUS } = require('./token-store');
+
+const TOKEN_TYPES = {
+  ACCESS: 'access',
+  REFRESH: 'refresh',
+};
+
+/**
+ * Token Pair
+ * @typedef {Object} TokenPair
+ * @property {string} access_token
+ * @property {string} refresh_token
+ * @property {string} token_type
+ * @property {number} expires_in - Seconds until the access token expires
+ * @property {number} refresh_expires_in - Seconds until the refresh token expires
+ */
+
+/**
+ * Returns the expiry of a freshly signed token in milliseconds
+ * @param {string} token
+ */
+function getExpiry(token) {
+  const { exp } = /** @type {{exp: number}} */ (jwt.decode(token));
+  return exp * 1000;
+}
+
+/**
+ * Signs an access token and a refresh token for a subject. The refresh token is recorded in the
+ * token store under familyId, which every token rotated from it shares.
+ * @param {{subject: string, claims?: Object}} tokenData - claims are copied into every access token
+ * @param {string} [familyId] - Continues an existing family when rotating
+ * @returns {Promise<TokenPair>}
+ */
+async function signTokenPair(tokenData, familyId = ulid()) {
+  const { subject, claims = {} } = tokenData;
+  const now = Date.now();
+
+  const accessToken = sign({
+    data: { ...claims, sub: subject, jti: ulid(), typ: TOKEN_TYPES.ACCESS },
+  });
+  const refreshJti = ulid();
+  const refreshToken = sign({
+    data: { sub: subject, jti: refreshJti, fid: familyId, typ: TOKEN_TYPES.REFRESH },
+    expiration: process.env.JWT_REFRESH_EXPIRY || '30D',
+  });
+  const refreshExpiry = getExpiry(refreshToken);
+
+  await getTokenStore().saveRefreshToken({
+    jti: refreshJti,
+    family_id: familyId,
+    subject,
+    claims,
+    status: REFRESH_TOKEN_STATUS.ACTIVE,
+    expires_at: refreshExpiry,
+  });
+
+  return {
+    access_token: accessToken,
+    refresh_token: refreshToken,
+    token_type: 'Bearer',
+    expires_in: Math.ceil((getExpiry(accessToken) - now) / 1000),
+    refresh_expires_in: Math.ceil((refreshExpiry - now) / 1000),
+  };
+}
+
+/**
+ * Issues a new access/refresh token pair, starting a new refresh token family
+ * @param {{subject: string, claims?: Object}} tokenData
+ * @returns {Promise<TokenPair>}
+ */
+async function issueTokenPair(tokenData) {
+  return signTokenPair(tokenData);
+}
+
+/**
+ * Exchanges a refresh token for a new pair. Each refresh token can be used once; presenting one
+ * that was already used means it has leaked, so its whole family is revoked and the holder has
+ * to log in again.
+ * loadClaims reads the claims of the new access token from the current state of the subject, so
+ * that a change to the subject reaches its tokens on the next rotation. It throws to refuse the
+ * rotation, which leaves the refresh token unused. Without it, the claims of the family are kept.
+ * @param {{refresh_token: string, loadClaims?: function(string): Promise<Object>}} rotationData
+ * @returns {Promise<TokenPair>}
+ */
+async function rotateRefreshToken(rotationData) {
+  const claims = await verify({ token: rotationData.refresh_token, type: TOKEN_TYPES.REFRESH });
+  const store = getTokenStore();
+  const record = await store.findRefreshToken(claims.jti);
+
+  if (!record || record.status === REFRESH_TOKEN_STATUS.REVOKED) {
+    throwAppError('This token has been revoked.', ERROR_CODE.INVLDAUTHTOKEN);
+  }
+
+  const claimsToSign = rotationData.loadClaims
+    ? await rotationData.loadClaims(record.subject)
+    : record.claims;
+
+  // marking the token used is the guard against two rotations of the same token racing
+  const isFirstUse = await store.markRefreshTokenUsed(claims.jti);
+
+  if (!isFirstUse) {
+    await store.revokeRefreshTokenFamily(record.family_id);
+    throwAppError('This refresh token has already been used.', ERROR_CODE.INVLDAUTHTOKEN, {
+      context: { family_id: record.family_id },
+    });
+  }
+
+  return signTokenPair({ subject: record.subject, claims: claimsToSign }, record.family_id);
+}
+
+/**
+ * Revokes a token until it expires. Revoking a refresh token also revokes every refresh token
+ * of its family.
+ * @param {{token: string}} revocationData
+ */
+async function revokeToken(revocationData) {
+  const claims = await verify({ token: revocationData.token });
+  const store = getTokenStore();
+
+  if (claims.jti) {
+    await store.revokeToken(claims.jti, claims.exp * 1000);
+  }
+  if (claims.typ === TOKEN_TYPES.REFRESH && claims.fid) {
+    await store.revokeRefreshTokenFamily(claims.fid);
+  }
+}
+
+module.exports = {
+  TOKEN_TYPES,
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeToken,
+};
@@ -0,0 +1,30 @@
+const createMemoryTokenStore = require('./memory-token-store');
+
+const REFRESH_TOKEN_STATUS = {
+  ACTIVE: 'active',
+  USED: 'used',
+  REVOKED: 'revoked',
+};
+
+let tokenStore = createMemoryTokenStore();
+
+/**
+ * Replaces the store refresh tokens and revoked token ids are kept in
+ * @param {import('./memory-token-store').TokenStore} store
+ */
+function configureTokenStore(store) {
+  tokenStore = store;
+}
+
+/**
+ * @returns {import('./memory-token-store').TokenStore}
+ */
+function getTokenStore() {
+  return tokenStore;
+}
+
+module.exports = {
+  REFRESH_TOKEN_STATUS,
+  configureTokenStore,
+  getTokenStore,
+};
@@ -1,36 +1,56 @@
 // @ts-check
 const { throwAppError, ERROR_CODE } = require('@app-core/errors');
 const jwt = require('jsonwebtoken');
+const { getVerificationSecret } = require('./keys');
+const { getTokenStore } = require('./token-store');
 
 /**
  * JWTVerifyPayload
  * @typedef {Object} JWTVerifyPayload
  * @property {string} token - The token to verify
- * @property {string} [secret] - The JWT Secret to use when verifying the data. Defaults to the JWT_SECRET environment variable if availble or 'ABJWT12SECR04ET'
+ * @property {string} [secret] - The JWT Secret to use when verifying the data. Defaults to the signing key named by the token's kid header
+ * @property {string} [type] - The token type (typ claim) to accept, e.g. access or refresh
  */
 
+/**
+ * Returns the secret for a token from the signing key named in its header
+ * @param {string} token
+ * @returns {string|undefined}
+ */
+function getTokenSecret(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  return decoded ? getVerificationSecret(decoded.header.kid) : undefined;
+}
+
 /**
  *
  * @param {JWTVerifyPayload} jwtPayloadToVerify
- * @returns
+ * @returns {Promise<Object>}
  */
 
-function verifyToken(jwtPayloadToVerify) {
-  const { token, secret = process.env.JWT_SECRET || 'ABJWT12SECR04ET' } = jwtPayloadToVerify;
+async function verifyToken(jwtPayloadToVerify) {
+  const { token, secret = getTokenSecret(token), type } = jwtPayloadToVerify;
   let verifiedData;
   const errorInfo = {
     code: ERROR_CODE.INVLDAUTHTOKEN,
     message: 'Invalid token.',
   };
   try {
-    verifiedData = jwt.verify(token, secret);
+    if (secret) verifiedData = jwt.verify(token, secret);
   } catch (e) {
     if (e.message === 'jwt expired') {
       errorInfo.message = 'Your authentication token has expired.';
       errorInfo.code = ERROR_CODE.EXPIREDTOKEN;
     }
   }
-  if (!verifiedData) throwAppError(errorInfo.message, errorInfo.code);
+  if (!verifiedData || typeof verifiedData !== 'object') {
+    throwAppError(errorInfo.message, errorInfo.code);
+  }
+  if (type && verifiedData.typ !== type) throwAppError(errorInfo.message, errorInfo.code);
+
+  if (verifiedData.jti && (await getTokenStore().isTokenRevoked(verifiedData.jti))) {
+    throwAppError('This token has been revoked.', ERROR_CODE.INVLDAUTHTOKEN);
+  }
   return verifiedData;
 }
 
@@ -1,7 +1,17 @@
 const appLogger = require('./log');
 const TimeLogger = require('./time-logger');
+const {
+  REQUEST_ID_HEADER,
+  runWithRequestContext,
+  getRequestContext,
+  getRequestId,
+} = require('./request-context');
 
 module.exports = {
   appLogger,
   TimeLogger,
+  REQUEST_ID_HEADER,
+  runWithRequestContext,
+  getRequestContext,
+  getRequestId,
 };
@@ -1,4 +1,5 @@
 const pino = require('pino');
+const { getRequestId } = require('./request-context');
 
 const customLevels = {
   debug: 10,
@@ -17,6 +18,11 @@ const pinoConfig = {
   },
   messageKey: 'label',
   nestedKey: 'data',
+  // tags every log written while a request is handled with its id
+  mixin() {
+    const requestId = getRequestId();
+    return requestId ? { request_id: requestId } : {};
+  },
 };
 
 if (process.env.ENABLE_BASELIME) {
@@ -0,0 +1,45 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+const requestContextStorage = new AsyncLocalStorage();
+
+/**
+ * Request Context
+ * @typedef {Object} RequestContext
+ * @property {string} requestId - Correlates the logs, outgoing HTTP calls and jobs of a request
+ */
+
+/**
+ * Runs a function with a request context that every async call it makes can read back
+ * @template T
+ * @param {RequestContext} context
+ * @param {function(): T} fn
+ * @returns {T}
+ */
+function runWithRequestContext(context, fn) {
+  return requestContextStorage.run(context, fn);
+}
+
+/**
+ * Returns the context of the request being handled, if any
+ * @returns {RequestContext|undefined}
+ */
+function getRequestContext() {
+  return requestContextStorage.getStore();
+}
+
+/**
+ * Returns the id of the request being handled, if any
+ * @returns {string|undefined}
+ */
+function getRequestId() {
+  return requestContextStorage.getStore()?.requestId;
+}
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  runWithRequestContext,
+  getRequestContext,
+  getRequestId,
+};
@@ -1,17 +1,16 @@
 const validator = require('@app-core/validator');
 const sendViaProvider = require('./email-provider');
 
+// attachments take a fileUrl, passed on to the provider as the attachment path
 const sendEmailSpec = `root {
-  template is a required string
-  recipient is a required email
-  subject is a string
-  attachments is an array of{
-    fileUrl is a required string{
-      set in final object as: path
-    }
-    filename is a required string
+  template string
+  recipient string<trim|lowercase|isEmail>
+  subject? string
+  attachments[]? {
+    fileUrl string
+    filename string
   }
-  logKey is a string
+  logKey? string
 }`;
 const parsedSpec = validator.parse(sendEmailSpec);
 
@@ -34,7 +33,10 @@ function sendEmail(serviceData) {
     recipient: data.recipient,
     subject: data.subject || 'EMAIL',
     emailContent: data.template,
-    attachments: data.attachments,
+    attachments: data.attachments?.map((attachment) => ({
+      path: attachment.fileUrl,
+      filename: attachment.filename,
+    })),
     logKey: data.logKey,
   });
 }
@@ -2,6 +2,7 @@ module.exports = {
   defaultQueueOpts: {
     url: process.env.REDIS_URL,
     queueName: process.env.QUEUE_NAME || 'default_queue',
+    useMemoryQueue: !!parseInt(process.env.USE_MEMORY_QUEUE, 10),
   },
   defaultSchedulerOpts: {
     attempts: 10,
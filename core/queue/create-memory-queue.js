@@ -0,0 +1,151 @@
+const { EventEmitter } = require('events');
+
+// setTimeout overflows past this many milliseconds, so longer delays are waited out in steps
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Memory Queue Job
+ * @typedef {Object} MemoryQueueJob
+ * @property {string} id
+ * @property {string} name
+ * @property {Object} data
+ * @property {import('bull').JobOptions} opts
+ * @property {number} attemptsMade
+ */
+
+/**
+ * Computes the delay before a failed job is retried
+ * @param {import('bull').JobOptions['backoff']} backoff
+ * @param {number} attemptsMade
+ * @returns {number}
+ */
+function getBackoffDelay(backoff, attemptsMade) {
+  let delay = 0;
+
+  if (typeof backoff === 'number') {
+    delay = backoff;
+  } else if (backoff?.type === 'exponential') {
+    delay = (backoff.delay || 0) * 2 ** (attemptsMade - 1);
+  } else if (backoff?.delay) {
+    delay = backoff.delay;
+  }
+
+  return delay;
+}
+
+/**
+ * Creates an in-process stand-in for a Bull queue.
+ * It supports the subset of the Bull API used by createWorker (add, process and the
+ * completed/failed events) so workers can run without Redis in local setups and tests.
+ * Jobs are lost when the process exits.
+ * @param {string} queueName
+ */
+function createMemoryQueue(queueName) {
+  const emitter = new EventEmitter();
+  const processors = new Map();
+  const jobs = new Map();
+  const timers = new Map();
+  let jobCounter = 0;
+
+  async function runJob(job) {
+    timers.delete(job.id);
+    const processor = processors.get(job.name);
+
+    if (!processor) {
+      // the job is picked up once a processor is registered for it
+      return;
+    }
+
+    try {
+      // eslint-disable-next-line no-param-reassign
+      job.attemptsMade += 1;
+      const result = await processor(job);
+
+      jobs.delete(job.id);
+      emitter.emit('completed', job, result);
+    } catch (err) {
+      emitter.emit('failed', job, err);
+
+      if (job.attemptsMade < (job.opts.attempts || 1)) {
+        // eslint-disable-next-line no-use-before-define
+        scheduleRun(job, getBackoffDelay(job.opts.backoff, job.attemptsMade));
+      } else {
+        jobs.delete(job.id);
+      }
+    }
+  }
+
+  function scheduleRun(job, delay = 0) {
+    const remainingDelay = Math.max(0, delay || 0);
+    const stepDelay = Math.min(remainingDelay, MAX_TIMER_DELAY);
+
+    timers.set(
+      job.id,
+      setTimeout(() => {
+        if (remainingDelay > stepDelay) {
+          scheduleRun(job, remainingDelay - stepDelay);
+        } else {
+          runJob(job);
+        }
+      }, stepDelay)
+    );
+  }
+
+  /**
+   * Adds a job to the queue
+   * @param {string} name
+   * @param {Object} data
+   * @param {import('bull').JobOptions} [opts]
+   * @returns {Promise<MemoryQueueJob>}
+   */
+  async function add(name, data, opts = {}) {
+    const jobId = opts.jobId ? `${opts.jobId}` : `${++jobCounter}`;
+
+    // like Bull, adding a job with an existing id is a no-op
+    if (jobs.has(jobId)) {
+      return jobs.get(jobId);
+    }
+
+    const job = { id: jobId, name, data, opts, attemptsMade: 0, queue: queueName };
+    jobs.set(jobId, job);
+    scheduleRun(job, opts.delay);
+
+    return job;
+  }
+
+  /**
+   * Registers the processor of a named job
+   * @param {string} name
+   * @param {number} _concurrency
+   * @param {function(MemoryQueueJob): Promise<any>} processor
+   */
+  function process(name, _concurrency, processor) {
+    processors.set(name, processor);
+
+    jobs.forEach((job) => {
+      if (job.name === name && !timers.has(job.id)) {
+        scheduleRun(job);
+      }
+    });
+  }
+
+  /**
+   * Stops all scheduled jobs
+   */
+  async function close() {
+    timers.forEach((timer) => clearTimeout(timer));
+    timers.clear();
+    jobs.clear();
+  }
+
+  return {
+    name: queueName,
+    add,
+    process,
+    close,
+    getJob: async (jobId) => jobs.get(`${jobId}`) || null,
+    on: (event, listener) => emitter.on(event, listener),
+  };
+}
+
+module.exports = createMemoryQueue;
@@ -1,11 +1,13 @@
 const Bull = require('bull');
 const config = require('./config');
+const createMemoryQueue = require('./create-memory-queue');
 
 /**
  * Bull Connection Config
  * @typedef {Object} BullConnectionConfig
  * @property {string} [queueName] - The name of the queue
  * @property {string} [redisUrl] - The redis connection string
+ * @property {boolean} [useMemoryQueue] - Use an in-process queue instead of Redis. Meant for local runs and tests.
  */
 
 /**
@@ -21,10 +23,15 @@ const config = require('./config');
  */
 const createdQueues = new Map();
 function createQueue(connectionConfig = config) {
-  const { queueName, url } = connectionConfig;
+  const { queueName, url, useMemoryQueue } = connectionConfig;
   if (createdQueues.has(queueName)) {
     return createdQueues.get(queueName);
   }
+  if (queueName && useMemoryQueue) {
+    const newQueue = createMemoryQueue(queueName);
+    createdQueues.set(queueName, newQueue);
+    return newQueue;
+  }
   if (queueName && url) {
     const newQueue = new Bull(queueName, url);
     createdQueues.set(queueName, newQueue);
@@ -1,8 +1,11 @@
 const os = require('os');
-const { appLogger } = require('@app-core/logger');
+const { appLogger, getRequestId, runWithRequestContext } = require('@app-core/logger');
 const config = require('./config');
 const createQueue = require('./create-queue');
 
+// The job data key the id of the request that scheduled a job is carried in
+const REQUEST_ID_JOB_KEY = '__requestId';
+
 /**
  * @typedef {Object} WorkerConfig
  * @property {Function} processor - The processor function
@@ -26,19 +29,36 @@ function createWorker(workerConfig) {
   } = workerConfig;
   const queue = createQueue({ ...(config.defaultQueueOpts || {}), ...queueOptions });
 
-  if (!queue) return { scheduleJob: () => {} };
+  if (!queue) {
+    // without REDIS_URL or USE_MEMORY_QUEUE nothing would ever run the job
+    return {
+      scheduleJob: () => {
+        appLogger.error({ label: 'JOB NOT SCHEDULED', processorName }, 'NO QUEUE CONFIGURED');
+        return null;
+      },
+    };
+  }
 
   if (typeof processor !== 'function') {
     throw new Error('Processor must be a function');
   }
 
   queue.on('completed', (job) => {
-    appLogger.info({ label: 'JOB COMPLETED', jobId: job.id }, 'JOB COMPLETED');
+    appLogger.info(
+      { label: 'JOB COMPLETED', jobId: job.id, requestId: job.data?.[REQUEST_ID_JOB_KEY] },
+      'JOB COMPLETED'
+    );
   });
 
   queue.on('failed', (job, err) => {
     appLogger.error(
-      { label: 'JOB FAILED', jobId: job.id, errStack: err?.stack, errMessage: err?.message },
+      {
+        label: 'JOB FAILED',
+        jobId: job.id,
+        requestId: job.data?.[REQUEST_ID_JOB_KEY],
+        errStack: err?.stack,
+        errMessage: err?.message,
+      },
       'JOB FAILED'
     );
   });
@@ -47,7 +67,7 @@ function createWorker(workerConfig) {
     appLogger.warn({ label: 'JOB STALLED', jobId: job.id }, 'JOB STALLED');
   });
 
-  queue.process(processorName, concurrency, async (job) => {
+  async function runProcessor(job) {
     appLogger.info({ label: 'JOB PROCESSING', jobId: job.id, processorName }, 'JOB PROCESSING');
     try {
       const result = await processor(job);
@@ -65,6 +85,15 @@ function createWorker(workerConfig) {
       );
       throw err;
     }
+  }
+
+  // jobs run in the context of the request that scheduled them, so their logs carry its id
+  queue.process(processorName, concurrency, (job) => {
+    const requestId = job.data?.[REQUEST_ID_JOB_KEY];
+
+    return requestId
+      ? runWithRequestContext({ requestId }, () => runProcessor(job))
+      : runProcessor(job);
   });
 
   /**
@@ -73,7 +102,10 @@ function createWorker(workerConfig) {
    * @param {import('bull').JobOptions} opts
    */
   function scheduleJob(jobData, opts = {}) {
-    return queue.add(processorName, jobData, {
+    const requestId = getRequestId();
+    const data = requestId ? { ...jobData, [REQUEST_ID_JOB_KEY]: requestId } : jobData;
+
+    return queue.add(processorName, data, {
       ...(defaultSchedulerOpts || {}),
       ...opts,
     });
@@ -1,4 +1,7 @@
+const { randomInt } = require('crypto');
+
+// Uses a cryptographically secure source, so the numbers are safe to use as one-time codes
 function generateRandomNumber(min = 1, max = 1000) {
-  return Math.floor(Math.random() * (max - min)) + min;
+  return randomInt(min, max);
 }
 module.exports = generateRandomNumber;
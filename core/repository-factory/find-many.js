@@ -1,11 +1,14 @@
 /* eslint-disable no-param-reassign */
 const getModel = require('./get-model');
+const { getPageQuery, toPage } = require('./pagination');
 
 /**
  * @typedef {Object} functionData
  * @property {Object} query - Query values
  * @property {Object} [projections] - Projections
  * @property {Object} [options] - Options
+ * @property {import('./pagination').PaginationOptions} [pagination] - Fetches one page of records,
+ * ordered by _id, and resolves to {data, pagination} instead of an array
  */
 
 /**
@@ -28,6 +31,16 @@ function findManyFactory(modelOrName) {
       data.query.deleted = 0;
     }
 
+    if (data.pagination) {
+      const page = getPageQuery(data.query, data.pagination);
+      const foundData = await Model.find(page.query, data.projections, {
+        lean: true,
+        ...data.options,
+        ...page.options,
+      });
+      return toPage(foundData, page);
+    }
+
     const foundData = await Model.find(data.query, data.projections, {
       lean: true,
       ...data.options,
@@ -12,6 +12,7 @@ const rawFactory = require('./raw');
  * @property {Object} query - Query values
  * @property {Object} [projections] - Projections
  * @property {Object} [options] - Options
+ * @property {import('./pagination').PaginationOptions} [pagination] - findMany only: fetch one page
  */
 
 /**
@@ -0,0 +1,112 @@
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+
+const DEFAULT_PAGE_LIMIT = 20;
+const MAX_PAGE_LIMIT = 100;
+
+const SORT_DIRECTIONS = {
+  asc: 1,
+  desc: -1,
+};
+
+/**
+ * @typedef {Object} PaginationOptions
+ * @property {number} [limit] - Records per page, up to MAX_PAGE_LIMIT
+ * @property {string} [cursor] - The next_cursor of the previous page
+ * @property {'asc'|'desc'} [sort] - Order of _id. ULIDs sort by creation time, so desc is newest first
+ */
+
+/**
+ * @typedef {Object} PageInfo
+ * @property {number} limit
+ * @property {boolean} has_more
+ * @property {string|null} next_cursor - Pass back as pagination.cursor to fetch the next page
+ */
+
+/**
+ * Encodes the position after a record as an opaque cursor
+ * @param {string} id - The _id of the last record of a page
+ * @param {string} sort
+ */
+function encodeCursor(id, sort) {
+  return Buffer.from(JSON.stringify({ id: `${id}`, sort })).toString('base64url');
+}
+
+/**
+ * Decodes a cursor produced by encodeCursor
+ * @param {string} cursor
+ * @returns {{id: string, sort: string}}
+ */
+function decodeCursor(cursor) {
+  let decoded;
+
+  try {
+    decoded = JSON.parse(Buffer.from(`${cursor}`, 'base64url').toString('utf-8'));
+  } catch (e) {
+    decoded = null;
+  }
+
+  if (!decoded || typeof decoded.id !== 'string' || !SORT_DIRECTIONS[decoded.sort]) {
+    throwAppError('Invalid pagination cursor', ERROR_CODE.VALIDATIONERR);
+  }
+
+  return decoded;
+}
+
+/**
+ * Resolves pagination options into the query and find options of one page.
+ * The sort of a cursor wins over the requested one, so every page of a listing has the same order.
+ * @param {Object} query
+ * @param {PaginationOptions} pagination
+ */
+function getPageQuery(query, pagination) {
+  const limit = Math.min(
+    Math.max(parseInt(pagination.limit, 10) || DEFAULT_PAGE_LIMIT, 1),
+    MAX_PAGE_LIMIT
+  );
+  const cursor = pagination.cursor ? decodeCursor(pagination.cursor) : null;
+  const sort = cursor?.sort || (SORT_DIRECTIONS[pagination.sort] ? pagination.sort : 'desc');
+  const direction = SORT_DIRECTIONS[sort];
+
+  let pageQuery = query;
+
+  if (cursor) {
+    const idCondition = { _id: { [direction === 1 ? '$gt' : '$lt']: cursor.id } };
+    // keep an _id condition of the caller's query instead of overwriting it
+    pageQuery = query._id ? { $and: [query, idCondition] } : { ...query, ...idCondition };
+  }
+
+  return {
+    limit,
+    sort,
+    query: pageQuery,
+    // one extra record tells whether there is a next page
+    options: { sort: { _id: direction }, limit: limit + 1 },
+  };
+}
+
+/**
+ * Cuts the records fetched with getPageQuery down to a page
+ * @returns {{data: Object[], pagination: PageInfo}}
+ */
+function toPage(records, { limit, sort }) {
+  const data = records.slice(0, limit);
+  const hasMore = records.length > limit;
+
+  return {
+    data,
+    pagination: {
+      limit,
+      has_more: hasMore,
+      next_cursor: hasMore ? encodeCursor(data[data.length - 1]._id, sort) : null,
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_LIMIT,
+  MAX_PAGE_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  getPageQuery,
+  toPage,
+};
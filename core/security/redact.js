@@ -4,6 +4,9 @@ const REDACT_FIELDS = {
   password: 1,
   authorization: 1,
   token: 1,
+  accesstoken: 1,
+  refreshtoken: 1,
+  passwordhash: 1,
   apikey: 1,
   postmantoken: 1,
   otp: 1,
@@ -1,3 +1,5 @@
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+
 function generateASTFirstPhase(tree, nodeIndices, nodes, isChild) {
   nodeIndices.forEach((nodeIndex) => {
     const node = nodes[nodeIndex];
@@ -14,6 +16,11 @@ function generateASTFirstPhase(tree, nodeIndices, nodes, isChild) {
       http_path,
       commentText,
       arrayChildrenType,
+      condition,
+      unionTypes,
+      discriminator,
+      recordValueType,
+      nullable,
     } = nodeAttributes;
     const isEndpoint = !!(http_method && http_path);
     if (name) {
@@ -29,7 +36,13 @@ function generateASTFirstPhase(tree, nodeIndices, nodes, isChild) {
         isEndpoint,
         commentText,
         arrayChildrenType,
+        condition,
+        unionTypes,
+        discriminator,
+        recordValueType,
+        nullable,
         spreads: node.spreads,
+        groups: node.groups,
         children: {},
       };
       if (node.children) {
@@ -58,31 +71,62 @@ function extractASTPath(path, AST) {
 }
 
 function processSpreads(spreads, node, AST) {
-  spreads.forEach((spreadPath) => {
-    //console.log(node, spreadPath, AST, 'CHECKING');
-    // console.log(AST);
-    const extractedPathValue = extractASTPath(spreadPath, AST);
-    // console.log('ExtractedValue', extractedPathValue);
-    node.children = { ...node.children, ...extractedPathValue.children };
-  });
+  return spreads.reduce(
+    (merged, spreadPath) => {
+      const extractedPathValue = extractASTPath(spreadPath, AST);
+      return {
+        children: { ...merged.children, ...extractedPathValue.children },
+        groups: [...merged.groups, ...(extractedPathValue.groups || [])],
+      };
+    },
+    { children: node.children, groups: node.groups || [] }
+  );
 }
 function fillInSpreadVals(AST, trueAST) {
   const ASTKeys = Object.keys(AST);
   ASTKeys.forEach((astkey) => {
     const astnode = AST[astkey];
     if (astnode?.spreads?.length) {
-      processSpreads(astnode.spreads, astnode, trueAST);
+      const { children, groups } = processSpreads(astnode.spreads, astnode, trueAST);
+      astnode.children = children;
+      astnode.groups = groups;
     }
     if (Object.keys(astnode.children || {}).length) {
       fillInSpreadVals(astnode.children, trueAST);
     }
   });
 }
+// A group can only name optional fields of its own object, or it would never be checked
+function checkFieldGroups(AST) {
+  Object.keys(AST).forEach((astkey) => {
+    const { children = {}, groups = [] } = AST[astkey];
+    groups.forEach(({ type, fields }) => {
+      fields.forEach((field) => {
+        if (!children[field]) {
+          throwAppError(
+            `The @${type} group in ${astkey} refers to ${field}, which is not a field of ${astkey}`,
+            ERROR_CODE.APPERR,
+            { context: { group: type, field, object: astkey } }
+          );
+        }
+        if (!children[field].isOptional) {
+          throwAppError(
+            `The @${type} group in ${astkey} refers to ${field}, which must be optional`,
+            ERROR_CODE.APPERR,
+            { context: { group: type, field, object: astkey } }
+          );
+        }
+      });
+    });
+    checkFieldGroups(children);
+  });
+}
 function generateAST(tree, nodeIndices, nodes, isChild) {
   const ASTInit = generateASTFirstPhase(tree, nodeIndices, nodes, isChild);
   // We need to loop through and attend to things like spread operands before returning final object
   // console.log(ASTInit, '== == == ==');
   fillInSpreadVals(ASTInit, ASTInit);
+  checkFieldGroups(ASTInit);
   return ASTInit;
 }
 module.exports = generateAST;
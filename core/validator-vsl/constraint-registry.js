@@ -0,0 +1,169 @@
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const builtInConstraints = require('./validator-contraints');
+
+const { processArray } = builtInConstraints;
+
+// names are matched case-insensitively, like the built-ins, and must be usable inside <...>
+const CONSTRAINT_NAME = /^[a-z][a-z0-9_]*$/i;
+
+const globalConstraints = {};
+const scopedConstraints = {};
+
+/**
+ * @callback ConstraintMessage
+ * @param {string} prop - Path of the value
+ * @param {*} value
+ * @param {string} arg - The constraint's argument in the spec, e.g. 3 in minLength:3
+ * @param {boolean} isNot - Whether the constraint was negated with !
+ * @returns {string}
+ */
+
+/**
+ * @typedef {Object} ConstraintOptions
+ * @property {boolean} [transform=false] - The function returns a new value instead of checking one,
+ * like trim or uppercase. Transforms always pass and cannot be negated.
+ * @property {string} [scope] - Only specs parsed with this scope in constraintScopes can use the
+ * constraint. Without a scope every spec can.
+ * @property {ConstraintMessage} [message] - Builds the message of a failed check
+ * @property {boolean} [async=false] - The function returns a promise and gets the context passed
+ * to validateAsync as its third argument. Specs that use it must be validated with validateAsync.
+ */
+
+function registryError(message, context) {
+  throwAppError(message, ERROR_CODE.APPERR, { context });
+}
+
+function defaultMessage(name) {
+  return (prop, value, arg, isNot) =>
+    `Passed ${prop} value ${value} should${isNot ? ' not ' : ' '}satisfy ${name}`;
+}
+
+/**
+ * Wraps an app function in the shape of the built-in constraints, so it gets the same negation
+ * and array handling
+ */
+function createConstraint(name, fn, options) {
+  const { transform = false, message = defaultMessage(name) } = options;
+
+  if (options.async) {
+    const asyncConstraint = async (value, arg, isNot, prop, ctx) => {
+      let isSatisfied = !!(await fn(value, arg, ctx));
+      if (isNot) {
+        isSatisfied = !isSatisfied;
+      }
+      return { evaluatedValue: value, isSatisfied, errorMessage: message(prop, value, arg, isNot) };
+    };
+    asyncConstraint.isAsync = true;
+    return asyncConstraint;
+  }
+
+  function constraint(value, arg, isNot, prop) {
+    if (Array.isArray(value)) {
+      return processArray(constraint, value, [arg, isNot], prop);
+    }
+
+    if (transform) {
+      return { isSatisfied: true, evaluatedValue: fn(value, arg), errorMessage: 'none' };
+    }
+
+    let isSatisfied = !!fn(value, arg);
+    if (isNot) {
+      isSatisfied = !isSatisfied;
+    }
+
+    return {
+      evaluatedValue: value,
+      isSatisfied,
+      errorMessage: message(prop, value, arg, isNot),
+    };
+  }
+
+  constraint.isTransform = transform;
+  return constraint;
+}
+
+/**
+ * Registers a constraint that specs can use like the built-ins, e.g. currency string<isCurrency>.
+ * The function gets the value and the constraint's argument and returns whether the value passes,
+ * or the new value for a transform. Async constraints also get the context given to validateAsync. A name already taken by a built-in, a global constraint or a
+ * constraint of the same scope is rejected, as is a global name any scope already uses.
+ * @param {string} name
+ * @param {function(*, string): *} fn
+ * @param {ConstraintOptions} [options]
+ */
+function registerConstraint(name, fn, options = {}) {
+  if (typeof name !== 'string' || !CONSTRAINT_NAME.test(name)) {
+    registryError(`Invalid constraint name: ${name}`, { name });
+  }
+  if (typeof fn !== 'function') {
+    registryError(`The ${name} constraint must be a function`, { name });
+  }
+  if (options.async && options.transform) {
+    registryError(`The ${name} constraint cannot be both async and a transform`, { name });
+  }
+
+  const key = name.toLowerCase();
+  const { scope } = options;
+  const scopesUsingName = Object.keys(scopedConstraints).filter(
+    (scopeName) => scopedConstraints[scopeName][key]
+  );
+
+  const isTaken =
+    !!builtInConstraints[key] ||
+    !!globalConstraints[key] ||
+    (scope ? scopesUsingName.indexOf(scope) >= 0 : scopesUsingName.length > 0);
+
+  if (isTaken) {
+    registryError(`The ${name} constraint is already registered`, { name, scope });
+  }
+
+  const constraint = createConstraint(name, fn, options);
+
+  if (scope) {
+    scopedConstraints[scope] = { ...scopedConstraints[scope], [key]: constraint };
+  } else {
+    globalConstraints[key] = constraint;
+  }
+}
+
+/**
+ * Finds the function of a constraint: a built-in, one of the given scopes, or a global one.
+ * Unknown constraints are skipped by the validator, but one that belongs to a scope the spec
+ * was not parsed with is a mistake in the spec and throws.
+ * @param {string} name - Lowercased constraint name
+ * @param {string[]} [scopes]
+ * @returns {Function|undefined}
+ */
+function getConstraint(name, scopes = []) {
+  if (builtInConstraints[name]) {
+    return builtInConstraints[name];
+  }
+
+  const scopeWithConstraint = scopes.find((scope) => scopedConstraints[scope]?.[name]);
+  if (scopeWithConstraint) {
+    return scopedConstraints[scopeWithConstraint][name];
+  }
+
+  if (!globalConstraints[name]) {
+    const otherScope = Object.keys(scopedConstraints).find(
+      (scope) => scopedConstraints[scope][name]
+    );
+
+    if (otherScope) {
+      registryError(
+        `The ${name} constraint is only available to specs in the ${otherScope} scope`,
+        {
+          name,
+          scope: otherScope,
+        }
+      );
+    }
+  }
+
+  return globalConstraints[name];
+}
+
+module.exports = {
+  registerConstraint,
+  getConstraint,
+};
@@ -1,7 +1,12 @@
 const parse = require('./parser');
 const validate = require('./validate');
+const { registerConstraint } = require('./constraint-registry');
+
+const { validateAsync } = validate;
 
 module.exports = {
   parse,
   validate,
+  validateAsync,
+  registerConstraint,
 };
@@ -18,6 +18,7 @@ function lex(sourceString = '') {
       parent: currentParent,
       children: [],
       spreads: [],
+      groups: [],
       index,
       lineNumber: index + 1,
       attributes: lineProcessor(line.trim(), parentNode),
@@ -39,6 +40,9 @@ function lex(sourceString = '') {
       if (nodeInfo.attributes?.isSpreadOperator) {
         parentNode?.spreads?.push(nodeInfo.attributes.name);
       }
+      if (nodeInfo.attributes?.isFieldGroup) {
+        parentNode?.groups?.push(nodeInfo.attributes.group);
+      }
     }
   });
   // console.log({ nodes, rootNodes });
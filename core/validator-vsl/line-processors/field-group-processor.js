@@ -0,0 +1,37 @@
+const { h, buildRegexFromComplexString } = require('../utils/regex-builder');
+const { processPossibleValues } = require('../utils/helpers');
+
+// @atLeastOne(email|phone) or @exclusive(card|bank_account), about the fields of the enclosing object
+const fieldGroupRegexString = h`
+^
+  \s*
+  @(?<GROUP_TYPE>(atLeastOne|exclusive))
+  \(
+  (?<GROUP_FIELDS>[a-zA-Z$_]+[a-zA-Z$_0-9]*(\|[a-zA-Z$_]+[a-zA-Z$_0-9]*)+)
+  \)
+  (?:
+   \s*\/\/\s*(?<COMMENT_TEXT>.+)?
+  )?
+  \s*
+$
+`;
+const fieldGroupRegex = buildRegexFromComplexString(fieldGroupRegexString);
+function fieldGroupLineProcessor(line = '') {
+  let nodeInfo = {};
+  const lineMatches = line.match(fieldGroupRegex);
+  const lineGroups = lineMatches?.groups;
+  const { GROUP_TYPE, GROUP_FIELDS, COMMENT_TEXT } = lineGroups || {};
+  nodeInfo = {
+    lineMatched: !!GROUP_TYPE,
+    isFieldGroup: true,
+    isNotChild: true,
+    isOpened: false,
+    group: GROUP_TYPE && {
+      type: GROUP_TYPE,
+      fields: processPossibleValues(GROUP_FIELDS),
+      commentText: COMMENT_TEXT,
+    },
+  };
+  return nodeInfo;
+}
+module.exports = fieldGroupLineProcessor;
@@ -1,5 +1,10 @@
 const { h, buildRegexFromComplexString } = require('../utils/regex-builder');
-const { processQualifiers, processPossibleValues } = require('../utils/helpers');
+const {
+  processQualifiers,
+  processPossibleValues,
+  processCondition,
+  processTypeExpression,
+} = require('../utils/helpers');
 
 const typeRegexString = h`
 ^
@@ -9,9 +14,16 @@ const typeRegexString = h`
  \s+
  (
    ?<PROPERTY_TYPE>
-   ((?<REFERENCE>(#|ref:))|(?<REFERENCE_ALIAS>\$))?
-   [a-zA-Z_$-]+[a-zA-Z$_0-9-]*
-   (\.[a-zA-Z_$]+)?
+   (record<\s*string\s*,\s*(#|ref:)?[a-zA-Z_$-]+[a-zA-Z$_0-9-]*(\.[a-zA-Z_$]+)?\s*>(\|null)?) |
+   (
+    ((?<REFERENCE>(#|ref:))|(?<REFERENCE_ALIAS>\$))?
+    [a-zA-Z_$-]+[a-zA-Z$_0-9-]*
+    (\.[a-zA-Z_$]+)?
+    (\|(#|ref:)?[a-zA-Z_$-]+[a-zA-Z$_0-9-]*(\.[a-zA-Z_$]+)?)*
+   )
+ )?
+ (?:
+  \s+on\s+(?<DISCRIMINATOR>[a-zA-Z$_]+[a-zA-Z$_0-9]*)
  )?
  (?:
    (?:
@@ -26,6 +38,9 @@ const typeRegexString = h`
  (?:
   \s+as\s+(?<PROPERTY_ALIAS>[a-zA-Z$_]+[a-zA-Z$_0-9]*)
  )?
+ (?:
+  \s*when\s+(?<CONDITION>[a-zA-Z$_][a-zA-Z$_0-9.]*(?:!?=[a-zA-Z-$_0-9\.|]+)?)
+ )?
  (?:
    \s*(?<OPENING_PAREN>{)\s*
  )?
@@ -55,12 +70,16 @@ function typeLineProcessor(line = '') {
     REFERENCE_ALIAS,
     COMMENT_TEXT,
     ARRAY_MARKER,
+    CONDITION,
+    DISCRIMINATOR,
   } = lineGroups || {};
+  // unions, records and nullable types such as string|null
+  const { type, unionTypes, recordValueType, nullable } = processTypeExpression(PROPERTY_TYPE);
   nodeInfo = {
     lineMatched: !!PROPERTY_NAME,
     name: PROPERTY_NAME,
     alias: PROPERTY_ALIAS,
-    type: PROPERTY_TYPE?.replace('ref:', '#'),
+    type,
     constraints: processQualifiers(CONSTRAINTS || CONSTRAINTS_ALT),
     possibleValues: processPossibleValues(POSSIBLE_VALUES || POSSIBLE_VALUES_ALT),
     isOpened: !!OPENING_PAREN,
@@ -68,11 +87,17 @@ function typeLineProcessor(line = '') {
     isAReference: !!REFERENCE,
     isAReferenceAlias: !!REFERENCE_ALIAS,
     commentText: COMMENT_TEXT,
+    condition: processCondition(CONDITION),
+    unionTypes,
+    discriminator: DISCRIMINATOR,
+    recordValueType,
+    nullable,
   };
   const isArray = !!ARRAY_MARKER;
+  // on arrays, the type and null describe the items
   if (isArray) {
     nodeInfo.type = 'array';
-    nodeInfo.arrayChildrenType = PROPERTY_TYPE?.replace('ref:', '#');
+    nodeInfo.arrayChildrenType = type;
   }
   return nodeInfo;
 }
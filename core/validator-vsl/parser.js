@@ -1,9 +1,17 @@
 const lexer = require('./lexer');
 const astGenerator = require('./ast-generator');
 
-function parse(spec) {
+/**
+ * @param {string} spec
+ * @param {{constraintScopes?: string[]}} [options] - constraintScopes lets the spec use the
+ * constraints registered in those scopes
+ */
+function parse(spec, options = {}) {
   const { nodes, rootNodes } = lexer(spec);
   const AST = astGenerator({}, rootNodes, nodes);
+  if (options.constraintScopes) {
+    AST.constraintScopes = [].concat(options.constraintScopes);
+  }
   return AST;
 }
 module.exports = parse;
@@ -0,0 +1,228 @@
+const assert = require('assert');
+const validator = require('@app-core/validator');
+
+async function runAsyncConstraintTests() {
+  console.log('🧪 Running Async Constraint Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  async function test(name, testFn) {
+    testCount++;
+    try {
+      await testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async function getError(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected validation to fail');
+  }
+
+  const wait = (ms) =>
+    new Promise((resolve) => {
+      setTimeout(resolve, ms);
+    });
+
+  // a stand-in for a repository
+  const accounts = ['acc_1', 'acc_2'];
+  const ctx = {
+    lookups: [],
+    Account: {
+      async exists(id) {
+        ctx.lookups.push(id);
+        await wait(10);
+        return accounts.indexOf(id) >= 0;
+      },
+    },
+  };
+
+  validator.registerConstraint(
+    'accountExistsTest',
+    (value, arg, context) => context.Account.exists(value),
+    {
+      async: true,
+      message: (prop, value) => `${prop} ${value} does not exist`,
+    }
+  );
+  validator.registerConstraint('isNotBlockedTest', async (value) => value !== 'acc_2', {
+    async: true,
+  });
+
+  const spec = `root {
+  from string<trim|accountExistsTest|isNotBlockedTest>
+  to string<accountExistsTest>
+  amount number<min:1>
+}`;
+
+  // Passing data
+  await test('should run async constraints and return the validated data', async () => {
+    const ast = validator.parse(spec);
+    ctx.lookups = [];
+
+    const result = await validator.validateAsync(
+      { from: ' acc_1 ', to: 'acc_1', amount: 5 },
+      ast,
+      ctx
+    );
+
+    assert.deepStrictEqual(result, { from: 'acc_1', to: 'acc_1', amount: 5 });
+    // the transformed value is checked
+    assert.deepStrictEqual(ctx.lookups.sort(), ['acc_1', 'acc_1']);
+  });
+
+  // Failures
+  await test('should report async failures in the sync error format', async () => {
+    const ast = validator.parse(spec);
+
+    const error = await getError(
+      validator.validateAsync({ from: 'acc_9', to: 'acc_1', amount: 5 }, ast, ctx)
+    );
+
+    assert.strictEqual(error.errorCode, 'SPCL_VALIDATION');
+    assert.strictEqual(error.message, 'from acc_9 does not exist');
+    assert.deepStrictEqual(error.details, [
+      {
+        path: 'from',
+        constraint: 'accountexiststest',
+        expected: '',
+        message: 'from acc_9 does not exist',
+      },
+    ]);
+  });
+
+  await test('should merge async and sync violations when collecting all', async () => {
+    const ast = validator.parse(spec);
+
+    const error = await getError(
+      validator.validateAsync({ from: 'acc_2', to: 'acc_9', amount: 0 }, ast, ctx, {
+        abortEarly: false,
+      })
+    );
+
+    assert.deepStrictEqual(
+      error.details.map(({ path, constraint }) => ({ path, constraint })),
+      [
+        { path: 'amount', constraint: 'min' },
+        { path: 'from', constraint: 'isnotblockedtest' },
+        { path: 'to', constraint: 'accountexiststest' },
+      ]
+    );
+  });
+
+  await test('should not run async constraints when a sync check fails first', async () => {
+    const ast = validator.parse(spec);
+    ctx.lookups = [];
+
+    const error = await getError(
+      validator.validateAsync({ from: 'acc_1', to: 'acc_1', amount: 0 }, ast, ctx)
+    );
+    assert.match(error.message, /should be greater than 1/);
+    assert.deepStrictEqual(ctx.lookups, []);
+  });
+
+  // Concurrency
+  await test('should check fields concurrently and the constraints of a field in order', async () => {
+    const calls = [];
+    const slowCheck = (name) => async (value, arg) => {
+      calls.push(`start ${name} ${value}`);
+      await wait(Number(arg));
+      calls.push(`end ${name} ${value}`);
+      return value !== 'bad';
+    };
+    validator.registerConstraint('slowCheckTest', slowCheck('slow'), { async: true });
+    validator.registerConstraint('otherSlowCheckTest', slowCheck('other'), { async: true });
+
+    const ast = validator.parse(`root {
+  first string<slowCheckTest:30|otherSlowCheckTest:5>
+  second string<slowCheckTest:10>
+}`);
+
+    await validator.validateAsync({ first: 'a', second: 'b' }, ast);
+    assert.deepStrictEqual(calls, [
+      'start slow a',
+      'start slow b',
+      'end slow b',
+      'end slow a',
+      'start other a',
+      'end other a',
+    ]);
+
+    calls.length = 0;
+    const error = await getError(validator.validateAsync({ first: 'bad', second: 'b' }, ast));
+    assert.strictEqual(error.details[0].path, 'first');
+    // a field stops at its first failure
+    assert.strictEqual(calls.indexOf('start other bad'), -1);
+  });
+
+  // Arrays and negation
+  await test('should check array items one by one and support negation', async () => {
+    const ast = validator.parse(`root {
+  accounts[] string<accountExistsTest>
+  new_account string<!accountExistsTest>
+}`);
+
+    const error = await getError(
+      validator.validateAsync({ accounts: ['acc_1', 'acc_7'], new_account: 'acc_2' }, ast, ctx, {
+        abortEarly: false,
+      })
+    );
+
+    assert.deepStrictEqual(
+      error.details.map(({ path, constraint }) => ({ path, constraint })),
+      [
+        { path: 'accounts[1]', constraint: 'accountexiststest' },
+        { path: 'new_account', constraint: '!accountexiststest' },
+      ]
+    );
+  });
+
+  // Misuse
+  await test('should refuse async constraints in sync validation', async () => {
+    const ast = validator.parse(spec);
+
+    assert.throws(
+      () => {
+        validator.validate({ from: 'acc_1', to: 'acc_1', amount: 5 }, ast);
+      },
+      (error) => error.errorCode === 'APPLICATION_ERROR' && /validateAsync/.test(error.message)
+    );
+
+    assert.throws(() => {
+      validator.registerConstraint('asyncTransformTest', async (value) => value, {
+        async: true,
+        transform: true,
+      });
+    }, /cannot be both async and a transform/);
+  });
+
+  await test('should let errors thrown by async constraints through', async () => {
+    validator.registerConstraint(
+      'brokenCheckTest',
+      async () => {
+        throw new Error('connection lost');
+      },
+      { async: true }
+    );
+    const ast = validator.parse(`root {
+  id string<brokenCheckTest>
+}`);
+
+    const error = await getError(validator.validateAsync({ id: 'x' }, ast));
+    assert.strictEqual(error.isApplicationError, undefined);
+    assert.strictEqual(error.message, 'connection lost');
+  });
+
+  console.log(`✅ Async Constraint Tests Completed: ${passedCount}/${testCount} passed`);
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runAsyncConstraintTests;
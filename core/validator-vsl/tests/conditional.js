@@ -0,0 +1,268 @@
+const assert = require('assert');
+const validator = require('@app-core/validator');
+const lexer = require('../lexer');
+const astGenerator = require('../ast-generator');
+const typeScriptGenerator = require('../util-typescript-generator');
+const jsonGenerator = require('../util-json-generator');
+
+function runConditionalRuleTests() {
+  console.log('🧪 Running Conditional & Cross-Field Rule Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  function test(name, testFn) {
+    testCount++;
+    try {
+      testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  function getError(fn) {
+    try {
+      fn();
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected validation to fail');
+  }
+
+  // When clauses
+  test('should require a field only while its when clause holds', () => {
+    const ast = validator.parse(`root {
+  type string(NOW|SCHEDULED)
+  execute_by? string when type=SCHEDULED
+}`);
+
+    assert.deepStrictEqual(validator.validate({ type: 'NOW' }, ast), { type: 'NOW' });
+    assert.deepStrictEqual(
+      validator.validate({ type: 'SCHEDULED', execute_by: '2026-11-01' }, ast),
+      { type: 'SCHEDULED', execute_by: '2026-11-01' }
+    );
+
+    const error = getError(() => validator.validate({ type: 'SCHEDULED' }, ast));
+    assert.deepStrictEqual(error.details, [
+      {
+        path: 'execute_by',
+        constraint: 'required',
+        expected: true,
+        message: 'execute_by is required when type is SCHEDULED',
+      },
+    ]);
+  });
+
+  test('should support negated, multi-value and presence conditions', () => {
+    const ast = validator.parse(`root {
+  channel string
+  reason? string when channel!=WEB|APP
+  end? number when start
+  start? number
+}`);
+
+    assert.ok(validator.validate({ channel: 'WEB' }, ast));
+    assert.ok(validator.validate({ channel: 'APP' }, ast));
+
+    const error = getError(() =>
+      validator.validate({ channel: 'USSD', start: 1 }, ast, { abortEarly: false })
+    );
+    assert.deepStrictEqual(
+      error.details.map((violation) => violation.message),
+      [
+        'reason is required when channel is not WEB or APP',
+        'end is required when start is provided',
+      ]
+    );
+  });
+
+  test('should apply when clauses to nested objects and fields', () => {
+    const ast = validator.parse(`root {
+  method string(CARD|BANK)
+  card? when method=CARD {
+    last4 string<length:4>
+  }
+  places[] {
+    kind string
+    code? string when kind=BANK
+  }
+}`);
+
+    assert.ok(validator.validate({ method: 'BANK', places: [{ kind: 'CASH' }] }, ast));
+
+    const error = getError(() =>
+      validator.validate({ method: 'CARD', places: [{ kind: 'CASH' }, { kind: 'BANK' }] }, ast, {
+        abortEarly: false,
+      })
+    );
+    assert.deepStrictEqual(
+      error.details.map(({ path, message }) => ({ path, message })),
+      [
+        { path: 'card', message: 'card is required when method is CARD' },
+        {
+          path: 'places[1].code',
+          message: 'places[1].code is required when places[1].kind is BANK',
+        },
+      ]
+    );
+  });
+
+  // Field references
+  test('should read $field constraint arguments from sibling fields', () => {
+    const ast = validator.parse(`root {
+  balance number
+  amount number<min:1|max:$balance>
+  window {
+    start number
+    end number<min:$start>
+  }
+}`);
+
+    assert.ok(validator.validate({ balance: 50, amount: 50, window: { start: 1, end: 2 } }, ast));
+
+    const error = getError(() =>
+      validator.validate({ balance: 50, amount: 80, window: { start: 5, end: 2 } }, ast, {
+        abortEarly: false,
+      })
+    );
+    assert.deepStrictEqual(
+      error.details.map(({ path, constraint, expected }) => ({ path, constraint, expected })),
+      [
+        { path: 'amount', constraint: 'max', expected: '50' },
+        { path: 'window.end', constraint: 'min', expected: '5' },
+      ]
+    );
+    assert.strictEqual(error.details[0].message, 'Passed amount value 80 should be lesser than 50');
+  });
+
+  test('should skip a constraint whose referenced field is missing', () => {
+    const ast = validator.parse(`root {
+  limit? number
+  amount number<max:$limit>
+}`);
+
+    assert.deepStrictEqual(validator.validate({ amount: 1000 }, ast), { amount: 1000 });
+  });
+
+  // Field groups
+  test('should require at least one field of an @atLeastOne group', () => {
+    const ast = validator.parse(`root {
+  email? string
+  phone? string
+  @atLeastOne(email|phone)
+}`);
+
+    assert.ok(validator.validate({ phone: '0801' }, ast));
+
+    const error = getError(() => validator.validate({}, ast));
+    assert.deepStrictEqual(error.details, [
+      {
+        path: '',
+        constraint: 'atLeastOne',
+        expected: ['email', 'phone'],
+        message: 'One of email or phone is required',
+      },
+    ]);
+  });
+
+  test('should reject more than one field of an @exclusive group', () => {
+    const ast = validator.parse(`root {
+  payer {
+    card? string
+    bank_account? string
+    @exclusive(card|bank_account)
+  }
+}`);
+
+    assert.ok(validator.validate({ payer: {} }, ast));
+    assert.ok(validator.validate({ payer: { card: 'c' } }, ast));
+
+    const error = getError(() =>
+      validator.validate({ payer: { card: 'c', bank_account: 'b' } }, ast)
+    );
+    assert.deepStrictEqual(error.details, [
+      {
+        path: 'payer',
+        constraint: 'exclusive',
+        expected: ['card', 'bank_account'],
+        message: 'Only one of payer.card or payer.bank_account can be provided',
+      },
+    ]);
+  });
+
+  test('should reject groups that name missing or required fields when parsing', () => {
+    const misspelt = getError(() =>
+      validator.parse(`root {
+  email? string
+  phone? string
+  @atLeastOne(email|phon)
+}`)
+    );
+    assert.strictEqual(
+      misspelt.message,
+      'The @atLeastOne group in root refers to phon, which is not a field of root'
+    );
+
+    const required = getError(() =>
+      validator.parse(`root {
+  payer {
+    card string
+    bank_account? string
+    @exclusive(card|bank_account)
+  }
+}`)
+    );
+    assert.strictEqual(
+      required.message,
+      'The @exclusive group in payer refers to card, which must be optional'
+    );
+  });
+
+  test('should check groups brought in by a spread against the object they land in', () => {
+    const ast = validator.parse(`Contact {
+  email? string
+  phone? string
+  @atLeastOne(email|phone)
+}
+
+root {
+  name string
+  ...Contact
+}`);
+
+    const error = getError(() => validator.validate({ name: 'Ada' }, ast));
+    assert.strictEqual(error.details[0].constraint, 'atLeastOne');
+  });
+
+  // Generators
+  test('should describe conditions and groups in the generated TypeScript and JSON', () => {
+    const { nodes, rootNodes } = lexer(`Transfer {
+  type string(NOW|SCHEDULED)
+  execute_by? string when type=SCHEDULED
+  card? string
+  bank_account? string
+  @exclusive(card|bank_account)
+}`);
+    const AST = astGenerator({}, rootNodes, nodes);
+
+    const typeScript = typeScriptGenerator(AST, 0, AST);
+    assert.match(typeScript, /\/\*\* Only one of card or bank_account can be provided \*\//);
+    assert.match(
+      typeScript,
+      /\/\*\* Required when type is SCHEDULED \*\/\n {2}execute_by\?: string;/
+    );
+
+    const json = jsonGenerator({ body: { ...AST.Transfer, isRoot: true } }, 0, AST);
+    assert.match(json, /"card"/);
+    assert.doesNotMatch(json, /"bank_account"/);
+  });
+
+  console.log(
+    `✅ Conditional & Cross-Field Rule Tests Completed: ${passedCount}/${testCount} passed`
+  );
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runConditionalRuleTests;
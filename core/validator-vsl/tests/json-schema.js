@@ -0,0 +1,253 @@
+const assert = require('assert');
+const validator = require('@app-core/validator');
+const generateJSONSchema = require('../util-json-schema-generator');
+const generateOpenAPIDocument = require('../util-openapi-generator');
+
+const { toJSONSchema } = generateJSONSchema;
+
+function runJSONSchemaTests() {
+  console.log('🧪 Running JSON Schema & OpenAPI Export Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  function test(name, testFn) {
+    testCount++;
+    try {
+      testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  const paymentBlocks = `
+CardPayment {
+  method string(CARD)
+  last4 string<length:4>
+}
+
+BankPayment {
+  method string(BANK)
+  account_number string
+}`;
+
+  const endpointSpec = `CreateTransfer POST /accounts/:account_id/transfers { // Creates a transfer
+  resource transfers
+  params {
+    account_id string<length:26>
+  }
+  query {
+    dry_run? boolean
+  }
+  headers {
+    authorization string
+  }
+  body {
+    amount number<min:1>
+    payment #CardPayment|#BankPayment on method
+  }
+  response {
+    id string
+    status string(pending|successful)
+  }
+}
+
+GetTransfer GET /accounts/:account_id/transfers {
+  resource transfers
+  params {
+    account_id string
+  }
+}
+${paymentBlocks}`;
+
+  // Fields
+  test('should convert types, possible values and constraints', () => {
+    const ast = validator.parse(`root {
+  name string<trim|minLength:2|maxLength:35> // Full name
+  age? number<between:18,120>
+  status string(active|inactive)
+  email string<isEmail>
+  code string<!startsWith:tmp_>
+  data any
+  tags[] string<maxLength:10>
+}`);
+
+    assert.deepStrictEqual(toJSONSchema(ast.root), {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Full name' },
+        age: { type: 'number', minimum: 18, maximum: 120 },
+        status: { type: 'string', enum: ['active', 'inactive'] },
+        email: { type: 'string', format: 'email' },
+        code: { type: 'string', allOf: [{ not: { pattern: '^tmp_' } }] },
+        data: {},
+        tags: { type: 'array', items: { type: 'string', maxLength: 10 }, minItems: 1 },
+      },
+      required: ['name', 'status', 'email', 'code', 'data', 'tags'],
+    });
+  });
+
+  test('should leave out the checks made after a transform', () => {
+    validator.registerConstraint(
+      'collapseSpacesSchemaTest',
+      (value) => value.replace(/\s+/g, ' '),
+      {
+        transform: true,
+        scope: 'json-schema-test',
+      }
+    );
+    const ast = validator.parse(
+      `root {
+  code string<minLength:2|trim|maxLength:8>
+  currency string<lowercase>(ngn|usd)
+  note string<maxLength:3|collapseSpacesSchemaTest|minLength:1>
+  email string<isEmail|uppercase>
+}`,
+      { constraintScopes: ['json-schema-test'] }
+    );
+
+    assert.deepStrictEqual(generateJSONSchema(ast).$defs.root.properties, {
+      code: { type: 'string', minLength: 2 },
+      currency: { type: 'string' },
+      note: { type: 'string', maxLength: 3 },
+      email: { type: 'string', format: 'email' },
+    });
+  });
+
+  test('should convert unions, records, nullable types and references', () => {
+    const ast = validator.parse(`root {
+  id string|number
+  execute_by string|null
+  status? string|null(active|inactive)
+  payment #CardPayment|#BankPayment on method
+  balances record<string, number><min:0>
+  owner? #BankPayment.account_number
+}
+${paymentBlocks}`);
+
+    const { properties } = toJSONSchema(ast.root);
+    assert.deepStrictEqual(properties.id, { anyOf: [{ type: 'string' }, { type: 'number' }] });
+    assert.deepStrictEqual(properties.execute_by, { type: ['string', 'null'] });
+    assert.deepStrictEqual(properties.status, {
+      type: ['string', 'null'],
+      enum: ['active', 'inactive', null],
+    });
+    assert.deepStrictEqual(properties.payment, {
+      oneOf: [{ $ref: '#/$defs/CardPayment' }, { $ref: '#/$defs/BankPayment' }],
+    });
+    assert.deepStrictEqual(properties.balances, {
+      type: 'object',
+      additionalProperties: { type: 'number', minimum: 0 },
+    });
+    assert.deepStrictEqual(properties.owner, {
+      $ref: '#/$defs/BankPayment/properties/account_number',
+    });
+  });
+
+  test('should convert when clauses and field groups into object rules', () => {
+    const ast = validator.parse(`root {
+  type string(NOW|SCHEDULED)
+  execute_by? string when type=SCHEDULED
+  reason? string when type!=NOW
+  email? string
+  phone? string
+  @atLeastOne(email|phone)
+  @exclusive(email|phone)
+}`);
+
+    const schema = toJSONSchema(ast.root);
+    assert.deepStrictEqual(schema.required, ['type']);
+    assert.deepStrictEqual(schema.allOf, [
+      {
+        if: { properties: { type: { enum: ['SCHEDULED'] } }, required: ['type'] },
+        then: { required: ['execute_by'] },
+      },
+      {
+        if: { not: { properties: { type: { enum: ['NOW'] } }, required: ['type'] } },
+        then: { required: ['reason'] },
+      },
+      { anyOf: [{ required: ['email'] }, { required: ['phone'] }] },
+      { not: { anyOf: [{ required: ['email', 'phone'] }] } },
+    ]);
+  });
+
+  // Documents
+  test('should generate a 2020-12 document with every block, endpoints included', () => {
+    const ast = validator.parse(endpointSpec);
+    const document = generateJSONSchema(ast);
+
+    assert.strictEqual(document.$schema, 'https://json-schema.org/draft/2020-12/schema');
+    assert.deepStrictEqual(Object.keys(document.$defs), [
+      'CreateTransfer',
+      'GetTransfer',
+      'CardPayment',
+      'BankPayment',
+    ]);
+
+    const endpoint = document.$defs.CreateTransfer;
+    assert.strictEqual(endpoint.description, 'Creates a transfer');
+    assert.deepStrictEqual(Object.keys(endpoint.properties), [
+      'params',
+      'query',
+      'headers',
+      'body',
+      'response',
+    ]);
+    assert.deepStrictEqual(endpoint.required, ['params', 'query', 'headers', 'body']);
+  });
+
+  test('should assemble an OpenAPI 3.1 document for all endpoints', () => {
+    const ast = validator.parse(endpointSpec);
+    const document = generateOpenAPIDocument(ast, { title: 'Payments', version: '2.0.0' });
+
+    assert.strictEqual(document.openapi, '3.1.0');
+    assert.deepStrictEqual(document.info, { title: 'Payments', version: '2.0.0' });
+    assert.deepStrictEqual(Object.keys(document.paths), ['/accounts/{account_id}/transfers']);
+
+    const { post, get } = document.paths['/accounts/{account_id}/transfers'];
+    assert.strictEqual(get.operationId, 'GetTransfer');
+    assert.strictEqual(post.operationId, 'CreateTransfer');
+    assert.strictEqual(post.summary, 'Creates a transfer');
+    assert.deepStrictEqual(post.tags, ['transfers']);
+    assert.deepStrictEqual(
+      post.parameters.map(({ name, in: location, required }) => ({ name, location, required })),
+      [
+        { name: 'account_id', location: 'path', required: true },
+        { name: 'dry_run', location: 'query', required: false },
+        { name: 'authorization', location: 'header', required: true },
+      ]
+    );
+
+    const bodySchema = post.requestBody.content['application/json'].schema;
+    assert.deepStrictEqual(bodySchema.properties.payment, {
+      oneOf: [
+        { $ref: '#/components/schemas/CardPayment' },
+        { $ref: '#/components/schemas/BankPayment' },
+      ],
+      discriminator: { propertyName: 'method' },
+    });
+
+    const successSchema = post.responses[200].content['application/json'].schema;
+    assert.deepStrictEqual(successSchema.properties.data.required, ['id', 'status']);
+    assert.deepStrictEqual(post.responses[400].content['application/json'].schema, {
+      $ref: '#/components/schemas/ErrorResponse',
+    });
+    assert.strictEqual(get.requestBody, undefined);
+
+    assert.deepStrictEqual(Object.keys(document.components.schemas), [
+      'Violation',
+      'ErrorResponse',
+      'CardPayment',
+      'BankPayment',
+    ]);
+  });
+
+  console.log(
+    `✅ JSON Schema & OpenAPI Export Tests Completed: ${passedCount}/${testCount} passed`
+  );
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runJSONSchemaTests;
@@ -0,0 +1,189 @@
+const assert = require('assert');
+const validator = require('@app-core/validator');
+
+function runConstraintRegistryTests() {
+  console.log('🧪 Running Custom Constraint Registry Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  function test(name, testFn) {
+    testCount++;
+    try {
+      testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  validator.registerConstraint('isUlidTest', (value) => /^[0-9A-HJKMNP-TV-Z]{26}$/.test(value));
+  validator.registerConstraint('divisibleByTest', (value, arg) => value % Number(arg) === 0, {
+    message: (prop, value, arg) => `${prop} (${value}) should be divisible by ${arg}`,
+  });
+  validator.registerConstraint('slugifyTest', (value) => value.replace(/\s+/g, '-'), {
+    transform: true,
+  });
+  validator.registerConstraint('isCurrencyTest', (value) => ['NGN', 'USD'].indexOf(value) >= 0, {
+    scope: 'payments-test',
+  });
+
+  // Checks
+  test('should apply a registered constraint case-insensitively', () => {
+    const ast = validator.parse(`root {
+  id string<isulidtest>
+}`);
+
+    const result = validator.validate({ id: '01ARZ3NDEKTSV4RRFFQ69G5FAV' }, ast);
+    assert.strictEqual(result.id, '01ARZ3NDEKTSV4RRFFQ69G5FAV');
+
+    assert.throws(() => {
+      validator.validate({ id: 'not-a-ulid' }, ast);
+    }, /Passed id value not-a-ulid should satisfy isUlidTest/);
+  });
+
+  test('should pass the argument and use a custom message', () => {
+    const ast = validator.parse(`root {
+  step number<divisibleByTest:5>
+}`);
+
+    assert.strictEqual(validator.validate({ step: 15 }, ast).step, 15);
+    assert.throws(() => {
+      validator.validate({ step: 12 }, ast);
+    }, /^Error: step \(12\) should be divisible by 5$/);
+  });
+
+  test('should negate a registered constraint with !', () => {
+    const ast = validator.parse(`root {
+  step number<!divisibleByTest:5>
+}`);
+
+    assert.strictEqual(validator.validate({ step: 12 }, ast).step, 12);
+    assert.throws(() => {
+      validator.validate({ step: 15 }, ast);
+    });
+  });
+
+  test('should check every item of an array', () => {
+    const ast = validator.parse(`root {
+  ids[] string<isUlidTest>
+}`);
+
+    const result = validator.validate(
+      { ids: ['01ARZ3NDEKTSV4RRFFQ69G5FAV', '01BX5ZZKBKACTAV9WEVGEMMVRZ'] },
+      ast
+    );
+    assert.strictEqual(result.ids.length, 2);
+
+    assert.throws(() => {
+      validator.validate({ ids: ['01ARZ3NDEKTSV4RRFFQ69G5FAV', 'bad'] }, ast);
+    }, /ids\[1\] value bad should satisfy isUlidTest/);
+  });
+
+  test('should report registered constraints as violations', () => {
+    const ast = validator.parse(`root {
+  step number<divisibleByTest:5>
+}`);
+
+    try {
+      validator.validate({ step: 7 }, ast, { abortEarly: false });
+      assert.fail('Expected validation to fail');
+    } catch (error) {
+      assert.deepStrictEqual(error.details, [
+        {
+          path: 'step',
+          constraint: 'divisiblebytest',
+          expected: '5',
+          message: 'step (7) should be divisible by 5',
+        },
+      ]);
+    }
+  });
+
+  // Transforms
+  test('should apply a registered transform in order with the built-ins', () => {
+    const ast = validator.parse(`root {
+  slug string<trim|lowercase|slugifyTest>
+  tags[] string<slugifyTest>
+}`);
+
+    const result = validator.validate({ slug: ' My First Post ', tags: ['a b', 'c'] }, ast);
+    assert.strictEqual(result.slug, 'my-first-post');
+    assert.deepStrictEqual(result.tags, ['a-b', 'c']);
+  });
+
+  // Scopes
+  test('should only let specs parsed with its scope use a scoped constraint', () => {
+    const scopedAst = validator.parse(
+      `root {
+  currency string<uppercase|isCurrencyTest>
+}`,
+      { constraintScopes: ['payments-test'] }
+    );
+
+    assert.strictEqual(validator.validate({ currency: 'ngn' }, scopedAst).currency, 'NGN');
+    assert.throws(() => {
+      validator.validate({ currency: 'EUR' }, scopedAst);
+    }, /should satisfy isCurrencyTest/);
+
+    const unscopedAst = validator.parse(`root {
+  currency string<isCurrencyTest>
+}`);
+
+    assert.throws(
+      () => {
+        validator.validate({ currency: 'NGN' }, unscopedAst);
+      },
+      (error) =>
+        error.errorCode === 'APPLICATION_ERROR' &&
+        /only available to specs in the payments-test scope/.test(error.message)
+    );
+  });
+
+  // Registration errors
+  test('should reject names taken by built-in or registered constraints', () => {
+    assert.throws(() => {
+      validator.registerConstraint('minLength', () => true);
+    }, /minLength constraint is already registered/);
+
+    assert.throws(() => {
+      validator.registerConstraint('ISULIDTEST', () => true, { scope: 'other-test' });
+    }, /already registered/);
+
+    assert.throws(() => {
+      validator.registerConstraint('isCurrencyTest', () => true, { scope: 'payments-test' });
+    }, /already registered/);
+
+    assert.throws(() => {
+      validator.registerConstraint('isCurrencyTest', () => true);
+    }, /already registered/);
+
+    // another scope can define its own rule with the same name
+    validator.registerConstraint('isCurrencyTest', (value) => value === 'GHS', {
+      scope: 'ghana-test',
+    });
+    const ghanaAst = validator.parse(
+      `root {
+  currency string<isCurrencyTest>
+}`,
+      { constraintScopes: ['ghana-test'] }
+    );
+    assert.strictEqual(validator.validate({ currency: 'GHS' }, ghanaAst).currency, 'GHS');
+  });
+
+  test('should reject invalid names and functions', () => {
+    assert.throws(() => {
+      validator.registerConstraint('is-iban', () => true);
+    }, /Invalid constraint name/);
+
+    assert.throws(() => {
+      validator.registerConstraint('isIbanTest', 'not a function');
+    }, /must be a function/);
+  });
+
+  console.log(`✅ Custom Constraint Registry Tests Completed: ${passedCount}/${testCount} passed`);
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runConstraintRegistryTests;
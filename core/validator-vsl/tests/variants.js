@@ -0,0 +1,256 @@
+const assert = require('assert');
+const validator = require('@app-core/validator');
+const lexer = require('../lexer');
+const astGenerator = require('../ast-generator');
+const typeScriptGenerator = require('../util-typescript-generator');
+const jsonGenerator = require('../util-json-generator');
+
+function runVariantTypeTests() {
+  console.log('🧪 Running Union, Record & Nullable Type Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  function test(name, testFn) {
+    testCount++;
+    try {
+      testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  function getError(fn) {
+    try {
+      fn();
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected validation to fail');
+  }
+
+  const paymentBlocks = `
+CardPayment {
+  method string(CARD)
+  last4 string<length:4>
+}
+
+BankPayment {
+  method string(BANK|TRANSFER)
+  account_number string<trim>
+}`;
+
+  // Nullable
+  test('should accept null for nullable fields and items only', () => {
+    const ast = validator.parse(`root {
+  execute_by string|null
+  status? string|null(active|inactive)
+  tags[] string|null
+}`);
+
+    assert.deepStrictEqual(validator.validate({ execute_by: null, tags: ['a', null] }, ast), {
+      execute_by: null,
+      tags: ['a', null],
+    });
+    assert.strictEqual(
+      validator.validate({ execute_by: 'x', status: null, tags: ['a'] }, ast).status,
+      null
+    );
+
+    const error = getError(() =>
+      validator.validate({ status: 'gone', tags: null }, ast, { abortEarly: false })
+    );
+    assert.deepStrictEqual(
+      error.details.map(({ path, constraint }) => ({ path, constraint })),
+      [
+        { path: 'execute_by', constraint: 'required' },
+        { path: 'status', constraint: 'oneOf' },
+        { path: 'tags', constraint: 'type' },
+      ]
+    );
+  });
+
+  // Unions
+  test('should accept a value matching any member of a union and report the closest one', () => {
+    const ast = validator.parse(`root {
+  id string|number
+  amount number|string<min:1>
+}`);
+
+    assert.deepStrictEqual(validator.validate({ id: 'a1', amount: 5 }, ast), {
+      id: 'a1',
+      amount: 5,
+    });
+    assert.strictEqual(validator.validate({ id: 7, amount: 5 }, ast).id, 7);
+
+    const error = getError(() =>
+      validator.validate({ id: true, amount: 0 }, ast, { abortEarly: false })
+    );
+    assert.deepStrictEqual(error.details, [
+      {
+        path: 'id',
+        constraint: 'type',
+        expected: ['string', 'number'],
+        message: 'Invalid Type Passed for id: Expected string or number got boolean',
+      },
+      {
+        path: 'amount',
+        constraint: 'min',
+        expected: '1',
+        message: 'Passed amount value 0 should be greater than 1',
+      },
+    ]);
+  });
+
+  test('should validate unions of spec blocks with the first member that matches', () => {
+    const ast = validator.parse(`root {
+  payment #CardPayment|#BankPayment
+}
+${paymentBlocks}`);
+
+    assert.deepStrictEqual(
+      validator.validate({ payment: { method: 'BANK', account_number: ' 01 ' } }, ast),
+      { payment: { method: 'BANK', account_number: '01' } }
+    );
+
+    // an object matching neither is reported against the first member
+    assert.throws(() => {
+      validator.validate({ payment: { method: 'CARD', last4: '1' } }, ast);
+    }, /Passed payment.last4 length 1 should be 4/);
+    assert.throws(() => {
+      validator.validate({ payment: 'card' }, ast);
+    }, /Invalid Type Passed for payment: Expected CardPayment or BankPayment got string/);
+  });
+
+  // Discriminated unions
+  test('should pick the member of a discriminated union by its discriminator', () => {
+    const ast = validator.parse(`root {
+  payment #CardPayment|#BankPayment on method
+}
+${paymentBlocks}`);
+
+    assert.deepStrictEqual(
+      validator.validate({ payment: { method: 'TRANSFER', account_number: '01' } }, ast),
+      { payment: { method: 'TRANSFER', account_number: '01' } }
+    );
+
+    // the member's own violations are reported
+    const error = getError(() =>
+      validator.validate({ payment: { method: 'CARD', last4: '1' } }, ast)
+    );
+    assert.strictEqual(error.details[0].path, 'payment.last4');
+    assert.strictEqual(error.details[0].constraint, 'length');
+
+    assert.throws(() => {
+      validator.validate({ payment: { method: 'CASH' } }, ast);
+    }, /Expected payment.method's value: CASH to be one of CARD, BANK, TRANSFER/);
+    assert.throws(() => {
+      validator.validate({ payment: { last4: '1234' } }, ast);
+    }, /payment.method is required!/);
+  });
+
+  test('should reject discriminated unions whose members do not declare the discriminator', () => {
+    const ast = validator.parse(`root {
+  payment #CardPayment|#Cash on method
+}
+${paymentBlocks}
+
+Cash {
+  method string
+}`);
+
+    assert.throws(
+      () => {
+        validator.validate({ payment: { method: 'CARD', last4: '1234' } }, ast);
+      },
+      (error) =>
+        error.errorCode === 'APPLICATION_ERROR' &&
+        error.message ===
+          'The #Cash type needs a method field with possible values to be in a union on method'
+    );
+  });
+
+  // Records
+  test('should check every value of a record', () => {
+    const ast = validator.parse(`root {
+  balances record<string, number><min:0>
+  accounts? record<string, #Account>
+}
+
+Account {
+  name string<trim>
+}`);
+
+    assert.deepStrictEqual(
+      validator.validate(
+        { balances: { NGN: 10, USD: 0 }, accounts: { acc_1: { name: ' Ada ' } } },
+        ast
+      ),
+      { balances: { NGN: 10, USD: 0 }, accounts: { acc_1: { name: 'Ada' } } }
+    );
+
+    const error = getError(() =>
+      validator.validate({ balances: { NGN: -1, USD: 'x' }, accounts: { acc_1: {} } }, ast, {
+        abortEarly: false,
+      })
+    );
+    assert.deepStrictEqual(
+      error.details.map(({ path, constraint }) => ({ path, constraint })),
+      [
+        { path: 'balances.NGN', constraint: 'min' },
+        { path: 'balances.USD', constraint: 'type' },
+        { path: 'accounts.acc_1.name', constraint: 'required' },
+      ]
+    );
+
+    assert.throws(() => {
+      validator.validate({ balances: [] }, ast);
+    }, /Invalid Type Passed for balances: Expected object got array/);
+  });
+
+  test('should reject references to blocks missing from the spec', () => {
+    const ast = validator.parse(`root {
+  owner #Account
+}`);
+
+    assert.throws(
+      () => {
+        validator.validate({ owner: {} }, ast);
+      },
+      (error) =>
+        error.errorCode === 'APPLICATION_ERROR' &&
+        error.message === 'The #Account type is not defined in the spec'
+    );
+  });
+
+  // Generators
+  test('should emit unions, records and nullable types in TypeScript and JSON', () => {
+    const { nodes, rootNodes } = lexer(`Transfer {
+  id string|number
+  execute_by string|null
+  payment #CardPayment|#BankPayment on method
+  balances record<string, number>
+}
+${paymentBlocks}`);
+    const AST = astGenerator({}, rootNodes, nodes);
+
+    const typeScript = typeScriptGenerator(AST, 0, AST);
+    assert.match(typeScript, /id: string \| number;/);
+    assert.match(typeScript, /execute_by: string \| null;/);
+    assert.match(typeScript, /payment: CardPayment \| BankPayment;/);
+    assert.match(typeScript, /balances: Record<string, number>;/);
+
+    const json = jsonGenerator({ body: { ...AST.Transfer, isRoot: true } }, 0, AST);
+    assert.match(json, /"payment": {\n {4}"method": "CARD",/);
+    assert.match(json, /"balances": {\n {4}"key": 10,/);
+  });
+
+  console.log(
+    `✅ Union, Record & Nullable Type Tests Completed: ${passedCount}/${testCount} passed`
+  );
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runVariantTypeTests;
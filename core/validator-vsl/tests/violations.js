@@ -0,0 +1,184 @@
+const assert = require('assert');
+const validator = require('@app-core/validator');
+
+function runViolationTests() {
+  console.log('🧪 Running Violation Reporting Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  function test(name, testFn) {
+    testCount++;
+    try {
+      testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  function getError(fn) {
+    try {
+      fn();
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected validation to fail');
+  }
+
+  const spec = `root {
+  name string<minLength:3>
+  age number<min:18>
+  status string(active|inactive)
+  email string<!isEmail>
+  tags[] string<maxLength:3>
+}`;
+
+  // Default mode stops at the first failure
+  test('should report only the first violation by default', () => {
+    const ast = validator.parse(spec);
+
+    const error = getError(() =>
+      validator.validate({ name: 'ab', age: 10, status: 'gone', email: 'a@b.co', tags: ['a'] }, ast)
+    );
+
+    assert.strictEqual(error.errorCode, 'SPCL_VALIDATION');
+    assert.strictEqual(error.message, 'Passed name length 2 should be at least 3');
+    assert.deepStrictEqual(error.details, [
+      {
+        path: 'name',
+        constraint: 'minlength',
+        expected: '3',
+        message: 'Passed name length 2 should be at least 3',
+      },
+    ]);
+  });
+
+  // Collecting every failure
+  test('should collect every violation when abortEarly is false', () => {
+    const ast = validator.parse(spec);
+
+    const error = getError(() =>
+      validator.validate(
+        { name: 'ab', age: 10, status: 'gone', email: 'a@b.co', tags: ['a', 'abcd'] },
+        ast,
+        { abortEarly: false }
+      )
+    );
+
+    assert.strictEqual(error.message, 'Passed name length 2 should be at least 3');
+    assert.deepStrictEqual(
+      error.details.map(({ path, constraint, expected }) => ({ path, constraint, expected })),
+      [
+        { path: 'name', constraint: 'minlength', expected: '3' },
+        { path: 'age', constraint: 'min', expected: '18' },
+        { path: 'status', constraint: 'oneOf', expected: ['active', 'inactive'] },
+        { path: 'email', constraint: '!isemail', expected: '' },
+        { path: 'tags[1]', constraint: 'maxlength', expected: '3' },
+      ]
+    );
+    error.details.forEach((violation) => assert.ok(violation.message));
+  });
+
+  test('should report required fields and wrong types without checking them further', () => {
+    const ast = validator.parse(`root {
+  id string<length:5>
+  count number<min:1>
+  items[] string
+}`);
+
+    const error = getError(() =>
+      validator.validate({ count: 'many', items: 'a' }, ast, { abortEarly: false })
+    );
+
+    assert.deepStrictEqual(
+      error.details.map(({ path, constraint, expected }) => ({ path, constraint, expected })),
+      [
+        { path: 'id', constraint: 'required', expected: true },
+        { path: 'count', constraint: 'type', expected: 'number' },
+        { path: 'items', constraint: 'type', expected: 'array' },
+      ]
+    );
+  });
+
+  // Nested paths
+  test('should report the full path of nested violations', () => {
+    const ast = validator.parse(`root {
+  meta {
+    code string<length:2>
+  }
+  places[] {
+    bank string
+    amount number<min:1>
+  }
+}`);
+
+    const error = getError(() =>
+      validator.validate(
+        {
+          meta: { code: 'abc' },
+          places: [{ bank: 'a', amount: 0 }, null, { amount: 5 }],
+        },
+        ast,
+        { abortEarly: false }
+      )
+    );
+
+    assert.deepStrictEqual(
+      error.details.map(({ path, constraint }) => ({ path, constraint })),
+      [
+        { path: 'meta.code', constraint: 'length' },
+        { path: 'places[0].amount', constraint: 'min' },
+        { path: 'places[1]', constraint: 'type' },
+        { path: 'places[2].bank', constraint: 'required' },
+      ]
+    );
+    assert.strictEqual(
+      error.details[2].message,
+      'Invalid Type Passed for places[1]: Expected object got null'
+    );
+  });
+
+  test('should reject a null nested object in either mode', () => {
+    const ast = validator.parse(`root {
+  meta {
+    code string
+  }
+}`);
+
+    assert.throws(() => {
+      validator.validate({ meta: null }, ast);
+    }, /Invalid Type Passed for meta: Expected object got null/);
+  });
+
+  // Valid data and the older option
+  test('should return the transformed data when nothing fails', () => {
+    const ast = validator.parse(`root {
+  name string<trim|uppercase>
+}`);
+
+    const result = validator.validate({ name: ' ada ' }, ast, { abortEarly: false });
+    assert.deepStrictEqual(result, { name: 'ADA' });
+  });
+
+  test('should treat dontThrowErrors as abortEarly false', () => {
+    const ast = validator.parse(spec);
+
+    const error = getError(() =>
+      validator.validate({ name: 'abc', age: 10, status: 'gone', email: 'no', tags: ['a'] }, ast, {
+        dontThrowErrors: true,
+      })
+    );
+
+    assert.deepStrictEqual(
+      error.details.map((violation) => violation.path),
+      ['age', 'status']
+    );
+  });
+
+  console.log(`✅ Violation Reporting Tests Completed: ${passedCount}/${testCount} passed`);
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runViolationTests;
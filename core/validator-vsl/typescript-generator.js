@@ -1,3 +1,5 @@
+const { toTypeScriptType } = require('./utils/helpers');
+
 function getReferencedTypeFromAST(type, AST) {
   let t = type.replace(/[$#]/g, '');
   let [parent, key] = t.split('.');
@@ -89,6 +91,9 @@ function generateTypeScriptType(AST, tabIndexCount = 0, trueAST) {
       if (possibleValues?.length) {
         dataTypeToRender = possibleValues.map((pv) => `"${pv}"`).join(' | ');
       }
+      if (dataTypeToRender) {
+        dataTypeToRender = toTypeScriptType(dataTypeToRender, node);
+      }
       typeScriptStringTokens.push(
         `${tabs}${k}${optionalSuffix}: ${arrayOpeningPrefix}${
           dataTypeToRender || 'any'
@@ -104,7 +109,8 @@ function generateTypeScriptType(AST, tabIndexCount = 0, trueAST) {
     if (typeBlockOpened) {
       // const terminationSuffix = isRoot ? ' = ' : ': ';
       const indentationPrefix = !isRoot ? tabs : '';
-      typeScriptStringTokens.push(`${indentationPrefix}};`);
+      const nullableSuffix = node.nullable ? ' | null' : '';
+      typeScriptStringTokens.push(`${indentationPrefix}}${nullableSuffix};`);
       if (isRoot) {
         typeScriptStringTokens.push(`\nexport { ${k} };\n\n`);
       }
@@ -10,7 +10,7 @@ function getRandomDataType(type, possibleValues, constraints) {
     retVal = '"string"';
   } else if (type === 'number') {
     retVal = 10;
-  } else if (type === 'object') {
+  } else if (type === 'object' || type === 'record') {
     retVal = '{}';
   }
 
@@ -34,12 +34,39 @@ function getReferencedTypeFromAST(type, AST) {
   }
   return referencedType;
 }
-function generateTypeScriptType(AST, tabIndexCount = 0, trueAST) {
+// only the first field of an @exclusive group goes in the example, so it stays valid
+function getExcludedKeys(groups = []) {
+  return groups
+    .filter((group) => group.type === 'exclusive')
+    .reduce((excludedKeys, group) => excludedKeys.concat(group.fields.slice(1)), []);
+}
+// a union is shown as its first member and a record as an object with a single key
+function getExampleNode(node) {
+  if (node?.dataType === 'union') {
+    return { ...node, dataType: node.unionTypes[0] };
+  }
+  if (node?.dataType === 'array' && node.arrayChildrenType === 'union') {
+    return { ...node, arrayChildrenType: node.unionTypes[0] };
+  }
+  if (node?.dataType === 'record') {
+    const { recordValueType, possibleValues, constraints } = node;
+    return {
+      ...node,
+      dataType: 'object',
+      children: {
+        key: { dataType: recordValueType, possibleValues, constraints, children: {} },
+      },
+    };
+  }
+  return node;
+}
+function generateTypeScriptType(AST, tabIndexCount = 0, trueAST, groups) {
   let typeScriptStringTokens = [];
-  const keys = Object.keys(AST);
+  const excludedKeys = getExcludedKeys(groups);
+  const keys = Object.keys(AST).filter((k) => excludedKeys.indexOf(k) < 0);
   keys.forEach((k) => {
     let typeBlockOpened = false;
-    let node = AST[k];
+    let node = getExampleNode(AST[k]);
     if (node?.dataType?.includes('#')) {
       const astReferenceObject = getReferencedTypeFromAST(
         node.dataType,
@@ -131,7 +158,12 @@ function generateTypeScriptType(AST, tabIndexCount = 0, trueAST) {
     }
     if (nodeHasChildren) {
       typeScriptStringTokens.push(
-        generateTypeScriptType(node.children, tabIndexCount + 1, trueAST),
+        generateTypeScriptType(
+          node.children,
+          tabIndexCount + 1,
+          trueAST,
+          node.groups,
+        ),
       );
     }
     if (typeBlockOpened) {
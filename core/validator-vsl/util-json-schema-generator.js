@@ -0,0 +1,278 @@
+const { getConstraint } = require('./constraint-registry');
+
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+// the parts of an endpoint block that describe its requests and responses
+const ENDPOINT_PARTS = ['params', 'query', 'headers', 'body', 'response'];
+
+// $balance style arguments depend on the data, so their constraints cannot be described
+function isFieldReference(arg) {
+  return typeof arg === 'string' && arg.startsWith('$');
+}
+
+function toNumber(arg) {
+  return Number(arg);
+}
+
+function escapePattern(arg) {
+  return arg.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// spec values are strings, but a condition on a number or boolean field compares them as text
+function toConditionValues(values) {
+  return values.reduce((conditionValues, value) => {
+    const parsedValue = value === 'true' || value === 'false' ? value === 'true' : Number(value);
+    const isTyped =
+      typeof parsedValue === 'boolean' || (value !== '' && !Number.isNaN(parsedValue));
+    return conditionValues.concat(isTyped ? [value, parsedValue] : [value]);
+  }, []);
+}
+
+/**
+ * The JSON Schema keywords of the built-in constraints. Transforms and registered constraints
+ * have no equivalent and are left out, as are the constraints that run after a transform, since
+ * they check the transformed value rather than the one sent.
+ */
+const CONSTRAINT_KEYWORDS = {
+  min: (arg) => ({ minimum: toNumber(arg) }),
+  max: (arg) => ({ maximum: toNumber(arg) }),
+  between: (arg) => {
+    const [min, max] = arg.split(',');
+    return { minimum: toNumber(min), maximum: toNumber(max) };
+  },
+  length: (arg) => ({ minLength: toNumber(arg), maxLength: toNumber(arg) }),
+  minlength: (arg) => ({ minLength: toNumber(arg) }),
+  maxlength: (arg) => ({ maxLength: toNumber(arg) }),
+  lengthbetween: (arg) => {
+    const [min, max] = arg.split(',');
+    return { minLength: toNumber(min), maxLength: toNumber(max) };
+  },
+  startswith: (arg) => ({ pattern: `^${escapePattern(arg)}` }),
+  endswith: (arg) => ({ pattern: `${escapePattern(arg)}$` }),
+  isanyof: (arg) => ({ enum: arg.split(',') }),
+  isemail: () => ({ format: 'email' }),
+};
+
+function isTransform(name, constraintScopes) {
+  return !!getConstraint(name.toLowerCase(), constraintScopes)?.isTransform;
+}
+
+function getConstraintKeywords(constraints = {}, constraintScopes = []) {
+  const names = Object.keys(constraints);
+  const firstTransformIndex = names.findIndex((name) => isTransform(name, constraintScopes));
+  const checkedNames = firstTransformIndex < 0 ? names : names.slice(0, firstTransformIndex);
+
+  return checkedNames.reduce((keywords, name) => {
+    const { isNot, value } = constraints[name];
+    const toKeywords = CONSTRAINT_KEYWORDS[name.toLowerCase()];
+    if (!toKeywords || isFieldReference(value)) return keywords;
+
+    const constraintKeywords = toKeywords(value);
+    if (!isNot) return { ...keywords, ...constraintKeywords };
+    return { ...keywords, allOf: [...(keywords.allOf || []), { not: constraintKeywords }] };
+  }, {});
+}
+
+/**
+ * #Account points to a block and #Account.id to one of its fields
+ */
+function getReference(type, refPrefix) {
+  const [parent, key] = type.slice(1).split('.');
+  return { $ref: key ? `${refPrefix}${parent}/properties/${key}` : `${refPrefix}${parent}` };
+}
+
+function withNull(schema) {
+  if (typeof schema.type === 'string' && !schema.enum) {
+    return { ...schema, type: [schema.type, 'null'] };
+  }
+  if (schema.enum) {
+    const nullableSchema = { ...schema, enum: [...schema.enum, null] };
+    if (schema.type) nullableSchema.type = [schema.type, 'null'];
+    return nullableSchema;
+  }
+  return { anyOf: [schema, { type: 'null' }] };
+}
+
+/**
+ * Builds the JSON Schema of a single type: a primitive, a #reference, a union or a record
+ */
+function getTypeSchema(type, node, options) {
+  const { possibleValues, constraints, unionTypes, discriminator, recordValueType } = node;
+
+  if (type === 'union') {
+    const members = unionTypes.map((memberType) => getTypeSchema(memberType, node, options));
+    if (!discriminator) return { anyOf: members };
+
+    const schema = { oneOf: members };
+    if (options.openapi) {
+      schema.discriminator = { propertyName: discriminator };
+    }
+    return schema;
+  }
+  if (type === 'record') {
+    return {
+      type: 'object',
+      additionalProperties: getTypeSchema(
+        recordValueType,
+        { possibleValues, constraints },
+        options
+      ),
+    };
+  }
+  if (type?.startsWith('#')) {
+    return getReference(type, options.refPrefix);
+  }
+
+  const schema = type && type !== 'any' ? { type } : {};
+  // possible values are checked once every transform has run
+  const isTransformed = Object.keys(constraints || {}).some((name) =>
+    isTransform(name, options.constraintScopes)
+  );
+  if (possibleValues?.length && !isTransformed) {
+    schema.enum = possibleValues;
+  }
+  return { ...schema, ...getConstraintKeywords(constraints, options.constraintScopes) };
+}
+
+function getConditionSchema(field, operator, values) {
+  const [key, ...restOfPath] = field.split('.');
+  let valueSchema = operator === 'exists' ? {} : { enum: toConditionValues(values) };
+  if (restOfPath.length) {
+    valueSchema = getConditionSchema(restOfPath.join('.'), operator, values);
+  }
+  return { properties: { [key]: valueSchema }, required: [key] };
+}
+
+/**
+ * when clauses become if/then rules and field groups become anyOf/not rules on the object
+ */
+function getObjectRules(children, groups = []) {
+  const conditionRules = Object.keys(children)
+    .filter((key) => children[key].condition)
+    .map((key) => {
+      const { field, operator, values } = children[key].condition;
+      const conditionSchema = getConditionSchema(field, operator === '!=' ? '=' : operator, values);
+      return {
+        if: operator === '!=' ? { not: conditionSchema } : conditionSchema,
+        then: { required: [key] },
+      };
+    });
+
+  const groupRules = groups.map(({ type, fields }) => {
+    if (type === 'atLeastOne') {
+      return { anyOf: fields.map((field) => ({ required: [field] })) };
+    }
+    const pairs = fields.reduce(
+      (fieldPairs, field, index) =>
+        fieldPairs.concat(fields.slice(index + 1).map((otherField) => [field, otherField])),
+      []
+    );
+    return { not: { anyOf: pairs.map((pair) => ({ required: pair })) } };
+  });
+
+  return conditionRules.concat(groupRules);
+}
+
+/**
+ * @typedef {Object} JSONSchemaOptions
+ * @property {string} [refPrefix='#/$defs/'] - Where #references point to
+ * @property {boolean} [openapi=false] - Adds the OpenAPI discriminator keyword to discriminated unions
+ * @property {string[]} [constraintScopes] - The scopes the spec was parsed with, to find its
+ * registered transforms
+ */
+
+/**
+ * Converts a node of a parsed VSL spec, a field or a block, into JSON Schema 2020-12. The schema
+ * describes the data as it is sent, before transforms such as trim run, so the checks made after
+ * a transform are left out.
+ * @param {Object} node
+ * @param {JSONSchemaOptions} [options]
+ * @returns {Object}
+ */
+function toJSONSchema(node, options = {}) {
+  const schemaOptions = { refPrefix: '#/$defs/', openapi: false, ...options };
+  const { dataType, arrayChildrenType, nullable, commentText, groups } = node;
+  const children = node.children || {};
+  const childKeys = Object.keys(children);
+  let schema;
+
+  if (childKeys.length) {
+    const objectSchema = {
+      type: 'object',
+      properties: childKeys.reduce(
+        (properties, key) => ({ ...properties, [key]: toJSONSchema(children[key], options) }),
+        {}
+      ),
+    };
+    const required = childKeys.filter(
+      (key) => !children[key].isOptional && !children[key].condition
+    );
+    const rules = getObjectRules(children, groups);
+    if (required.length) objectSchema.required = required;
+    if (rules.length) objectSchema.allOf = rules;
+
+    schema = dataType === 'array' ? { type: 'array', items: objectSchema } : objectSchema;
+  } else if (dataType === 'array') {
+    const itemSchema = getTypeSchema(arrayChildrenType, node, schemaOptions);
+    schema = { type: 'array', items: nullable ? withNull(itemSchema) : itemSchema };
+  } else {
+    const typeSchema = getTypeSchema(dataType, node, schemaOptions);
+    schema = nullable ? withNull(typeSchema) : typeSchema;
+  }
+
+  // an empty array does not satisfy a required array
+  if (dataType === 'array' && !node.isOptional && !node.condition) {
+    schema.minItems = 1;
+  }
+  if (commentText) {
+    schema.description = commentText;
+  }
+  return schema;
+}
+
+/**
+ * Describes an endpoint block by its request parts and response
+ */
+function endpointToJSONSchema(node, options) {
+  const parts = ENDPOINT_PARTS.filter((part) => node.children?.[part]);
+  const schema = {
+    type: 'object',
+    properties: parts.reduce(
+      (properties, part) => ({
+        ...properties,
+        [part]: toJSONSchema(node.children[part], options),
+      }),
+      {}
+    ),
+    required: parts.filter((part) => part !== 'response' && !node.children[part].isOptional),
+  };
+  if (node.commentText) {
+    schema.description = node.commentText;
+  }
+  return schema;
+}
+
+/**
+ * Generates a JSON Schema 2020-12 document with a definition for every block of a parsed spec.
+ * Endpoint blocks are described by their params, query, headers, body and response.
+ * @param {Object} AST - From validator.parse or the ast generator
+ * @returns {{$schema: string, $defs: Object}}
+ */
+function generateJSONSchema(AST) {
+  const blockNames = Object.keys(AST).filter((name) => AST[name]?.isRoot);
+  const options = { constraintScopes: AST.constraintScopes };
+  return {
+    $schema: JSON_SCHEMA_DIALECT,
+    $defs: blockNames.reduce((definitions, name) => {
+      const node = AST[name];
+      return {
+        ...definitions,
+        [name]: node.isEndpoint ? endpointToJSONSchema(node, options) : toJSONSchema(node, options),
+      };
+    }, {}),
+  };
+}
+
+module.exports = generateJSONSchema;
+module.exports.toJSONSchema = toJSONSchema;
+module.exports.JSON_SCHEMA_DIALECT = JSON_SCHEMA_DIALECT;
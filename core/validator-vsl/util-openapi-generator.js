@@ -0,0 +1,182 @@
+const { toJSONSchema, JSON_SCHEMA_DIALECT } = require('./util-json-schema-generator');
+
+const OPENAPI_VERSION = '3.1.0';
+const SCHEMA_REF_PREFIX = '#/components/schemas/';
+const SCHEMA_OPTIONS = { refPrefix: SCHEMA_REF_PREFIX, openapi: true };
+
+// the {status, message, data} and {status, message, errors, data} bodies the server sends
+const COMMON_SCHEMAS = {
+  Violation: {
+    type: 'object',
+    properties: {
+      path: { type: 'string' },
+      constraint: { type: 'string' },
+      expected: {},
+      message: { type: 'string' },
+    },
+    required: ['path', 'constraint', 'message'],
+  },
+  ErrorResponse: {
+    type: 'object',
+    properties: {
+      status: { const: 'error' },
+      message: { type: 'string' },
+      errors: { type: 'array', items: { $ref: `${SCHEMA_REF_PREFIX}Violation` } },
+      data: {},
+    },
+    required: ['status', 'message'],
+  },
+};
+
+const PARAMETER_LOCATIONS = { params: 'path', query: 'query', headers: 'header' };
+
+/**
+ * /transfers/:id becomes /transfers/{id}
+ */
+function toOpenAPIPath(httpPath) {
+  return httpPath.replace(/:([a-zA-Z_$][a-zA-Z_$0-9]*)/g, '{$1}');
+}
+
+function getParameters(endpointNode, schemaOptions) {
+  return Object.keys(PARAMETER_LOCATIONS).reduce((parameters, part) => {
+    const fields = endpointNode.children[part]?.children || {};
+    const location = PARAMETER_LOCATIONS[part];
+
+    return parameters.concat(
+      Object.keys(fields).map((name) => {
+        const field = fields[name];
+        const parameter = {
+          name,
+          in: location,
+          required: location === 'path' || (!field.isOptional && !field.condition),
+          schema: toJSONSchema({ ...field, commentText: undefined }, schemaOptions),
+        };
+        if (field.commentText) {
+          parameter.description = field.commentText;
+        }
+        return parameter;
+      })
+    );
+  }, []);
+}
+
+function getSuccessResponse(responseNode, schemaOptions) {
+  const data = responseNode ? toJSONSchema(responseNode, schemaOptions) : { type: 'object' };
+  return {
+    description: responseNode?.commentText || 'Successful response',
+    content: {
+      'application/json': {
+        schema: {
+          type: 'object',
+          properties: {
+            status: { const: 'success' },
+            message: { type: 'string' },
+            data,
+          },
+          required: ['status', 'data'],
+        },
+      },
+    },
+  };
+}
+
+function getErrorResponse(description) {
+  return {
+    description,
+    content: {
+      'application/json': { schema: { $ref: `${SCHEMA_REF_PREFIX}ErrorResponse` } },
+    },
+  };
+}
+
+function getOperation(name, endpointNode, schemaOptions) {
+  const { commentText, children } = endpointNode;
+  const operation = { operationId: name };
+
+  if (commentText) {
+    operation.summary = commentText;
+  }
+  if (children.resource?.dataType) {
+    operation.tags = [children.resource.dataType];
+  }
+
+  const parameters = getParameters(endpointNode, schemaOptions);
+  if (parameters.length) {
+    operation.parameters = parameters;
+  }
+  if (children.body) {
+    operation.requestBody = {
+      required: !children.body.isOptional,
+      content: { 'application/json': { schema: toJSONSchema(children.body, schemaOptions) } },
+    };
+  }
+
+  operation.responses = {
+    200: getSuccessResponse(children.response, schemaOptions),
+    400: getErrorResponse('Invalid request data or a failed operation'),
+    default: getErrorResponse('Unexpected error'),
+  };
+  return operation;
+}
+
+/**
+ * @typedef {Object} OpenAPIInfo
+ * @property {string} [title='API']
+ * @property {string} [version='1.0.0']
+ * @property {string} [description]
+ * @property {{url: string, description?: string}[]} [servers]
+ */
+
+/**
+ * Assembles an OpenAPI 3.1 document from the endpoint blocks of a parsed spec, such as
+ * CreateTransfer POST /transfers/:id { ... }. params, query and headers become parameters, body
+ * the request body and response the data of the success response. The other blocks are added to
+ * components.schemas, where #references point to.
+ * @param {Object} AST - From validator.parse or the ast generator
+ * @param {OpenAPIInfo} [info]
+ * @returns {Object}
+ */
+function generateOpenAPIDocument(AST, info = {}) {
+  const { title = 'API', version = '1.0.0', description, servers } = info;
+  const blockNames = Object.keys(AST).filter((name) => AST[name]?.isRoot);
+  const endpointNames = blockNames.filter((name) => AST[name].isEndpoint);
+  const schemaNames = blockNames.filter((name) => !AST[name].isEndpoint);
+  const schemaOptions = { ...SCHEMA_OPTIONS, constraintScopes: AST.constraintScopes };
+
+  const paths = endpointNames.reduce((pathItems, name) => {
+    const endpointNode = AST[name];
+    const path = toOpenAPIPath(endpointNode.http_path);
+    return {
+      ...pathItems,
+      [path]: {
+        ...pathItems[path],
+        [endpointNode.http_method.toLowerCase()]: getOperation(name, endpointNode, schemaOptions),
+      },
+    };
+  }, {});
+
+  const schemas = schemaNames.reduce(
+    (componentSchemas, name) => ({
+      ...componentSchemas,
+      [name]: toJSONSchema(AST[name], schemaOptions),
+    }),
+    { ...COMMON_SCHEMAS }
+  );
+
+  const document = {
+    openapi: OPENAPI_VERSION,
+    info: { title, version },
+    jsonSchemaDialect: JSON_SCHEMA_DIALECT,
+  };
+  if (description) {
+    document.info.description = description;
+  }
+  if (servers) {
+    document.servers = servers;
+  }
+  document.paths = paths;
+  document.components = { schemas };
+  return document;
+}
+
+module.exports = generateOpenAPIDocument;
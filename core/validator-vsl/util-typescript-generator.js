@@ -1,4 +1,5 @@
 const { toKebabCase, writeFileWithDirs } = require('./util-helpers');
+const { describeCondition, describeFieldGroup, toTypeScriptType } = require('./utils/helpers');
 
 function getReferencedTypeFromAST(type, AST) {
   let t = type.replace(/[$#]/g, '');
@@ -22,6 +23,11 @@ function getReferencedTypeFromAST(type, AST) {
   // console.log(referencedType, AST);
   return referencedType;
 }
+// when clauses and field groups cannot be typed, so they are described in the doc comments
+function getNodeComment(commentText, condition) {
+  const conditionText = condition && `Required when ${describeCondition(condition)}`;
+  return [commentText, conditionText].filter(Boolean).join('. ');
+}
 function l(k, logdata) {
   if ({ body: 1, service: 1 }[k]) {
     console.log(logdata);
@@ -68,7 +74,10 @@ function generateTypeScriptType(AST, tabIndexCount = 0, trueAST) {
       commentText,
       possibleValues,
       arrayChildrenType,
+      condition,
+      groups,
     } = node;
+    const nodeComment = getNodeComment(commentText, condition);
     const nodeHasChildren = Object.keys(node.children || {}).length;
     const shouldOpenNewBlock = isRoot || nodeHasChildren;
     // l(k, { shouldOpenNewBlock, k, node });
@@ -77,13 +86,11 @@ function generateTypeScriptType(AST, tabIndexCount = 0, trueAST) {
       // l(k, { shouldOpenNewBlock, k, ioen: 2 });
       const declarationSuffix = isRoot ? 'type ' : '';
       const equalitySuffix = isRoot ? ' = ' : ': ';
-      const optionalSuffix = !isRoot && isOptional ? '?' : '';
+      const optionalSuffix = !isRoot && (isOptional || condition) ? '?' : '';
       const indentationPrefix = !isRoot ? tabs : '';
       const arrayOpeningPrefix = dataType === 'array' ? '[' : '';
-      if (commentText) {
-        typeScriptStringTokens.push(
-          `${indentationPrefix}/** ${commentText} */`,
-        );
+      if (nodeComment) {
+        typeScriptStringTokens.push(`${indentationPrefix}/** ${nodeComment} */`);
       }
       typeScriptStringTokens.push(
         `${indentationPrefix}${declarationSuffix}${k}${optionalSuffix}${equalitySuffix}${arrayOpeningPrefix}{`,
@@ -96,14 +103,18 @@ function generateTypeScriptType(AST, tabIndexCount = 0, trueAST) {
         );
         typeScriptStringTokens.push(`${inlineTabs}HTTP_PATH:'${http_path}';`);
       }
+      (groups || []).forEach((group) => {
+        const inlineTabs = new Array(tabIndexCount + 1).fill('  ').join('');
+        typeScriptStringTokens.push(`${inlineTabs}/** ${describeFieldGroup(group)} */`);
+      });
     } else {
       let dataTypeToRender = dataType; //.replace('#', '').replace('.', "['");
       if (dataTypeToRender?.includes('#')) {
         dataTypeToRender = getReferencedTypeFromAST(dataType, trueAST);
       }
-      const optionalSuffix = isOptional ? '?' : '';
-      if (commentText) {
-        typeScriptStringTokens.push(`${tabs}/** ${commentText} */`);
+      const optionalSuffix = isOptional || condition ? '?' : '';
+      if (nodeComment) {
+        typeScriptStringTokens.push(`${tabs}/** ${nodeComment} */`);
       }
       const arrayOpeningPrefix = dataTypeToRender === 'array' ? '[' : '';
       const arrayClosingSuffix = dataTypeToRender === 'array' ? ']' : '';
@@ -113,6 +124,9 @@ function generateTypeScriptType(AST, tabIndexCount = 0, trueAST) {
       if (possibleValues?.length) {
         dataTypeToRender = possibleValues.map((pv) => `"${pv}"`).join(' | ');
       }
+      if (dataTypeToRender) {
+        dataTypeToRender = toTypeScriptType(dataTypeToRender, node);
+      }
       typeScriptStringTokens.push(
         `${tabs}${k}${optionalSuffix}: ${arrayOpeningPrefix}${
           dataTypeToRender || 'any'
@@ -129,11 +143,10 @@ function generateTypeScriptType(AST, tabIndexCount = 0, trueAST) {
     if (typeBlockOpened) {
       // const arrayOpeningPrefix = dataTypeToRender === 'array' ? '[' : '';
       const arrayClosingSuffix = dataType === 'array' ? ']' : '';
+      const nullableSuffix = node.nullable ? ' | null' : '';
       // const terminationSuffix = isRoot ? ' = ' : ': ';
       const indentationPrefix = !isRoot ? tabs : '';
-      typeScriptStringTokens.push(
-        `${indentationPrefix}}${arrayClosingSuffix};`,
-      );
+      typeScriptStringTokens.push(`${indentationPrefix}}${nullableSuffix}${arrayClosingSuffix};`);
       if (isRoot) {
         typeScriptStringTokens.push(`\nexport { ${k} };\n\n`);
         // writeFileWithDirs('./utype.ts', typeScriptStringTokens.join('\n'));
@@ -9,7 +9,10 @@ const serviceFileGenerator = require('./util-service-file-generator');
 const endpointFileGenerator = require('./util-endpoint-file-generator');
 const mongooseSchemaGenerator = require('./util-mongoose-schema-generator');
 const endpointDocGenerator = require('./util-endpoint-doc-generator');
+const jsonSchemaGenerator = require('./util-json-schema-generator');
+const openApiGenerator = require('./util-openapi-generator');
 const loadSPCLConfig = require('./util-load-config');
+const { writeFileWithDirs } = require('./util-helpers');
 //console.log(process.cwd(), process.argv);
 
 const usableArgs = process.argv.slice(2);
@@ -33,10 +36,15 @@ if (fileExists) {
   const lexicalTokens = lexer(lookupFile);
   const { nodes, rootNodes } = lexicalTokens;
   const abstractSyntaxTree = astGenerator({}, rootNodes, nodes);
+  // before the other generators, which inline #references into the tree
+  const jsonSchema = jsonSchemaGenerator(abstractSyntaxTree);
+  const openApiDocument = openApiGenerator(abstractSyntaxTree, config?.openapi);
   serviceFileGenerator(abstractSyntaxTree);
   endpointFileGenerator(abstractSyntaxTree);
   mongooseSchemaGenerator(abstractSyntaxTree, config?.models);
   endpointDocGenerator(abstractSyntaxTree);
+  writeFileWithDirs('./docs/schema.json', JSON.stringify(jsonSchema, null, 2));
+  writeFileWithDirs('./docs/openapi.json', JSON.stringify(openApiDocument, null, 2));
   fs.writeFileSync(
     './spcl.txt',
     JSON.stringify(
@@ -33,7 +33,95 @@ function processPossibleValues(values = '') {
   return processedValues;
 }
 
+const RECORD_TYPE_REGEX = /^record<\s*string\s*,\s*(?<VALUE_TYPE>[^\s>]+)\s*>(?<NULLABLE>\|null)?$/;
+
+/**
+ * Splits a type such as string|null, #CardPayment|#BankPayment or record<string, #Account> into
+ * the data type and its variant attributes. A union of a single type and null is that type, nullable.
+ */
+function processTypeExpression(typeExpression) {
+  if (!typeExpression) return { type: typeExpression };
+
+  const recordGroups = typeExpression.match(RECORD_TYPE_REGEX)?.groups;
+  if (recordGroups) {
+    return {
+      type: 'record',
+      recordValueType: recordGroups.VALUE_TYPE.replace('ref:', '#'),
+      nullable: !!recordGroups.NULLABLE,
+    };
+  }
+
+  const typeTokens = typeExpression.split('|').map((token) => token.replace('ref:', '#'));
+  const unionTypes = typeTokens.filter((token) => token !== 'null');
+  const nullable = unionTypes.length < typeTokens.length;
+  if (unionTypes.length > 1) {
+    return { type: 'union', unionTypes, nullable };
+  }
+  return { type: unionTypes[0] || 'null', nullable };
+}
+
+// field=A|B, field!=A|B, or just field for "when field is present"
+const CONDITION_REGEX = /^(?<FIELD>[a-zA-Z$_][a-zA-Z$_0-9.]*)(?:(?<OPERATOR>!?=)(?<VALUES>.+))?$/;
+
+function processCondition(condition) {
+  let processedCondition;
+  const conditionGroups = condition?.match(CONDITION_REGEX)?.groups;
+  if (conditionGroups) {
+    const { FIELD, OPERATOR, VALUES } = conditionGroups;
+    processedCondition = {
+      field: FIELD,
+      operator: OPERATOR || 'exists',
+      values: processPossibleValues(VALUES) || [],
+    };
+  }
+  return processedCondition;
+}
+
+function describeCondition(condition, parentChain = '') {
+  const { field, operator, values } = condition;
+  if (operator === 'exists') {
+    return `${parentChain}${field} is provided`;
+  }
+  return `${parentChain}${field} is${operator === '!=' ? ' not ' : ' '}${values.join(' or ')}`;
+}
+
+function describeFieldGroup(group, parentChain = '') {
+  const fieldNames = group.fields.map((field) => `${parentChain}${field}`).join(' or ');
+  if (group.type === 'exclusive') {
+    return `Only one of ${fieldNames} can be provided`;
+  }
+  return `One of ${fieldNames} is required`;
+}
+
+/**
+ * #Account is rendered as Account and #Account.id as Account['id']
+ */
+function getTypeScriptName(type) {
+  if (!type.startsWith('#')) return type;
+  const [parent, key] = type.slice(1).split('.');
+  return key ? `${parent}['${key}']` : parent;
+}
+
+/**
+ * Renders union, record and nullable types. Other types are returned unchanged.
+ */
+function toTypeScriptType(type, node) {
+  const { unionTypes, recordValueType, nullable } = node;
+  let typeScriptType = type;
+  if (type === 'union' && unionTypes) {
+    typeScriptType = unionTypes.map(getTypeScriptName).join(' | ');
+  } else if (type === 'record' && recordValueType) {
+    typeScriptType = `Record<string, ${getTypeScriptName(recordValueType)}>`;
+  }
+  return nullable ? `${typeScriptType} | null` : typeScriptType;
+}
+
 module.exports = {
   processQualifiers,
   processPossibleValues,
+  processCondition,
+  describeCondition,
+  describeFieldGroup,
+  processTypeExpression,
+  toTypeScriptType,
 };
@@ -1,42 +1,87 @@
 const { throwAppError } = require('@app-core/errors');
 const objectValidator = require('./validator');
 
-function validateParsedSpec(data, parsedSpec, options = {}) {
-  // console.log(parsedSpec, 'running');
+const { createViolationReport, runAsyncChecks } = objectValidator;
+
+/**
+ * @typedef {Object} ValidateOptions
+ * @property {boolean} [abortEarly=true] - Stop at the first violation. With false every violation
+ * is collected before the error is thrown.
+ * @property {boolean} [dontThrowErrors] - Older name for abortEarly: false
+ */
+
+function createReport(parsedSpec, options, allowAsync) {
+  const collectAll = options.dontThrowErrors || process?.env?.NO_SINGLE_ERRORS;
+  const abortEarly = typeof options.abortEarly === 'boolean' ? options.abortEarly : !collectAll;
+
+  return createViolationReport({
+    abortEarly,
+    constraintScopes: parsedSpec.constraintScopes,
+    allowAsync,
+    definitions: parsedSpec,
+  });
+}
+
+function runValidator(data, parsedSpec, report) {
   let result;
-  const { dontThrowErrors } = options;
-  const errors = {};
-  const dontThrowSingleErrors = dontThrowErrors || process?.env?.NO_SINGLE_ERRORS;
-
-  if (dontThrowSingleErrors) {
-    // @todo: Refactor so the flag to not throw is not directly on the error tree.
-    errors.__$app_no_throw = true;
-    errors.__$app_first_message = false;
-  }
   try {
-    result = objectValidator(data, {}, parsedSpec.root.children, '', errors);
+    const { children, groups } = parsedSpec.root;
+    result = objectValidator(data, {}, children, '', report, groups);
     // console.log(result);
   } catch (e) {
-    // console.log(errors);
-    throwAppError(e.message, 'SPCL_VALIDATION', { details: errors });
+    // console.log(report);
+    // app errors, such as a constraint used outside its scope, are mistakes in the spec
+    if (e.isApplicationError) throw e;
+    throwAppError(e.message, 'SPCL_VALIDATION', { details: report.violations });
   }
+  return result;
+}
 
-  // eslint-disable-next-line camelcase
-  const { __$app_no_throw, __$app_first_message, ...remainingErrors } = errors;
-  // console.log(remainingErrors);
-  if (Object.keys(remainingErrors).length > 0 && dontThrowSingleErrors) {
-    const errorsArray = [];
-    Object.keys(remainingErrors).forEach((key) => {
-      errorsArray.push({
-        field: key,
-        message: remainingErrors[key],
-      });
-    });
-    // eslint-disable-next-line camelcase
-    const errorMessageToThrow = process?.env?.TOP_LEVEL_ERROR_MESSAGE || __$app_first_message;
-    throwAppError(errorMessageToThrow, 'SPCL_VALIDATION', { details: errorsArray });
-  }
+function throwViolations(report) {
+  if (!report.violations.length) return;
+
+  const violations = report.abortEarly ? report.violations.slice(0, 1) : report.violations;
+  const errorMessageToThrow =
+    (!report.abortEarly && process?.env?.TOP_LEVEL_ERROR_MESSAGE) || violations[0].message;
+  throwAppError(errorMessageToThrow, 'SPCL_VALIDATION', { details: violations });
+}
+
+/**
+ * Validates data against a parsed spec and returns it with its transforms applied.
+ * Violations are thrown as a SPCL_VALIDATION app error whose details list them, each with its
+ * path, constraint, expected value and message (see Violation in ./validator).
+ * @param {*} data
+ * @param {Object} parsedSpec
+ * @param {ValidateOptions} [options]
+ */
+function validateParsedSpec(data, parsedSpec, options = {}) {
+  // console.log(parsedSpec, 'running');
+  const report = createReport(parsedSpec, options, false);
+  const result = runValidator(data, parsedSpec, report);
+
+  throwViolations(report);
+  return result;
+}
+
+/**
+ * Validates like validate, and also runs the spec's async constraints, such as checks against
+ * the database. They run once the sync checks pass, or alongside the other fields' violations
+ * when abortEarly is false, and their failures are reported in the same way.
+ * @param {*} data
+ * @param {Object} parsedSpec
+ * @param {Object} [ctx] - Passed to every async constraint, e.g. { Account } repositories
+ * @param {ValidateOptions} [options]
+ * @returns {Promise<*>}
+ */
+async function validateAsync(data, parsedSpec, ctx = {}, options = {}) {
+  const report = createReport(parsedSpec, options, true);
+  const result = runValidator(data, parsedSpec, report);
+
+  await runAsyncChecks(report, ctx);
+
+  throwViolations(report);
   return result;
 }
 
 module.exports = validateParsedSpec;
+module.exports.validateAsync = validateAsync;
@@ -264,7 +264,15 @@ function isemail(value, arg, isNot, prop) {
   };
 }
 
+// transforms return a new value instead of checking one, which the schema generators need to know
+trim.isTransform = true;
+lowercase.isTransform = true;
+uppercase.isTransform = true;
+timestamptohex.isTransform = true;
+
 module.exports = {
+  // constraints are looked up by lowercased name, so this helper can never be used as one
+  processArray,
   min,
   max,
   between,
@@ -1,16 +1,133 @@
-const validatorConstraints = require('./validator-contraints');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { getConstraint } = require('./constraint-registry');
+const { describeCondition, describeFieldGroup } = require('./utils/helpers');
 
-// @todo: Make this pure, such that we are not relying on a by-ref errorTree to report messages.
-// Should be composable end to end. Each call to validation error should return its own errorTree without dependence on an argument.
-function validationError(message, prop, errorTree_ = {}) {
-  const errorTree = errorTree_;
-  errorTree[prop] = message;
-  if (!errorTree.__$app_first_message) {
-    errorTree.__$app_first_message = message;
+// a constraint argument such as $balance in max:$balance is read from a sibling field
+const FIELD_REFERENCE = /^\$(?<FIELD>[a-zA-Z_][a-zA-Z_0-9]*(\.[a-zA-Z_][a-zA-Z_0-9]*)*)$/;
+
+/**
+ * A check a value failed
+ * @typedef {Object} Violation
+ * @property {string} path - Path of the value, e.g. places[1].amount
+ * @property {string} constraint - required, type, oneOf, atLeastOne, exclusive, or the constraint as
+ * written in the spec after lowercasing, e.g. minlength or !startswith
+ * @property {*} expected - true for required, the type, the possible values, the fields of a group,
+ * or the constraint's argument, with field references resolved
+ * @property {string} message
+ */
+
+/**
+ * An async constraint found while validating, to be run once the sync checks are done
+ * @typedef {Object} AsyncCheck
+ * @property {string} path
+ * @property {string} constraint
+ * @property {string} expected
+ * @property {*} value - The value after the transforms before the constraint
+ * @property {boolean} isNot
+ * @property {Function} check
+ */
+
+/**
+ * Collects the violations found while validating. With abortEarly the first one is thrown.
+ * @typedef {Object} ViolationReport
+ * @property {boolean} abortEarly
+ * @property {Violation[]} violations
+ * @property {string[]} constraintScopes - Scopes whose registered constraints the spec can use
+ * @property {AsyncCheck[]|null} asyncChecks - Async constraints queued by validateAsync. null when
+ * validating synchronously, which cannot run them.
+ * @property {Object} definitions - The parsed spec, whose blocks #references point to
+ */
+
+/**
+ * @param {{abortEarly?: boolean, constraintScopes?: string[], allowAsync?: boolean,
+ * definitions?: Object}} [options]
+ * @returns {ViolationReport}
+ */
+function createViolationReport(options = {}) {
+  const {
+    abortEarly = true,
+    constraintScopes = [],
+    allowAsync = false,
+    definitions = {},
+  } = options;
+  return {
+    abortEarly,
+    violations: [],
+    constraintScopes,
+    asyncChecks: allowAsync ? [] : null,
+    definitions,
+  };
+}
+
+// @todo: Make this pure, such that we are not relying on a by-ref report to collect violations.
+// Should be composable end to end. Each check should return its own violations without dependence on an argument.
+/**
+ * @param {Violation} violation
+ * @param {ViolationReport} [report]
+ */
+function validationError(violation, report = createViolationReport()) {
+  report.violations.push(violation);
+  if (report.abortEarly) {
+    throw new Error(violation.message);
   }
-  if (!errorTree.__$app_no_throw) {
-    throw new Error(message);
+}
+
+function isObjectValue(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function getValueType(value) {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function objectTypeError(value, prop, report) {
+  validationError(
+    {
+      path: prop,
+      constraint: 'type',
+      expected: 'object',
+      message: `Invalid Type Passed for ${prop}: Expected object got ${getValueType(value)}`,
+    },
+    report
+  );
+}
+
+/**
+ * Reads a dotted path such as meta.limit from the object holding the field being validated
+ */
+function getFieldValue(siblings, path) {
+  return path
+    .split('.')
+    .reduce((value, key) => (isObjectValue(value) ? value[key] : undefined), siblings);
+}
+
+/**
+ * @param {{field: string, operator: string, values: string[]}} condition - From a when clause,
+ * e.g. when type=SCHEDULED
+ * @param {Object} siblings
+ */
+function conditionHolds(condition, siblings) {
+  const fieldValue = getFieldValue(siblings, condition.field);
+  if (condition.operator === 'exists') {
+    return typeof fieldValue !== 'undefined';
   }
+  const isAnyOfValues =
+    typeof fieldValue !== 'undefined' && condition.values.indexOf(String(fieldValue)) >= 0;
+  return condition.operator === '!=' ? !isAnyOfValues : isAnyOfValues;
+}
+
+/**
+ * Resolves a $field constraint argument to the field's value, as a string like any other argument.
+ * A reference to a missing field resolves to undefined and the constraint is skipped, leaving the
+ * field's own rules to report it.
+ */
+function resolveConstraintArgument(arg, siblings) {
+  const reference = typeof arg === 'string' && arg.match(FIELD_REFERENCE);
+  if (!reference) return arg;
+
+  const fieldValue = getFieldValue(siblings, reference.groups.FIELD);
+  return typeof fieldValue === 'undefined' ? undefined : String(fieldValue);
 }
 
 function evaluateValueWithType(value, type) {
@@ -39,20 +156,20 @@ function evaluateValueWithType(value, type) {
   };
 }
 
-function processArray(func, value, possibleValues, prop, errors) {
+function processArray(func, value, possibleValues, prop, report) {
   const result = {
     isValid: true,
     errorMessage: '',
   };
   value.forEach((v, i) => {
-    func(v, possibleValues, `${prop}[${i}]`, errors);
+    func(v, possibleValues, `${prop}[${i}]`, report);
   });
   return result;
 }
 
-function evaluatePossibleValues(value, possibleValues, prop, errors) {
+function evaluatePossibleValues(value, possibleValues, prop, report) {
   if (Array.isArray(value)) {
-    return processArray(evaluatePossibleValues, value, possibleValues, prop, errors);
+    return processArray(evaluatePossibleValues, value, possibleValues, prop, report);
   }
   let isValid = true;
   let errorMessage = '';
@@ -65,7 +182,10 @@ function evaluatePossibleValues(value, possibleValues, prop, errors) {
     }
   }
   if (errorMessage) {
-    validationError(errorMessage, prop, errors);
+    validationError(
+      { path: prop, constraint: 'oneOf', expected: possibleValues, message: errorMessage },
+      report
+    );
   }
   return {
     isValid,
@@ -73,7 +193,71 @@ function evaluatePossibleValues(value, possibleValues, prop, errors) {
   };
 }
 
-function evaluateConstraints(value, constraints, prop, errors) {
+/**
+ * Queues an async constraint to run after the sync checks. Arrays are skipped, as their items are
+ * checked one by one.
+ */
+function queueAsyncCheck(check, config, report) {
+  const { ck, cklc, ckObj, arg, value, prop } = config;
+
+  if (!report.asyncChecks) {
+    throwAppError(
+      `The ${ck} constraint is async. Validate specs that use it with validateAsync.`,
+      ERROR_CODE.APPERR,
+      { context: { constraint: ck, path: prop } }
+    );
+  }
+
+  if (Array.isArray(value)) return;
+
+  report.asyncChecks.push({
+    path: prop,
+    constraint: ckObj.isNot ? `!${cklc}` : cklc,
+    expected: arg,
+    value,
+    isNot: ckObj.isNot,
+    check,
+  });
+}
+
+/**
+ * Runs the queued async constraints with the caller's context and adds their failures to the
+ * report. Fields are checked concurrently; the constraints of a field run in spec order and stop
+ * at its first failure. Fields that already failed a sync check are not checked again.
+ * @param {ViolationReport} report
+ * @param {Object} ctx - Passed to every async constraint, e.g. repositories
+ */
+async function runAsyncChecks(report, ctx) {
+  const failedPaths = new Set(report.violations.map((violation) => violation.path));
+  const checksByPath = {};
+
+  report.asyncChecks.forEach((asyncCheck) => {
+    if (failedPaths.has(asyncCheck.path)) return;
+    checksByPath[asyncCheck.path] = (checksByPath[asyncCheck.path] || []).concat(asyncCheck);
+  });
+
+  const fieldViolations = await Promise.all(
+    Object.keys(checksByPath).map((path) =>
+      checksByPath[path].reduce(async (previousCheck, asyncCheck) => {
+        const previousViolation = await previousCheck;
+        if (previousViolation) return previousViolation;
+
+        const { value, expected, isNot, check } = asyncCheck;
+        const res = await check(value, expected, isNot, path, ctx);
+
+        return res.isSatisfied
+          ? null
+          : { path, constraint: asyncCheck.constraint, expected, message: res.errorMessage };
+      }, Promise.resolve(null))
+    )
+  );
+
+  fieldViolations.forEach((violation) => {
+    if (violation) report.violations.push(violation);
+  });
+}
+
+function evaluateConstraints(value, constraints, prop, report, siblings = {}) {
   const isValid = true;
   // const errorMessage = '';
   // Todo: Work in better error messaging.
@@ -84,17 +268,29 @@ function evaluateConstraints(value, constraints, prop, errors) {
     constraintKeys.forEach((ck) => {
       const cklc = ck.toLowerCase();
       const ckObj = constraints[ck];
-      const ckFunc = validatorConstraints[cklc];
-      if (ckFunc) {
-        const res = ckFunc(constraintValue, ckObj.value, ckObj.isNot, prop);
+      const ckFunc = getConstraint(cklc, report.constraintScopes);
+      const arg = resolveConstraintArgument(ckObj.value, siblings);
+      if (!ckFunc || typeof arg === 'undefined') return;
+      if (ckFunc.isAsync) {
+        queueAsyncCheck(ckFunc, { ck, cklc, ckObj, arg, value: constraintValue, prop }, report);
+      } else {
+        const res = ckFunc(constraintValue, arg, ckObj.isNot, prop);
         // console.log('res check function call', res, '====');
         let resultingValue = res;
+        const violation = {
+          path: prop,
+          constraint: ckObj.isNot ? `!${cklc}` : cklc,
+          expected: arg,
+        };
         if (res.errorMessage) {
           const { isSatisfied, errorMessage, evaluatedValue } = res;
-          if (!isSatisfied) validationError(errorMessage, prop, errors); // throw new Error(errorMessage);
+          if (!isSatisfied) validationError({ ...violation, message: errorMessage }, report); // throw new Error(errorMessage);
           resultingValue = evaluatedValue;
         } else if (!res) {
-          validationError(`${prop} (${value}) failed the ${ck} constraint.`, prop, errors);
+          validationError(
+            { ...violation, message: `${prop} (${value}) failed the ${ck} constraint.` },
+            report
+          );
         }
         transformedValue = resultingValue;
         constraintValue = resultingValue;
@@ -107,25 +303,326 @@ function evaluateConstraints(value, constraints, prop, errors) {
   };
 }
 
+/**
+ * Checks the type of a value, then its constraints and possible values. A value of the wrong type
+ * is not checked any further.
+ * @returns {{isValid: boolean, value: *}} the value after any transforming constraints
+ */
 function enforceTypeCheck(value, dataType, propPath, config) {
-  const { constraints, possibleValues, prop, errors } = config;
+  const { constraints, possibleValues, prop, report, siblings } = config;
   const isValidValueType = evaluateValueWithType(value, dataType);
   if (!isValidValueType.isValid) {
     // throw new Error(
     //   `Invalid Type Passed for ${propPath}: Expected ${dataType} got ${isValidValueType.valueType}`
     // );
     validationError(
-      `Invalid Type Passed for ${propPath}: Expected ${dataType} got ${isValidValueType.valueType}`,
-      propPath,
-      errors
+      {
+        path: propPath,
+        constraint: 'type',
+        expected: dataType,
+        message: `Invalid Type Passed for ${propPath}: Expected ${dataType} got ${isValidValueType.valueType}`,
+      },
+      report
+    );
+    return { isValid: false, value };
+  }
+  const { transformedValue } = evaluateConstraints(value, constraints, prop, report, siblings);
+  evaluatePossibleValues(transformedValue, possibleValues, prop, report);
+  return {
+    isValid: true,
+    value: typeof transformedValue !== 'undefined' ? transformedValue : value,
+  };
+}
+
+function requiredError(prop, report, conditionText) {
+  validationError(
+    {
+      path: prop,
+      constraint: 'required',
+      expected: true,
+      message: conditionText ? `${prop} is required when ${conditionText}` : `${prop} is required!`,
+    },
+    report
+  );
+}
+
+/**
+ * Finds the block of the spec a reference such as #CardPayment or #CardPayment.card points to.
+ * A missing block is a mistake in the spec and throws.
+ */
+function getDefinition(type, report) {
+  const [parent, key] = type.slice(1).split('.');
+  const definition = key ? report.definitions[parent]?.children?.[key] : report.definitions[parent];
+
+  if (!definition) {
+    throwAppError(`The ${type} type is not defined in the spec`, ERROR_CODE.APPERR, {
+      context: { type },
+    });
+  }
+  return definition;
+}
+
+function validateReference(value, type, path, config) {
+  const { report } = config;
+  const definition = getDefinition(type, report);
+
+  if (!Object.keys(definition.children || {}).length) {
+    // eslint-disable-next-line no-use-before-define
+    return validateTypedValue(value, definition.dataType, path, {
+      ...config,
+      node: definition,
+      nullable: definition.nullable,
+    });
+  }
+
+  if (!isObjectValue(value)) {
+    objectTypeError(value, path, report);
+    return { isValid: false, value };
+  }
+
+  const violationCount = report.violations.length;
+  // eslint-disable-next-line no-use-before-define
+  const result = validateWithAST(
+    value,
+    {},
+    definition.children,
+    `${path}.`,
+    report,
+    definition.groups
+  );
+  return { isValid: report.violations.length === violationCount, value: result };
+}
+
+/**
+ * Maps each value of the discriminator to the union member that declares it, e.g.
+ * { CARD: '#CardPayment' } for a CardPayment block with method string(CARD)
+ */
+function getDiscriminatorValues(node, report) {
+  const { unionTypes, discriminator } = node;
+  const membersByValue = {};
+
+  unionTypes.forEach((memberType) => {
+    const discriminatorField = memberType.startsWith('#')
+      ? getDefinition(memberType, report).children?.[discriminator]
+      : undefined;
+
+    if (!discriminatorField?.possibleValues?.length) {
+      throwAppError(
+        `The ${memberType} type needs a ${discriminator} field with possible values to be in a union on ${discriminator}`,
+        ERROR_CODE.APPERR,
+        { context: { type: memberType, discriminator } }
+      );
+    }
+    discriminatorField.possibleValues.forEach((possibleValue) => {
+      membersByValue[possibleValue] = memberType;
+    });
+  });
+  return membersByValue;
+}
+
+function validateDiscriminatedUnion(value, path, config) {
+  const { node, report } = config;
+  const discriminatorPath = `${path}.${node.discriminator}`;
+
+  if (!isObjectValue(value)) {
+    objectTypeError(value, path, report);
+    return { isValid: false, value };
+  }
+
+  const discriminatorValue = value[node.discriminator];
+  if (typeof discriminatorValue === 'undefined') {
+    requiredError(discriminatorPath, report);
+    return { isValid: false, value };
+  }
+
+  const membersByValue = getDiscriminatorValues(node, report);
+  const memberType = membersByValue[discriminatorValue];
+  if (!memberType) {
+    const possibleValues = Object.keys(membersByValue);
+    validationError(
+      {
+        path: discriminatorPath,
+        constraint: 'oneOf',
+        expected: possibleValues,
+        message: `Expected ${discriminatorPath}'s value: ${discriminatorValue} to be one of ${possibleValues.join(
+          ', '
+        )}`,
+      },
+      report
     );
+    return { isValid: false, value };
   }
-  const { transformedValue } = evaluateConstraints(value, constraints, prop, errors);
-  evaluatePossibleValues(transformedValue, possibleValues, prop, errors);
-  return typeof transformedValue !== 'undefined' ? transformedValue : value;
+
+  // eslint-disable-next-line no-use-before-define
+  return validateTypedValue(value, memberType, path, { ...config, nullable: false });
 }
 
-function validateWithAST(object, tree_, AST, parentChain = '', errors = {}) {
+/**
+ * Without a discriminator, the value takes the first member it fully satisfies. The members are
+ * tried against their own reports. When none is satisfied, the violations of the first member
+ * whose type matched are reported, or a type violation when the type matched none.
+ */
+function validateUnion(value, path, config) {
+  const { node, report } = config;
+  const { unionTypes } = node;
+
+  if (node.discriminator) {
+    return validateDiscriminatedUnion(value, path, config);
+  }
+
+  const attempts = [];
+  const match = unionTypes.reduce((matchFound, memberType) => {
+    if (matchFound) return matchFound;
+
+    const memberReport = createViolationReport({
+      abortEarly: false,
+      constraintScopes: report.constraintScopes,
+      allowAsync: !!report.asyncChecks,
+      definitions: report.definitions,
+    });
+    // eslint-disable-next-line no-use-before-define
+    const result = validateTypedValue(value, memberType, path, {
+      ...config,
+      report: memberReport,
+      nullable: false,
+    });
+    attempts.push(memberReport);
+    return memberReport.violations.length ? null : { result, memberReport };
+  }, null);
+
+  const closestAttempt = attempts.find(
+    (attempt) =>
+      !attempt.violations.some(
+        (violation) => violation.path === path && violation.constraint === 'type'
+      )
+  );
+
+  if (!match && closestAttempt) {
+    closestAttempt.violations.forEach((violation) => validationError(violation, report));
+    return { isValid: false, value };
+  }
+
+  if (!match) {
+    const typeNames = unionTypes.map((memberType) => memberType.replace('#', ''));
+    validationError(
+      {
+        path,
+        constraint: 'type',
+        expected: unionTypes,
+        message: `Invalid Type Passed for ${path}: Expected ${typeNames.join(
+          ' or '
+        )} got ${getValueType(value)}`,
+      },
+      report
+    );
+    return { isValid: false, value };
+  }
+
+  if (report.asyncChecks) {
+    report.asyncChecks.push(...match.memberReport.asyncChecks);
+  }
+  return match.result;
+}
+
+/**
+ * Checks every value of a record<string, T> against T. Keys are kept as they are.
+ */
+function validateRecord(value, path, config) {
+  const { node, report } = config;
+
+  if (!isObjectValue(value)) {
+    objectTypeError(value, path, report);
+    return { isValid: false, value };
+  }
+
+  const violationCount = report.violations.length;
+  const record = {};
+  Object.keys(value).forEach((key) => {
+    // eslint-disable-next-line no-use-before-define
+    record[key] = validateTypedValue(value[key], node.recordValueType, `${path}.${key}`, {
+      ...config,
+      nullable: false,
+    }).value;
+  });
+  return { isValid: report.violations.length === violationCount, value: record };
+}
+
+/**
+ * Checks a value against its type, which can be a union, a record or a #reference to another
+ * block of the spec, besides the types enforceTypeCheck knows. null passes a nullable type.
+ * @param {*} value
+ * @param {string} type
+ * @param {string} path
+ * @param {{node: Object, report: ViolationReport, siblings: Object, nullable?: boolean}} config
+ * @returns {{isValid: boolean, value: *}}
+ */
+function validateTypedValue(value, type, path, config) {
+  const { node, report, siblings, nullable } = config;
+
+  if (value === null && nullable) {
+    return { isValid: true, value };
+  }
+  if (type === 'union') {
+    return validateUnion(value, path, config);
+  }
+  if (type === 'record') {
+    return validateRecord(value, path, config);
+  }
+  if (typeof type === 'string' && type.startsWith('#')) {
+    return validateReference(value, type, path, config);
+  }
+  return enforceTypeCheck(value, type, path, {
+    report,
+    constraints: node.constraints,
+    possibleValues: node.possibleValues,
+    prop: path,
+    siblings,
+  });
+}
+
+/**
+ * Checks the @atLeastOne and @exclusive groups of an object once its fields are validated
+ * @param {Object} object
+ * @param {{type: string, fields: string[]}[]} groups
+ * @param {string} parentChain
+ * @param {ViolationReport} report
+ */
+function enforceFieldGroups(object, groups, parentChain, report) {
+  groups.forEach((group) => {
+    const { type, fields } = group;
+    const providedCount = fields.filter((field) => typeof object[field] !== 'undefined').length;
+    const isViolated = type === 'exclusive' ? providedCount > 1 : !providedCount;
+
+    if (isViolated) {
+      validationError(
+        {
+          path: parentChain.replace(/\.$/, ''),
+          constraint: type,
+          expected: fields,
+          message: describeFieldGroup(group, parentChain),
+        },
+        report
+      );
+    }
+  });
+}
+
+/**
+ * @param {Object} object
+ * @param {Object} tree_
+ * @param {Object} AST
+ * @param {string} [parentChain='']
+ * @param {ViolationReport} [report]
+ * @param {Object[]} [groups] - The @atLeastOne and @exclusive groups of the object
+ */
+function validateWithAST(
+  object,
+  tree_,
+  AST,
+  parentChain = '',
+  report = createViolationReport(),
+  groups = []
+) {
   const tree = tree_;
   // console.log(object, tree, AST);
   const astKeys = Object.keys(AST);
@@ -133,58 +630,85 @@ function validateWithAST(object, tree_, AST, parentChain = '', errors = {}) {
     const node = AST[astKey];
     const value = object[astKey];
     let valueToAssign = value;
-    const { alias, isOptional, dataType, constraints, possibleValues, arrayChildrenType } = node; // console.log(constraints, possibleValues);
+    const { alias, isOptional, condition, dataType, arrayChildrenType, nullable } = node;
+    // a field with a when clause is only required while its condition holds
+    const isRequired = condition ? conditionHolds(condition, object) : !isOptional;
     // let valueDoesNotExist = !value;
     // if (dataType === 'boolean') {
     //   valueDoesNotExist = typeof value === 'undefined';
     // }
     const valueDoesNotExist = typeof value === 'undefined';
     // console.log('💎💎💎💎💎', isOptional, dataType, value, valueDoesNotExist, `💎💎💎💎💎`);
-    if (!isOptional && valueDoesNotExist) {
+    if (isRequired && valueDoesNotExist) {
       // console.log('💣 Errored out here', isOptional, valueDoesNotExist, astKey);
       // throw new Error(`${parentChain}${astKey} is required!`);
-      validationError(`${parentChain}${astKey} is required!`, `${parentChain}${astKey}`, errors);
+      requiredError(
+        `${parentChain}${astKey}`,
+        report,
+        condition && describeCondition(condition, parentChain)
+      );
       return;
     }
-    if (isOptional && typeof value === 'undefined') return;
+    if (valueDoesNotExist) return;
     const treeKey = alias || astKey;
     const nodeHasChildren = Object.keys(node.children).length;
     if (dataType) {
-      valueToAssign = enforceTypeCheck(value, dataType, `${parentChain}${astKey}`, {
-        errors,
-        constraints,
-        possibleValues,
-        prop: `${parentChain}${astKey}`,
+      // null on an array marks its items as nullable, not the array
+      const typeCheck = validateTypedValue(value, dataType, `${parentChain}${astKey}`, {
+        report,
+        node,
+        siblings: object,
+        nullable: nullable && dataType !== 'array',
       });
+      if (!typeCheck.isValid) return;
+      valueToAssign = typeCheck.value;
     }
 
     if (dataType === 'array') {
       tree[treeKey] = [];
-      if (!isOptional && !value.length) {
+      if (isRequired && !value.length) {
         // throw new Error(`${parentChain}${astKey} is required!`);
-        validationError(`${parentChain}${astKey} is required!`, `${parentChain}${astKey}`, errors);
+        requiredError(`${parentChain}${astKey}`, report);
         return;
       }
       if (!nodeHasChildren) {
         value.forEach((v, i) => {
-          const tv = enforceTypeCheck(v, arrayChildrenType, `${parentChain}${astKey}[${i}]`, {
-            errors,
-            constraints,
-            possibleValues,
-            prop: `${parentChain}${astKey}[${i}]`,
-          });
-          tree[treeKey].push(tv);
+          const typeCheck = validateTypedValue(
+            v,
+            arrayChildrenType,
+            `${parentChain}${astKey}[${i}]`,
+            {
+              report,
+              node,
+              siblings: object,
+              nullable,
+            }
+          );
+          tree[treeKey].push(typeCheck.value);
         });
       } else {
         value.forEach((v, i) => {
           // console.log()
+          if (!isObjectValue(v)) {
+            objectTypeError(v, `${parentChain}${astKey}[${i}]`, report);
+            return;
+          }
           tree[treeKey].push(
-            validateWithAST(v, {}, node.children, `${parentChain}${astKey}[${i}].`, errors)
+            validateWithAST(
+              v,
+              {},
+              node.children,
+              `${parentChain}${astKey}[${i}].`,
+              report,
+              node.groups
+            )
           );
         });
       }
     } else if (!nodeHasChildren) {
       tree[treeKey] = valueToAssign;
+    } else if (!isObjectValue(value)) {
+      objectTypeError(value, `${parentChain}${astKey}`, report);
     } else {
       tree[treeKey] = {};
       tree[treeKey] = validateWithAST(
@@ -192,10 +716,14 @@ function validateWithAST(object, tree_, AST, parentChain = '', errors = {}) {
         tree[treeKey],
         node.children,
         `${parentChain}${astKey}.`,
-        errors
+        report,
+        node.groups
       );
     }
   });
+  enforceFieldGroups(object, groups || [], parentChain, report);
   return tree;
 }
 module.exports = validateWithAST;
+module.exports.createViolationReport = createViolationReport;
+module.exports.runAsyncChecks = runAsyncChecks;
@@ -0,0 +1,25 @@
+const { createHandler } = require('@app-core/server');
+const { userAuth } = require('@app/middlewares');
+const createAccount = require('@app/services/account/create-account');
+const AccountMessages = require('@app/messages/account');
+
+module.exports = createHandler({
+  path: '/accounts',
+  method: 'post',
+  middlewares: [userAuth],
+  scopes: ['accounts:write'],
+  async handler(rc, helpers) {
+    const payload = {
+      ...rc.body,
+      owner_id: rc.meta.user.sub,
+    };
+
+    const result = await createAccount(payload);
+
+    return {
+      status: helpers.http_statuses.HTTP_201_CREATED,
+      message: AccountMessages.ACCOUNT_CREATED,
+      data: result,
+    };
+  },
+});
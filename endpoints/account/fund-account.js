@@ -0,0 +1,25 @@
+const { createHandler } = require('@app-core/server');
+const { userAuth } = require('@app/middlewares');
+const fundAccount = require('@app/services/account/fund-account');
+const AccountMessages = require('@app/messages/account');
+
+module.exports = createHandler({
+  path: '/accounts/:id/fund',
+  method: 'post',
+  middlewares: [userAuth],
+  scopes: ['accounts:fund'],
+  async handler(rc, helpers) {
+    const payload = {
+      ...rc.body,
+      account_id: rc.params.id,
+    };
+
+    const result = await fundAccount(payload);
+
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      message: AccountMessages.ACCOUNT_FUNDED,
+      data: result,
+    };
+  },
+});
@@ -0,0 +1,25 @@
+const { createHandler } = require('@app-core/server');
+const { userAuth } = require('@app/middlewares');
+const reconcileAccount = require('@app/services/account/reconcile-account');
+const AccountMessages = require('@app/messages/account');
+
+module.exports = createHandler({
+  path: '/accounts/:id',
+  method: 'get',
+  middlewares: [userAuth],
+  scopes: ['accounts:read'],
+  async handler(rc, helpers) {
+    const payload = {
+      account_id: rc.params.id,
+      owner_id: rc.meta.user.sub,
+    };
+
+    const result = await reconcileAccount(payload);
+
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      message: AccountMessages.ACCOUNT_FETCHED,
+      data: result,
+    };
+  },
+});
@@ -1,20 +1,28 @@
 const { createHandler } = require('@app-core/server');
+const { rateLimit } = require('@app/middlewares');
 const { appLogger } = require('@app-core/logger');
 const loginService = require('@app/services/onboarding/login');
+const AuthenticationMessages = require('@app/messages/authentication');
 
 module.exports = createHandler({
   path: '/login',
   method: 'post',
-  middlewares: [],
+  middlewares: [rateLimit({ limit: 10, window_secs: 60 })],
   async onResponseEnd(rc, rs) {
     appLogger.info({ requestContext: rc, response: rs }, 'login-request-completed');
   },
   async handler(rc, helpers) {
-    const payload = rc.body;
+    const payload = {
+      username: rc.body.username,
+      password: rc.body.password,
+      ip: rc.properties.IP,
+      user_agent: rc.properties.userAgent,
+    };
 
     const response = await loginService(payload);
     return {
       status: helpers.http_statuses.HTTP_200_OK,
+      message: AuthenticationMessages.LOGGED_IN,
       data: response,
     };
   },
@@ -0,0 +1,23 @@
+const { createHandler } = require('@app-core/server');
+const { userAuth } = require('@app/middlewares');
+const logoutService = require('@app/services/onboarding/logout');
+const AuthenticationMessages = require('@app/messages/authentication');
+
+module.exports = createHandler({
+  path: '/logout',
+  method: 'post',
+  middlewares: [userAuth],
+  async handler(rc, helpers) {
+    const payload = {
+      access_token: rc.meta.access_token,
+      refresh_token: rc.body?.refresh_token,
+    };
+
+    await logoutService(payload);
+
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      message: AuthenticationMessages.LOGGED_OUT,
+    };
+  },
+});
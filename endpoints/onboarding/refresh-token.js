@@ -0,0 +1,18 @@
+const { createHandler } = require('@app-core/server');
+const refreshTokenService = require('@app/services/onboarding/refresh-token');
+const AuthenticationMessages = require('@app/messages/authentication');
+
+module.exports = createHandler({
+  path: '/token/refresh',
+  method: 'post',
+  middlewares: [],
+  async handler(rc, helpers) {
+    const response = await refreshTokenService(rc.body);
+
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      message: AuthenticationMessages.TOKEN_REFRESHED,
+      data: response,
+    };
+  },
+});
@@ -0,0 +1,24 @@
+const { createHandler } = require('@app-core/server');
+const { rateLimit } = require('@app/middlewares');
+const registerService = require('@app/services/onboarding/register');
+const AuthenticationMessages = require('@app/messages/authentication');
+
+module.exports = createHandler({
+  path: '/register',
+  method: 'post',
+  middlewares: [rateLimit({ limit: 5, window_secs: 3600 })],
+  async handler(rc, helpers) {
+    const payload = {
+      username: rc.body.username,
+      password: rc.body.password,
+    };
+
+    const response = await registerService(payload);
+
+    return {
+      status: helpers.http_statuses.HTTP_201_CREATED,
+      message: AuthenticationMessages.USER_REGISTERED,
+      data: response,
+    };
+  },
+});
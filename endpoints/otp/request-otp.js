@@ -0,0 +1,24 @@
+const { createHandler } = require('@app-core/server');
+const { rateLimit } = require('@app/middlewares');
+const requestOtp = require('@app/services/otp/request-otp');
+const OtpMessages = require('@app/messages/otp');
+
+module.exports = createHandler({
+  path: '/otp/request',
+  method: 'post',
+  middlewares: [rateLimit({ limit: 5, window_secs: 900 })],
+  async handler(rc, helpers) {
+    const payload = {
+      email: rc.body.email,
+      name: rc.body.name,
+    };
+
+    const result = await requestOtp(payload);
+
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      message: OtpMessages.OTP_SENT,
+      data: result,
+    };
+  },
+});
@@ -0,0 +1,24 @@
+const { createHandler } = require('@app-core/server');
+const { rateLimit } = require('@app/middlewares');
+const verifyOtp = require('@app/services/otp/verify-otp');
+const OtpMessages = require('@app/messages/otp');
+
+module.exports = createHandler({
+  path: '/otp/verify',
+  method: 'post',
+  middlewares: [rateLimit({ limit: 10, window_secs: 60 })],
+  async handler(rc, helpers) {
+    const payload = {
+      email: rc.body.email,
+      otp: rc.body.otp,
+    };
+
+    const result = await verifyOtp(payload);
+
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      message: OtpMessages.OTP_VERIFIED,
+      data: result,
+    };
+  },
+});
@@ -0,0 +1,46 @@
+const { createHandler } = require('@app-core/server');
+const { appLogger } = require('@app-core/logger');
+const { userAuth, idempotency } = require('@app/middlewares');
+const processBatchTransactions = require('@app/services/payment/process-batch-transactions');
+const saveIdempotencyResponse = require('@app/services/idempotency/save-idempotency-response');
+
+module.exports = createHandler({
+  path: '/payment-instructions/batch',
+  method: 'post',
+  middlewares: [userAuth, idempotency],
+  scopes: ['payments:write'],
+  validation: {
+    body: `root {
+      accounts[]? {
+        id string
+        balance any
+        currency string
+      }
+      instructions[] string
+      atomic? boolean
+    }`,
+  },
+  async handler(rc, helpers) {
+    const payload = {
+      ...rc.body,
+      owner_id: rc.meta.user.sub,
+    };
+
+    const result = await processBatchTransactions(payload);
+
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: result,
+    };
+  },
+  onResponseEnd(rc, response) {
+    if (rc.meta.idempotency) {
+      saveIdempotencyResponse({
+        ...rc.meta.idempotency,
+        status_code: response.statusCode,
+        headers: response.headers,
+        body: response.body,
+      }).catch((error) => appLogger.errorX(error, 'batch-payment-instructions-idempotency-error'));
+    }
+  },
+});
@@ -1,17 +1,35 @@
 const { createHandler } = require('@app-core/server');
+const { appLogger } = require('@app-core/logger');
+const { userAuth, idempotency } = require('@app/middlewares');
 const processTransaction = require('@app/services/payment/process-transaction');
+const saveIdempotencyResponse = require('@app/services/idempotency/save-idempotency-response');
 
 module.exports = createHandler({
   path: '/payment-instructions',
   method: 'post',
-  middlewares: [],
+  middlewares: [userAuth, idempotency],
+  scopes: ['payments:write'],
+  // malformed bodies are answered with a 400 listing every failing field; the instruction
+  // itself is parsed by the service
+  validation: {
+    body: `root {
+      accounts[]? {
+        id string
+        balance any
+        currency string
+      }
+      instruction string
+      allow_fx? boolean
+    }`,
+  },
   async handler(rc, helpers) {
     // Prepare service payload
     const payload = {
       ...rc.body,
+      owner_id: rc.meta.user.sub,
     };
 
-    // Call service (validation happens in service)
+    // Call service (the instruction is validated in the service)
     const result = await processTransaction(payload);
 
     return {
@@ -19,4 +37,14 @@ module.exports = createHandler({
       data: result,
     };
   },
+  onResponseEnd(rc, response) {
+    if (rc.meta.idempotency) {
+      saveIdempotencyResponse({
+        ...rc.meta.idempotency,
+        status_code: response.statusCode,
+        headers: response.headers,
+        body: response.body,
+      }).catch((error) => appLogger.errorX(error, 'payment-instructions-idempotency-error'));
+    }
+  },
 });
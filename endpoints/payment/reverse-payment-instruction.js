@@ -0,0 +1,36 @@
+const { createHandler } = require('@app-core/server');
+const { appLogger } = require('@app-core/logger');
+const { userAuth, idempotency } = require('@app/middlewares');
+const reverseTransaction = require('@app/services/payment/reverse-transaction');
+const saveIdempotencyResponse = require('@app/services/idempotency/save-idempotency-response');
+
+module.exports = createHandler({
+  path: '/payment-instructions/:id/reverse',
+  method: 'post',
+  middlewares: [userAuth, idempotency],
+  scopes: ['payments:write'],
+  async handler(rc, helpers) {
+    const payload = {
+      ...rc.body,
+      transaction_id: rc.params.id,
+      owner_id: rc.meta.user.sub,
+    };
+
+    const result = await reverseTransaction(payload);
+
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      data: result,
+    };
+  },
+  onResponseEnd(rc, response) {
+    if (rc.meta.idempotency) {
+      saveIdempotencyResponse({
+        ...rc.meta.idempotency,
+        status_code: response.statusCode,
+        headers: response.headers,
+        body: response.body,
+      }).catch((error) => appLogger.errorX(error, 'reverse-payment-instruction-idempotency-error'));
+    }
+  },
+});
@@ -0,0 +1,20 @@
+const { createHandler } = require('@app-core/server');
+const { userAuth } = require('@app/middlewares');
+const exportTransactions = require('@app/services/payment/export-transactions');
+
+module.exports = createHandler({
+  path: '/transactions/export',
+  method: 'get',
+  middlewares: [userAuth],
+  scopes: ['transactions:read'],
+  async handler(rc, helpers) {
+    const csvStream = await exportTransactions({ ...rc.query, owner_id: rc.meta.user.sub });
+
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      body: csvStream,
+      contentType: 'text/csv',
+      attachment: `transactions-${new Date().toISOString().slice(0, 10)}.csv`,
+    };
+  },
+});
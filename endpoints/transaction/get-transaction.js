@@ -0,0 +1,30 @@
+const { createHandler } = require('@app-core/server');
+const { userAuth } = require('@app/middlewares');
+const getTransaction = require('@app/services/payment/get-transaction');
+const PaymentMessages = require('@app/messages/payment');
+
+module.exports = createHandler({
+  path: '/transactions/:id',
+  method: 'get',
+  middlewares: [userAuth],
+  scopes: ['transactions:read'],
+  validation: {
+    params: `root {
+      id string<trim>
+    }`,
+  },
+  async handler(rc, helpers) {
+    const payload = {
+      transaction_id: rc.params.id,
+      owner_id: rc.meta.user.sub,
+    };
+
+    const result = await getTransaction(payload);
+
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      message: PaymentMessages.TRANSACTION_FETCHED,
+      data: result,
+    };
+  },
+});
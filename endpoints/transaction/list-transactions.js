@@ -0,0 +1,39 @@
+const { createHandler } = require('@app-core/server');
+const { userAuth } = require('@app/middlewares');
+const listTransactions = require('@app/services/payment/list-transactions');
+const PaymentMessages = require('@app/messages/payment');
+
+module.exports = createHandler({
+  path: '/transactions',
+  method: 'get',
+  middlewares: [userAuth],
+  scopes: ['transactions:read'],
+  validation: {
+    query: `root {
+      account? string<trim>
+      status? string<trim|lowercase>(successful|pending|failed)
+      status_code? string<trim|uppercase>
+      currency? string<trim|uppercase>
+      type? string<trim|uppercase>
+      from? string<trim>
+      to? string<trim>
+      cursor? string<trim>
+      limit? number<min:1|max:100>
+      sort? string<trim|lowercase>(asc|desc)
+    }`,
+  },
+  async handler(rc, helpers) {
+    const payload = {
+      ...rc.query,
+      owner_id: rc.meta.user.sub,
+    };
+
+    const result = await listTransactions(payload);
+
+    return {
+      status: helpers.http_statuses.HTTP_200_OK,
+      message: PaymentMessages.TRANSACTIONS_FETCHED,
+      data: result,
+    };
+  },
+});
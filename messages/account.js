@@ -0,0 +1,12 @@
+const AccountMessages = {
+  ACCOUNT_NOT_FOUND: 'Account not found',
+  ACCOUNT_CREATED: 'Account created successfully',
+  ACCOUNT_FETCHED: 'Account fetched successfully',
+  ACCOUNT_FUNDED: 'Account funded successfully',
+  INVALID_FUNDING_AMOUNT:
+    'Invalid amount. It must be above zero, with no more decimal places than the currency allows',
+  FUNDING_ACCOUNT_NOT_CONFIGURED: 'No funding account is configured for the currency',
+  FUNDING_ACCOUNT_NOT_FUNDABLE: 'The funding account cannot fund itself',
+};
+
+module.exports = AccountMessages;
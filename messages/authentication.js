@@ -1,3 +1,15 @@
 module.exports = {
   MISSING_AUTH_HEADER: 'An authorization header is required',
+  INVALID_AUTH_HEADER: 'The authorization header must be a Bearer token',
+  INSUFFICIENT_SCOPE: 'You do not have permission to perform this action',
+  REFRESH_TOKEN_NOT_ALLOWED: 'A refresh token cannot be used to authenticate requests',
+  TOKEN_REFRESHED: 'Token refreshed successfully',
+  TOKEN_USER_NOT_FOUND: 'The user this token was issued to no longer exists',
+  LOGGED_OUT: 'Logged out successfully',
+  INVALID_CREDENTIALS: 'Invalid username or password',
+  ACCOUNT_LOCKED: 'Too many failed login attempts. Try again later',
+  ACCOUNT_INACTIVE: 'This account has been deactivated',
+  USERNAME_TAKEN: 'This username is already taken',
+  USER_REGISTERED: 'Registration successful',
+  LOGGED_IN: 'Login successful',
 };
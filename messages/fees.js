@@ -0,0 +1,8 @@
+const FeeMessages = {
+  INVALID_FEE_SCHEDULE: 'Invalid fee schedule configuration',
+  FEE_ACCOUNT_NOT_CONFIGURED: 'No fee account is configured for the currency',
+  FEE_ACCOUNT_NOT_FOUND: 'Fee account not found',
+  FEE_ACCOUNT_CURRENCY_MISMATCH: 'Fee account currency does not match the transfer currency',
+};
+
+module.exports = FeeMessages;
@@ -0,0 +1,9 @@
+const FxMessages = {
+  RATE_UNAVAILABLE: 'Exchange rate unavailable for currency pair',
+  RATE_SOURCE_UNAVAILABLE: 'Exchange rate source unavailable',
+  UNSUPPORTED_RATE_SOURCE: 'Unsupported exchange rate source',
+  UNSUPPORTED_ROUNDING_MODE: 'Unsupported rounding mode',
+  CONVERTED_AMOUNT_TOO_SMALL: 'Converted amount rounds down to zero',
+};
+
+module.exports = FxMessages;
@@ -0,0 +1,6 @@
+const IdempotencyMessages = {
+  KEY_REUSED: 'Idempotency-Key has already been used with a different request payload',
+  REQUEST_IN_PROGRESS: 'A request with this Idempotency-Key is still being processed',
+};
+
+module.exports = IdempotencyMessages;
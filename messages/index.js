@@ -1,4 +1,21 @@
 const AuthenticationMessages = require('./authentication');
 const PaymentMessages = require('./payment');
+const AccountMessages = require('./account');
+const IdempotencyMessages = require('./idempotency');
+const FxMessages = require('./fx');
+const LimitMessages = require('./limits');
+const FeeMessages = require('./fees');
+const OtpMessages = require('./otp');
+const RateLimitMessages = require('./rate-limit');
 
-module.exports = { AuthenticationMessages, PaymentMessages };
+module.exports = {
+  AuthenticationMessages,
+  PaymentMessages,
+  AccountMessages,
+  IdempotencyMessages,
+  FxMessages,
+  LimitMessages,
+  FeeMessages,
+  OtpMessages,
+  RateLimitMessages,
+};
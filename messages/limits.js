@@ -0,0 +1,6 @@
+const LimitMessages = {
+  UNKNOWN_ACCOUNT_TIER: 'Unknown account tier',
+  INVALID_TIER_CONFIG: 'Invalid account tier configuration',
+};
+
+module.exports = LimitMessages;
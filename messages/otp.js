@@ -0,0 +1,8 @@
+module.exports = {
+  OTP_SENT: 'A verification code has been sent to your email',
+  OTP_VERIFIED: 'Email verified successfully',
+  OTP_RESEND_TOO_SOON: 'A code was sent recently. Please wait before requesting another',
+  INVALID_OTP: 'The verification code is incorrect',
+  OTP_EXPIRED: 'The verification code has expired or does not exist. Please request a new one',
+  OTP_ATTEMPTS_EXCEEDED: 'Too many incorrect attempts. Please request a new code',
+};
@@ -1,13 +1,45 @@
 const PaymentMessages = {
-  INVALID_AMOUNT: 'Invalid amount. Amount must be a positive integer',
+  INVALID_AMOUNT:
+    'Invalid amount. Amount must be a positive number with no more decimal places than the currency allows',
+  INVALID_ACCOUNT_BALANCE:
+    'Invalid account balance. Balances must have no more decimal places than the currency allows',
   CURRENCY_MISMATCH: 'Currency mismatch between accounts',
   UNSUPPORTED_CURRENCY: 'Unsupported currency. Only NGN, USD, GBP, and GHS are supported',
   INSUFFICIENT_FUNDS: 'Insufficient funds',
   SAME_ACCOUNT_ERROR: 'Debit and credit accounts cannot be the same',
   ACCOUNT_NOT_FOUND: 'Account not found',
   MALFORMED_INSTRUCTION: 'Malformed instruction: unable to parse keywords',
+  MISSING_KEYWORD: 'Missing required keyword',
+  INCOMPLETE_INSTRUCTION: 'Incomplete instruction',
+  INVALID_KEYWORD_ORDER: 'Invalid keyword order',
+  UNEXPECTED_TOKEN: 'Malformed instruction: unexpected token',
+  INVALID_ACCOUNT_ID:
+    'Invalid account ID format. Account IDs may only contain letters, numbers, hyphens, periods and @',
+  INVALID_DATE: 'Invalid date format. Dates must be real calendar dates in YYYY-MM-DD format',
+  UNSUPPORTED_INSTRUCTION: 'Instruction type is not supported by this endpoint',
+  ACCOUNT_NOT_OWNED: 'The debit account does not belong to the caller',
+  REVERSAL_NOT_PERMITTED: 'Only the owner of the credited account can reverse a transaction',
   TRANSACTION_SUCCESSFUL: 'Transaction executed successfully',
   TRANSACTION_PENDING: 'Transaction scheduled for future execution',
+  TRANSACTION_NOT_FOUND: 'Transaction not found',
+  TRANSACTION_ALREADY_EXECUTED: 'Transaction has already been executed',
+  TRANSACTION_FETCHED: 'Transaction fetched successfully',
+  TRANSACTIONS_FETCHED: 'Transactions fetched successfully',
+  INVALID_DATE_RANGE:
+    'Invalid date range. from and to must be dates (YYYY-MM-DD) or ISO timestamps',
+  TRANSACTION_REVERSED: 'Transaction reversed successfully',
+  REVERSAL_NOT_ALLOWED: 'Only successful transfers can be reversed',
+  REVERSAL_NEEDS_STORED_ACCOUNTS: 'Only stored transactions can be reversed',
+  ALREADY_REVERSED: 'Transaction has already been fully reversed',
+  REVERSAL_EXCEEDS_REMAINING: 'Reversal amount exceeds the amount left to reverse',
+  FEE_REFUND_UNAVAILABLE: 'The fee account cannot cover the fee refund of this reversal',
+  LIMIT_PER_TRANSACTION: 'Amount exceeds the per-transaction limit of the account tier',
+  LIMIT_DAILY_AMOUNT: 'Transfer would exceed the daily limit of the account tier',
+  LIMIT_MONTHLY_AMOUNT: 'Transfer would exceed the monthly limit of the account tier',
+  LIMIT_VELOCITY: 'Too many transfers from this account in the time window',
+  BATCH_TOO_LARGE: 'Too many instructions in batch',
+  BATCH_COMPLETED: 'Batch processed',
+  BATCH_ROLLED_BACK: 'Batch rolled back because an instruction failed',
   INVALID_REQUEST_ACCOUNTS: 'Invalid request: accounts must be an array',
   INVALID_REQUEST_INSTRUCTION: 'Invalid request: instruction must be a string',
 };
@@ -0,0 +1,4 @@
+module.exports = {
+  RATE_LIMIT_EXCEEDED: 'Too many requests. Please try again later',
+  INVALID_RATE_LIMIT_CONFIG: 'Invalid rate limit configuration',
+};
@@ -0,0 +1,62 @@
+const { createHandler } = require('@app-core/server');
+const { hash } = require('@app-core/security');
+const { REQUEST_ID_HEADER } = require('@app-core/logger');
+const claimIdempotencyKey = require('@app/services/idempotency/claim-idempotency-key');
+const { DEFAULT_IDEMPOTENCY_KEY_TTL_SECS } = require('@app/services/idempotency/constants');
+
+/**
+ * Works out who a key belongs to: the authenticated user, or the IP of unauthenticated requests.
+ * The middleware has to come after userAuth to key by user.
+ */
+function getCaller(rc) {
+  return rc.meta.user?.sub ? `user:${rc.meta.user.sub}` : `ip:${rc.properties.IP}`;
+}
+
+/**
+ * Honours the Idempotency-Key header.
+ * Keys belong to the caller that sent them. A repeated request from the same caller with the same
+ * key and payload gets the stored response of the first one, unchanged.
+ * Endpoints using this middleware store their response with saveIdempotencyResponse in onResponseEnd.
+ * The key lifetime can be overridden per endpoint with the idempotencyKeyTTLSecs prop.
+ */
+module.exports = createHandler({
+  path: '*',
+  method: '',
+  async handler(rc) {
+    const key = rc.headers['idempotency-key'];
+    let result = {};
+
+    if (key) {
+      const scope = `${rc.properties.method} ${rc.properties.handlerPath} ${getCaller(rc)}`;
+      // the path params are part of the payload of routes such as /payment-instructions/:id/reverse
+      const fingerprint = hash.create(JSON.stringify({ scope, params: rc.params, body: rc.body }), {
+        algo: 'sha256',
+      });
+
+      const claim = await claimIdempotencyKey({
+        key,
+        scope,
+        fingerprint,
+        ttl_secs: rc.props.idempotencyKeyTTLSecs || DEFAULT_IDEMPOTENCY_KEY_TTL_SECS,
+      });
+
+      if (claim.is_replay) {
+        // the replay still carries the id of the request being answered
+        const { [REQUEST_ID_HEADER]: firstRequestId, ...headers } = claim.response.headers;
+
+        result = {
+          endHandlerChain: true,
+          status: claim.response.status_code,
+          headers,
+          body: claim.response.body,
+        };
+      } else {
+        result = {
+          augments: { meta: { idempotency: { key, scope, claim_id: claim.claim_id } } },
+        };
+      }
+    }
+
+    return result;
+  },
+});
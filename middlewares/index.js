@@ -1,5 +1,9 @@
 const userAuth = require('./user-auth');
+const idempotency = require('./idempotency');
+const rateLimit = require('./rate-limit');
 
 module.exports = {
   userAuth,
+  idempotency,
+  rateLimit,
 };
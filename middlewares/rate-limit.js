@@ -0,0 +1,133 @@
+const { createHandler } = require('@app-core/server');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const RateLimitMessages = require('@app/messages/rate-limit');
+const createMemoryRateLimitStore = require('@app/services/rate-limit/memory-store');
+const createRedisRateLimitStore = require('@app/services/rate-limit/redis-store');
+const {
+  RATE_LIMIT_ALGORITHMS,
+  RATE_LIMIT_KEYS,
+  RATE_LIMIT_STORES,
+} = require('@app/services/rate-limit/constants');
+
+let defaultStore;
+
+/**
+ * Returns the store shared by every limiter without a store of its own. RATE_LIMIT_STORE=redis
+ * shares the counters between instances of the app through REDIS_URL.
+ * @returns {import('@app/services/rate-limit/memory-store').RateLimitStore}
+ */
+function getDefaultStore() {
+  if (!defaultStore) {
+    defaultStore =
+      process.env.RATE_LIMIT_STORE === RATE_LIMIT_STORES.REDIS
+        ? createRedisRateLimitStore()
+        : createMemoryRateLimitStore();
+  }
+  return defaultStore;
+}
+
+/**
+ * Works out who a request is counted against. Requests without an authenticated user are
+ * counted by IP when keying by user.
+ */
+function getClientKey(rc, key) {
+  let clientKey;
+
+  if (typeof key === 'function') {
+    clientKey = key(rc);
+  } else if (key === RATE_LIMIT_KEYS.USER && rc.meta.user?.sub) {
+    clientKey = `user:${rc.meta.user.sub}`;
+  } else {
+    clientKey = `ip:${rc.properties.IP}`;
+  }
+
+  return clientKey;
+}
+
+/**
+ * Rate Limit Options
+ * @typedef {Object} RateLimitOptions
+ * @property {string} [name] - Limiters with the same name share their counters. Defaults to the endpoint method and path
+ * @property {'ip'|'user'|function(import('@app-core/server/create-handler').RequestComponents): string} [key] - Who requests are counted against. Defaults to ip; user has to come after userAuth
+ * @property {'fixed-window'|'token-bucket'} [algorithm] - Defaults to fixed-window
+ * @property {number} limit - Requests allowed per window, or the bucket capacity
+ * @property {number} window_secs - The window length. A bucket refills limit tokens over this time
+ * @property {import('@app/services/rate-limit/memory-store').RateLimitStore} [store]
+ */
+
+/**
+ * Creates a middleware that answers with RTLIMERR (429) once a client makes more than `limit`
+ * requests in `window_secs`. Every response carries X-RateLimit-Limit, X-RateLimit-Remaining
+ * and X-RateLimit-Reset (seconds), and refused requests also carry Retry-After.
+ * The request goes through when the store cannot be reached.
+ * @param {RateLimitOptions} options
+ */
+function rateLimit(options) {
+  const {
+    name,
+    key = RATE_LIMIT_KEYS.IP,
+    algorithm = RATE_LIMIT_ALGORITHMS.FIXED_WINDOW,
+    limit,
+    window_secs: windowSecs,
+    store,
+  } = options;
+
+  if (
+    !(limit >= 1) ||
+    !(windowSecs > 0) ||
+    Object.values(RATE_LIMIT_ALGORITHMS).indexOf(algorithm) < 0
+  ) {
+    throwAppError(RateLimitMessages.INVALID_RATE_LIMIT_CONFIG, ERROR_CODE.APPERR, {
+      context: { name, algorithm, limit, window_secs: windowSecs },
+    });
+  }
+
+  return createHandler({
+    path: '*',
+    method: '',
+    async handler(rc) {
+      const scope = name || `${rc.properties.method} ${rc.properties.handlerPath}`;
+      const counterKey = `${scope}:${getClientKey(rc, key)}`;
+      const rateLimitStore = store || getDefaultStore();
+      let decision;
+
+      try {
+        decision =
+          algorithm === RATE_LIMIT_ALGORITHMS.TOKEN_BUCKET
+            ? await rateLimitStore.tokenBucket({
+                key: counterKey,
+                capacity: limit,
+                refill_per_sec: limit / windowSecs,
+              })
+            : await rateLimitStore.fixedWindow({
+                key: counterKey,
+                limit,
+                window_ms: windowSecs * 1000,
+              });
+      } catch (error) {
+        appLogger.errorX(error, 'rate-limit-store-error');
+        return {};
+      }
+
+      const headers = {
+        'X-RateLimit-Limit': String(limit),
+        'X-RateLimit-Remaining': String(decision.remaining),
+        'X-RateLimit-Reset': String(Math.ceil(decision.reset_after_ms / 1000)),
+      };
+
+      if (!decision.allowed) {
+        const retryAfter = Math.max(Math.ceil(decision.retry_after_ms / 1000), 1);
+
+        throwAppError(RateLimitMessages.RATE_LIMIT_EXCEEDED, ERROR_CODE.RTLIMERR, {
+          context: { retry_after: retryAfter },
+          headers: { ...headers, 'Retry-After': String(retryAfter) },
+        });
+      }
+
+      return { headers };
+    },
+  });
+}
+
+module.exports = rateLimit;
@@ -1,7 +1,36 @@
 const { createHandler } = require('@app-core/server');
 const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { verify, TOKEN_TYPES } = require('@app-core/jwt');
 const AuthenticationMessages = require('@app/messages/authentication');
 
+const BEARER_SCHEME = 'bearer';
+
+/**
+ * Reads the scopes granted by a token, either as a `scopes` array or an OAuth style
+ * space separated `scope` string
+ * @returns {string[]}
+ */
+function getGrantedScopes(claims) {
+  if (Array.isArray(claims.scopes)) {
+    return claims.scopes;
+  }
+
+  return typeof claims.scope === 'string' ? claims.scope.split(' ').filter(Boolean) : [];
+}
+
+/**
+ * Checks whether a required scope is granted, directly or through a wildcard such as payments:*
+ */
+function isScopeGranted(requiredScope, grantedScopes) {
+  const [resource] = requiredScope.split(':');
+  return grantedScopes.indexOf(requiredScope) >= 0 || grantedScopes.indexOf(`${resource}:*`) >= 0;
+}
+
+/**
+ * Authenticates the request with the Bearer token in the authorization header.
+ * The decoded claims are passed on as meta.user and the token itself as meta.access_token.
+ * The token must grant every scope declared in the handler's `scopes` config.
+ */
 module.exports = createHandler({
   path: '*',
   method: '',
@@ -12,8 +41,33 @@ module.exports = createHandler({
       throwAppError(AuthenticationMessages.MISSING_AUTH_HEADER, ERROR_CODE.NOAUTHERR);
     }
 
+    const [scheme, token, ...rest] = authHeader.trim().split(' ').filter(Boolean);
+
+    if (`${scheme}`.toLowerCase() !== BEARER_SCHEME || !token || rest.length) {
+      throwAppError(AuthenticationMessages.INVALID_AUTH_HEADER, ERROR_CODE.INVLDAUTHTOKEN);
+    }
+
+    // verify throws EXPIREDTOKEN for expired tokens and INVLDAUTHTOKEN for any other failure,
+    // revoked tokens included
+    const claims = await verify({ token });
+
+    if (claims.typ === TOKEN_TYPES.REFRESH) {
+      throwAppError(AuthenticationMessages.REFRESH_TOKEN_NOT_ALLOWED, ERROR_CODE.INVLDAUTHTOKEN);
+    }
+
+    const grantedScopes = getGrantedScopes(claims);
+    const missingScopes = (rc.scopes || []).filter(
+      (scope) => !isScopeGranted(scope, grantedScopes)
+    );
+
+    if (missingScopes.length) {
+      throwAppError(AuthenticationMessages.INSUFFICIENT_SCOPE, ERROR_CODE.PERMERR, {
+        context: { missing_scopes: missingScopes },
+      });
+    }
+
     return {
-      augments: { meta: { user: {} } },
+      augments: { meta: { user: claims, access_token: token } },
     };
   },
 });
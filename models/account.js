@@ -0,0 +1,32 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'accounts';
+
+/**
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} name
+ * @property {String} owner_id - The user the account belongs to; system accounts such as the
+ * funding and fee accounts have none
+ * @property {String} currency
+ * @property {Number} balance - In minor units of the account currency
+ * @property {String} tier - Selects the transfer limits of the account; unset means the default tier
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID },
+  name: { type: SchemaTypes.String },
+  owner_id: { type: SchemaTypes.String, index: true },
+  currency: { type: SchemaTypes.String, index: true },
+  balance: { type: SchemaTypes.Number, default: 0 },
+  tier: { type: SchemaTypes.String },
+  created: { type: SchemaTypes.Number },
+  updated: { type: SchemaTypes.Number },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
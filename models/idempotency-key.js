@@ -0,0 +1,40 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'idempotency_keys';
+
+/**
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} key - The Idempotency-Key header sent by the client
+ * @property {String} scope - The endpoint the key was used on and the caller that used it
+ * @property {String} fingerprint - Hash of the request the key was first used with
+ * @property {String} status - processing | completed
+ * @property {Number} lease_expires_at - When a key still processing can be claimed again
+ * @property {Number} response_status_code
+ * @property {Object} response_headers
+ * @property {Object} response_body
+ * @property {Number} expires_at
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID },
+  key: { type: SchemaTypes.String },
+  scope: { type: SchemaTypes.String },
+  fingerprint: { type: SchemaTypes.String },
+  status: { type: SchemaTypes.String },
+  lease_expires_at: { type: SchemaTypes.Number },
+  response_status_code: { type: SchemaTypes.Number },
+  response_headers: { type: SchemaTypes.Mixed },
+  response_body: { type: SchemaTypes.Mixed },
+  expires_at: { type: SchemaTypes.Number, index: true },
+  created: { type: SchemaTypes.Number },
+  updated: { type: SchemaTypes.Number },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+modelSchema.index({ key: 1, scope: 1 }, { unique: true });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
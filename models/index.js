@@ -1,5 +1,23 @@
 const Notification = require('./notification');
+const Account = require('./account');
+const LedgerEntry = require('./ledger-entry');
+const Transaction = require('./transaction');
+const IdempotencyKey = require('./idempotency-key');
+const RefreshToken = require('./refresh-token');
+const RevokedToken = require('./revoked-token');
+const User = require('./user');
+const LoginEvent = require('./login-event');
+const Otp = require('./otp');
 
 module.exports = {
   Notification,
+  Account,
+  LedgerEntry,
+  Transaction,
+  IdempotencyKey,
+  RefreshToken,
+  RevokedToken,
+  User,
+  LoginEvent,
+  Otp,
 };
@@ -0,0 +1,38 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'ledger_entries';
+
+/**
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} transaction_ref - Shared by the debit and credit legs of a single transfer
+ * @property {String} account_id
+ * @property {String} entry_type - debit | credit
+ * @property {Number} amount - In minor units of the entry currency
+ * @property {String} currency
+ * @property {Number} balance_before
+ * @property {Number} balance_after
+ * @property {String} narration
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID },
+  transaction_ref: { type: SchemaTypes.String, index: true },
+  account_id: { type: SchemaTypes.String, index: true },
+  entry_type: { type: SchemaTypes.String },
+  amount: { type: SchemaTypes.Number },
+  currency: { type: SchemaTypes.String },
+  balance_before: { type: SchemaTypes.Number },
+  balance_after: { type: SchemaTypes.Number },
+  narration: { type: SchemaTypes.String },
+  created: { type: SchemaTypes.Number },
+  updated: { type: SchemaTypes.Number },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+modelSchema.index({ account_id: 1, created: 1 });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
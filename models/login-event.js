@@ -0,0 +1,32 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'login_events';
+
+/**
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} user_id - Empty when the username is unknown
+ * @property {String} username - As submitted
+ * @property {String} outcome - success | failed | locked | inactive
+ * @property {String} ip
+ * @property {String} user_agent
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID },
+  user_id: { type: SchemaTypes.String, index: true },
+  username: { type: SchemaTypes.String },
+  outcome: { type: SchemaTypes.String },
+  ip: { type: SchemaTypes.String },
+  user_agent: { type: SchemaTypes.String },
+  created: { type: SchemaTypes.Number },
+  updated: { type: SchemaTypes.Number },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+modelSchema.index({ username: 1, created: 1 });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
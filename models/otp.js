@@ -0,0 +1,36 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'otps';
+
+/**
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} recipient - The email address the code was sent to
+ * @property {String} purpose - What the code verifies, e.g. account-activation
+ * @property {String} code_hash - bcrypt hash of the code
+ * @property {String} status - pending | verified | superseded
+ * @property {Number} attempts - Verification attempts made with the code
+ * @property {Number} expires_at
+ * @property {Number} verified_at
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID },
+  recipient: { type: SchemaTypes.String },
+  purpose: { type: SchemaTypes.String },
+  code_hash: { type: SchemaTypes.String },
+  status: { type: SchemaTypes.String },
+  attempts: { type: SchemaTypes.Number, default: 0 },
+  expires_at: { type: SchemaTypes.Number },
+  verified_at: { type: SchemaTypes.Number },
+  created: { type: SchemaTypes.Number },
+  updated: { type: SchemaTypes.Number },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+modelSchema.index({ recipient: 1, purpose: 1, status: 1 });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
@@ -0,0 +1,33 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'refresh_tokens';
+
+/**
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} jti - The id of the refresh token
+ * @property {String} family_id - Shared by every refresh token rotated from the same login
+ * @property {String} subject
+ * @property {Object} claims - Copied into the access tokens issued when the token is rotated
+ * @property {String} status - active | used | revoked
+ * @property {Number} expires_at
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID },
+  jti: { type: SchemaTypes.String, unique: true },
+  family_id: { type: SchemaTypes.String, index: true },
+  subject: { type: SchemaTypes.String, index: true },
+  claims: { type: SchemaTypes.Mixed },
+  status: { type: SchemaTypes.String },
+  expires_at: { type: SchemaTypes.Number, index: true },
+  created: { type: SchemaTypes.Number },
+  updated: { type: SchemaTypes.Number },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
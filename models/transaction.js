@@ -0,0 +1,70 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'transactions';
+
+/**
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} type
+ * @property {Number} amount - In minor units of the instruction currency
+ * @property {String} currency
+ * @property {String} debit_account
+ * @property {String} credit_account
+ * @property {String} credit_currency - The credit account currency, when it differs from the instruction
+ * @property {Number} converted_amount - The amount credited after FX conversion, in minor units
+ * @property {Number} rate - The FX rate applied to the credited amount
+ * @property {String} rate_timestamp
+ * @property {{name: String, kind: String, amount: Number}[]} fees - Fees charged on top of the amount
+ * @property {Number} fee_total - In minor units of the instruction currency
+ * @property {String} fee_account - The account the fees were credited to
+ * @property {Number} fee_refund - The fees a REVERSE transaction refunded from the fee account, in minor units
+ * @property {String} execute_by - The YYYY-MM-DD date from the instruction's ON clause
+ * @property {Number} execute_at - Timestamp from which a pending transaction can be executed
+ * @property {String} status - successful | pending | failed
+ * @property {String} status_code
+ * @property {String} status_reason
+ * @property {String} instruction
+ * @property {String} ledger_ref - The transaction_ref of the ledger entries posted for this transaction
+ * @property {String} reversal_of - The transaction a REVERSE transaction compensates
+ * @property {Number} reversed_amount - How much of the amount has been reversed, in minor units
+ * @property {String} reason - Why a REVERSE transaction was made
+ * @property {Number} executed
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID },
+  type: { type: SchemaTypes.String },
+  amount: { type: SchemaTypes.Number },
+  currency: { type: SchemaTypes.String },
+  debit_account: { type: SchemaTypes.String, index: true },
+  credit_account: { type: SchemaTypes.String, index: true },
+  credit_currency: { type: SchemaTypes.String },
+  converted_amount: { type: SchemaTypes.Number },
+  rate: { type: SchemaTypes.Number },
+  rate_timestamp: { type: SchemaTypes.String },
+  fees: { type: SchemaTypes.Mixed },
+  fee_total: { type: SchemaTypes.Number },
+  fee_account: { type: SchemaTypes.String },
+  fee_refund: { type: SchemaTypes.Number },
+  execute_by: { type: SchemaTypes.String },
+  execute_at: { type: SchemaTypes.Number },
+  status: { type: SchemaTypes.String, index: true },
+  status_code: { type: SchemaTypes.String },
+  status_reason: { type: SchemaTypes.String },
+  instruction: { type: SchemaTypes.String },
+  ledger_ref: { type: SchemaTypes.String, index: true },
+  reversal_of: { type: SchemaTypes.String, index: true },
+  reversed_amount: { type: SchemaTypes.Number },
+  reason: { type: SchemaTypes.String },
+  executed: { type: SchemaTypes.Number },
+  created: { type: SchemaTypes.Number },
+  updated: { type: SchemaTypes.Number },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+modelSchema.index({ status: 1, execute_at: 1 });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
@@ -0,0 +1,35 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'users';
+
+/**
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} username - Stored in lowercase
+ * @property {String} password_hash - bcrypt hash of the password
+ * @property {String} status - active | inactive
+ * @property {String[]} scopes - Granted to the access tokens issued to the user
+ * @property {Number} failed_login_attempts - Consecutive failures since the last successful login or lockout
+ * @property {Number} locked_until - Logins are refused until this time after too many failures
+ * @property {Number} last_login
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID },
+  username: { type: SchemaTypes.String, unique: true },
+  password_hash: { type: SchemaTypes.String },
+  status: { type: SchemaTypes.String },
+  scopes: { type: SchemaTypes.Mixed },
+  failed_login_attempts: { type: SchemaTypes.Number, default: 0 },
+  locked_until: { type: SchemaTypes.Number },
+  last_login: { type: SchemaTypes.Number },
+  created: { type: SchemaTypes.Number },
+  updated: { type: SchemaTypes.Number },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
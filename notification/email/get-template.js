@@ -6,7 +6,7 @@ function getTemplate(templateName, payloadData) {
   const _payloadData = { ...payloadData };
 
   _payloadData.year = new Date().getFullYear();
-  _payloadData.app_name = process.env.app_name.toUpperCase();
+  _payloadData.app_name = (process.env.APP_NAME || '').toUpperCase();
   _payloadData.customer_support_link = process.env.CUSTOMER_SUPPORT_LINK;
 
   const templateToUse = templates[templateName];
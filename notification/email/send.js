@@ -12,17 +12,17 @@ const FALLBACK_SLACK_WEBHOOK = process.env.EMAIL_FALLBACK_SLACK_WEBHOOK;
 const scrubber = redactFactory({ fieldsToRedact: ['confirmationlink'] });
 
 const sendNotificationSpec = `root {
-  template is a required string
-  recipient is a required email
-  payload is a required object
-  userId is a string
-  context is a string
-  subject is a string
-  resendDelayMillis is an integer
-  meta is an object
-  existingNotification is an object
-  ignoreSlackFallback is a boolean
-  logKey is a string
+  template string
+  recipient string<trim|lowercase|isEmail>
+  payload object
+  userId? string
+  context? string
+  subject? string
+  resendDelayMillis? number<min:1>
+  meta? object
+  existingNotification? object
+  ignoreSlackFallback? boolean
+  logKey? string
 }`;
 const parsedSpec = validator.parse(sendNotificationSpec);
 
@@ -4,11 +4,11 @@ const httpRequest = require('@app-core/http-request');
 const template = require('./templates');
 
 const sendEmailSpec = `root {
-  template is a required string
-  webhookUrl is a required uri
-  payload is a required object
-  subject is a string
-  logKey is a string
+  template string
+  webhookUrl string<trim>
+  payload object
+  subject? string
+  logKey? string
 }`;
 const parsedSpec = validator.parse(sendEmailSpec);
 
@@ -16,7 +16,7 @@ async function sendSlackMessage(serviceData) {
   try {
     const data = validator.validate(serviceData, parsedSpec);
 
-    data.payload.app_name = process.env.APP_NAME.toUpperCase();
+    data.payload.app_name = (process.env.APP_NAME || '').toUpperCase();
     const payload = template[data.template]?.(data);
 
     if (payload) {
@@ -0,0 +1,57 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const Account = require('@app/repository/account');
+const { formatMinorUnits } = require('@app/services/utils/money');
+const { resolveTier } = require('@app/services/limits/tier-config');
+const { CONSTRAINT_SCOPES } = require('@app/services/utils/constraints');
+
+// owner_id is set by the caller, never read from the request body
+const spec = `root {
+  owner_id? string<trim>
+  name? string<trim|maxLength:100>
+  currency string<trim|uppercase|isCurrency>
+}`;
+
+const parsedSpec = validator.parse(spec, { constraintScopes: [CONSTRAINT_SCOPES.PAYMENTS] });
+
+/**
+ * Creates a stored account with a zero balance. Money only reaches it through ledger postings,
+ * from a transfer or from the funding account (see fund-account), so that its balance can always
+ * be reconciled against them. Balances are stored in minor units of the account currency.
+ * Accounts without an owner are system accounts, such as the funding and fee accounts.
+ * New accounts start on the default tier; the tier sets the transfer limits, so callers do not
+ * get to pick it.
+ */
+async function createAccount(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const account = await Account.create(
+      {
+        name: data.name,
+        owner_id: data.owner_id,
+        currency: data.currency,
+        balance: 0,
+        tier: resolveTier(),
+      },
+      { session: options.session }
+    );
+
+    result = {
+      id: account._id,
+      name: account.name,
+      currency: account.currency,
+      balance: formatMinorUnits(account.balance, account.currency),
+      tier: account.tier,
+      created: account.created,
+    };
+  } catch (error) {
+    appLogger.errorX(error, 'create-account-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = createAccount;
@@ -0,0 +1,26 @@
+const Account = require('@app/repository/account');
+
+/**
+ * Returns the ids of the stored accounts a user owns, out of accountIds when they are given
+ * @param {string} ownerId - The id of the user, the sub claim of their access token
+ * @param {string[]} [accountIds]
+ * @param {{session?: import('mongoose').ClientSession}} [options]
+ * @returns {Promise<string[]>}
+ */
+async function findOwnedAccountIds(ownerId, accountIds, options = {}) {
+  const query = { owner_id: ownerId };
+
+  if (accountIds) {
+    query._id = { $in: accountIds.filter(Boolean) };
+  }
+
+  const accounts = await Account.findMany({
+    query,
+    projections: { _id: 1 },
+    options: { session: options.session },
+  });
+
+  return accounts.map((account) => `${account._id}`);
+}
+
+module.exports = findOwnedAccountIds;
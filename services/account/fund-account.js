@@ -0,0 +1,159 @@
+const validator = require('@app-core/validator');
+const { createSession } = require('@app-core/mongoose');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const { ulid } = require('@app-core/randomness');
+const Account = require('@app/repository/account');
+const LedgerEntry = require('@app/repository/ledger-entry');
+const AccountMessages = require('@app/messages/account');
+const { toMinorUnits, formatMinorUnits } = require('@app/services/utils/money');
+
+const spec = `root {
+  account_id string<trim>
+  amount number<min:0>
+  narration? string<trim|maxLength:100>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Reads the funding account of a currency from FUNDING_ACCOUNTS, a comma separated list such as
+ * "NGN:<account id>,USD:<account id>"
+ * @param {string} currency
+ * @returns {string|undefined}
+ */
+function getFundingAccountId(currency) {
+  let fundingAccountId;
+
+  (process.env.FUNDING_ACCOUNTS || '').split(',').forEach((entry) => {
+    const [entryCurrency, accountId] = entry.split(':');
+
+    if (`${entryCurrency}`.trim().toUpperCase() === currency && accountId && accountId.trim()) {
+      fundingAccountId = accountId.trim();
+    }
+  });
+
+  return fundingAccountId;
+}
+
+/**
+ * Puts money into a stored account from the funding account of its currency.
+ * The funding account stands for the money held outside the ledger, so its balance runs
+ * negative by the total funded and every account still reconciles against its postings.
+ */
+async function fundAccount(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  let sessionToUse;
+  let isSessionNative = false;
+
+  if (options.session) {
+    sessionToUse = options.session;
+  } else {
+    sessionToUse = await createSession();
+    isSessionNative = true;
+  }
+
+  try {
+    if (isSessionNative) {
+      sessionToUse.startTransaction();
+    }
+
+    const account = await Account.findOne({
+      query: { _id: data.account_id },
+      options: { session: sessionToUse },
+    });
+
+    if (!account) {
+      throwAppError(AccountMessages.ACCOUNT_NOT_FOUND, ERROR_CODE.NOTFOUND);
+    }
+
+    const amount = toMinorUnits(data.amount, account.currency);
+
+    if (!amount) {
+      throwAppError(AccountMessages.INVALID_FUNDING_AMOUNT, ERROR_CODE.VALIDATIONERR);
+    }
+
+    const fundingAccountId = getFundingAccountId(account.currency);
+    const fundingAccount =
+      fundingAccountId &&
+      (await Account.findOne({
+        query: { _id: fundingAccountId },
+        options: { session: sessionToUse },
+      }));
+
+    if (!fundingAccount || fundingAccount.currency !== account.currency) {
+      throwAppError(AccountMessages.FUNDING_ACCOUNT_NOT_CONFIGURED, ERROR_CODE.APPERR, {
+        context: { currency: account.currency },
+      });
+    }
+    if (`${fundingAccount._id}` === `${account._id}`) {
+      throwAppError(AccountMessages.FUNDING_ACCOUNT_NOT_FUNDABLE, ERROR_CODE.INVLDREQ);
+    }
+
+    await Account.updateOne({
+      query: { _id: fundingAccount._id },
+      updateValues: { $inc: { balance: -amount } },
+      options: { session: sessionToUse },
+    });
+    await Account.updateOne({
+      query: { _id: account._id },
+      updateValues: { $inc: { balance: amount } },
+      options: { session: sessionToUse },
+    });
+
+    const transactionRef = ulid();
+
+    await LedgerEntry.createMany({
+      entries: [
+        {
+          transaction_ref: transactionRef,
+          account_id: fundingAccount._id,
+          entry_type: 'debit',
+          amount,
+          currency: account.currency,
+          balance_before: fundingAccount.balance,
+          balance_after: fundingAccount.balance - amount,
+          narration: data.narration,
+        },
+        {
+          transaction_ref: transactionRef,
+          account_id: account._id,
+          entry_type: 'credit',
+          amount,
+          currency: account.currency,
+          balance_before: account.balance,
+          balance_after: account.balance + amount,
+          narration: data.narration,
+        },
+      ],
+      options: { session: sessionToUse },
+    });
+
+    if (isSessionNative) {
+      await sessionToUse.commitTransaction();
+    }
+
+    result = {
+      id: account._id,
+      currency: account.currency,
+      balance: formatMinorUnits(account.balance + amount, account.currency),
+      transaction_ref: transactionRef,
+    };
+  } catch (error) {
+    if (isSessionNative) {
+      await sessionToUse.abortTransaction();
+    }
+    appLogger.errorX(error, 'fund-account-error');
+    throw error;
+  } finally {
+    if (isSessionNative) {
+      await sessionToUse.endSession();
+    }
+  }
+
+  return result;
+}
+
+module.exports = fundAccount;
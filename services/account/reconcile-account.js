@@ -0,0 +1,83 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const Account = require('@app/repository/account');
+const LedgerEntry = require('@app/repository/ledger-entry');
+const AccountMessages = require('@app/messages/account');
+const { formatMinorUnits } = require('@app/services/utils/money');
+
+// owner_id, when given, restricts the lookup to the accounts of that user
+const spec = `root {
+  account_id string<trim>
+  owner_id? string<trim>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Derives an account's balance from its ledger postings and compares it with the stored balance
+ */
+async function reconcileAccount(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const query = { _id: data.account_id };
+
+    if (data.owner_id) {
+      query.owner_id = data.owner_id;
+    }
+
+    const account = await Account.findOne({ query });
+
+    if (!account) {
+      throwAppError(AccountMessages.ACCOUNT_NOT_FOUND, ERROR_CODE.NOTFOUND);
+    }
+
+    const [postings] = await LedgerEntry.raw().aggregate([
+      { $match: { account_id: data.account_id } },
+      {
+        $group: {
+          _id: '$account_id',
+          total_debits: {
+            $sum: { $cond: [{ $eq: ['$entry_type', 'debit'] }, '$amount', 0] },
+          },
+          total_credits: {
+            $sum: { $cond: [{ $eq: ['$entry_type', 'credit'] }, '$amount', 0] },
+          },
+          entry_count: { $sum: 1 },
+        },
+      },
+    ]);
+
+    const totalDebits = postings?.total_debits || 0;
+    const totalCredits = postings?.total_credits || 0;
+    const ledgerBalance = totalCredits - totalDebits;
+
+    if (ledgerBalance !== account.balance) {
+      appLogger.warn(
+        { accountId: account._id, balance: account.balance, ledgerBalance },
+        'account-balance-mismatch'
+      );
+    }
+
+    // amounts are kept in minor units and rendered as decimals
+    result = {
+      account_id: account._id,
+      currency: account.currency,
+      total_debits: formatMinorUnits(totalDebits, account.currency),
+      total_credits: formatMinorUnits(totalCredits, account.currency),
+      entry_count: postings?.entry_count || 0,
+      balance: formatMinorUnits(account.balance, account.currency),
+      ledger_balance: formatMinorUnits(ledgerBalance, account.currency),
+      is_reconciled: ledgerBalance === account.balance,
+    };
+  } catch (error) {
+    appLogger.errorX(error, 'reconcile-account-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = reconcileAccount;
@@ -0,0 +1,27 @@
+// The scopes granted to the access tokens of users registered without scopes of their own.
+// Registration is open, so moving money (payments:write) is granted to a user by an operator
+const DEFAULT_USER_SCOPES = ['accounts:write', 'accounts:read', 'transactions:read'];
+
+const USER_STATUS = {
+  ACTIVE: 'active',
+  INACTIVE: 'inactive',
+};
+
+const LOGIN_OUTCOMES = {
+  SUCCESS: 'success',
+  FAILED: 'failed',
+  LOCKED: 'locked',
+  INACTIVE: 'inactive',
+};
+
+// A user is locked out for LOGIN_LOCKOUT_SECS after LOGIN_MAX_FAILED_ATTEMPTS failures in a row
+const MAX_FAILED_LOGIN_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 5;
+const LOGIN_LOCKOUT_SECS = parseInt(process.env.LOGIN_LOCKOUT_SECS, 10) || 900;
+
+module.exports = {
+  DEFAULT_USER_SCOPES,
+  USER_STATUS,
+  LOGIN_OUTCOMES,
+  MAX_FAILED_LOGIN_ATTEMPTS,
+  LOGIN_LOCKOUT_SECS,
+};
@@ -0,0 +1,53 @@
+/**
+ * Keeps refresh tokens and revoked token ids in the database, so they are shared by every
+ * instance of the app and survive restarts
+ */
+
+const { REFRESH_TOKEN_STATUS } = require('@app-core/jwt');
+const RefreshToken = require('@app/repository/refresh-token');
+const RevokedToken = require('@app/repository/revoked-token');
+
+/**
+ * @type {import('@app-core/jwt/memory-token-store').TokenStore}
+ */
+const databaseTokenStore = {
+  async saveRefreshToken(record) {
+    await RefreshToken.create(record);
+  },
+
+  async findRefreshToken(jti) {
+    return RefreshToken.findOne({ query: { jti } });
+  },
+
+  async markRefreshTokenUsed(jti) {
+    const update = await RefreshToken.updateOne({
+      query: { jti, status: REFRESH_TOKEN_STATUS.ACTIVE },
+      updateValues: { status: REFRESH_TOKEN_STATUS.USED },
+    });
+    return update.modifiedCount > 0;
+  },
+
+  async revokeRefreshTokenFamily(familyId) {
+    await RefreshToken.updateMany({
+      query: { family_id: familyId },
+      updateValues: { status: REFRESH_TOKEN_STATUS.REVOKED },
+    });
+  },
+
+  async revokeToken(jti, expiresAt) {
+    const revokedToken = await RevokedToken.findOne({ query: { jti } });
+
+    if (!revokedToken) {
+      await RevokedToken.create({ jti, expires_at: expiresAt });
+    }
+  },
+
+  async isTokenRevoked(jti) {
+    const revokedToken = await RevokedToken.findOne({
+      query: { jti, expires_at: { $gt: Date.now() } },
+    });
+    return !!revokedToken;
+  },
+};
+
+module.exports = databaseTokenStore;
@@ -0,0 +1,48 @@
+/**
+ * Works out the claims of the access tokens issued to a user
+ */
+
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const User = require('@app/repository/user');
+const AuthenticationMessages = require('@app/messages/authentication');
+const { DEFAULT_USER_SCOPES, USER_STATUS } = require('./constants');
+
+/**
+ * Returns the claims copied into the access tokens of a user
+ * @param {Object} user - A user record
+ * @returns {{username: string, scopes: string[]}}
+ */
+function getUserClaims(user) {
+  return { username: user.username, scopes: user.scopes || DEFAULT_USER_SCOPES };
+}
+
+/**
+ * Loads a user and returns the claims of their next access token. Deactivated users (INACTIVEACCT)
+ * and users locked out after failed logins (RTLIMERR) are refused, as they are at login.
+ * @param {string} userId
+ * @returns {Promise<{username: string, scopes: string[]}>}
+ */
+async function loadUserClaims(userId) {
+  const user = await User.findOne({ query: { _id: userId } });
+
+  if (!user) {
+    throwAppError(AuthenticationMessages.TOKEN_USER_NOT_FOUND, ERROR_CODE.INVLDAUTHTOKEN);
+  }
+
+  if (user.status === USER_STATUS.INACTIVE) {
+    throwAppError(AuthenticationMessages.ACCOUNT_INACTIVE, ERROR_CODE.INACTIVEACCT);
+  }
+
+  if (user.locked_until > Date.now()) {
+    throwAppError(AuthenticationMessages.ACCOUNT_LOCKED, ERROR_CODE.RTLIMERR, {
+      context: { retry_after: Math.ceil((user.locked_until - Date.now()) / 1000) },
+    });
+  }
+
+  return getUserClaims(user);
+}
+
+module.exports = {
+  getUserClaims,
+  loadUserClaims,
+};
@@ -0,0 +1,127 @@
+/**
+ * Works out the fees charged on a transfer from the fee schedule
+ */
+
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const FeeMessages = require('@app/messages/fees');
+const convertAmount = require('@app/services/fx/convert-amount');
+const { ROUNDING_MODES } = require('@app/services/fx/constants');
+const { formatMinorUnits } = require('@app/services/utils/money');
+const { findFeeSchedule, getFeeAccount } = require('./fee-schedule');
+const { FEE_KINDS } = require('./constants');
+
+const spec = `root {
+  amount number<min:1>
+  currency string<uppercase>
+  type string<uppercase>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * @typedef {Object} FeeCharge
+ * @property {string} currency
+ * @property {string} fee_account - The account the fees are credited to
+ * @property {number} total - In minor units
+ * @property {{name: string, kind: string, amount: number}[]} items - The fees that came to more than zero
+ */
+
+/**
+ * Charges a percentage of the principal, rounding half up to the nearest minor unit
+ */
+function percentageOf(amount, rate, currency) {
+  return convertAmount(amount, rate, {
+    fromCurrency: currency,
+    toCurrency: currency,
+    roundingMode: ROUNDING_MODES.HALF_UP,
+  });
+}
+
+/**
+ * Works out a single fee, applying its minimum and cap last
+ * @param {import('./fee-schedule').Fee} fee
+ */
+function computeFee(fee, amount, currency) {
+  let charge = 0;
+
+  if (fee.kind === FEE_KINDS.FLAT) {
+    charge = fee.amount;
+  } else if (fee.kind === FEE_KINDS.PERCENTAGE) {
+    charge = percentageOf(amount, fee.rate, currency);
+  } else if (fee.kind === FEE_KINDS.TIERED) {
+    // the band the whole principal falls in sets the fee; the last band is unbounded
+    const band = fee.tiers.find((tier) => tier.up_to === null || amount <= tier.up_to);
+
+    charge = band.amount !== null ? band.amount : percentageOf(amount, band.rate, currency);
+  }
+
+  if (fee.min !== null) {
+    charge = Math.max(charge, fee.min);
+  }
+  if (fee.cap !== null) {
+    charge = Math.min(charge, fee.cap);
+  }
+
+  return charge;
+}
+
+/**
+ * Works out the fees on a transfer
+ * @param {{amount: number, currency: string, type: string}} serviceData - amount is the principal
+ * in minor units of currency
+ * @returns {FeeCharge|null} null when no schedule applies to the transfer
+ */
+function calculateFees(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  const schedule = findFeeSchedule(data.currency, data.type);
+  let result = null;
+
+  if (schedule) {
+    const feeAccount = getFeeAccount(data.currency);
+
+    if (!feeAccount) {
+      throwAppError(FeeMessages.FEE_ACCOUNT_NOT_CONFIGURED, ERROR_CODE.FEEERR, {
+        context: { currency: data.currency },
+      });
+    }
+
+    const items = schedule.fees
+      .map((fee) => ({
+        name: fee.name,
+        kind: fee.kind,
+        amount: computeFee(fee, data.amount, data.currency),
+      }))
+      .filter((item) => item.amount > 0);
+
+    result = {
+      currency: data.currency,
+      fee_account: feeAccount,
+      total: items.reduce((total, item) => total + item.amount, 0),
+      items,
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Renders a fee charge with its amounts as decimals, for responses
+ * @param {FeeCharge} charge
+ */
+function formatFees(charge) {
+  return {
+    currency: charge.currency,
+    fee_account: charge.fee_account,
+    total: formatMinorUnits(charge.total, charge.currency),
+    items: charge.items.map((item) => ({
+      ...item,
+      amount: formatMinorUnits(item.amount, charge.currency),
+    })),
+  };
+}
+
+module.exports = {
+  calculateFees,
+  formatFees,
+};
@@ -0,0 +1,10 @@
+// How a fee is worked out from the principal
+const FEE_KINDS = {
+  FLAT: 'flat',
+  PERCENTAGE: 'percentage',
+  TIERED: 'tiered',
+};
+
+module.exports = {
+  FEE_KINDS,
+};
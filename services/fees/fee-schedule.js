@@ -0,0 +1,223 @@
+/**
+ * Loads the fee schedule charged on transfers
+ *
+ * The schedule file (FEE_SCHEDULE_FILE, or the bundled fee-schedule.json, which charges nothing)
+ * looks like:
+ * {
+ *   "fee_accounts": { "NGN": "<account id>" },
+ *   "schedules": [
+ *     {
+ *       "currency": "NGN",
+ *       "types": ["DEBIT", "CREDIT"],
+ *       "fees": [
+ *         { "name": "transfer", "kind": "tiered", "cap": "100.00", "tiers": [
+ *           { "up_to": "5000.00", "amount": "10.00" },
+ *           { "up_to": "50000.00", "amount": "25.00" },
+ *           { "rate": "0.1" }
+ *         ] },
+ *         { "name": "stamp_duty", "kind": "flat", "amount": "50.00" },
+ *         { "name": "commission", "kind": "percentage", "rate": "0.5", "min": "5.00", "cap": "2000.00" }
+ *       ]
+ *     }
+ *   ]
+ * }
+ * Amounts are decimals in the schedule currency and rates are percentages. The bands of a tiered
+ * fee end with one without up_to, which charges every larger principal. A schedule without
+ * types applies to every transfer type; the first schedule that matches a transfer is used.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const FeeMessages = require('@app/messages/fees');
+const { toMinorUnits } = require('@app/services/utils/money');
+const { FEE_KINDS } = require('./constants');
+
+const DEFAULT_FEE_SCHEDULE_FILE = path.join(__dirname, 'fee-schedule.json');
+
+const feeScheduleFileSpec = `root {
+  fee_accounts object
+  schedules[]? {
+    currency string<trim|uppercase>
+    types[]? string<trim|uppercase>
+    fees[] {
+      name string<trim>
+      kind string<trim|lowercase>(flat|percentage|tiered)
+      amount? any
+      rate? any
+      min? any
+      cap? any
+      tiers[]? {
+        up_to? any
+        amount? any
+        rate? any
+      }
+    }
+  }
+}`;
+
+const parsedFeeScheduleFileSpec = validator.parse(feeScheduleFileSpec);
+
+/**
+ * @typedef {Object} FeeBand
+ * @property {number|null} up_to - Highest principal of the band in minor units; null is unbounded
+ * @property {number|null} amount - Flat fee of the band in minor units
+ * @property {number|null} rate - Fee of the band as a fraction of the principal
+ */
+
+/**
+ * @typedef {Object} Fee
+ * @property {string} name
+ * @property {string} kind - One of FEE_KINDS
+ * @property {number|null} amount - Flat fee in minor units
+ * @property {number|null} rate - Fraction of the principal, e.g. 0.005 for 0.5%
+ * @property {number|null} min - Lowest fee charged, in minor units
+ * @property {number|null} cap - Highest fee charged, in minor units
+ * @property {FeeBand[]} tiers - Bands by principal, in ascending order
+ */
+
+/**
+ * @typedef {Object} FeeSchedule
+ * @property {string} currency
+ * @property {string[]|null} types
+ * @property {Fee[]} fees
+ */
+
+function invalidSchedule(context) {
+  throwAppError(FeeMessages.INVALID_FEE_SCHEDULE, ERROR_CODE.APPERR, { context });
+}
+
+/**
+ * Converts an optional decimal amount of the schedule to minor units
+ */
+function parseAmount(value, currency, context) {
+  if (value === undefined || value === null) return null;
+
+  const amount = toMinorUnits(value, currency);
+  if (amount === null || amount < 0) {
+    invalidSchedule({ ...context, value });
+  }
+  return amount;
+}
+
+/**
+ * Converts an optional percentage of the schedule to a fraction
+ */
+function parseRate(value, context) {
+  if (value === undefined || value === null) return null;
+
+  const rate = Number(value);
+  if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+    invalidSchedule({ ...context, value });
+  }
+  return rate / 100;
+}
+
+/**
+ * Validates a fee and converts its amounts to minor units of the schedule currency.
+ * Only the last band of a tiered fee is unbounded, and it has to be, so every principal falls in
+ * a band.
+ * @returns {Fee}
+ */
+function parseFee(fee, currency) {
+  const context = { currency, fee: fee.name };
+  const parsedFee = {
+    name: fee.name,
+    kind: fee.kind,
+    amount: parseAmount(fee.amount, currency, context),
+    rate: parseRate(fee.rate, context),
+    min: parseAmount(fee.min, currency, context),
+    cap: parseAmount(fee.cap, currency, context),
+    tiers: (fee.tiers || []).map((band) => ({
+      up_to: parseAmount(band.up_to, currency, context),
+      amount: parseAmount(band.amount, currency, context),
+      rate: parseRate(band.rate, context),
+    })),
+  };
+
+  const isMissingCharge =
+    (fee.kind === FEE_KINDS.FLAT && parsedFee.amount === null) ||
+    (fee.kind === FEE_KINDS.PERCENTAGE && parsedFee.rate === null) ||
+    (fee.kind === FEE_KINDS.TIERED && !parsedFee.tiers.length) ||
+    parsedFee.tiers.some((band) => band.amount === null && band.rate === null);
+  const hasMisplacedBound = parsedFee.tiers.some(
+    (band, index) => (band.up_to === null) !== (index === parsedFee.tiers.length - 1)
+  );
+
+  if (isMissingCharge || hasMisplacedBound) {
+    invalidSchedule(context);
+  }
+
+  return parsedFee;
+}
+
+let cachedFeeSchedule = null;
+
+/**
+ * Returns the fee schedule, loading it on first use
+ * @returns {{fee_accounts: Object<string, string>, schedules: FeeSchedule[]}}
+ */
+function getFeeSchedule() {
+  if (!cachedFeeSchedule) {
+    const scheduleFile = process.env.FEE_SCHEDULE_FILE || DEFAULT_FEE_SCHEDULE_FILE;
+    const config = validator.validate(
+      JSON.parse(fs.readFileSync(scheduleFile, 'utf8')),
+      parsedFeeScheduleFileSpec
+    );
+
+    cachedFeeSchedule = {
+      fee_accounts: Object.keys(config.fee_accounts).reduce(
+        (accounts, currency) => ({
+          ...accounts,
+          [currency.toUpperCase()]: config.fee_accounts[currency],
+        }),
+        {}
+      ),
+      schedules: (config.schedules || []).map((schedule) => ({
+        currency: schedule.currency,
+        types: schedule.types || null,
+        fees: schedule.fees.map((fee) => parseFee(fee, schedule.currency)),
+      })),
+    };
+  }
+
+  return cachedFeeSchedule;
+}
+
+/**
+ * Finds the schedule that applies to a transfer
+ * @param {string} currency
+ * @param {string} type - The instruction type
+ * @returns {FeeSchedule|null}
+ */
+function findFeeSchedule(currency, type) {
+  return (
+    getFeeSchedule().schedules.find(
+      (schedule) =>
+        schedule.currency === currency && (!schedule.types || schedule.types.indexOf(type) >= 0)
+    ) || null
+  );
+}
+
+/**
+ * Returns the account fees in a currency are credited to
+ * @param {string} currency
+ * @returns {string|null}
+ */
+function getFeeAccount(currency) {
+  return getFeeSchedule().fee_accounts[currency] || null;
+}
+
+/**
+ * Drops the cached schedule so the next lookup reloads the schedule file
+ */
+function clearFeeScheduleCache() {
+  cachedFeeSchedule = null;
+}
+
+module.exports = {
+  findFeeSchedule,
+  getFeeAccount,
+  clearFeeScheduleCache,
+};
@@ -0,0 +1,16 @@
+const FX_RATE_SOURCES = {
+  STATIC: 'static',
+  HTTP: 'http',
+};
+
+const ROUNDING_MODES = {
+  HALF_EVEN: 'half_even',
+  HALF_UP: 'half_up',
+  UP: 'up',
+  DOWN: 'down',
+};
+
+module.exports = {
+  FX_RATE_SOURCES,
+  ROUNDING_MODES,
+};
@@ -0,0 +1,67 @@
+/**
+ * Converts an amount in minor units between currencies at a given rate, with explicit rounding
+ */
+
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const FxMessages = require('@app/messages/fx');
+const { getCurrencyExponent } = require('@app/services/utils/money');
+const { ROUNDING_MODES } = require('./constants');
+
+// Rates are applied with this many decimal places
+const RATE_PRECISION = 10;
+
+/**
+ * Rounds the quotient of a division by its remainder
+ * @type {Object<string, function(bigint, bigint, bigint): bigint>}
+ */
+const roundingFunctions = {
+  [ROUNDING_MODES.DOWN]: (quotient) => quotient,
+  [ROUNDING_MODES.UP]: (quotient, remainder) => (remainder > 0n ? quotient + 1n : quotient),
+  [ROUNDING_MODES.HALF_UP]: (quotient, remainder, divisor) =>
+    remainder * 2n >= divisor ? quotient + 1n : quotient,
+  // banker's rounding: ties go to the even neighbour so rounding errors do not accumulate one way
+  [ROUNDING_MODES.HALF_EVEN]: (quotient, remainder, divisor) => {
+    const doubled = remainder * 2n;
+
+    if (doubled === divisor) {
+      return quotient % 2n === 0n ? quotient : quotient + 1n;
+    }
+    return doubled > divisor ? quotient + 1n : quotient;
+  },
+};
+
+/**
+ * Converts an amount in minor units of one currency into minor units of another.
+ * The multiplication is done on integers so the only rounding is the one chosen by roundingMode.
+ * @param {number} amount - Amount in minor units of fromCurrency
+ * @param {number} rate - Units of toCurrency per unit of fromCurrency
+ * @param {{fromCurrency: string, toCurrency: string, roundingMode?: string}} currencies
+ * roundingMode defaults to FX_ROUNDING_MODE, or half_even when that is not set
+ * @returns {number} Amount in minor units of toCurrency
+ */
+function convertAmount(amount, rate, { fromCurrency, toCurrency, roundingMode } = {}) {
+  const mode = roundingMode || process.env.FX_ROUNDING_MODE || ROUNDING_MODES.HALF_EVEN;
+  const round = roundingFunctions[mode];
+
+  if (!round) {
+    throwAppError(FxMessages.UNSUPPORTED_ROUNDING_MODE, ERROR_CODE.APPERR, {
+      context: { rounding_mode: mode },
+    });
+  }
+
+  const exponentDifference = getCurrencyExponent(toCurrency) - getCurrencyExponent(fromCurrency);
+  const scaledRate = BigInt(rate.toFixed(RATE_PRECISION).replace('.', ''));
+
+  let dividend = BigInt(amount) * scaledRate;
+  let divisor = 10n ** BigInt(RATE_PRECISION);
+
+  if (exponentDifference > 0) {
+    dividend *= 10n ** BigInt(exponentDifference);
+  } else {
+    divisor *= 10n ** BigInt(-exponentDifference);
+  }
+
+  return Number(round(dividend / divisor, dividend % divisor, divisor));
+}
+
+module.exports = convertAmount;
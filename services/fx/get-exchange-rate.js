@@ -0,0 +1,56 @@
+/**
+ * Looks up the exchange rate between two currencies
+ */
+
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const FxMessages = require('@app/messages/fx');
+const { getRateTable } = require('./rate-provider');
+
+const spec = `root {
+  from string<trim|uppercase>
+  to string<trim|uppercase>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+// Cross rates are rounded to this many decimal places
+const RATE_PRECISION = 10;
+
+/**
+ * Returns how many units of `to` one unit of `from` buys.
+ * Pairs that do not involve the base currency are crossed through it.
+ * @param {{from: string, to: string}} serviceData
+ * @returns {Promise<{from: string, to: string, rate: number, rate_timestamp: string}>}
+ */
+async function getExchangeRate(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const rateTable = await getRateTable();
+    const fromRate = rateTable.rates[data.from];
+    const toRate = rateTable.rates[data.to];
+
+    if (!(fromRate > 0) || !(toRate > 0)) {
+      throwAppError(FxMessages.RATE_UNAVAILABLE, ERROR_CODE.NOTFOUND, {
+        context: { from: data.from, to: data.to },
+      });
+    }
+
+    result = {
+      from: data.from,
+      to: data.to,
+      rate: data.from === data.to ? 1 : Number((toRate / fromRate).toFixed(RATE_PRECISION)),
+      rate_timestamp: rateTable.timestamp,
+    };
+  } catch (error) {
+    appLogger.errorX(error, 'get-exchange-rate-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = getExchangeRate;
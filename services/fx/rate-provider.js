@@ -0,0 +1,107 @@
+/**
+ * Loads the FX rate table from the configured source and caches it
+ */
+
+const fs = require('fs');
+const path = require('path');
+const validator = require('@app-core/validator');
+const httpRequest = require('@app-core/http-request');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const FxMessages = require('@app/messages/fx');
+const { FX_RATE_SOURCES } = require('./constants');
+
+const RATE_CACHE_TTL_MILLIS = (parseInt(process.env.FX_RATE_CACHE_SECS, 10) || 300) * 1000;
+const DEFAULT_RATES_FILE = path.join(__dirname, 'rates.json');
+
+// Rates are quoted as units of each currency per one unit of the base currency
+const rateTableSpec = `root {
+  base string<trim|uppercase>
+  timestamp string
+  rates object
+}`;
+
+const parsedRateTableSpec = validator.parse(rateTableSpec);
+
+/**
+ * @typedef {Object} RateTable
+ * @property {string} base
+ * @property {string} timestamp
+ * @property {Object<string, number>} rates
+ */
+
+/**
+ * Rate table loaders, keyed by the FX_RATE_SOURCE value that selects them
+ * @type {Object<string, function(): Promise<RateTable>>}
+ */
+const rateSources = {
+  async [FX_RATE_SOURCES.STATIC]() {
+    const ratesFile = process.env.FX_RATES_FILE || DEFAULT_RATES_FILE;
+    const rateTable = JSON.parse(fs.readFileSync(ratesFile, 'utf8'));
+
+    return validator.validate(rateTable, parsedRateTableSpec);
+  },
+  async [FX_RATE_SOURCES.HTTP]() {
+    const response = await httpRequest.get(process.env.FX_RATE_SERVICE_URL, {
+      logLabel: 'FX-RATE-SERVICE',
+      responseShapeSpec: parsedRateTableSpec,
+    });
+
+    return response.data;
+  },
+};
+
+let cachedRateTable = null;
+let cachedAt = 0;
+
+/**
+ * Returns the current rate table, reloading it from the source once the cache expires
+ * @returns {Promise<RateTable>}
+ */
+async function getRateTable() {
+  const sourceName = process.env.FX_RATE_SOURCE || FX_RATE_SOURCES.STATIC;
+  const loadRateTable = rateSources[sourceName];
+
+  if (!loadRateTable) {
+    throwAppError(FxMessages.UNSUPPORTED_RATE_SOURCE, ERROR_CODE.APPERR, {
+      context: { source: sourceName },
+    });
+  }
+
+  if (!cachedRateTable || Date.now() - cachedAt >= RATE_CACHE_TTL_MILLIS) {
+    try {
+      cachedRateTable = await loadRateTable();
+      cachedAt = Date.now();
+    } catch (error) {
+      appLogger.errorX(error, 'fx-rate-source-error');
+      throwAppError(FxMessages.RATE_SOURCE_UNAVAILABLE, ERROR_CODE.HTTPREQERR, {
+        context: { source: sourceName },
+      });
+    }
+  }
+
+  return cachedRateTable;
+}
+
+/**
+ * Registers an extra rate table loader that can be selected with FX_RATE_SOURCE
+ * @param {string} sourceName
+ * @param {function(): Promise<RateTable>} loader
+ */
+function registerRateSource(sourceName, loader) {
+  rateSources[sourceName] = async () => validator.validate(await loader(), parsedRateTableSpec);
+}
+
+/**
+ * Drops the cached rate table so the next lookup reloads it
+ */
+function clearRateCache() {
+  cachedRateTable = null;
+  cachedAt = 0;
+}
+
+module.exports = {
+  getRateTable,
+  registerRateSource,
+  clearRateCache,
+};
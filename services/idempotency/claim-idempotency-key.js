@@ -0,0 +1,102 @@
+/**
+ * Claims an Idempotency-Key for a request, or returns the response stored for it
+ */
+
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const IdempotencyKey = require('@app/repository/idempotency-key');
+const IdempotencyMessages = require('@app/messages/idempotency');
+const { IDEMPOTENCY_KEY_STATUS, IDEMPOTENCY_PROCESSING_LEASE_SECS } = require('./constants');
+
+const spec = `root {
+  key string<trim|minLength:1|maxLength:255>
+  scope string
+  fingerprint string
+  ttl_secs number<min:1>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * @typedef {Object} IdempotencyClaim
+ * @property {boolean} is_replay - Whether the key was already used for a completed request
+ * @property {string} [claim_id] - The id of the claimed key, to store the response against
+ * @property {{status_code: number, headers: Object, body: Object}} [response] - The stored
+ * response of a replay
+ */
+
+/**
+ * Claims the key for the current request.
+ * A key used with a different request fingerprint is rejected, and so is a key whose first
+ * request has not completed yet. Expired keys, and keys whose processing lease ran out, are
+ * released and claimed afresh.
+ * @param {Object} serviceData
+ * @returns {Promise<IdempotencyClaim>}
+ */
+async function claimIdempotencyKey(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const now = Date.now();
+    let existingKey = await IdempotencyKey.findOne({
+      query: { key: data.key, scope: data.scope },
+    });
+
+    const isLeaseExpired =
+      existingKey?.status === IDEMPOTENCY_KEY_STATUS.PROCESSING &&
+      existingKey.lease_expires_at <= now;
+
+    if (existingKey && (existingKey.expires_at <= now || isLeaseExpired)) {
+      // the status guard keeps a key that completed in the meantime
+      await IdempotencyKey.deleteOne({
+        query: { _id: existingKey._id, status: existingKey.status },
+      });
+      appLogger.warn(
+        { key: data.key, scope: data.scope, status: existingKey.status },
+        'idempotency-key-released'
+      );
+      existingKey = null;
+    }
+
+    if (existingKey) {
+      if (existingKey.fingerprint !== data.fingerprint) {
+        throwAppError(IdempotencyMessages.KEY_REUSED, ERROR_CODE.IDEMPOTENCYERR);
+      }
+
+      if (existingKey.status !== IDEMPOTENCY_KEY_STATUS.COMPLETED) {
+        throwAppError(IdempotencyMessages.REQUEST_IN_PROGRESS, ERROR_CODE.DUPLRCRD);
+      }
+
+      appLogger.info({ key: data.key, scope: data.scope }, 'idempotent-request-replayed');
+      result = {
+        is_replay: true,
+        response: {
+          status_code: existingKey.response_status_code,
+          headers: existingKey.response_headers || {},
+          body: existingKey.response_body,
+        },
+      };
+    } else {
+      // a concurrent claim of the same key fails the unique index with a DUPLRCRD error
+      const claimedKey = await IdempotencyKey.create({
+        key: data.key,
+        scope: data.scope,
+        fingerprint: data.fingerprint,
+        status: IDEMPOTENCY_KEY_STATUS.PROCESSING,
+        lease_expires_at: now + IDEMPOTENCY_PROCESSING_LEASE_SECS * 1000,
+        expires_at: now + data.ttl_secs * 1000,
+      });
+
+      result = { is_replay: false, claim_id: claimedKey._id };
+    }
+  } catch (error) {
+    appLogger.errorX(error, 'claim-idempotency-key-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = claimIdempotencyKey;
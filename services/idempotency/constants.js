@@ -0,0 +1,19 @@
+const IDEMPOTENCY_KEY_STATUS = {
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+};
+
+// Keys are kept for a day unless IDEMPOTENCY_KEY_TTL_SECS says otherwise
+const DEFAULT_IDEMPOTENCY_KEY_TTL_SECS =
+  parseInt(process.env.IDEMPOTENCY_KEY_TTL_SECS, 10) || 86400;
+
+// A key left processing by a request that never completed, e.g. after a crash, can be claimed
+// again once this lease runs out
+const IDEMPOTENCY_PROCESSING_LEASE_SECS =
+  parseInt(process.env.IDEMPOTENCY_PROCESSING_LEASE_SECS, 10) || 60;
+
+module.exports = {
+  IDEMPOTENCY_KEY_STATUS,
+  DEFAULT_IDEMPOTENCY_KEY_TTL_SECS,
+  IDEMPOTENCY_PROCESSING_LEASE_SECS,
+};
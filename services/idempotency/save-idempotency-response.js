@@ -0,0 +1,59 @@
+/**
+ * Stores the response sent for an idempotent request so that replays can return it
+ */
+
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const IdempotencyKey = require('@app/repository/idempotency-key');
+const { IDEMPOTENCY_KEY_STATUS } = require('./constants');
+
+const spec = `root {
+  key string
+  scope string
+  claim_id string
+  status_code number
+  headers? object
+  body? any
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Completes a claimed key with the response sent for it: status code, headers and body, so that
+ * a replay gets exactly the same response.
+ * Only successful responses are stored. A 4xx rejection is raised before the request changes
+ * anything, and a 5xx is usually transient (the services roll their session back on errors), so
+ * the key is released for the client to retry rather than locked to the failure for its lifetime.
+ * @param {Object} serviceData
+ */
+async function saveIdempotencyResponse(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  // the claim id keeps a request whose lease ran out from completing the claim that replaced it
+  const query = {
+    _id: data.claim_id,
+    key: data.key,
+    scope: data.scope,
+    status: IDEMPOTENCY_KEY_STATUS.PROCESSING,
+  };
+
+  try {
+    if (data.status_code >= 400) {
+      await IdempotencyKey.deleteOne({ query });
+    } else {
+      await IdempotencyKey.updateOne({
+        query,
+        updateValues: {
+          status: IDEMPOTENCY_KEY_STATUS.COMPLETED,
+          response_status_code: data.status_code,
+          response_headers: data.headers,
+          response_body: data.body,
+        },
+      });
+    }
+  } catch (error) {
+    appLogger.errorX(error, 'save-idempotency-response-error');
+    throw error;
+  }
+}
+
+module.exports = saveIdempotencyResponse;
@@ -0,0 +1,195 @@
+/**
+ * Checks a transfer against the limits of the debited account's tier
+ */
+
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const Transaction = require('@app/repository/transaction');
+const PaymentMessages = require('@app/messages/payment');
+const { formatMinorUnits } = require('@app/services/utils/money');
+const {
+  STATUS_CODES,
+  TRANSACTION_STATUS,
+  TRANSFER_INSTRUCTION_TYPES,
+} = require('@app/services/payment/constants');
+const { getTierRules, resolveTier } = require('./tier-config');
+const { LIMIT_RULES, LIMIT_WINDOWS } = require('./constants');
+
+const spec = `root {
+  account_id string
+  tier? string<trim|lowercase>
+  amount number<min:1>
+  fees? number<min:0>
+  currency string<uppercase>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * The status code and message a violation of each rule is reported with
+ */
+const RULE_OUTCOMES = {
+  [LIMIT_RULES.MAX_PER_TRANSACTION]: {
+    status_code: STATUS_CODES.LIMIT_PER_TRANSACTION,
+    message: PaymentMessages.LIMIT_PER_TRANSACTION,
+  },
+  [LIMIT_RULES.DAILY_AMOUNT]: {
+    status_code: STATUS_CODES.LIMIT_DAILY_AMOUNT,
+    message: PaymentMessages.LIMIT_DAILY_AMOUNT,
+  },
+  [LIMIT_RULES.MONTHLY_AMOUNT]: {
+    status_code: STATUS_CODES.LIMIT_MONTHLY_AMOUNT,
+    message: PaymentMessages.LIMIT_MONTHLY_AMOUNT,
+  },
+  [LIMIT_RULES.VELOCITY]: {
+    status_code: STATUS_CODES.LIMIT_VELOCITY,
+    message: PaymentMessages.LIMIT_VELOCITY,
+  },
+};
+
+/**
+ * @typedef {Object} LimitUsage
+ * @property {string} rule - One of LIMIT_RULES
+ * @property {string} window - transaction, day, month, or the velocity window in seconds (e.g. "3600s")
+ * @property {string|number} limit - Amounts are decimals in the transfer currency; counts are numbers
+ * @property {string|number} used - What the account has used in the window before this transfer
+ * @property {string|number} headroom - What is left in the window before this transfer
+ */
+
+/**
+ * Sums the outgoing transfers the account has executed in the currency this day and this month,
+ * with the fees charged on them
+ * @returns {Promise<{day: number, month: number}>} amounts in minor units
+ */
+async function getAmountUsage(data, dayStart, monthStart, session) {
+  const [usage] = await Transaction.raw()
+    .aggregate([
+      {
+        $match: {
+          debit_account: data.account_id,
+          currency: data.currency,
+          status: TRANSACTION_STATUS.SUCCESSFUL,
+          type: { $in: TRANSFER_INSTRUCTION_TYPES },
+          executed: { $gte: monthStart },
+        },
+      },
+      { $addFields: { debited: { $add: ['$amount', { $ifNull: ['$fee_total', 0] }] } } },
+      {
+        $group: {
+          _id: null,
+          month: { $sum: { $cond: [{ $gte: ['$executed', monthStart] }, '$debited', 0] } },
+          day: { $sum: { $cond: [{ $gte: ['$executed', dayStart] }, '$debited', 0] } },
+        },
+      },
+    ])
+    .session(session || null);
+
+  return { day: usage?.day || 0, month: usage?.month || 0 };
+}
+
+/**
+ * Counts the outgoing transfers the account has executed in the currency since a time
+ */
+async function countTransfersSince(accountId, currency, since, session) {
+  return Transaction.raw()
+    .countDocuments({
+      debit_account: accountId,
+      currency,
+      status: TRANSACTION_STATUS.SUCCESSFUL,
+      type: { $in: TRANSFER_INSTRUCTION_TYPES },
+      executed: { $gte: since },
+    })
+    .session(session || null);
+}
+
+/**
+ * Evaluates every rule of the account's tier for a transfer, in the order per-transaction cap,
+ * daily cap, monthly cap, velocity. The amount caps count the fees with the amount, since both
+ * leave the account. Caps are set per currency, so only usage in the transfer currency counts.
+ * The first rule the transfer breaks is thrown as a LIMITERR whose details carry the rule, its
+ * status code and the headroom left.
+ * @param {{account_id: string, tier?: string, amount: number, fees?: number, currency: string}} serviceData
+ * amount and fees are in minor units of currency
+ * @param {{session?: import('mongoose').ClientSession}} [options]
+ * @returns {Promise<{tier: string, limits: LimitUsage[]}>} the usage of every rule that applies
+ */
+async function checkTransferLimits(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  const tier = resolveTier(data.tier);
+  const rules = getTierRules(tier);
+  const limits = [];
+
+  const debited = data.amount + (data.fees || 0);
+  const formatAmount = (amount) => formatMinorUnits(amount, data.currency);
+  const amountUsage = (rule, window, limit, used) => ({
+    rule,
+    window,
+    limit: formatAmount(limit),
+    used: formatAmount(used),
+    headroom: formatAmount(Math.max(limit - used, 0)),
+    exceeded: used + debited > limit,
+  });
+
+  const perTransactionCap = rules.max_per_transaction?.[data.currency];
+  if (perTransactionCap) {
+    limits.push(
+      amountUsage(LIMIT_RULES.MAX_PER_TRANSACTION, LIMIT_WINDOWS.TRANSACTION, perTransactionCap, 0)
+    );
+  }
+
+  const dailyCap = rules.daily_amount?.[data.currency];
+  const monthlyCap = rules.monthly_amount?.[data.currency];
+
+  if (dailyCap || monthlyCap) {
+    const now = new Date();
+    const dayStart = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+    const monthStart = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1);
+    const usage = await getAmountUsage(data, dayStart, monthStart, options.session);
+
+    if (dailyCap) {
+      limits.push(amountUsage(LIMIT_RULES.DAILY_AMOUNT, LIMIT_WINDOWS.DAY, dailyCap, usage.day));
+    }
+    if (monthlyCap) {
+      limits.push(
+        amountUsage(LIMIT_RULES.MONTHLY_AMOUNT, LIMIT_WINDOWS.MONTH, monthlyCap, usage.month)
+      );
+    }
+  }
+
+  const velocityRules = rules.velocity || [];
+  for (let i = 0; i < velocityRules.length; i++) {
+    const { window_secs: windowSecs, max_count: maxCount } = velocityRules[i];
+    // eslint-disable-next-line no-await-in-loop
+    const count = await countTransfersSince(
+      data.account_id,
+      data.currency,
+      Date.now() - windowSecs * 1000,
+      options.session
+    );
+
+    limits.push({
+      rule: LIMIT_RULES.VELOCITY,
+      window: `${windowSecs}s`,
+      limit: maxCount,
+      used: count,
+      headroom: Math.max(maxCount - count, 0),
+      exceeded: count + 1 > maxCount,
+    });
+  }
+
+  const violation = limits.find((limit) => limit.exceeded);
+
+  if (violation) {
+    const { status_code: statusCode, message } = RULE_OUTCOMES[violation.rule];
+    const { exceeded, ...usage } = violation;
+
+    throwAppError(message, ERROR_CODE.LIMITERR, {
+      context: { account_id: data.account_id, tier },
+      details: { status_code: statusCode, currency: data.currency, ...usage },
+    });
+  }
+
+  return { tier, limits: limits.map(({ exceeded, ...usage }) => usage) };
+}
+
+module.exports = checkTransferLimits;
@@ -0,0 +1,19 @@
+// Rule types that can be declared for an account tier in the tiers file
+const LIMIT_RULES = {
+  MAX_PER_TRANSACTION: 'max_per_transaction',
+  DAILY_AMOUNT: 'daily_amount',
+  MONTHLY_AMOUNT: 'monthly_amount',
+  VELOCITY: 'velocity',
+};
+
+// Windows the amount caps are counted over, in UTC
+const LIMIT_WINDOWS = {
+  TRANSACTION: 'transaction',
+  DAY: 'day',
+  MONTH: 'month',
+};
+
+module.exports = {
+  LIMIT_RULES,
+  LIMIT_WINDOWS,
+};
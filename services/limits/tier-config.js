@@ -0,0 +1,150 @@
+/**
+ * Loads the transfer limits declared per account tier
+ */
+
+const fs = require('fs');
+const path = require('path');
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const LimitMessages = require('@app/messages/limits');
+const { toMinorUnits } = require('@app/services/utils/money');
+const { LIMIT_RULES } = require('./constants');
+
+const DEFAULT_TIERS_FILE = path.join(__dirname, 'tiers.json');
+
+// Each tier maps rule names to their settings. Amount caps are decimal strings keyed by currency;
+// a currency left out of a cap is not capped by it
+const tierConfigSpec = `root {
+  default_tier string<trim|lowercase>
+  tiers object
+}`;
+
+const velocityRuleSpec = `root {
+  window_secs number<min:1>
+  max_count number<min:1>
+}`;
+
+const parsedTierConfigSpec = validator.parse(tierConfigSpec);
+const parsedVelocityRuleSpec = validator.parse(velocityRuleSpec);
+
+/**
+ * @typedef {Object} TierRules
+ * @property {Object<string, number>} [max_per_transaction] - Caps in minor units, by currency
+ * @property {Object<string, number>} [daily_amount]
+ * @property {Object<string, number>} [monthly_amount]
+ * @property {{window_secs: number, max_count: number}[]} [velocity]
+ */
+
+/**
+ * Converts the amount caps of a rule to minor units
+ * @returns {Object<string, number>}
+ */
+function toMinorUnitCaps(caps, tier, rule) {
+  return Object.keys(caps).reduce((converted, currency) => {
+    const cap = toMinorUnits(caps[currency], currency);
+
+    if (cap === null || cap <= 0) {
+      throwAppError(LimitMessages.INVALID_TIER_CONFIG, ERROR_CODE.APPERR, {
+        context: { tier, rule, currency },
+      });
+    }
+
+    return { ...converted, [currency.toUpperCase()]: cap };
+  }, {});
+}
+
+/**
+ * Validates the rules of a tier and converts its amount caps to minor units
+ * @returns {TierRules}
+ */
+function parseTierRules(tier, rules) {
+  return Object.keys(rules).reduce((parsed, rule) => {
+    let parsedRule;
+
+    if (rule === LIMIT_RULES.VELOCITY) {
+      parsedRule = rules[rule].map((velocityRule) =>
+        validator.validate(velocityRule, parsedVelocityRuleSpec)
+      );
+    } else if (Object.values(LIMIT_RULES).indexOf(rule) >= 0) {
+      parsedRule = toMinorUnitCaps(rules[rule], tier, rule);
+    } else {
+      throwAppError(LimitMessages.INVALID_TIER_CONFIG, ERROR_CODE.APPERR, {
+        context: { tier, rule },
+      });
+    }
+
+    return { ...parsed, [rule]: parsedRule };
+  }, {});
+}
+
+let cachedTierConfig = null;
+
+/**
+ * Returns the tier configuration from ACCOUNT_TIERS_FILE, or the bundled tiers.json
+ * @returns {{default_tier: string, tiers: Object<string, TierRules>}}
+ */
+function getTierConfig() {
+  if (!cachedTierConfig) {
+    const tiersFile = process.env.ACCOUNT_TIERS_FILE || DEFAULT_TIERS_FILE;
+    const config = validator.validate(
+      JSON.parse(fs.readFileSync(tiersFile, 'utf8')),
+      parsedTierConfigSpec
+    );
+
+    if (!config.tiers[config.default_tier]) {
+      throwAppError(LimitMessages.INVALID_TIER_CONFIG, ERROR_CODE.APPERR, {
+        context: { default_tier: config.default_tier },
+      });
+    }
+
+    cachedTierConfig = {
+      default_tier: config.default_tier,
+      tiers: Object.keys(config.tiers).reduce(
+        (tiers, tier) => ({ ...tiers, [tier]: parseTierRules(tier, config.tiers[tier]) }),
+        {}
+      ),
+    };
+  }
+
+  return cachedTierConfig;
+}
+
+/**
+ * Returns the name of an existing tier, falling back to the default tier when none is given
+ * @param {string} [tier]
+ * @returns {string}
+ */
+function resolveTier(tier) {
+  const config = getTierConfig();
+  const tierName = tier || config.default_tier;
+
+  if (!config.tiers[tierName]) {
+    throwAppError(LimitMessages.UNKNOWN_ACCOUNT_TIER, ERROR_CODE.VALIDATIONERR, {
+      context: { tier: tierName },
+    });
+  }
+
+  return tierName;
+}
+
+/**
+ * Returns the limit rules of a tier
+ * @param {string} [tier] - Defaults to the default tier
+ * @returns {TierRules}
+ */
+function getTierRules(tier) {
+  return getTierConfig().tiers[resolveTier(tier)];
+}
+
+/**
+ * Drops the cached configuration so the next lookup reloads the tiers file
+ */
+function clearTierConfigCache() {
+  cachedTierConfig = null;
+}
+
+module.exports = {
+  getTierRules,
+  resolveTier,
+  clearTierConfigCache,
+};
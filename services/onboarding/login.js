@@ -1,24 +1,133 @@
 const validator = require('@app-core/validator');
-const { echoLoginValidation } = require('@app/workers');
-// const { throwAppError } = require('@app-core/errors');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const { hash } = require('@app-core/security');
+const { issueTokenPair } = require('@app-core/jwt');
+const { ulid } = require('@app-core/randomness');
+const User = require('@app/repository/user');
+const LoginEvent = require('@app/repository/login-event');
+const AuthenticationMessages = require('@app/messages/authentication');
+const { getUserClaims } = require('@app/services/auth/user-claims');
+const {
+  USER_STATUS,
+  LOGIN_OUTCOMES,
+  MAX_FAILED_LOGIN_ATTEMPTS,
+  LOGIN_LOCKOUT_SECS,
+} = require('@app/services/auth/constants');
 
 // Spec for login service
 const loginSpec = `root {
-  username any
+  username string<trim|lowercase|minLength:3|maxLength:64>
+  password string<minLength:8|maxLength:72>
+  ip? string
+  user_agent? string
 }`;
 
 // Parse the spec outside the service function
 const parsedLoginSpec = validator.parse(loginSpec);
 
+let unknownUserPasswordHash;
+
+/**
+ * Returns a hash to compare passwords against when the username is unknown, so that unknown and
+ * known usernames take as long to reject
+ */
+async function getUnknownUserPasswordHash() {
+  if (!unknownUserPasswordHash) {
+    unknownUserPasswordHash = await hash.createBHash(ulid());
+  }
+  return unknownUserPasswordHash;
+}
+
+/**
+ * Counts a failed attempt against the user, locking them out once they reach the limit
+ * @returns {Promise<boolean>} whether the user is now locked out
+ */
+async function recordFailedAttempt(user) {
+  const failedAttempts = (user.failed_login_attempts || 0) + 1;
+  const isLockedOut = failedAttempts >= MAX_FAILED_LOGIN_ATTEMPTS;
+
+  await User.updateOne({
+    query: { _id: user._id },
+    updateValues: isLockedOut
+      ? { failed_login_attempts: 0, locked_until: Date.now() + LOGIN_LOCKOUT_SECS * 1000 }
+      : { $inc: { failed_login_attempts: 1 } },
+  });
+
+  return isLockedOut;
+}
+
+/**
+ * Logs a user in with their username and password and issues an access/refresh token pair.
+ * Every attempt is recorded as a login event. The password is checked first, and a wrong
+ * password, an unknown username and a locked out user all get the same AUTHERR, so a failed
+ * login tells nothing about the username, and a lockout cannot be used to try passwords.
+ * Too many failures in a row lock the user out for a while; deactivated users who give the
+ * right password are told they cannot log in (INACTIVEACCT).
+ */
 async function login(serviceData) {
-  echoLoginValidation.scheduleJob(
-    { data: serviceData, spec: parsedLoginSpec },
-    { delay: 1000, repeat: { every: 5000, limit: 3 } }
-  );
   // Validate incoming data
   const validatedData = validator.validate(serviceData, parsedLoginSpec);
+  let response;
+
+  const event = {
+    username: validatedData.username,
+    ip: validatedData.ip,
+    user_agent: validatedData.user_agent,
+  };
+
+  try {
+    const user = await User.findOne({ query: { username: validatedData.username } });
+    event.user_id = user?._id;
+
+    // unknown usernames are compared against a dummy hash, so they take as long to reject
+    const isPasswordValid = await hash.validateBHash(
+      validatedData.password,
+      user ? user.password_hash : await getUnknownUserPasswordHash()
+    );
+    const isLockedOut = user?.locked_until > Date.now();
+
+    if (!user || !isPasswordValid || isLockedOut) {
+      event.outcome = isLockedOut ? LOGIN_OUTCOMES.LOCKED : LOGIN_OUTCOMES.FAILED;
+
+      // attempts made while locked out do not count, so they cannot extend the lockout
+      if (user && !isLockedOut && (await recordFailedAttempt(user))) {
+        event.outcome = LOGIN_OUTCOMES.LOCKED;
+      }
+
+      throwAppError(AuthenticationMessages.INVALID_CREDENTIALS, ERROR_CODE.AUTHERR);
+    }
+
+    if (user.status === USER_STATUS.INACTIVE) {
+      event.outcome = LOGIN_OUTCOMES.INACTIVE;
+      throwAppError(AuthenticationMessages.ACCOUNT_INACTIVE, ERROR_CODE.INACTIVEACCT);
+    }
+
+    await User.updateOne({
+      query: { _id: user._id },
+      updateValues: { failed_login_attempts: 0, locked_until: null, last_login: Date.now() },
+    });
+
+    const tokens = await issueTokenPair({
+      subject: user._id,
+      claims: getUserClaims(user),
+    });
+
+    event.outcome = LOGIN_OUTCOMES.SUCCESS;
+    response = {
+      user: { id: user._id, username: user.username },
+      ...tokens,
+    };
+  } catch (error) {
+    appLogger.errorX(error, 'login-error');
+    throw error;
+  } finally {
+    if (event.outcome) {
+      await LoginEvent.create(event);
+    }
+  }
 
-  return validatedData;
+  return response;
 }
 
 module.exports = login;
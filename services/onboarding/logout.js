@@ -0,0 +1,33 @@
+const validator = require('@app-core/validator');
+const { revokeToken } = require('@app-core/jwt');
+const { appLogger } = require('@app-core/logger');
+
+// refresh_token is optional so a client that lost it can still end its access token
+const spec = `root {
+  access_token string<trim>
+  refresh_token? string<trim>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Logs a user out by revoking their access token and, when given, their refresh token family
+ */
+async function logout(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+
+  try {
+    await revokeToken({ token: data.access_token });
+
+    if (data.refresh_token) {
+      await revokeToken({ token: data.refresh_token });
+    }
+  } catch (error) {
+    appLogger.errorX(error, 'logout-error');
+    throw error;
+  }
+
+  return { revoked: true };
+}
+
+module.exports = logout;
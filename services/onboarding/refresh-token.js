@@ -0,0 +1,35 @@
+const validator = require('@app-core/validator');
+const { rotateRefreshToken } = require('@app-core/jwt');
+const { appLogger } = require('@app-core/logger');
+const { loadUserClaims } = require('@app/services/auth/user-claims');
+
+const spec = `root {
+  refresh_token string<trim>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Exchanges a refresh token for a new access/refresh token pair. The user is loaded on every
+ * rotation, so new access tokens carry their current scopes, and deactivated or locked out
+ * users get none.
+ * @returns {Promise<import('@app-core/jwt/token-pair').TokenPair>}
+ */
+async function refreshToken(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let response;
+
+  try {
+    response = await rotateRefreshToken({
+      refresh_token: data.refresh_token,
+      loadClaims: loadUserClaims,
+    });
+  } catch (error) {
+    appLogger.errorX(error, 'refresh-token-error');
+    throw error;
+  }
+
+  return response;
+}
+
+module.exports = refreshToken;
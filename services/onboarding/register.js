@@ -0,0 +1,52 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const { hash } = require('@app-core/security');
+const User = require('@app/repository/user');
+const AuthenticationMessages = require('@app/messages/authentication');
+const { DEFAULT_USER_SCOPES, USER_STATUS } = require('@app/services/auth/constants');
+
+// bcrypt only reads the first 72 bytes of a password, so longer ones are refused
+const spec = `root {
+  username string<trim|lowercase|minLength:3|maxLength:64>
+  password string<minLength:8|maxLength:72>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Registers a user with a bcrypt hash of their password
+ */
+async function register(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const existingUser = await User.findOne({ query: { username: data.username } });
+
+    if (existingUser) {
+      throwAppError(AuthenticationMessages.USERNAME_TAKEN, ERROR_CODE.DUPLRCRD);
+    }
+
+    const user = await User.create({
+      username: data.username,
+      password_hash: await hash.createBHash(data.password),
+      status: USER_STATUS.ACTIVE,
+      scopes: DEFAULT_USER_SCOPES,
+      failed_login_attempts: 0,
+    });
+
+    result = {
+      id: user._id,
+      username: user.username,
+      created: user.created,
+    };
+  } catch (error) {
+    appLogger.errorX(error, 'register-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = register;
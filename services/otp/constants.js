@@ -0,0 +1,21 @@
+const OTP_STATUS = {
+  PENDING: 'pending',
+  VERIFIED: 'verified',
+  SUPERSEDED: 'superseded',
+};
+
+const OTP_PURPOSES = {
+  ACCOUNT_ACTIVATION: 'account-activation',
+};
+
+const OTP_LENGTH = parseInt(process.env.OTP_LENGTH, 10) || 6;
+const OTP_TTL_SECS = parseInt(process.env.OTP_TTL_SECS, 10) || 600;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5;
+
+module.exports = {
+  OTP_STATUS,
+  OTP_PURPOSES,
+  OTP_LENGTH,
+  OTP_TTL_SECS,
+  OTP_MAX_ATTEMPTS,
+};
@@ -0,0 +1,92 @@
+/**
+ * Sends a one-time code to an email address with the account-activation template
+ */
+
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const { hash } = require('@app-core/security');
+const { randomNumbers } = require('@app-core/randomness');
+const { emailNotification } = require('@app/notification');
+const { TEMPLATES } = require('@app/notification/helpers/constants');
+const Notification = require('@app/repository/notification');
+const Otp = require('@app/repository/otp');
+const OtpMessages = require('@app/messages/otp');
+const { OTP_STATUS, OTP_PURPOSES, OTP_LENGTH, OTP_TTL_SECS } = require('./constants');
+
+const spec = `root {
+  email string<trim|lowercase|isEmail>
+  name? string<trim|maxLength:100>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Generates a numeric code of OTP_LENGTH digits, keeping leading zeros
+ */
+function generateCode() {
+  return String(randomNumbers(0, 10 ** OTP_LENGTH)).padStart(OTP_LENGTH, '0');
+}
+
+/**
+ * Sends a new code, replacing any code sent to the address before. Resends are throttled by
+ * the nextResendTimestamp of the notification the previous code went out with.
+ */
+async function requestOtp(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let response;
+
+  try {
+    const purpose = OTP_PURPOSES.ACCOUNT_ACTIVATION;
+    const existingNotification = await Notification.findOne({
+      query: { recipient: data.email, context: purpose },
+    });
+
+    if (existingNotification?.nextResendTimestamp > Date.now()) {
+      throwAppError(OtpMessages.OTP_RESEND_TOO_SOON, ERROR_CODE.RTLIMERR, {
+        context: {
+          retry_after: Math.ceil((existingNotification.nextResendTimestamp - Date.now()) / 1000),
+        },
+      });
+    }
+
+    const code = generateCode();
+    const expiresAt = Date.now() + OTP_TTL_SECS * 1000;
+
+    await Otp.updateMany({
+      query: { recipient: data.email, purpose, status: OTP_STATUS.PENDING },
+      updateValues: { status: OTP_STATUS.SUPERSEDED },
+    });
+    await Otp.create({
+      recipient: data.email,
+      purpose,
+      code_hash: await hash.createBHash(code),
+      status: OTP_STATUS.PENDING,
+      attempts: 0,
+      expires_at: expiresAt,
+    });
+
+    const notification = await emailNotification.send({
+      template: TEMPLATES.ACCOUNT_ACTIVATION,
+      recipient: data.email,
+      subject: 'Verify your email address',
+      payload: { otp: code, name: data.name || data.email, app_name: process.env.APP_NAME },
+      userId: data.email,
+      context: purpose,
+      existingNotification: existingNotification || undefined,
+    });
+
+    response = {
+      email: data.email,
+      expires_at: expiresAt,
+      resend_after: notification.nextResendTimestamp,
+    };
+  } catch (error) {
+    appLogger.errorX(error, 'request-otp-error');
+    throw error;
+  }
+
+  return response;
+}
+
+module.exports = requestOtp;
@@ -0,0 +1,84 @@
+/**
+ * Checks a one-time code sent by requestOtp
+ */
+
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const { hash } = require('@app-core/security');
+const Otp = require('@app/repository/otp');
+const OtpMessages = require('@app/messages/otp');
+const { OTP_STATUS, OTP_PURPOSES, OTP_MAX_ATTEMPTS } = require('./constants');
+
+const spec = `root {
+  email string<trim|lowercase|isEmail>
+  otp string<trim|minLength:4|maxLength:10>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Verifies the pending code of an email address. Every attempt counts against OTP_MAX_ATTEMPTS,
+ * after which the code can no longer be verified and a new one has to be requested.
+ */
+async function verifyOtp(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let response;
+
+  try {
+    const otp = await Otp.findOne({
+      query: {
+        recipient: data.email,
+        purpose: OTP_PURPOSES.ACCOUNT_ACTIVATION,
+        status: OTP_STATUS.PENDING,
+      },
+    });
+
+    if (!otp || otp.expires_at <= Date.now()) {
+      throwAppError(OtpMessages.OTP_EXPIRED, ERROR_CODE.VALIDATIONERR);
+    }
+
+    // the attempt is counted before the code is compared, so parallel guesses cannot get past
+    // the limit
+    const attemptUpdate = await Otp.updateOne({
+      query: { _id: otp._id, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+      updateValues: { $inc: { attempts: 1 } },
+    });
+
+    if (!attemptUpdate.modifiedCount) {
+      throwAppError(OtpMessages.OTP_ATTEMPTS_EXCEEDED, ERROR_CODE.RTLIMERR);
+    }
+
+    const isCodeValid = await hash.validateBHash(data.otp, otp.code_hash);
+
+    if (!isCodeValid) {
+      throwAppError(OtpMessages.INVALID_OTP, ERROR_CODE.VALIDATIONERR, {
+        context: { attempts_remaining: Math.max(OTP_MAX_ATTEMPTS - otp.attempts - 1, 0) },
+      });
+    }
+
+    const verifiedAt = Date.now();
+    const verification = await Otp.updateOne({
+      query: { _id: otp._id, status: OTP_STATUS.PENDING },
+      updateValues: { status: OTP_STATUS.VERIFIED, verified_at: verifiedAt },
+    });
+
+    // a code can only be used once
+    if (!verification.modifiedCount) {
+      throwAppError(OtpMessages.OTP_EXPIRED, ERROR_CODE.VALIDATIONERR);
+    }
+
+    response = {
+      email: data.email,
+      verified: true,
+      verified_at: verifiedAt,
+    };
+  } catch (error) {
+    appLogger.errorX(error, 'verify-otp-error');
+    throw error;
+  }
+
+  return response;
+}
+
+module.exports = verifyOtp;
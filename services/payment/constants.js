@@ -0,0 +1,79 @@
+const { getConfiguredCurrencies } = require('@app/services/utils/money');
+
+// Status codes
+const STATUS_CODES = {
+  SUCCESS: 'AP00',
+  PENDING: 'AP01',
+  CURRENCY_MISMATCH: 'CU01',
+  UNSUPPORTED_CURRENCY: 'CU02',
+  INSUFFICIENT_FUNDS: 'AC01',
+  SAME_ACCOUNT: 'AC02',
+  ACCOUNT_NOT_FOUND: 'AC03',
+  INVALID_ACCOUNT_ID: 'AC04',
+  ACCOUNT_NOT_OWNED: 'AC05',
+  INVALID_AMOUNT: 'AM01',
+  INVALID_DATE: 'DT01',
+  MALFORMED_INSTRUCTION: 'SY01',
+  MISSING_KEYWORD: 'SY01',
+  INVALID_KEYWORD_ORDER: 'SY02',
+  UNPARSEABLE_INSTRUCTION: 'SY03',
+  UNSUPPORTED_INSTRUCTION: 'SY04',
+  FX_RATE_UNAVAILABLE: 'FX01',
+  FX_AMOUNT_TOO_SMALL: 'FX02',
+  REVERSAL_SUCCESSFUL: 'RV00',
+  REVERSAL_NOT_ALLOWED: 'RV01',
+  ALREADY_REVERSED: 'RV02',
+  REVERSAL_EXCEEDS_REMAINING: 'RV03',
+  FEE_REFUND_UNAVAILABLE: 'RV04',
+  LIMIT_PER_TRANSACTION: 'LM01',
+  LIMIT_DAILY_AMOUNT: 'LM02',
+  LIMIT_MONTHLY_AMOUNT: 'LM03',
+  LIMIT_VELOCITY: 'LM04',
+  FEE_ERROR: 'FE01',
+};
+
+// Instruction types, named after the verb the instruction starts with
+const INSTRUCTION_TYPES = {
+  DEBIT: 'DEBIT',
+  CREDIT: 'CREDIT',
+  TRANSFER: 'TRANSFER',
+  REVERSE: 'REVERSE',
+};
+
+// Instruction types that move funds between two accounts
+const TRANSFER_INSTRUCTION_TYPES = [
+  INSTRUCTION_TYPES.DEBIT,
+  INSTRUCTION_TYPES.CREDIT,
+  INSTRUCTION_TYPES.TRANSFER,
+];
+
+const TRANSACTION_STATUS = {
+  SUCCESSFUL: 'successful',
+  PENDING: 'pending',
+  FAILED: 'failed',
+};
+
+// A currency is supported once it has an exponent, so one set up through CURRENCY_EXPONENTS is too
+const SUPPORTED_CURRENCIES = getConfiguredCurrencies();
+
+const BATCH_STATUS = {
+  COMPLETED: 'completed',
+  ROLLED_BACK: 'rolled_back',
+};
+
+const MAX_BATCH_SIZE = 100;
+
+// How often due pending transactions are handed to the scheduler again, unless
+// PENDING_SWEEP_INTERVAL_SECS says otherwise
+const PENDING_SWEEP_INTERVAL_SECS = parseInt(process.env.PENDING_SWEEP_INTERVAL_SECS, 10) || 300;
+
+module.exports = {
+  STATUS_CODES,
+  INSTRUCTION_TYPES,
+  TRANSFER_INSTRUCTION_TYPES,
+  TRANSACTION_STATUS,
+  SUPPORTED_CURRENCIES,
+  BATCH_STATUS,
+  MAX_BATCH_SIZE,
+  PENDING_SWEEP_INTERVAL_SECS,
+};
@@ -0,0 +1,306 @@
+/**
+ * Executes a pending payment instruction once its execute_by date is reached
+ */
+
+const validator = require('@app-core/validator');
+const { createSession } = require('@app-core/mongoose');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const Account = require('@app/repository/account');
+const Transaction = require('@app/repository/transaction');
+const PaymentMessages = require('@app/messages/payment');
+const FxMessages = require('@app/messages/fx');
+const getExchangeRate = require('@app/services/fx/get-exchange-rate');
+const convertAmount = require('@app/services/fx/convert-amount');
+const checkTransferLimits = require('@app/services/limits/check-transfer-limits');
+const { calculateFees } = require('@app/services/fees/calculate-fees');
+const postLedgerTransfer = require('./post-ledger-transfer');
+const { STATUS_CODES, TRANSACTION_STATUS } = require('./constants');
+
+const spec = `root {
+  transaction_id string<trim>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Re-runs the account checks against the current stored balances.
+ * The accounts may have changed since the instruction was accepted as pending.
+ * @param {number} feeTotal - The fees debited on top of the amount
+ * @returns {{status_code: string, status_reason: string}|null} the failure, if any
+ */
+function checkAccounts(transaction, debitAccount, creditAccount, feeTotal) {
+  let failure = null;
+
+  if (!debitAccount || !creditAccount) {
+    failure = {
+      status_code: STATUS_CODES.ACCOUNT_NOT_FOUND,
+      status_reason: PaymentMessages.ACCOUNT_NOT_FOUND,
+    };
+  } else if (
+    debitAccount.currency !== transaction.currency ||
+    creditAccount.currency !== (transaction.credit_currency || transaction.currency)
+  ) {
+    failure = {
+      status_code: STATUS_CODES.CURRENCY_MISMATCH,
+      status_reason: PaymentMessages.CURRENCY_MISMATCH,
+    };
+  } else if (debitAccount.balance < transaction.amount + feeTotal) {
+    failure = {
+      status_code: STATUS_CODES.INSUFFICIENT_FUNDS,
+      status_reason: PaymentMessages.INSUFFICIENT_FUNDS,
+    };
+  }
+
+  return failure;
+}
+
+/**
+ * Checks the transaction against the limits of the debit account's tier as they stand on the
+ * execution date
+ * @param {number} feeTotal - The fees debited on top of the amount, which count towards the caps
+ * @returns {Promise<{status_code: string, status_reason: string}|null>} the failure, if any
+ */
+async function checkLimits(transaction, debitAccount, feeTotal, session) {
+  let failure = null;
+
+  try {
+    await checkTransferLimits(
+      {
+        account_id: transaction.debit_account,
+        tier: debitAccount.tier,
+        amount: transaction.amount,
+        fees: feeTotal,
+        currency: transaction.currency,
+      },
+      { session }
+    );
+  } catch (error) {
+    if (error.errorCode !== ERROR_CODE.LIMITERR) {
+      throw error;
+    }
+    failure = { status_code: error.details.status_code, status_reason: error.message };
+  }
+
+  return failure;
+}
+
+/**
+ * Works out the fees of the transaction from the fee schedule of the execution date
+ * @returns {{feeCharge?: Object, failure?: Object}}
+ */
+function quoteFees(transaction) {
+  let result;
+
+  try {
+    result = {
+      feeCharge: calculateFees({
+        amount: transaction.amount,
+        currency: transaction.currency,
+        type: transaction.type,
+      }),
+    };
+  } catch (error) {
+    if (error.errorCode !== ERROR_CODE.FEEERR) {
+      throw error;
+    }
+    result = { failure: { status_code: STATUS_CODES.FEE_ERROR, status_reason: error.message } };
+  }
+
+  return result;
+}
+
+/**
+ * Quotes the conversion of a cross-currency transaction at the current rate
+ * @returns {Promise<{quote?: Object, failure?: Object}>}
+ */
+async function quoteConversion(transaction) {
+  let result;
+
+  try {
+    const { rate, rate_timestamp: rateTimestamp } = await getExchangeRate({
+      from: transaction.currency,
+      to: transaction.credit_currency,
+    });
+    const convertedAmount = convertAmount(transaction.amount, rate, {
+      fromCurrency: transaction.currency,
+      toCurrency: transaction.credit_currency,
+    });
+
+    if (convertedAmount > 0) {
+      result = {
+        quote: { converted_amount: convertedAmount, rate, rate_timestamp: rateTimestamp },
+      };
+    } else {
+      result = {
+        failure: {
+          status_code: STATUS_CODES.FX_AMOUNT_TOO_SMALL,
+          status_reason: FxMessages.CONVERTED_AMOUNT_TOO_SMALL,
+        },
+      };
+    }
+  } catch (error) {
+    result = {
+      failure: {
+        status_code: STATUS_CODES.FX_RATE_UNAVAILABLE,
+        status_reason: FxMessages.RATE_UNAVAILABLE,
+      },
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Executes a pending transaction and records its final status
+ * @param {{transaction_id: string}} serviceData
+ * @param {{session?: import('mongoose').ClientSession}} [options]
+ */
+async function executeScheduledTransaction(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  let sessionToUse;
+  let isSessionNative = false;
+
+  if (options.session) {
+    sessionToUse = options.session;
+  } else {
+    sessionToUse = await createSession();
+    isSessionNative = true;
+  }
+
+  try {
+    if (isSessionNative) {
+      sessionToUse.startTransaction();
+    }
+
+    const transaction = await Transaction.findOne({
+      query: { _id: data.transaction_id },
+      options: { session: sessionToUse },
+    });
+
+    if (!transaction) {
+      throwAppError(PaymentMessages.TRANSACTION_NOT_FOUND, ERROR_CODE.NOTFOUND);
+    }
+
+    if (transaction.status !== TRANSACTION_STATUS.PENDING) {
+      // a retried or duplicate job must not post the transfer twice
+      appLogger.info(
+        { transactionId: data.transaction_id, status: transaction.status },
+        'scheduled-transaction-already-executed'
+      );
+      result = transaction;
+    } else {
+      const debitAccount = await Account.findOne({
+        query: { _id: transaction.debit_account },
+        options: { session: sessionToUse },
+      });
+      const creditAccount = await Account.findOne({
+        query: { _id: transaction.credit_account },
+        options: { session: sessionToUse },
+      });
+
+      const fees = quoteFees(transaction);
+      const { feeCharge } = fees;
+      let { failure } = fees;
+      let quote = null;
+
+      if (!failure) {
+        failure = checkAccounts(transaction, debitAccount, creditAccount, feeCharge?.total || 0);
+      }
+
+      if (!failure) {
+        failure = await checkLimits(transaction, debitAccount, feeCharge?.total || 0, sessionToUse);
+      }
+
+      const updateValues = { executed: Date.now() };
+
+      // cross-currency transfers are converted at the rate of the execution date
+      if (
+        !failure &&
+        transaction.credit_currency &&
+        transaction.credit_currency !== transaction.currency
+      ) {
+        ({ quote, failure } = await quoteConversion(transaction));
+      }
+
+      if (failure) {
+        appLogger.warn(
+          { transactionId: data.transaction_id, ...failure },
+          'scheduled-transaction-failed'
+        );
+        Object.assign(updateValues, { status: TRANSACTION_STATUS.FAILED, ...failure });
+      } else {
+        if (feeCharge) {
+          Object.assign(updateValues, {
+            fees: feeCharge.items,
+            fee_total: feeCharge.total,
+            fee_account: feeCharge.fee_account,
+          });
+        }
+
+        Object.assign(updateValues, quote, {
+          status: TRANSACTION_STATUS.SUCCESSFUL,
+          status_code: STATUS_CODES.SUCCESS,
+          status_reason: PaymentMessages.TRANSACTION_SUCCESSFUL,
+        });
+      }
+
+      // the status change is the guard against an overlapping run of the same transaction: only
+      // the run that moves it off pending posts the transfer, the other is rolled back
+      const statusUpdate = await Transaction.updateOne({
+        query: { _id: data.transaction_id, status: TRANSACTION_STATUS.PENDING },
+        updateValues,
+        options: { session: sessionToUse },
+      });
+
+      if (!statusUpdate.modifiedCount) {
+        throwAppError(PaymentMessages.TRANSACTION_ALREADY_EXECUTED, ERROR_CODE.DUPLRCRD, {
+          context: { transaction_id: data.transaction_id },
+        });
+      }
+
+      if (!failure) {
+        await postLedgerTransfer(
+          {
+            transaction_ref: transaction.ledger_ref,
+            debit_account: transaction.debit_account,
+            credit_account: transaction.credit_account,
+            amount: transaction.amount,
+            currency: transaction.currency,
+            credit_amount: quote?.converted_amount,
+            credit_currency: transaction.credit_currency || transaction.currency,
+            narration: transaction.instruction,
+            fees: feeCharge?.items.map((item) => ({
+              credit_account: feeCharge.fee_account,
+              amount: item.amount,
+              narration: `${item.name} fee: ${transaction.instruction}`,
+            })),
+          },
+          { session: sessionToUse }
+        );
+      }
+
+      result = { ...transaction, ...updateValues };
+    }
+
+    if (isSessionNative) {
+      await sessionToUse.commitTransaction();
+    }
+  } catch (error) {
+    if (isSessionNative) {
+      await sessionToUse.abortTransaction();
+    }
+    appLogger.errorX(error, 'execute-scheduled-transaction-error');
+    throw error;
+  } finally {
+    if (isSessionNative) {
+      await sessionToUse.endSession();
+    }
+  }
+
+  return result;
+}
+
+module.exports = executeScheduledTransaction;
@@ -0,0 +1,96 @@
+/**
+ * Exports the stored transactions that match the list filters as CSV
+ */
+
+const { Readable } = require('stream');
+const listTransactions = require('./list-transactions');
+
+const EXPORT_PAGE_LIMIT = 100;
+
+const CSV_COLUMNS = [
+  'transaction_id',
+  'type',
+  'amount',
+  'currency',
+  'debit_account',
+  'credit_account',
+  'credit_currency',
+  'converted_amount',
+  'rate',
+  'fee_total',
+  'fee_account',
+  'fee_refund',
+  'status',
+  'status_code',
+  'status_reason',
+  'reversal_of',
+  'reversed_amount',
+  'executed',
+  'created',
+];
+
+/**
+ * Quotes a CSV field when it holds a separator, quote or line break. Fields starting with
+ * characters spreadsheets read as formulas are prefixed with a quote.
+ */
+function toCsvField(value) {
+  let field = value === null || value === undefined ? '' : String(value);
+
+  if (/^[=+\-@\t\r]/.test(field) && Number.isNaN(Number(field))) {
+    field = `'${field}`;
+  }
+
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+function toCsvRow(values) {
+  return `${values.map(toCsvField).join(',')}\r\n`;
+}
+
+/**
+ * Yields the header row, then the matching transactions page by page
+ */
+async function* generateRows(filters) {
+  yield toCsvRow(CSV_COLUMNS);
+
+  let cursor;
+  do {
+    // eslint-disable-next-line no-await-in-loop
+    const page = await listTransactions({ ...filters, cursor, limit: EXPORT_PAGE_LIMIT });
+
+    if (page.transactions.length) {
+      yield page.transactions
+        .map((transaction) => toCsvRow(CSV_COLUMNS.map((column) => transaction[column])))
+        .join('');
+    }
+
+    cursor = page.pagination.has_more ? page.pagination.next_cursor : undefined;
+  } while (cursor);
+}
+
+/**
+ * Streams the transactions matching the filters as CSV. The filters are those of
+ * listTransactions, without cursor and limit: every matching transaction is exported.
+ * The first page is fetched before the stream is returned, so invalid filters still fail
+ * with the usual validation error.
+ * @param {Object} serviceData
+ * @returns {Promise<import('stream').Readable>}
+ */
+async function exportTransactions(serviceData) {
+  const { cursor, limit, ...filters } = serviceData;
+  const rows = generateRows(filters);
+  const prefetchedRows = [await rows.next(), await rows.next()];
+
+  return new Readable({
+    async read() {
+      try {
+        const { value, done } = prefetchedRows.length ? prefetchedRows.shift() : await rows.next();
+        this.push(done ? null : value);
+      } catch (error) {
+        this.destroy(error);
+      }
+    },
+  });
+}
+
+module.exports = exportTransactions;
@@ -0,0 +1,46 @@
+/**
+ * Shapes a stored transaction for API responses
+ */
+
+const { formatMinorUnits } = require('@app/services/utils/money');
+
+/**
+ * Renders a transaction record with its amounts as decimals
+ * @param {Object} transaction - A lean transaction record
+ */
+function formatTransaction(transaction) {
+  const creditCurrency = transaction.credit_currency || transaction.currency;
+
+  return {
+    transaction_id: transaction._id,
+    type: transaction.type,
+    amount: formatMinorUnits(transaction.amount, transaction.currency),
+    currency: transaction.currency,
+    debit_account: transaction.debit_account,
+    credit_account: transaction.credit_account,
+    credit_currency: creditCurrency,
+    converted_amount: formatMinorUnits(transaction.converted_amount, creditCurrency),
+    rate: transaction.rate ?? null,
+    rate_timestamp: transaction.rate_timestamp || null,
+    fees: (transaction.fees || []).map((item) => ({
+      ...item,
+      amount: formatMinorUnits(item.amount, transaction.currency),
+    })),
+    fee_total: formatMinorUnits(transaction.fee_total || 0, transaction.currency),
+    fee_account: transaction.fee_account || null,
+    fee_refund: formatMinorUnits(transaction.fee_refund || 0, transaction.currency),
+    execute_by: transaction.execute_by || null,
+    status: transaction.status,
+    status_code: transaction.status_code,
+    status_reason: transaction.status_reason,
+    instruction: transaction.instruction,
+    reversal_of: transaction.reversal_of || null,
+    reversed_amount: formatMinorUnits(transaction.reversed_amount || 0, transaction.currency),
+    reason: transaction.reason || null,
+    executed: transaction.executed || null,
+    created: transaction.created,
+    updated: transaction.updated,
+  };
+}
+
+module.exports = formatTransaction;
@@ -0,0 +1,54 @@
+/**
+ * Fetches a single stored transaction
+ */
+
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const Transaction = require('@app/repository/transaction');
+const PaymentMessages = require('@app/messages/payment');
+const findOwnedAccountIds = require('@app/services/account/find-owned-account-ids');
+const formatTransaction = require('./format-transaction');
+
+// owner_id, when given, restricts the lookup to transactions on the accounts of that user
+const spec = `root {
+  transaction_id string<trim>
+  owner_id? string<trim>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * @param {{transaction_id: string, owner_id?: string}} serviceData
+ */
+async function getTransaction(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const transaction = await Transaction.findOne({ query: { _id: data.transaction_id } });
+
+    let ownedAccountIds = null;
+
+    if (transaction && data.owner_id) {
+      ownedAccountIds = await findOwnedAccountIds(data.owner_id, [
+        transaction.debit_account,
+        transaction.credit_account,
+      ]);
+    }
+
+    // a transaction on someone else's accounts is reported as missing, so its id reveals nothing
+    if (!transaction || (ownedAccountIds && !ownedAccountIds.length)) {
+      throwAppError(PaymentMessages.TRANSACTION_NOT_FOUND, ERROR_CODE.NOTFOUND);
+    }
+
+    result = formatTransaction(transaction);
+  } catch (error) {
+    appLogger.errorX(error, 'get-transaction-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = getTransaction;
@@ -0,0 +1,139 @@
+/**
+ * Grammar of the payment instruction language.
+ * Each verb is a sequence of elements matched token by token; new verbs are added with registerVerb.
+ */
+
+const ELEMENT_KINDS = {
+  KEYWORD: 'keyword',
+  AMOUNT: 'amount',
+  CURRENCY: 'currency',
+  ACCOUNT: 'account',
+  DATE: 'date',
+  IDENTIFIER: 'identifier',
+  OPTIONAL: 'optional',
+};
+
+/**
+ * @typedef {Object} GrammarElement
+ * @property {string} kind - One of ELEMENT_KINDS
+ * @property {string} [keyword] - The keyword of a keyword element
+ * @property {string} [field] - The parsed field a value element is stored in
+ * @property {string} [label] - How the element is named in diagnostics
+ * @property {GrammarElement[]} [elements] - The elements of an optional clause
+ */
+
+const keyword = (word) => ({ kind: ELEMENT_KINDS.KEYWORD, keyword: word, label: word });
+const amount = (field = 'amount') => ({ kind: ELEMENT_KINDS.AMOUNT, field, label: 'amount' });
+const currency = (field = 'currency') => ({
+  kind: ELEMENT_KINDS.CURRENCY,
+  field,
+  label: 'currency',
+});
+const account = (field) => ({ kind: ELEMENT_KINDS.ACCOUNT, field, label: 'account id' });
+const date = (field) => ({ kind: ELEMENT_KINDS.DATE, field, label: 'date (YYYY-MM-DD)' });
+const identifier = (field, label = field) => ({ kind: ELEMENT_KINDS.IDENTIFIER, field, label });
+const optional = (...elements) => ({ kind: ELEMENT_KINDS.OPTIONAL, elements });
+
+const executeByClause = optional(keyword('ON'), date('execute_by'));
+
+/**
+ * Instruction verbs keyed by their first keyword
+ * @type {Object<string, {type: string, elements: GrammarElement[]}>}
+ */
+const verbs = {
+  DEBIT: {
+    type: 'DEBIT',
+    elements: [
+      keyword('DEBIT'),
+      amount(),
+      currency(),
+      keyword('FROM'),
+      keyword('ACCOUNT'),
+      account('debit_account'),
+      keyword('FOR'),
+      keyword('CREDIT'),
+      keyword('TO'),
+      keyword('ACCOUNT'),
+      account('credit_account'),
+      executeByClause,
+    ],
+  },
+  CREDIT: {
+    type: 'CREDIT',
+    elements: [
+      keyword('CREDIT'),
+      amount(),
+      currency(),
+      keyword('TO'),
+      keyword('ACCOUNT'),
+      account('credit_account'),
+      keyword('FOR'),
+      keyword('DEBIT'),
+      keyword('FROM'),
+      keyword('ACCOUNT'),
+      account('debit_account'),
+      executeByClause,
+    ],
+  },
+  TRANSFER: {
+    type: 'TRANSFER',
+    elements: [
+      keyword('TRANSFER'),
+      amount(),
+      currency(),
+      keyword('FROM'),
+      keyword('ACCOUNT'),
+      account('debit_account'),
+      keyword('TO'),
+      keyword('ACCOUNT'),
+      account('credit_account'),
+      executeByClause,
+    ],
+  },
+  REVERSE: {
+    type: 'REVERSE',
+    elements: [
+      keyword('REVERSE'),
+      keyword('TRANSACTION'),
+      identifier('transaction_id', 'transaction id'),
+    ],
+  },
+};
+
+/**
+ * Adds a verb to the instruction language
+ * @param {string} verb - The keyword the instruction starts with
+ * @param {{type?: string, elements: GrammarElement[]}} definition - The elements after the verb
+ */
+function registerVerb(verb, definition) {
+  const verbKeyword = verb.toUpperCase();
+
+  verbs[verbKeyword] = {
+    type: definition.type || verbKeyword,
+    elements: [keyword(verbKeyword), ...definition.elements],
+  };
+}
+
+/**
+ * Returns the definition of a verb, if it exists
+ * @param {string} verb
+ */
+function getVerb(verb) {
+  return verbs[verb.toUpperCase()] || null;
+}
+
+/**
+ * Lists the verbs an instruction can start with
+ * @returns {string[]}
+ */
+function getVerbKeywords() {
+  return Object.keys(verbs);
+}
+
+module.exports = {
+  ELEMENT_KINDS,
+  elements: { keyword, amount, currency, account, date, identifier, optional },
+  registerVerb,
+  getVerb,
+  getVerbKeywords,
+};
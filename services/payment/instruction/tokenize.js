@@ -0,0 +1,38 @@
+/**
+ * Splits a payment instruction into whitespace separated tokens
+ */
+
+const WHITESPACE = [' ', '\t', '\n', '\r', '\f', '\v'];
+
+/**
+ * @typedef {Object} InstructionToken
+ * @property {string} value - The token as written
+ * @property {string} upper - The token in upper case, for case-insensitive keyword matching
+ * @property {number} offset - Character offset of the token in the instruction
+ */
+
+/**
+ * Tokenizes an instruction. Every run of whitespace separates two tokens.
+ * @param {string} instruction
+ * @returns {InstructionToken[]}
+ */
+function tokenize(instruction) {
+  const tokens = [];
+  let start = -1;
+
+  for (let i = 0; i <= instruction.length; i++) {
+    const isBoundary = i === instruction.length || WHITESPACE.indexOf(instruction[i]) >= 0;
+
+    if (isBoundary && start >= 0) {
+      const value = instruction.substring(start, i);
+      tokens.push({ value, upper: value.toUpperCase(), offset: start });
+      start = -1;
+    } else if (!isBoundary && start < 0) {
+      start = i;
+    }
+  }
+
+  return tokens;
+}
+
+module.exports = tokenize;
@@ -0,0 +1,106 @@
+/**
+ * Lists stored transactions, newest first, one page at a time
+ */
+
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const Transaction = require('@app/repository/transaction');
+const PaymentMessages = require('@app/messages/payment');
+const findOwnedAccountIds = require('@app/services/account/find-owned-account-ids');
+const formatTransaction = require('./format-transaction');
+
+// from and to bound the created time; they take dates (YYYY-MM-DD) or ISO timestamps.
+// owner_id, when given, restricts the listing to transactions on the accounts of that user
+const spec = `root {
+  owner_id? string<trim>
+  account? string<trim>
+  status? string<trim|lowercase>(successful|pending|failed)
+  status_code? string<trim|uppercase>
+  currency? string<trim|uppercase>
+  type? string<trim|uppercase>
+  from? string<trim>
+  to? string<trim>
+  cursor? string<trim>
+  limit? number<min:1|max:100>
+  sort? string<trim|lowercase>(asc|desc)
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+const DATE_ONLY_LENGTH = 'YYYY-MM-DD'.length;
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Turns the from/to filters into a condition on created. A date-only `to` includes the whole day.
+ * @returns {Object|null}
+ */
+function getCreatedRange(from, to) {
+  const range = {};
+
+  if (from) {
+    range.$gte = Date.parse(from);
+  }
+
+  if (to) {
+    range.$lt = Date.parse(to) + (to.length === DATE_ONLY_LENGTH ? ONE_DAY_MS : 1);
+  }
+
+  if (Number.isNaN(range.$gte) || Number.isNaN(range.$lt)) {
+    throwAppError(PaymentMessages.INVALID_DATE_RANGE, ERROR_CODE.VALIDATIONERR, {
+      context: { from, to },
+    });
+  }
+
+  return Object.keys(range).length ? range : null;
+}
+
+/**
+ * @param {Object} serviceData - Filters and pagination, as received in the query string
+ */
+async function listTransactions(serviceData) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  try {
+    const query = {};
+
+    if (data.owner_id) {
+      const accountIds = await findOwnedAccountIds(
+        data.owner_id,
+        data.account ? [data.account] : undefined
+      );
+      query.$or = [{ debit_account: { $in: accountIds } }, { credit_account: { $in: accountIds } }];
+    } else if (data.account) {
+      query.$or = [{ debit_account: data.account }, { credit_account: data.account }];
+    }
+
+    ['status', 'status_code', 'currency', 'type'].forEach((field) => {
+      if (data[field]) {
+        query[field] = data[field];
+      }
+    });
+
+    const createdRange = getCreatedRange(data.from, data.to);
+    if (createdRange) {
+      query.created = createdRange;
+    }
+
+    const page = await Transaction.findMany({
+      query,
+      pagination: { cursor: data.cursor, limit: data.limit, sort: data.sort },
+    });
+
+    result = {
+      transactions: page.data.map(formatTransaction),
+      pagination: page.pagination,
+    };
+  } catch (error) {
+    appLogger.errorX(error, 'list-transactions-error');
+    throw error;
+  }
+
+  return result;
+}
+
+module.exports = listTransactions;
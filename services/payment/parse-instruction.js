@@ -1,137 +1,86 @@
 /**
  * Parses payment instruction string into structured data
- * Supports DEBIT and CREDIT formats without using regex
+ * Matches the tokens of the instruction against the verb grammars in ./instruction/grammar,
+ * without using regex
  */
 
-const SUPPORTED_CURRENCIES = ['NGN', 'USD', 'GBP', 'GHS'];
+const PaymentMessages = require('@app/messages/payment');
+const { SUPPORTED_CURRENCIES, STATUS_CODES } = require('./constants');
+const tokenize = require('./instruction/tokenize');
+const { ELEMENT_KINDS, getVerb, getVerbKeywords } = require('./instruction/grammar');
 
-/**
- * Normalizes a string by trimming and converting to lowercase
- */
-function normalizeString(str) {
-  if (typeof str !== 'string') return '';
-  return str.trim().toLowerCase();
-}
+const ACCOUNT_ID_SYMBOLS = ['-', '.', '@'];
+const END_OF_INSTRUCTION = 'end of instruction';
 
 /**
- * Finds the index of a keyword in the instruction (case-insensitive)
+ * @typedef {Object} ParseError
+ * @property {string} status_code
+ * @property {string} status_reason - Names the failing token, its offset and what was expected
+ * @property {string|null} token - The failing token, or null when the instruction ended early
+ * @property {number} offset - Character offset of the failing token in the instruction
+ * @property {string[]} expected - What the grammar expected at the failing token
  */
-function findKeywordIndex(instruction, keyword, startIndex = 0) {
-  const normalized = normalizeString(instruction);
-  const keywordLower = normalizeString(keyword);
-  const index = normalized.indexOf(keywordLower, startIndex);
-  return index >= 0 ? index : -1;
-}
-
 
 /**
- * Extracts text between two positions
+ * Parses amount from a token.
+ * Returns the decimal string as written (e.g. "12.50"); it is converted to minor units once the
+ * currency, and so its number of decimal places, is known
  */
-function extractBetween(instruction, startIndex, endIndex) {
-  if (startIndex < 0 || endIndex < 0 || startIndex >= endIndex) return '';
-  return instruction.substring(startIndex, endIndex).trim();
-}
-
-
-/**
- * Parses amount from instruction
- */
-function parseAmount(instruction, amountStartIndex, amountEndIndex) {
-  const amountStr = extractBetween(instruction, amountStartIndex, amountEndIndex);
-  if (!amountStr) return null;
-
+function parseAmount(amountStr) {
   // Check for negative sign
   if (amountStr.indexOf('-') >= 0) {
     return null; // Negative amounts are invalid
   }
 
-  // Check for decimal point
-  if (amountStr.indexOf('.') >= 0) {
-    return null; // Decimals are not allowed
+  const [whole, fraction, ...rest] = amountStr.split('.');
+  if (rest.length || !whole || fraction === '') {
+    return null; // At most one decimal point, with digits on both sides
   }
 
-  const amount = parseInt(amountStr, 10);
-  if (isNaN(amount) || amount <= 0) {
+  let hasNonZeroDigit = false;
+  const digits = `${whole}${fraction || ''}`;
+  for (let i = 0; i < digits.length; i++) {
+    if (digits[i] < '0' || digits[i] > '9') return null;
+    if (digits[i] !== '0') hasNonZeroDigit = true;
+  }
+
+  if (!hasNonZeroDigit) {
     return null;
   }
 
-  return amount;
+  return amountStr;
 }
 
 /**
- * Parses currency from instruction
+ * Parses currency from a token
  */
-function parseCurrency(instruction, currencyStartIndex, currencyEndIndex) {
-  const currencyStr = extractBetween(instruction, currencyStartIndex, currencyEndIndex);
-  if (!currencyStr) return null;
-
+function parseCurrency(currencyStr) {
   const currencyUpper = currencyStr.toUpperCase();
-  if (SUPPORTED_CURRENCIES.indexOf(currencyUpper) >= 0) {
-    return currencyUpper;
-  }
-
-  return null;
+  return SUPPORTED_CURRENCIES.indexOf(currencyUpper) >= 0 ? currencyUpper : null;
 }
 
-
 /**
- * Parses account ID from instruction
+ * Parses account ID from a token. Account IDs can contain letters, numbers, - . and @
  */
-function parseAccountId(instruction, accountKeywordIndex) {
-  // accountKeywordIndex is the start of "account" in the original string
-  const accountKeyword = 'account';
-  const accountKeywordLength = accountKeyword.length;
-
-  // Find the position after "ACCOUNT"
-  let afterAccountIndex = accountKeywordIndex + accountKeywordLength;
-  
-  // Skip any whitespace after "ACCOUNT"
-  while (afterAccountIndex < instruction.length && instruction[afterAccountIndex] === ' ') {
-    afterAccountIndex += 1;
-  }
-
-  if (afterAccountIndex >= instruction.length) return null;
-
-  // Find the next keyword or end of string
-  // Look for " FOR " or " ON " (with spaces) in case-insensitive way
-  const instructionLower = normalizeString(instruction);
-  let nextKeywordIndex = instruction.length;
-
-  // Check for " FOR " keyword
-  const forIndex = instructionLower.indexOf(' for ', afterAccountIndex);
-  if (forIndex >= 0 && forIndex < nextKeywordIndex) {
-    nextKeywordIndex = forIndex;
-  }
-
-  // Check for " ON " keyword
-  const onIndex = instructionLower.indexOf(' on ', afterAccountIndex);
-  if (onIndex >= 0 && onIndex < nextKeywordIndex) {
-    nextKeywordIndex = onIndex;
+function parseAccountId(accountStr) {
+  for (let i = 0; i < accountStr.length; i++) {
+    const char = accountStr[i];
+    const isAlphanumeric =
+      (char >= 'a' && char <= 'z') || (char >= 'A' && char <= 'Z') || (char >= '0' && char <= '9');
+
+    if (!isAlphanumeric && ACCOUNT_ID_SYMBOLS.indexOf(char) < 0) {
+      return null;
+    }
   }
 
-  const accountId = extractBetween(instruction, afterAccountIndex, nextKeywordIndex);
-  return accountId || null;
+  return accountStr;
 }
 
 /**
- * Parses execution date from instruction
+ * Parses execution date from a token
  */
-function parseExecuteBy(instruction) {
-  const onKeywordIndex = findKeywordIndex(instruction, 'on');
-  if (onKeywordIndex < 0) return null;
-
-  let afterOnIndex = onKeywordIndex + 2; // "on" is 2 characters
-  
-  // Skip any whitespace after "on"
-  while (afterOnIndex < instruction.length && instruction[afterOnIndex] === ' ') {
-    afterOnIndex += 1;
-  }
-
-  if (afterOnIndex >= instruction.length) return null;
-
-  // Extract date (should be YYYY-MM-DD format, 10 characters)
-  const dateStr = extractBetween(instruction, afterOnIndex, afterOnIndex + 10);
-  if (!dateStr || dateStr.length !== 10) return null;
+function parseDate(dateStr) {
+  if (dateStr.length !== 10) return null;
 
   // Validate date format (basic check - YYYY-MM-DD)
   if (dateStr.indexOf('-') !== 4 || dateStr.lastIndexOf('-') !== 7) {
@@ -165,200 +114,199 @@ function parseExecuteBy(instruction) {
   return dateStr;
 }
 
-
 /**
- * Parses DEBIT format instruction
- * Format: DEBIT [amount] [currency] FROM ACCOUNT [account_id] FOR CREDIT TO ACCOUNT [account_id] [ON [date]]
+ * Value parsers and the failure each one reports, by element kind
  */
-function parseDebitFormat(instruction) {
-  // Find required keywords in order
-  const debitIndex = findKeywordIndex(instruction, 'debit');
-  if (debitIndex < 0) return null;
-
-  const fromIndex = findKeywordIndex(instruction, 'from', debitIndex);
-  if (fromIndex < 0) return null;
-
-  const accountIndex1 = findKeywordIndex(instruction, 'account', fromIndex);
-  if (accountIndex1 < 0) return null;
-
-  const forIndex = findKeywordIndex(instruction, 'for', accountIndex1);
-  if (forIndex < 0) return null;
-
-  const creditIndex = findKeywordIndex(instruction, 'credit', forIndex);
-  if (creditIndex < 0) return null;
-
-  const toIndex = findKeywordIndex(instruction, 'to', creditIndex);
-  if (toIndex < 0) return null;
-
-  const accountIndex2 = findKeywordIndex(instruction, 'account', toIndex);
-  if (accountIndex2 < 0) return null;
-
-  // Extract amount and currency (between DEBIT and FROM)
-  // The format is: DEBIT [amount] [currency] FROM
-  const amountStart = debitIndex + 5; // Position after "DEBIT "
-  
-  // Skip any leading spaces
-  let amountStartPos = amountStart;
-  while (amountStartPos < fromIndex && instruction[amountStartPos] === ' ') {
-    amountStartPos += 1;
-  }
-  
-  // Find the first space after the amount (this separates amount from currency)
-  let amountEndPos = amountStartPos;
-  while (amountEndPos < fromIndex && instruction[amountEndPos] !== ' ') {
-    amountEndPos += 1;
-  }
-  
-  if (amountEndPos <= amountStartPos || amountEndPos >= fromIndex) return null;
-
-  const amount = parseAmount(instruction, amountStartPos, amountEndPos);
-  if (amount === null) return null;
-
-  // Find currency start (skip the space after amount)
-  let currencyStart = amountEndPos;
-  while (currencyStart < fromIndex && instruction[currencyStart] === ' ') {
-    currencyStart += 1;
-  }
-  
-  const currency = parseCurrency(instruction, currencyStart, fromIndex);
-  if (!currency) return null;
-
-  // Extract debit account (after first ACCOUNT)
-  const debitAccount = parseAccountId(instruction, accountIndex1);
-  if (!debitAccount) return null;
-
-  // Extract credit account (after second ACCOUNT)
-  const creditAccount = parseAccountId(instruction, accountIndex2);
-  if (!creditAccount) return null;
-
-  // Extract execute_by date (optional)
-  const executeBy = parseExecuteBy(instruction);
+const VALUE_PARSERS = {
+  [ELEMENT_KINDS.AMOUNT]: {
+    parse: parseAmount,
+    status_code: STATUS_CODES.INVALID_AMOUNT,
+    message: PaymentMessages.INVALID_AMOUNT,
+  },
+  [ELEMENT_KINDS.CURRENCY]: {
+    parse: parseCurrency,
+    status_code: STATUS_CODES.UNSUPPORTED_CURRENCY,
+    message: PaymentMessages.UNSUPPORTED_CURRENCY,
+  },
+  [ELEMENT_KINDS.ACCOUNT]: {
+    parse: parseAccountId,
+    status_code: STATUS_CODES.INVALID_ACCOUNT_ID,
+    message: PaymentMessages.INVALID_ACCOUNT_ID,
+  },
+  [ELEMENT_KINDS.DATE]: {
+    parse: parseDate,
+    status_code: STATUS_CODES.INVALID_DATE,
+    message: PaymentMessages.INVALID_DATE,
+  },
+  [ELEMENT_KINDS.IDENTIFIER]: {
+    parse: (value) => value,
+  },
+};
 
+/**
+ * Builds a parse error that points at the failing token
+ * @returns {ParseError}
+ */
+function createParseError(statusCode, message, token, offset, expected) {
+  const found = token ? `found "${token}"` : 'the instruction ended';
   return {
-    type: 'DEBIT',
-    amount,
-    currency,
-    debit_account: debitAccount,
-    credit_account: creditAccount,
-    execute_by: executeBy,
+    status_code: statusCode,
+    status_reason: `${message}: ${found} at offset ${offset}, expected ${expected.join(' or ')}`,
+    token,
+    offset,
+    expected,
   };
 }
 
 /**
- * Parses CREDIT format instruction
- * Format: CREDIT [amount] [currency] TO ACCOUNT [account_id] FOR DEBIT FROM ACCOUNT [account_id] [ON [date]]
+ * Lists the keywords of the elements, including those in optional clauses
  */
-function parseCreditFormat(instruction) {
-  // Find required keywords in order
-  const creditIndex = findKeywordIndex(instruction, 'credit');
-  if (creditIndex < 0) return null;
-
-  const toIndex = findKeywordIndex(instruction, 'to', creditIndex);
-  if (toIndex < 0) return null;
-
-  const accountIndex1 = findKeywordIndex(instruction, 'account', toIndex);
-  if (accountIndex1 < 0) return null;
-
-  const forIndex = findKeywordIndex(instruction, 'for', accountIndex1);
-  if (forIndex < 0) return null;
-
-  const debitIndex = findKeywordIndex(instruction, 'debit', forIndex);
-  if (debitIndex < 0) return null;
-
-  const fromIndex = findKeywordIndex(instruction, 'from', debitIndex);
-  if (fromIndex < 0) return null;
-
-  const accountIndex2 = findKeywordIndex(instruction, 'account', fromIndex);
-  if (accountIndex2 < 0) return null;
-
-  // Extract amount and currency (between CREDIT and TO)
-  // The format is: CREDIT [amount] [currency] TO
-  const amountStart = creditIndex + 6; // Position after "CREDIT "
-  
-  // Skip any leading spaces
-  let amountStartPos = amountStart;
-  while (amountStartPos < toIndex && instruction[amountStartPos] === ' ') {
-    amountStartPos += 1;
-  }
-  
-  // Find the first space after the amount (this separates amount from currency)
-  let amountEndPos = amountStartPos;
-  while (amountEndPos < toIndex && instruction[amountEndPos] !== ' ') {
-    amountEndPos += 1;
-  }
-  
-  if (amountEndPos <= amountStartPos || amountEndPos >= toIndex) return null;
-
-  const amount = parseAmount(instruction, amountStartPos, amountEndPos);
-  if (amount === null) return null;
+function collectKeywords(elements) {
+  return elements.reduce((keywords, element) => {
+    if (element.kind === ELEMENT_KINDS.KEYWORD) {
+      keywords.push(element.keyword);
+    } else if (element.kind === ELEMENT_KINDS.OPTIONAL) {
+      keywords.push(...collectKeywords(element.elements));
+    }
+    return keywords;
+  }, []);
+}
 
-  // Find currency start (skip the space after amount)
-  let currencyStart = amountEndPos;
-  while (currencyStart < toIndex && instruction[currencyStart] === ' ') {
-    currencyStart += 1;
+/**
+ * Matches the tokens from state.index against a sequence of grammar elements, storing the parsed
+ * values in state.fields. Returns a ParseError at the first token that does not fit.
+ * @returns {ParseError|null}
+ */
+function matchElements(elements, tokens, state, instructionLength) {
+  // labels of optional clauses skipped just before the current token; they are valid there too
+  let skippedOptionals = [];
+
+  for (let i = 0; i < elements.length; i++) {
+    const element = elements[i];
+    const token = tokens[state.index];
+
+    if (element.kind === ELEMENT_KINDS.OPTIONAL) {
+      const [firstElement] = element.elements;
+
+      if (token && token.upper === firstElement.keyword) {
+        const error = matchElements(element.elements, tokens, state, instructionLength);
+        if (error) return error;
+        skippedOptionals = [];
+      } else {
+        skippedOptionals.push(firstElement.label);
+      }
+    } else {
+      const expected = [...skippedOptionals, element.label];
+
+      if (!token) {
+        return createParseError(
+          STATUS_CODES.MISSING_KEYWORD,
+          element.kind === ELEMENT_KINDS.KEYWORD
+            ? PaymentMessages.MISSING_KEYWORD
+            : PaymentMessages.INCOMPLETE_INSTRUCTION,
+          null,
+          instructionLength,
+          expected
+        );
+      }
+
+      if (element.kind === ELEMENT_KINDS.KEYWORD) {
+        if (token.upper !== element.keyword) {
+          // a keyword that belongs further along the instruction means the keywords are out of order
+          const isOutOfOrder = collectKeywords(elements.slice(i + 1)).indexOf(token.upper) >= 0;
+
+          return createParseError(
+            isOutOfOrder
+              ? STATUS_CODES.INVALID_KEYWORD_ORDER
+              : STATUS_CODES.UNPARSEABLE_INSTRUCTION,
+            isOutOfOrder ? PaymentMessages.INVALID_KEYWORD_ORDER : PaymentMessages.UNEXPECTED_TOKEN,
+            token.value,
+            token.offset,
+            expected
+          );
+        }
+      } else {
+        const valueParser = VALUE_PARSERS[element.kind];
+        const value = valueParser.parse(token.value);
+
+        if (value === null) {
+          return createParseError(
+            valueParser.status_code,
+            valueParser.message,
+            token.value,
+            token.offset,
+            expected
+          );
+        }
+
+        // eslint-disable-next-line no-param-reassign
+        state.fields[element.field] = value;
+      }
+
+      // eslint-disable-next-line no-param-reassign
+      state.index += 1;
+      skippedOptionals = [];
+    }
   }
-  
-  const currency = parseCurrency(instruction, currencyStart, toIndex);
-  if (!currency) return null;
-
-  // Extract credit account (after first ACCOUNT - this is the destination)
-  const creditAccount = parseAccountId(instruction, accountIndex1);
-  if (!creditAccount) return null;
-
-  // Extract debit account (after second ACCOUNT - this is the source)
-  const debitAccount = parseAccountId(instruction, accountIndex2);
-  if (!debitAccount) return null;
 
-  // Extract execute_by date (optional)
-  const executeBy = parseExecuteBy(instruction);
-
-  return {
-    type: 'CREDIT',
-    amount,
-    currency,
-    debit_account: debitAccount,
-    credit_account: creditAccount,
-    execute_by: executeBy,
-  };
+  // hand the trailing optional clauses to the caller for its diagnostics
+  // eslint-disable-next-line no-param-reassign
+  state.skippedOptionals = skippedOptionals;
+  return null;
 }
 
-
 /**
  * Main parser function
+ * @param {string} instruction
+ * @returns {{type: string|null, amount: string|null, currency: string|null, debit_account: string|null,
+ * credit_account: string|null, execute_by: string|null, error: ParseError|null}}
+ * Verbs may add their own fields, e.g. transaction_id for REVERSE
  */
 function parseInstruction(instruction) {
-  if (!instruction || typeof instruction !== 'string') {
-    return {
-      type: null,
-      amount: null,
-      currency: null,
-      debit_account: null,
-      credit_account: null,
-      execute_by: null,
-    };
-  }
-
-  // Try DEBIT format first
-  const debitResult = parseDebitFormat(instruction);
-  if (debitResult) {
-    return debitResult;
-  }
-
-  // Try CREDIT format
-  const creditResult = parseCreditFormat(instruction);
-  if (creditResult) {
-    return creditResult;
-  }
-
-  // If neither format matches, return null values
-  return {
+  const result = {
     type: null,
     amount: null,
     currency: null,
     debit_account: null,
     credit_account: null,
     execute_by: null,
+    error: null,
   };
+
+  const tokens = typeof instruction === 'string' ? tokenize(instruction) : [];
+  const instructionLength = typeof instruction === 'string' ? instruction.length : 0;
+  const [verbToken] = tokens;
+  const verb = verbToken ? getVerb(verbToken.value) : null;
+
+  if (!verb) {
+    result.error = createParseError(
+      verbToken ? STATUS_CODES.UNPARSEABLE_INSTRUCTION : STATUS_CODES.MISSING_KEYWORD,
+      verbToken ? PaymentMessages.UNEXPECTED_TOKEN : PaymentMessages.MISSING_KEYWORD,
+      verbToken ? verbToken.value : null,
+      verbToken ? verbToken.offset : instructionLength,
+      getVerbKeywords()
+    );
+  } else {
+    const state = { index: 0, fields: {}, skippedOptionals: [] };
+    const error = matchElements(verb.elements, tokens, state, instructionLength);
+    const trailingToken = tokens[state.index];
+
+    Object.assign(result, state.fields, { type: verb.type });
+
+    if (error) {
+      result.error = error;
+    } else if (trailingToken) {
+      result.error = createParseError(
+        STATUS_CODES.UNPARSEABLE_INSTRUCTION,
+        PaymentMessages.UNEXPECTED_TOKEN,
+        trailingToken.value,
+        trailingToken.offset,
+        [...state.skippedOptionals, END_OF_INSTRUCTION]
+      );
+    }
+  }
+
+  return result;
 }
 
 module.exports = parseInstruction;
\ No newline at end of file
@@ -0,0 +1,228 @@
+/**
+ * Posts a balanced debit/credit pair to the ledger and moves the balances of the stored accounts
+ */
+
+const validator = require('@app-core/validator');
+const { createSession } = require('@app-core/mongoose');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const Account = require('@app/repository/account');
+const LedgerEntry = require('@app/repository/ledger-entry');
+const PaymentMessages = require('@app/messages/payment');
+const AccountMessages = require('@app/messages/account');
+const FeeMessages = require('@app/messages/fees');
+
+const spec = `root {
+  transaction_ref string
+  debit_account string
+  credit_account string
+  amount number<min:1>
+  currency string<uppercase>
+  credit_amount? number<min:1>
+  credit_currency? string<uppercase>
+  narration? string
+  fees[]? {
+    credit_account string
+    amount number<min:1>
+    narration? string
+  }
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Loads the accounts fees are credited to, which must hold the currency of the debit side
+ * @returns {Promise<Object<string, Object>>} the fee accounts by id
+ */
+async function findFeeAccounts(fees, currency, session) {
+  const feeAccounts = {};
+  const feeAccountIds = [...new Set(fees.map((fee) => fee.credit_account))];
+
+  for (let i = 0; i < feeAccountIds.length; i++) {
+    // eslint-disable-next-line no-await-in-loop
+    const feeAccount = await Account.findOne({
+      query: { _id: feeAccountIds[i] },
+      options: { session },
+    });
+
+    if (!feeAccount) {
+      throwAppError(FeeMessages.FEE_ACCOUNT_NOT_FOUND, ERROR_CODE.FEEERR, {
+        context: { fee_account: feeAccountIds[i] },
+      });
+    }
+    if (feeAccount.currency !== currency) {
+      throwAppError(FeeMessages.FEE_ACCOUNT_CURRENCY_MISMATCH, ERROR_CODE.FEEERR, {
+        context: { fee_account: feeAccountIds[i], currency },
+      });
+    }
+
+    feeAccounts[feeAccountIds[i]] = feeAccount;
+  }
+
+  return feeAccounts;
+}
+
+/**
+ * Posts a transfer between two stored accounts.
+ * A converted transfer credits credit_amount in credit_currency; both default to the debit side.
+ * Fees are debited from the debit account on top of amount, in its currency, and each is posted
+ * as its own debit/credit pair under the same transaction_ref.
+ * @param {Object} serviceData
+ * @param {{session?: import('mongoose').ClientSession}} [options]
+ * @returns {Promise<{debit_account: Object, credit_account: Object, entries: Object[]}>}
+ */
+async function postLedgerTransfer(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let result;
+
+  let sessionToUse;
+  let isSessionNative = false;
+
+  if (options.session) {
+    sessionToUse = options.session;
+  } else {
+    sessionToUse = await createSession();
+    isSessionNative = true;
+  }
+
+  try {
+    if (isSessionNative) {
+      sessionToUse.startTransaction();
+    }
+
+    const debitAccount = await Account.findOne({
+      query: { _id: data.debit_account },
+      options: { session: sessionToUse },
+    });
+    const creditAccount = await Account.findOne({
+      query: { _id: data.credit_account },
+      options: { session: sessionToUse },
+    });
+
+    if (!debitAccount || !creditAccount) {
+      throwAppError(AccountMessages.ACCOUNT_NOT_FOUND, ERROR_CODE.NOTFOUND);
+    }
+
+    const fees = data.fees || [];
+    const feeTotal = fees.reduce((total, fee) => total + fee.amount, 0);
+    const feeAccounts = await findFeeAccounts(fees, data.currency, sessionToUse);
+    const totalDebit = data.amount + feeTotal;
+
+    // the balance guard protects against a concurrent debit draining the account after it was read
+    const debitUpdate = await Account.updateOne({
+      query: { _id: data.debit_account, balance: { $gte: totalDebit } },
+      updateValues: { $inc: { balance: -totalDebit } },
+      options: { session: sessionToUse },
+    });
+
+    if (!debitUpdate.modifiedCount) {
+      throwAppError(PaymentMessages.INSUFFICIENT_FUNDS, ERROR_CODE.INVLDREQ);
+    }
+
+    const creditAmount = data.credit_amount || data.amount;
+
+    await Account.updateOne({
+      query: { _id: data.credit_account },
+      updateValues: { $inc: { balance: creditAmount } },
+      options: { session: sessionToUse },
+    });
+
+    const debitBalanceAfter = debitAccount.balance - data.amount;
+    const creditBalanceAfter = creditAccount.balance + creditAmount;
+
+    // fee entries carry the running balances of the debit account and of each fee account
+    let feeDebitBalance = debitBalanceAfter;
+    const feeAccountBalances = {};
+    const feeEntries = [];
+
+    for (let i = 0; i < fees.length; i++) {
+      const fee = fees[i];
+      const feeAccountBalance =
+        feeAccountBalances[fee.credit_account] ?? feeAccounts[fee.credit_account].balance;
+
+      // eslint-disable-next-line no-await-in-loop
+      await Account.updateOne({
+        query: { _id: fee.credit_account },
+        updateValues: { $inc: { balance: fee.amount } },
+        options: { session: sessionToUse },
+      });
+
+      feeEntries.push(
+        {
+          transaction_ref: data.transaction_ref,
+          account_id: data.debit_account,
+          entry_type: 'debit',
+          amount: fee.amount,
+          currency: data.currency,
+          balance_before: feeDebitBalance,
+          balance_after: feeDebitBalance - fee.amount,
+          narration: fee.narration,
+        },
+        {
+          transaction_ref: data.transaction_ref,
+          account_id: fee.credit_account,
+          entry_type: 'credit',
+          amount: fee.amount,
+          currency: data.currency,
+          balance_before: feeAccountBalance,
+          balance_after: feeAccountBalance + fee.amount,
+          narration: fee.narration,
+        }
+      );
+
+      feeDebitBalance -= fee.amount;
+      feeAccountBalances[fee.credit_account] = feeAccountBalance + fee.amount;
+    }
+
+    const entries = await LedgerEntry.createMany({
+      entries: [
+        {
+          transaction_ref: data.transaction_ref,
+          account_id: data.debit_account,
+          entry_type: 'debit',
+          amount: data.amount,
+          currency: data.currency,
+          balance_before: debitAccount.balance,
+          balance_after: debitBalanceAfter,
+          narration: data.narration,
+        },
+        {
+          transaction_ref: data.transaction_ref,
+          account_id: data.credit_account,
+          entry_type: 'credit',
+          amount: creditAmount,
+          currency: data.credit_currency || data.currency,
+          balance_before: creditAccount.balance,
+          balance_after: creditBalanceAfter,
+          narration: data.narration,
+        },
+        ...feeEntries,
+      ],
+      options: { session: sessionToUse },
+    });
+
+    if (isSessionNative) {
+      await sessionToUse.commitTransaction();
+    }
+
+    result = {
+      debit_account: { ...debitAccount, balance: feeDebitBalance },
+      credit_account: { ...creditAccount, balance: creditBalanceAfter },
+      entries,
+    };
+  } catch (error) {
+    if (isSessionNative) {
+      await sessionToUse.abortTransaction();
+    }
+    appLogger.errorX(error, 'post-ledger-transfer-error');
+    throw error;
+  } finally {
+    if (isSessionNative) {
+      await sessionToUse.endSession();
+    }
+  }
+
+  return result;
+}
+
+module.exports = postLedgerTransfer;
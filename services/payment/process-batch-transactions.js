@@ -0,0 +1,229 @@
+/**
+ * Applies a batch of payment instructions in order against one set of accounts
+ */
+
+const validator = require('@app-core/validator');
+const { createSession } = require('@app-core/mongoose');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const PaymentMessages = require('@app/messages/payment');
+const { toMinorUnits, formatMinorUnits } = require('@app/services/utils/money');
+const processTransaction = require('./process-transaction');
+const schedulePendingTransaction = require('./schedule-pending-transaction');
+const { BATCH_STATUS, MAX_BATCH_SIZE, TRANSACTION_STATUS } = require('./constants');
+
+// When accounts are omitted, the instructions run against the stored accounts.
+// owner_id is passed on to processTransaction
+const spec = `root {
+  owner_id? string<trim>
+  accounts[]? {
+    id string
+    balance any
+    currency string
+  }
+  instructions[] string
+  atomic? boolean
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Renders a posted balance in the decimal format of the results, leaving invalid balances
+ * as they are for processTransaction to reject
+ */
+function normalizeBalance(account) {
+  const balance = formatMinorUnits(
+    toMinorUnits(account.balance, account.currency),
+    account.currency
+  );
+  return { ...account, balance: balance ?? account.balance };
+}
+
+/**
+ * Sends a balance as a number, with its exact decimal string next to it, as processTransaction does
+ */
+function withNumericBalance(account) {
+  const balance = Number(account.balance);
+
+  return {
+    ...account,
+    balance: Number.isFinite(balance) ? balance : account.balance,
+    balance_decimal: account.balance,
+  };
+}
+
+/**
+ * Carries the balances reported by an instruction result into the working account set
+ */
+function applyResultBalances(workingAccounts, result) {
+  result.accounts.forEach((resultAccount) => {
+    const account = workingAccounts.find((acc) => acc.id === resultAccount.id);
+
+    if (account) {
+      account.balance = resultAccount.balance_decimal;
+    }
+  });
+}
+
+/**
+ * Builds the account balances of a batch run against stored accounts from its results.
+ * A rolled back batch reports the balances from before its first instruction.
+ */
+function getStoredAccountBalances(results, isRolledBack) {
+  const accounts = [];
+
+  results.forEach((result) => {
+    result.accounts.forEach((resultAccount) => {
+      const account = accounts.find((acc) => acc.id === resultAccount.id);
+
+      if (!account) {
+        accounts.push({
+          id: resultAccount.id,
+          balance: isRolledBack
+            ? resultAccount.balance_before_decimal
+            : resultAccount.balance_decimal,
+          currency: resultAccount.currency,
+        });
+      } else if (!isRolledBack) {
+        account.balance = resultAccount.balance_decimal;
+      }
+    });
+  });
+
+  return accounts;
+}
+
+/**
+ * Processes each instruction through processTransaction, feeding the balances left by one
+ * instruction into the next. In atomic mode the first failed instruction stops the batch and
+ * every balance change made by the batch is rolled back.
+ * @param {Object} serviceData
+ * @param {{session?: import('mongoose').ClientSession}} [options]
+ */
+async function processBatchTransactions(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let response;
+
+  if (data.instructions.length > MAX_BATCH_SIZE) {
+    throwAppError(PaymentMessages.BATCH_TOO_LARGE, ERROR_CODE.VALIDATIONERR, {
+      context: { max_batch_size: MAX_BATCH_SIZE },
+    });
+  }
+
+  const isAtomic = !!data.atomic;
+  const useStoredAccounts = !data.accounts;
+  const originalAccounts = (data.accounts || []).map(normalizeBalance);
+  const workingAccounts = (data.accounts || []).map(normalizeBalance);
+
+  // an atomic batch against stored accounts shares one database transaction
+  let sessionToUse = options.session;
+  let isSessionNative = false;
+
+  if (isAtomic && useStoredAccounts && !sessionToUse) {
+    sessionToUse = await createSession();
+    isSessionNative = true;
+  }
+
+  try {
+    if (isSessionNative) {
+      sessionToUse.startTransaction();
+    }
+
+    const results = [];
+    let isRolledBack = false;
+
+    for (let i = 0; i < data.instructions.length && !isRolledBack; i++) {
+      // eslint-disable-next-line no-await-in-loop
+      const result = await processTransaction(
+        {
+          accounts: useStoredAccounts ? undefined : workingAccounts.map((acc) => ({ ...acc })),
+          instruction: data.instructions[i],
+          owner_id: data.owner_id,
+        },
+        { session: sessionToUse }
+      );
+
+      results.push(result);
+      applyResultBalances(workingAccounts, result);
+
+      if (isAtomic && result.status === TRANSACTION_STATUS.FAILED) {
+        isRolledBack = true;
+      }
+    }
+
+    if (isSessionNative) {
+      if (isRolledBack) {
+        await sessionToUse.abortTransaction();
+      } else {
+        await sessionToUse.commitTransaction();
+
+        // the pending transactions only exist once the batch is committed
+        await Promise.all(
+          results
+            .filter((result) => result.status === TRANSACTION_STATUS.PENDING)
+            .map((result) =>
+              schedulePendingTransaction({
+                _id: result.transaction_id,
+                execute_at: Date.parse(result.execute_by),
+              })
+            )
+        );
+      }
+    }
+
+    let accounts;
+    if (useStoredAccounts) {
+      accounts = getStoredAccountBalances(results, isRolledBack);
+    } else {
+      accounts = isRolledBack ? originalAccounts : workingAccounts;
+    }
+
+    if (isRolledBack) {
+      appLogger.warn({ failedInstruction: results.length - 1 }, 'batch-rolled-back');
+      results.forEach((result) => {
+        if (result.status !== TRANSACTION_STATUS.FAILED) {
+          // eslint-disable-next-line no-param-reassign
+          result.rolled_back = true;
+        }
+
+        // the transaction records were written in the aborted session, the failed one's included
+        if (result.transaction_id) {
+          // eslint-disable-next-line no-param-reassign
+          result.transaction_id = null;
+        }
+      });
+    }
+
+    // rolled back results did not take effect, so they count towards neither outcome
+    const appliedResults = results.filter((result) => !result.rolled_back);
+
+    response = {
+      atomic: isAtomic,
+      status: isRolledBack ? BATCH_STATUS.ROLLED_BACK : BATCH_STATUS.COMPLETED,
+      status_reason: isRolledBack
+        ? PaymentMessages.BATCH_ROLLED_BACK
+        : PaymentMessages.BATCH_COMPLETED,
+      total: data.instructions.length,
+      processed: results.length,
+      successful: appliedResults.filter((r) => r.status === TRANSACTION_STATUS.SUCCESSFUL).length,
+      pending: appliedResults.filter((r) => r.status === TRANSACTION_STATUS.PENDING).length,
+      failed: appliedResults.filter((r) => r.status === TRANSACTION_STATUS.FAILED).length,
+      results,
+      accounts: accounts.map(withNumericBalance),
+    };
+  } catch (error) {
+    if (isSessionNative) {
+      await sessionToUse.abortTransaction();
+    }
+    appLogger.errorX(error, 'process-batch-transactions-error');
+    throw error;
+  } finally {
+    if (isSessionNative) {
+      await sessionToUse.endSession();
+    }
+  }
+
+  return response;
+}
+
+module.exports = processBatchTransactions;
@@ -3,39 +3,50 @@
  */
 
 const validator = require('@app-core/validator');
+const { ERROR_CODE } = require('@app-core/errors');
 const { appLogger } = require('@app-core/logger');
+const { ulid } = require('@app-core/randomness');
+const { createSession } = require('@app-core/mongoose');
+const Account = require('@app/repository/account');
+const Transaction = require('@app/repository/transaction');
 const PaymentMessages = require('@app/messages/payment');
+const FxMessages = require('@app/messages/fx');
+const getExchangeRate = require('@app/services/fx/get-exchange-rate');
+const convertAmount = require('@app/services/fx/convert-amount');
+const checkTransferLimits = require('@app/services/limits/check-transfer-limits');
+const { calculateFees, formatFees } = require('@app/services/fees/calculate-fees');
+const { toMinorUnits, formatMinorUnits } = require('@app/services/utils/money');
 const parseInstruction = require('./parse-instruction');
-
-// Validation spec
+const postLedgerTransfer = require('./post-ledger-transfer');
+const schedulePendingTransaction = require('./schedule-pending-transaction');
+const reverseTransaction = require('./reverse-transaction');
+const {
+  STATUS_CODES,
+  TRANSACTION_STATUS,
+  INSTRUCTION_TYPES,
+  SUPPORTED_CURRENCIES,
+  TRANSFER_INSTRUCTION_TYPES,
+} = require('./constants');
+
+// Validation spec. When accounts are omitted, the instruction runs against the stored accounts.
+// owner_id, when given, is the user the stored debit account has to belong to; the caller sees
+// the balances of its own accounts only.
+// allow_fx lets the credit account hold a different currency from the instruction.
+// Balances may be numbers or decimal strings; they are checked when converted to minor units
 const spec = `root {
-  accounts[] {
+  accounts[]? {
     id string
-    balance number
+    balance any
     currency string
   }
   instruction string
+  allow_fx? boolean
+  owner_id? string<trim>
 }`;
 
 // Parse spec once at module level
 const parsedSpec = validator.parse(spec);
 
-// Status codes
-const STATUS_CODES = {
-  SUCCESS: 'AP00',
-  PENDING: 'AP01',
-  CURRENCY_MISMATCH: 'CU01',
-  UNSUPPORTED_CURRENCY: 'CU02',
-  INSUFFICIENT_FUNDS: 'AC01',
-  SAME_ACCOUNT: 'AC02',
-  ACCOUNT_NOT_FOUND: 'AC03',
-  INVALID_AMOUNT: 'AM01',
-  MALFORMED_INSTRUCTION: 'SY01',
-  UNPARSEABLE_INSTRUCTION: 'SY03',
-};
-
-const SUPPORTED_CURRENCIES = ['NGN', 'USD', 'GBP', 'GHS'];
-
 /**
  * Checks if a date is in the future
  */
@@ -57,17 +68,142 @@ function findAccount(accounts, accountId) {
 }
 
 /**
- * Creates account response object
+ * Loads stored accounts by ID, shaped like the accounts posted in a request
+ */
+async function findStoredAccounts(accountIds, session) {
+  const ids = accountIds.filter(Boolean);
+  const storedAccounts = await Account.findMany({
+    query: { _id: { $in: ids } },
+    options: { session },
+  });
+
+  // keep the debit/credit order of the instruction
+  return ids
+    .map((id) => storedAccounts.find((acc) => `${acc._id}` === id))
+    .filter(Boolean)
+    .map((acc) => ({
+      id: `${acc._id}`,
+      balance: acc.balance,
+      currency: acc.currency,
+      tier: acc.tier,
+      owner_id: acc.owner_id,
+    }));
+}
+
+/**
+ * Persists the outcome of an instruction run against stored accounts, in the session of its
+ * ledger posting
+ */
+async function recordTransaction(
+  response,
+  { amount, fxQuote, feeCharge, instruction, ledgerRef, creditCurrency, session }
+) {
+  const executeAt = response.execute_by ? Date.parse(response.execute_by) : null;
+
+  return Transaction.create(
+    {
+      type: response.type,
+      amount,
+      currency: response.currency,
+      debit_account: response.debit_account,
+      credit_account: response.credit_account,
+      credit_currency: creditCurrency,
+      converted_amount: fxQuote?.converted_amount,
+      rate: fxQuote?.rate,
+      rate_timestamp: fxQuote?.rate_timestamp,
+      fees: feeCharge?.items,
+      fee_total: feeCharge?.total,
+      fee_account: feeCharge?.fee_account,
+      execute_by: response.execute_by,
+      execute_at: executeAt,
+      status: response.status,
+      status_code: response.status_code,
+      status_reason: response.status_reason,
+      instruction,
+      ledger_ref: ledgerRef,
+      executed: response.status === TRANSACTION_STATUS.SUCCESSFUL ? Date.now() : null,
+    },
+    { session }
+  );
+}
+
+/**
+ * Checks the transfer, with the fees charged on it, against the limits of the debit account's tier
+ * @returns {Promise<{status_code: string, status_reason: string, limit: Object}|null>} the
+ * violation, if any
+ */
+async function findLimitViolation(debitAccount, amount, fees, currency, session) {
+  let violation = null;
+
+  try {
+    await checkTransferLimits(
+      { account_id: debitAccount.id, tier: debitAccount.tier, amount, fees, currency },
+      { session }
+    );
+  } catch (error) {
+    if (error.errorCode !== ERROR_CODE.LIMITERR) {
+      throw error;
+    }
+
+    const { status_code: statusCode, ...limit } = error.details;
+    violation = { status_code: statusCode, status_reason: error.message, limit };
+  }
+
+  return violation;
+}
+
+/**
+ * Creates account response object. Balances are held in minor units and rendered as decimals
  */
 function createAccountResponse(account, balanceBefore) {
   return {
     id: account.id,
-    balance: account.balance,
-    balance_before: balanceBefore,
+    balance: formatMinorUnits(account.balance, account.currency),
+    balance_before: formatMinorUnits(balanceBefore, account.currency),
     currency: account.currency.toUpperCase(),
   };
 }
 
+/**
+ * Sends the amounts of a response as numbers, as they were sent before amounts were held in minor
+ * units, each with its exact decimal string next to it in a *_decimal field
+ */
+function withNumericAmounts(response) {
+  const toNumber = (decimal) => (typeof decimal === 'string' ? Number(decimal) : decimal);
+  const result = {
+    ...response,
+    amount: toNumber(response.amount),
+    amount_decimal: response.amount,
+    accounts: response.accounts.map((acc) => ({
+      ...acc,
+      balance: toNumber(acc.balance),
+      balance_decimal: acc.balance,
+      balance_before: toNumber(acc.balance_before),
+      balance_before_decimal: acc.balance_before,
+    })),
+  };
+
+  if (response.converted_amount !== undefined) {
+    result.converted_amount = toNumber(response.converted_amount);
+    result.converted_amount_decimal = response.converted_amount;
+  }
+
+  return result;
+}
+
+/**
+ * Converts the balances posted in a request to minor units
+ * @returns {Object[]|null} the converted accounts, or null if a balance is not a valid amount
+ */
+function toMinorUnitAccounts(accounts) {
+  const converted = accounts.map((acc) => ({
+    ...acc,
+    balance: toMinorUnits(acc.balance, acc.currency),
+  }));
+
+  return converted.some((acc) => acc.balance === null) ? null : converted;
+}
+
 /**
  * Gets accounts in the order they appear in the request
  */
@@ -86,70 +222,149 @@ function getAccountsInOrder(accounts, debitAccountId, creditAccountId) {
 }
 
 /**
- * Main transaction processor
+ * Runs a REVERSE instruction through reverseTransaction, which records the reversal itself.
+ * A transaction that is not stored, or that the caller may not reverse, fails the instruction
+ * instead of the request.
+ * @returns {Promise<Object>} the instruction response
  */
-async function processTransaction(serviceData, options = {}) {
+async function runReversal(transactionId, ownerId, session) {
   let response;
 
-  // Validate input FIRST (as per README guidelines)
-  let data;
   try {
-    data = validator.validate(serviceData, parsedSpec);
+    const reversal = await reverseTransaction(
+      { transaction_id: transactionId, owner_id: ownerId },
+      { session }
+    );
+
+    response = {
+      type: reversal.type,
+      amount: reversal.amount,
+      currency: reversal.currency,
+      debit_account: reversal.debit_account,
+      credit_account: reversal.credit_account,
+      execute_by: null,
+      status: reversal.status,
+      status_reason: reversal.status_reason,
+      status_code: reversal.status_code,
+      reversal_of: reversal.reversal_of,
+      transaction_id: reversal.transaction_id,
+      accounts: [],
+    };
   } catch (error) {
-    // Return proper error format for validation failures
-    appLogger.warn({ error: error.message }, 'validation-error');
-    return {
-      type: null,
+    if (error.errorCode !== ERROR_CODE.NOTFOUND && error.errorCode !== ERROR_CODE.PERMERR) {
+      throw error;
+    }
+
+    response = {
+      type: INSTRUCTION_TYPES.REVERSE,
       amount: null,
       currency: null,
       debit_account: null,
       credit_account: null,
       execute_by: null,
       status: 'failed',
-      status_reason: error.message || 'Invalid request format',
-      status_code: STATUS_CODES.MALFORMED_INSTRUCTION,
+      status_reason: error.message,
+      status_code: STATUS_CODES.REVERSAL_NOT_ALLOWED,
+      reversal_of: transactionId,
       accounts: [],
     };
   }
 
-  const { accounts, instruction } = data;
+  return response;
+}
+
+/**
+ * Runs a validated instruction against the accounts posted in the request, or against the stored
+ * accounts when there are none. For stored accounts, the ledger posting and the transaction record
+ * are written in the given session.
+ * @returns {Promise<{response: Object, transaction: Object|null}>}
+ */
+async function runInstruction(data, requestAccounts, session) {
+  let response;
+  let transaction = null;
+  let accounts = requestAccounts;
+
+  const { instruction } = data;
+  const useStoredAccounts = !data.accounts;
+  const ledgerRef = ulid();
+  let fxQuote = null;
+  let feeCharge = null;
+  let creditCurrency = null;
 
   appLogger.info({ instruction }, 'processing-transaction');
 
   // Parse the instruction
   const parsed = parseInstruction(instruction);
 
-  // Check if instruction is completely unparseable
-  if (
-    parsed.type === null &&
-    parsed.amount === null &&
-    parsed.currency === null &&
-    parsed.debit_account === null &&
-    parsed.credit_account === null
-  ) {
-    appLogger.warn({ instruction }, 'unparseable-instruction');
+  const {
+    type,
+    amount: parsedAmount,
+    currency,
+    debit_account: debitAccountId,
+    credit_account: creditAccountId,
+    execute_by: executeBy,
+  } = parsed;
+
+  // Amounts are handled in minor units of the instruction currency from here on
+  const amount = parsedAmount === null ? null : toMinorUnits(parsedAmount, currency);
+
+  // Report the token the instruction could not be parsed at, with whatever was parsed before it
+  if (parsed.error) {
+    const { token, offset, expected } = parsed.error;
+
+    appLogger.warn({ instruction, token, offset, expected }, 'unparseable-instruction');
     response = {
-      type: null,
+      type,
+      amount: currency ? formatMinorUnits(amount, currency) : null,
+      currency,
+      debit_account: debitAccountId,
+      credit_account: creditAccountId,
+      execute_by: executeBy,
+      status: 'failed',
+      status_reason: parsed.error.status_reason,
+      status_code: parsed.error.status_code,
+      diagnostics: { token, offset, expected },
+      accounts: [],
+    };
+  }
+
+  // a reversal works on a stored transaction, so in-request accounts have nothing to reverse
+  if (!response && type === INSTRUCTION_TYPES.REVERSE) {
+    response = useStoredAccounts
+      ? await runReversal(parsed.transaction_id, data.owner_id, session)
+      : {
+          type,
+          amount: null,
+          currency: null,
+          debit_account: null,
+          credit_account: null,
+          execute_by: null,
+          status: 'failed',
+          status_reason: PaymentMessages.REVERSAL_NEEDS_STORED_ACCOUNTS,
+          status_code: STATUS_CODES.REVERSAL_NOT_ALLOWED,
+          accounts: [],
+        };
+  }
+
+  if (!response && TRANSFER_INSTRUCTION_TYPES.indexOf(type) < 0) {
+    appLogger.warn({ instruction, type }, 'unsupported-instruction');
+    response = {
+      type,
       amount: null,
       currency: null,
       debit_account: null,
       credit_account: null,
       execute_by: null,
       status: 'failed',
-      status_reason: PaymentMessages.MALFORMED_INSTRUCTION,
-      status_code: STATUS_CODES.UNPARSEABLE_INSTRUCTION,
+      status_reason: PaymentMessages.UNSUPPORTED_INSTRUCTION,
+      status_code: STATUS_CODES.UNSUPPORTED_INSTRUCTION,
       accounts: [],
     };
   }
 
-  const {
-    type,
-    amount,
-    currency,
-    debit_account: debitAccountId,
-    credit_account: creditAccountId,
-    execute_by: executeBy,
-  } = parsed;
+  if (!response && useStoredAccounts) {
+    accounts = await findStoredAccounts([debitAccountId, creditAccountId], session);
+  }
 
   // Validate amount
   if (!response && (amount === null || amount <= 0)) {
@@ -157,7 +372,7 @@ async function processTransaction(serviceData, options = {}) {
       (acc) => createAccountResponse(acc, acc.balance)
     );
 
-    appLogger.warn({ amount }, 'invalid-amount');
+    appLogger.warn({ amount: parsedAmount }, 'invalid-amount');
     response = {
       type,
       amount: null,
@@ -181,7 +396,7 @@ async function processTransaction(serviceData, options = {}) {
     appLogger.warn({ currency }, 'unsupported-currency');
     response = {
       type,
-      amount,
+      amount: formatMinorUnits(amount, currency),
       currency,
       debit_account: debitAccountId,
       credit_account: creditAccountId,
@@ -206,7 +421,7 @@ async function processTransaction(serviceData, options = {}) {
       appLogger.warn({ debitAccountId, creditAccountId }, 'account-not-found');
       response = {
         type,
-        amount,
+        amount: formatMinorUnits(amount, currency),
         currency,
         debit_account: debitAccountId,
         credit_account: creditAccountId,
@@ -224,7 +439,7 @@ async function processTransaction(serviceData, options = {}) {
         appLogger.warn({ debitAccountId, creditAccountId }, 'same-account-error');
         response = {
           type,
-          amount,
+          amount: formatMinorUnits(amount, currency),
           currency,
           debit_account: debitAccountId,
           credit_account: creditAccountId,
@@ -236,12 +451,44 @@ async function processTransaction(serviceData, options = {}) {
         };
       }
 
+      // a caller may only debit its own stored accounts, while any account may be credited
+      if (
+        !response &&
+        useStoredAccounts &&
+        data.owner_id &&
+        debitAccount.owner_id !== data.owner_id
+      ) {
+        const accountResponses = getAccountsInOrder(accounts, debitAccountId, creditAccountId).map(
+          (acc) => createAccountResponse(acc, acc.balance)
+        );
+
+        appLogger.warn({ debitAccountId }, 'account-not-owned');
+        response = {
+          type,
+          amount: formatMinorUnits(amount, currency),
+          currency,
+          debit_account: debitAccountId,
+          credit_account: creditAccountId,
+          execute_by: executeBy,
+          status: 'failed',
+          status_reason: PaymentMessages.ACCOUNT_NOT_OWNED,
+          status_code: STATUS_CODES.ACCOUNT_NOT_OWNED,
+          accounts: accountResponses,
+        };
+      }
+
       // Validate currency mismatch
       if (!response) {
         const debitCurrency = debitAccount.currency.toUpperCase();
-        const creditCurrency = creditAccount.currency.toUpperCase();
+        creditCurrency = creditAccount.currency.toUpperCase();
+
+        // in FX mode the debit side still has to match the instruction; the credit side is converted
+        const canConvert =
+          data.allow_fx &&
+          debitCurrency === currency &&
+          SUPPORTED_CURRENCIES.indexOf(creditCurrency) >= 0;
 
-        if (debitCurrency !== currency || creditCurrency !== currency) {
+        if ((debitCurrency !== currency || creditCurrency !== currency) && !canConvert) {
           const accountResponses = getAccountsInOrder(
             accounts,
             debitAccountId,
@@ -251,7 +498,7 @@ async function processTransaction(serviceData, options = {}) {
           appLogger.warn({ debitCurrency, creditCurrency, currency }, 'currency-mismatch');
           response = {
             type,
-            amount,
+            amount: formatMinorUnits(amount, currency),
             currency,
             debit_account: debitAccountId,
             credit_account: creditAccountId,
@@ -278,7 +525,7 @@ async function processTransaction(serviceData, options = {}) {
           appLogger.info({ executeBy }, 'transaction-pending');
           response = {
             type,
-            amount,
+            amount: formatMinorUnits(amount, currency),
             currency,
             debit_account: debitAccountId,
             credit_account: creditAccountId,
@@ -291,9 +538,130 @@ async function processTransaction(serviceData, options = {}) {
         }
       }
 
-      // Validate sufficient funds
+      // Quote the conversion. Pending transfers are converted at the rate of their execution date
+      if (!response && creditCurrency !== currency) {
+        let failure;
+
+        try {
+          const { rate, rate_timestamp: rateTimestamp } = await getExchangeRate({
+            from: currency,
+            to: creditCurrency,
+          });
+          fxQuote = {
+            converted_amount: convertAmount(amount, rate, {
+              fromCurrency: currency,
+              toCurrency: creditCurrency,
+            }),
+            rate,
+            rate_timestamp: rateTimestamp,
+          };
+
+          if (fxQuote.converted_amount <= 0) {
+            failure = {
+              status_reason: FxMessages.CONVERTED_AMOUNT_TOO_SMALL,
+              status_code: STATUS_CODES.FX_AMOUNT_TOO_SMALL,
+            };
+          }
+        } catch (error) {
+          failure = {
+            status_reason: FxMessages.RATE_UNAVAILABLE,
+            status_code: STATUS_CODES.FX_RATE_UNAVAILABLE,
+          };
+        }
+
+        if (failure) {
+          const accountResponses = getAccountsInOrder(
+            accounts,
+            debitAccountId,
+            creditAccountId
+          ).map((acc) => createAccountResponse(acc, acc.balance));
+
+          appLogger.warn({ currency, creditCurrency, ...failure }, 'fx-conversion-failed');
+          response = {
+            type,
+            amount: formatMinorUnits(amount, currency),
+            currency,
+            debit_account: debitAccountId,
+            credit_account: creditAccountId,
+            execute_by: executeBy,
+            status: 'failed',
+            status_reason: failure.status_reason,
+            status_code: failure.status_code,
+            accounts: accountResponses,
+          };
+        }
+      }
+
+      // Fees are charged on in-request accounts too, but only stored accounts credit the fee account
+      if (!response) {
+        try {
+          feeCharge = calculateFees({ amount, currency, type });
+        } catch (error) {
+          if (error.errorCode !== ERROR_CODE.FEEERR) {
+            throw error;
+          }
+
+          const accountResponses = getAccountsInOrder(
+            accounts,
+            debitAccountId,
+            creditAccountId
+          ).map((acc) => createAccountResponse(acc, acc.balance));
+
+          appLogger.warn({ currency, type, error: error.message }, 'fee-calculation-failed');
+          response = {
+            type,
+            amount: formatMinorUnits(amount, currency),
+            currency,
+            debit_account: debitAccountId,
+            credit_account: creditAccountId,
+            execute_by: executeBy,
+            status: 'failed',
+            status_reason: error.message,
+            status_code: STATUS_CODES.FEE_ERROR,
+            accounts: accountResponses,
+          };
+        }
+      }
+
+      // Limits are kept per stored account, from its transaction history, and count the fees too
+      if (!response && useStoredAccounts) {
+        const violation = await findLimitViolation(
+          debitAccount,
+          amount,
+          feeCharge ? feeCharge.total : 0,
+          currency,
+          session
+        );
+
+        if (violation) {
+          const accountResponses = getAccountsInOrder(
+            accounts,
+            debitAccountId,
+            creditAccountId
+          ).map((acc) => createAccountResponse(acc, acc.balance));
+
+          appLogger.warn({ debitAccountId, ...violation }, 'transfer-limit-exceeded');
+          response = {
+            type,
+            amount: formatMinorUnits(amount, currency),
+            currency,
+            debit_account: debitAccountId,
+            credit_account: creditAccountId,
+            execute_by: executeBy,
+            status: 'failed',
+            status_reason: violation.status_reason,
+            status_code: violation.status_code,
+            limit: violation.limit,
+            accounts: accountResponses,
+          };
+        }
+      }
+
+      // Validate sufficient funds, fees included
       if (!response) {
-        if (debitAccount.balance < amount) {
+        const feeTotal = feeCharge ? feeCharge.total : 0;
+
+        if (debitAccount.balance < amount + feeTotal) {
           const accountResponses = getAccountsInOrder(
             accounts,
             debitAccountId,
@@ -301,12 +669,12 @@ async function processTransaction(serviceData, options = {}) {
           ).map((acc) => createAccountResponse(acc, acc.balance));
 
           appLogger.warn(
-            { debitAccountId, balance: debitAccount.balance, amount },
+            { debitAccountId, balance: debitAccount.balance, amount, feeTotal },
             'insufficient-funds'
           );
           response = {
             type,
-            amount,
+            amount: formatMinorUnits(amount, currency),
             currency,
             debit_account: debitAccountId,
             credit_account: creditAccountId,
@@ -323,9 +691,34 @@ async function processTransaction(serviceData, options = {}) {
       if (!response) {
         const debitBalanceBefore = debitAccount.balance;
         const creditBalanceBefore = creditAccount.balance;
+        const creditAmount = fxQuote ? fxQuote.converted_amount : amount;
+
+        if (useStoredAccounts) {
+          const posting = await postLedgerTransfer(
+            {
+              transaction_ref: ledgerRef,
+              debit_account: debitAccountId,
+              credit_account: creditAccountId,
+              amount,
+              currency,
+              credit_amount: creditAmount,
+              credit_currency: creditCurrency,
+              narration: instruction,
+              fees: feeCharge?.items.map((item) => ({
+                credit_account: feeCharge.fee_account,
+                amount: item.amount,
+                narration: `${item.name} fee: ${instruction}`,
+              })),
+            },
+            { session }
+          );
 
-        debitAccount.balance -= amount;
-        creditAccount.balance += amount;
+          debitAccount.balance = posting.debit_account.balance;
+          creditAccount.balance = posting.credit_account.balance;
+        } else {
+          debitAccount.balance -= amount + (feeCharge ? feeCharge.total : 0);
+          creditAccount.balance += creditAmount;
+        }
 
         // Create response with accounts in request order
         const accountResponses = getAccountsInOrder(accounts, debitAccountId, creditAccountId).map(
@@ -346,7 +739,7 @@ async function processTransaction(serviceData, options = {}) {
         );
         response = {
           type,
-          amount,
+          amount: formatMinorUnits(amount, currency),
           currency,
           debit_account: debitAccountId,
           credit_account: creditAccountId,
@@ -360,8 +753,136 @@ async function processTransaction(serviceData, options = {}) {
     }
   }
 
-  // Single exit point
-  return response;
+  if (fxQuote) {
+    Object.assign(response, {
+      converted_amount: formatMinorUnits(fxQuote.converted_amount, creditCurrency),
+      rate: fxQuote.rate,
+      rate_timestamp: fxQuote.rate_timestamp,
+    });
+  }
+
+  if (feeCharge) {
+    response.fees = formatFees(feeCharge);
+  }
+
+  // the balances of stored accounts that belong to someone else are not the caller's to see
+  if (useStoredAccounts && data.owner_id && response.accounts) {
+    const ownedIds = accounts.filter((acc) => acc.owner_id === data.owner_id).map((acc) => acc.id);
+
+    response.accounts = response.accounts.filter((acc) => ownedIds.indexOf(acc.id) >= 0);
+  }
+
+  // Instructions that could not be parsed into a transfer are not worth keeping
+  if (useStoredAccounts && !parsed.error && TRANSFER_INSTRUCTION_TYPES.indexOf(type) >= 0) {
+    transaction = await recordTransaction(response, {
+      amount,
+      fxQuote,
+      feeCharge,
+      instruction,
+      ledgerRef,
+      creditCurrency,
+      session,
+    });
+    response.transaction_id = transaction._id;
+  }
+
+  return { response, transaction };
+}
+
+/**
+ * Main transaction processor.
+ * Amounts and balances are numbers in major units; the exact decimals are in the *_decimal fields.
+ * Data that does not match the spec fails with SY01, and the errors of the response list every
+ * failing field with its path.
+ */
+async function processTransaction(serviceData, options = {}) {
+  let response;
+
+  // Validate input FIRST (as per README guidelines)
+  let data;
+  try {
+    data = validator.validate(serviceData, parsedSpec, { abortEarly: false });
+  } catch (error) {
+    // Return proper error format for validation failures, listing every failing field in errors
+    appLogger.warn({ error: error.message }, 'validation-error');
+    return withNumericAmounts({
+      type: null,
+      amount: null,
+      currency: null,
+      debit_account: null,
+      credit_account: null,
+      execute_by: null,
+      status: 'failed',
+      status_reason: error.message || 'Invalid request format',
+      status_code: STATUS_CODES.MALFORMED_INSTRUCTION,
+      errors: error.details || [],
+      accounts: [],
+    });
+  }
+
+  const accounts = data.accounts ? toMinorUnitAccounts(data.accounts) : [];
+
+  if (!accounts) {
+    appLogger.warn({ accounts: data.accounts }, 'invalid-account-balance');
+    return withNumericAmounts({
+      type: null,
+      amount: null,
+      currency: null,
+      debit_account: null,
+      credit_account: null,
+      execute_by: null,
+      status: 'failed',
+      status_reason: PaymentMessages.INVALID_ACCOUNT_BALANCE,
+      status_code: STATUS_CODES.MALFORMED_INSTRUCTION,
+      accounts: [],
+    });
+  }
+
+  // in-request accounts are not persisted, so only stored accounts need a session
+  if (data.accounts) {
+    ({ response } = await runInstruction(data, accounts));
+    return withNumericAmounts(response);
+  }
+
+  let transaction;
+  let sessionToUse;
+  let isSessionNative = false;
+
+  if (options.session) {
+    sessionToUse = options.session;
+  } else {
+    sessionToUse = await createSession();
+    isSessionNative = true;
+  }
+
+  try {
+    if (isSessionNative) {
+      sessionToUse.startTransaction();
+    }
+
+    ({ response, transaction } = await runInstruction(data, accounts, sessionToUse));
+
+    if (isSessionNative) {
+      await sessionToUse.commitTransaction();
+    }
+  } catch (error) {
+    if (isSessionNative) {
+      await sessionToUse.abortTransaction();
+    }
+    appLogger.errorX(error, 'process-transaction-error');
+    throw error;
+  } finally {
+    if (isSessionNative) {
+      await sessionToUse.endSession();
+    }
+  }
+
+  // a pending transaction only exists once committed; a caller owning the session schedules it
+  if (isSessionNative && transaction?.status === TRANSACTION_STATUS.PENDING) {
+    await schedulePendingTransaction(transaction);
+  }
+
+  return withNumericAmounts(response);
 }
 
 module.exports = processTransaction;
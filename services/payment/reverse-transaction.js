@@ -0,0 +1,327 @@
+/**
+ * Reverses a successful transfer, in full or in part, with a compensating ledger transfer
+ */
+
+const validator = require('@app-core/validator');
+const { createSession } = require('@app-core/mongoose');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const { ulid } = require('@app-core/randomness');
+const Account = require('@app/repository/account');
+const Transaction = require('@app/repository/transaction');
+const PaymentMessages = require('@app/messages/payment');
+const FxMessages = require('@app/messages/fx');
+const { toMinorUnits, formatMinorUnits } = require('@app/services/utils/money');
+const findOwnedAccountIds = require('@app/services/account/find-owned-account-ids');
+const postLedgerTransfer = require('./post-ledger-transfer');
+const {
+  STATUS_CODES,
+  TRANSACTION_STATUS,
+  INSTRUCTION_TYPES,
+  TRANSFER_INSTRUCTION_TYPES,
+} = require('./constants');
+
+// amount is in the currency of the original transaction; it defaults to what is left to reverse.
+// owner_id, when given, is the user reversing the transaction
+const spec = `root {
+  transaction_id string<trim>
+  owner_id? string<trim>
+  amount? any
+  reason? string<trim>
+}`;
+
+const parsedSpec = validator.parse(spec);
+
+/**
+ * Works out the part of a total tied to the amount of a transfer that a reversal takes back.
+ * Shares are taken on the running total so the reversals of a transfer add up to exactly the
+ * total once it is fully reversed.
+ * @returns {number} Amount in minor units
+ */
+function getReversedShare(total, transaction, reversedBefore, reversedAfter) {
+  const share = (reversed) => (BigInt(total) * BigInt(reversed)) / BigInt(transaction.amount);
+
+  return Number(share(reversedAfter) - share(reversedBefore));
+}
+
+/**
+ * Checks that the requested amount can be reversed
+ * @returns {{status_code: string, status_reason: string}|null} the failure, if any
+ */
+function checkReversal(transaction, reversalAmount, remainingAmount) {
+  let failure = null;
+
+  if (
+    transaction.status !== TRANSACTION_STATUS.SUCCESSFUL ||
+    TRANSFER_INSTRUCTION_TYPES.indexOf(transaction.type) < 0
+  ) {
+    failure = {
+      status_code: STATUS_CODES.REVERSAL_NOT_ALLOWED,
+      status_reason: PaymentMessages.REVERSAL_NOT_ALLOWED,
+    };
+  } else if (remainingAmount <= 0) {
+    failure = {
+      status_code: STATUS_CODES.ALREADY_REVERSED,
+      status_reason: PaymentMessages.ALREADY_REVERSED,
+    };
+  } else if (reversalAmount === null || reversalAmount <= 0) {
+    failure = {
+      status_code: STATUS_CODES.INVALID_AMOUNT,
+      status_reason: PaymentMessages.INVALID_AMOUNT,
+    };
+  } else if (reversalAmount > remainingAmount) {
+    failure = {
+      status_code: STATUS_CODES.REVERSAL_EXCEEDS_REMAINING,
+      status_reason: PaymentMessages.REVERSAL_EXCEEDS_REMAINING,
+    };
+  }
+
+  return failure;
+}
+
+/**
+ * Reverses a transaction by moving funds back from its credit account to its debit account.
+ * The fees charged on the transaction are refunded from the fee account in proportion to the
+ * amount reversed. Every attempt is recorded as a REVERSE transaction linked to the original by
+ * reversal_of.
+ * A caller that owns neither account of the transaction is told it does not exist, and one that
+ * owns only the debited account may not reverse it, since the reversal debits the credited one.
+ * @param {{transaction_id: string, owner_id?: string, amount?: string|number, reason?: string}} serviceData
+ * @param {{session?: import('mongoose').ClientSession}} [options]
+ */
+async function reverseTransaction(serviceData, options = {}) {
+  const data = validator.validate(serviceData, parsedSpec);
+  let response;
+
+  let sessionToUse;
+  let isSessionNative = false;
+
+  if (options.session) {
+    sessionToUse = options.session;
+  } else {
+    sessionToUse = await createSession();
+    isSessionNative = true;
+  }
+
+  try {
+    if (isSessionNative) {
+      sessionToUse.startTransaction();
+    }
+
+    const transaction = await Transaction.findOne({
+      query: { _id: data.transaction_id },
+      options: { session: sessionToUse },
+    });
+
+    let ownedAccountIds = null;
+
+    if (transaction && data.owner_id) {
+      ownedAccountIds = await findOwnedAccountIds(
+        data.owner_id,
+        [transaction.debit_account, transaction.credit_account],
+        { session: sessionToUse }
+      );
+    }
+
+    if (!transaction || (ownedAccountIds && !ownedAccountIds.length)) {
+      throwAppError(PaymentMessages.TRANSACTION_NOT_FOUND, ERROR_CODE.NOTFOUND);
+    }
+    if (ownedAccountIds && ownedAccountIds.indexOf(`${transaction.credit_account}`) < 0) {
+      throwAppError(PaymentMessages.REVERSAL_NOT_PERMITTED, ERROR_CODE.PERMERR);
+    }
+
+    const reversedBefore = transaction.reversed_amount || 0;
+    const remainingAmount = transaction.amount - reversedBefore;
+    const reversalAmount =
+      data.amount === undefined ? remainingAmount : toMinorUnits(data.amount, transaction.currency);
+    const creditCurrency = transaction.credit_currency || transaction.currency;
+    const isConverted = creditCurrency !== transaction.currency;
+
+    let failure = checkReversal(transaction, reversalAmount, remainingAmount);
+    // the reversal debits the original credit account in its own currency
+    let debitAmount = reversalAmount;
+    let feeRefund = 0;
+
+    if (!failure && transaction.fee_total) {
+      feeRefund = getReversedShare(
+        transaction.fee_total,
+        transaction,
+        reversedBefore,
+        reversedBefore + reversalAmount
+      );
+    }
+
+    if (!failure && isConverted) {
+      debitAmount = getReversedShare(
+        transaction.converted_amount,
+        transaction,
+        reversedBefore,
+        reversedBefore + reversalAmount
+      );
+
+      if (debitAmount <= 0) {
+        failure = {
+          status_code: STATUS_CODES.FX_AMOUNT_TOO_SMALL,
+          status_reason: FxMessages.CONVERTED_AMOUNT_TOO_SMALL,
+        };
+      }
+    }
+
+    if (!failure) {
+      const debitAccount = await Account.findOne({
+        query: { _id: transaction.credit_account },
+        options: { session: sessionToUse },
+      });
+
+      if (!debitAccount) {
+        failure = {
+          status_code: STATUS_CODES.ACCOUNT_NOT_FOUND,
+          status_reason: PaymentMessages.ACCOUNT_NOT_FOUND,
+        };
+      } else if (debitAccount.balance < debitAmount) {
+        failure = {
+          status_code: STATUS_CODES.INSUFFICIENT_FUNDS,
+          status_reason: PaymentMessages.INSUFFICIENT_FUNDS,
+        };
+      }
+    }
+
+    // the refund is checked up front, so a fee account that has been drained fails the reversal
+    // before anything is posted instead of failing the session halfway through
+    if (!failure && feeRefund > 0) {
+      const feeAccount = await Account.findOne({
+        query: { _id: transaction.fee_account },
+        options: { session: sessionToUse },
+      });
+
+      if (!feeAccount || feeAccount.balance < feeRefund) {
+        failure = {
+          status_code: STATUS_CODES.FEE_REFUND_UNAVAILABLE,
+          status_reason: PaymentMessages.FEE_REFUND_UNAVAILABLE,
+        };
+      }
+    }
+
+    if (!failure) {
+      // the guard stops a concurrent reversal from taking the total past the original amount
+      const reversalUpdate = await Transaction.updateOne({
+        query: {
+          _id: transaction._id,
+          reversed_amount: { $not: { $gt: transaction.amount - reversalAmount } },
+        },
+        updateValues: { $inc: { reversed_amount: reversalAmount } },
+        options: { session: sessionToUse },
+      });
+
+      if (!reversalUpdate.modifiedCount) {
+        failure = {
+          status_code: STATUS_CODES.REVERSAL_EXCEEDS_REMAINING,
+          status_reason: PaymentMessages.REVERSAL_EXCEEDS_REMAINING,
+        };
+      }
+    }
+
+    const ledgerRef = ulid();
+    const narration = `REVERSE TRANSACTION ${transaction._id}`;
+
+    if (!failure) {
+      await postLedgerTransfer(
+        {
+          transaction_ref: ledgerRef,
+          debit_account: transaction.credit_account,
+          credit_account: transaction.debit_account,
+          amount: debitAmount,
+          currency: creditCurrency,
+          credit_amount: reversalAmount,
+          credit_currency: transaction.currency,
+          narration: data.reason ? `${narration}: ${data.reason}` : narration,
+        },
+        { session: sessionToUse }
+      );
+
+      if (feeRefund > 0) {
+        await postLedgerTransfer(
+          {
+            transaction_ref: ledgerRef,
+            debit_account: transaction.fee_account,
+            credit_account: transaction.debit_account,
+            amount: feeRefund,
+            currency: transaction.currency,
+            narration: `${narration}: fee refund`,
+          },
+          { session: sessionToUse }
+        );
+      }
+    }
+
+    const outcome = failure || {
+      status_code: STATUS_CODES.REVERSAL_SUCCESSFUL,
+      status_reason: PaymentMessages.TRANSACTION_REVERSED,
+    };
+
+    if (failure) {
+      appLogger.warn({ transactionId: transaction._id, ...failure }, 'transaction-reversal-failed');
+    }
+
+    const reversal = await Transaction.create(
+      {
+        type: INSTRUCTION_TYPES.REVERSE,
+        amount: failure ? reversalAmount : debitAmount,
+        currency: failure ? transaction.currency : creditCurrency,
+        debit_account: transaction.credit_account,
+        credit_account: transaction.debit_account,
+        credit_currency: transaction.currency,
+        converted_amount: isConverted && !failure ? reversalAmount : undefined,
+        fee_refund: failure ? undefined : feeRefund,
+        status: failure ? TRANSACTION_STATUS.FAILED : TRANSACTION_STATUS.SUCCESSFUL,
+        ...outcome,
+        instruction: narration,
+        ledger_ref: failure ? undefined : ledgerRef,
+        reversal_of: transaction._id,
+        reason: data.reason,
+        executed: failure ? null : Date.now(),
+      },
+      { session: sessionToUse }
+    );
+
+    if (isSessionNative) {
+      await sessionToUse.commitTransaction();
+    }
+
+    const reversedAmount = failure ? reversedBefore : reversedBefore + reversalAmount;
+
+    response = {
+      transaction_id: reversal._id,
+      reversal_of: transaction._id,
+      type: reversal.type,
+      amount: formatMinorUnits(reversal.amount, reversal.currency),
+      currency: reversal.currency,
+      debit_account: reversal.debit_account,
+      credit_account: reversal.credit_account,
+      reversed_amount: formatMinorUnits(reversedAmount, transaction.currency),
+      remaining_amount: formatMinorUnits(transaction.amount - reversedAmount, transaction.currency),
+      fee_refund: formatMinorUnits(failure ? 0 : feeRefund, transaction.currency),
+      reason: data.reason || null,
+      status: reversal.status,
+      ...outcome,
+    };
+
+    if (isConverted && !failure) {
+      response.converted_amount = formatMinorUnits(reversalAmount, transaction.currency);
+    }
+  } catch (error) {
+    if (isSessionNative) {
+      await sessionToUse.abortTransaction();
+    }
+    appLogger.errorX(error, 'reverse-transaction-error');
+    throw error;
+  } finally {
+    if (isSessionNative) {
+      await sessionToUse.endSession();
+    }
+  }
+
+  return response;
+}
+
+module.exports = reverseTransaction;
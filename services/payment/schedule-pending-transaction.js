@@ -0,0 +1,37 @@
+/**
+ * Hands a pending transaction to the scheduler so it runs on its execute_by date
+ */
+
+const { appLogger } = require('@app-core/logger');
+const { executeScheduledTransaction } = require('@app/workers');
+
+/**
+ * Schedules the execution of a stored pending transaction.
+ * The transaction id doubles as the job id, so scheduling the same transaction twice is a no-op.
+ * A transaction that cannot be scheduled is logged and left for sweepPendingTransactions.
+ * @param {{_id: string, execute_at: number}} transaction
+ * @returns {Promise<Object|null>} the job, or null when it could not be scheduled
+ */
+async function schedulePendingTransaction(transaction) {
+  let job = null;
+
+  try {
+    job = await executeScheduledTransaction.scheduleJob(
+      { transaction_id: transaction._id },
+      { jobId: transaction._id, delay: Math.max(0, transaction.execute_at - Date.now()) }
+    );
+  } catch (error) {
+    appLogger.errorX(error, 'schedule-pending-transaction-error');
+  }
+
+  if (!job) {
+    appLogger.error(
+      { transactionId: transaction._id, executeAt: transaction.execute_at },
+      'pending-transaction-not-scheduled'
+    );
+  }
+
+  return job;
+}
+
+module.exports = schedulePendingTransaction;
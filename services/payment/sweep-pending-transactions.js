@@ -0,0 +1,44 @@
+/**
+ * Hands stored pending transactions back to the scheduler.
+ * Jobs are lost when the memory queue's process exits, and a transaction whose job could not be
+ * added when it was accepted would otherwise stay pending for good.
+ */
+
+const { appLogger } = require('@app-core/logger');
+const Transaction = require('@app/repository/transaction');
+const schedulePendingTransaction = require('./schedule-pending-transaction');
+const { TRANSACTION_STATUS } = require('./constants');
+
+/**
+ * Schedules the pending transactions due by due_by, or all of them when it is omitted.
+ * Transactions that are already queued are left as they are.
+ * @param {{due_by?: number}} [serviceData]
+ * @returns {Promise<{scheduled: number, unscheduled: number}>}
+ */
+async function sweepPendingTransactions(serviceData = {}) {
+  const query = { status: TRANSACTION_STATUS.PENDING };
+
+  if (serviceData.due_by) {
+    query.execute_at = { $lte: serviceData.due_by };
+  }
+
+  const transactions = await Transaction.findMany({
+    query,
+    projections: { _id: 1, execute_at: 1 },
+  });
+  const jobs = await Promise.all(transactions.map(schedulePendingTransaction));
+  const unscheduled = jobs.filter((job) => !job).length;
+
+  if (unscheduled) {
+    appLogger.error(
+      { unscheduled, total: transactions.length },
+      'pending-transactions-not-scheduled'
+    );
+  } else {
+    appLogger.info({ scheduled: jobs.length }, 'pending-transactions-swept');
+  }
+
+  return { scheduled: jobs.length - unscheduled, unscheduled };
+}
+
+module.exports = sweepPendingTransactions;
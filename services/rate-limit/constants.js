@@ -0,0 +1,20 @@
+const RATE_LIMIT_ALGORITHMS = {
+  FIXED_WINDOW: 'fixed-window',
+  TOKEN_BUCKET: 'token-bucket',
+};
+
+const RATE_LIMIT_KEYS = {
+  IP: 'ip',
+  USER: 'user',
+};
+
+const RATE_LIMIT_STORES = {
+  MEMORY: 'memory',
+  REDIS: 'redis',
+};
+
+module.exports = {
+  RATE_LIMIT_ALGORITHMS,
+  RATE_LIMIT_KEYS,
+  RATE_LIMIT_STORES,
+};
@@ -0,0 +1,86 @@
+/**
+ * Rate Limit Decision
+ * @typedef {Object} RateLimitDecision
+ * @property {boolean} allowed
+ * @property {number} remaining - Requests left after this one
+ * @property {number} reset_after_ms - Until the window resets or the bucket is full again
+ * @property {number} retry_after_ms - Until the next request can be allowed; 0 when allowed
+ */
+
+/**
+ * Rate Limit Store
+ * @typedef {Object} RateLimitStore
+ * @property {function({key: string, limit: number, window_ms: number}): Promise<RateLimitDecision>} fixedWindow
+ * @property {function({key: string, capacity: number, refill_per_sec: number}): Promise<RateLimitDecision>} tokenBucket
+ */
+
+/**
+ * Creates a store that keeps counters in process memory. Counters are not shared between
+ * instances of the app, so each instance allows the full limit.
+ * @returns {RateLimitStore}
+ */
+function createMemoryRateLimitStore() {
+  const windows = new Map();
+  const buckets = new Map();
+  let nextSweep = 0;
+
+  // drops counters that have expired, at most once a minute
+  function sweep(now) {
+    if (now < nextSweep) return;
+    nextSweep = now + 60000;
+
+    windows.forEach((window, key) => {
+      if (window.reset_at <= now) windows.delete(key);
+    });
+    buckets.forEach((bucket, key) => {
+      if (bucket.full_at <= now) buckets.delete(key);
+    });
+  }
+
+  return {
+    async fixedWindow({ key, limit, window_ms: windowMs }) {
+      const now = Date.now();
+      sweep(now);
+
+      let window = windows.get(key);
+      if (!window || window.reset_at <= now) {
+        window = { count: 0, reset_at: now + windowMs };
+        windows.set(key, window);
+      }
+
+      window.count += 1;
+      const allowed = window.count <= limit;
+
+      return {
+        allowed,
+        remaining: Math.max(limit - window.count, 0),
+        reset_after_ms: window.reset_at - now,
+        retry_after_ms: allowed ? 0 : window.reset_at - now,
+      };
+    },
+
+    async tokenBucket({ key, capacity, refill_per_sec: refillPerSec }) {
+      const now = Date.now();
+      sweep(now);
+
+      const refillPerMs = refillPerSec / 1000;
+      const bucket = buckets.get(key) || { tokens: capacity, updated_at: now };
+      let tokens = Math.min(capacity, bucket.tokens + (now - bucket.updated_at) * refillPerMs);
+      const allowed = tokens >= 1;
+
+      if (allowed) tokens -= 1;
+
+      const fullAfterMs = Math.ceil((capacity - tokens) / refillPerMs);
+      buckets.set(key, { tokens, updated_at: now, full_at: now + fullAfterMs });
+
+      return {
+        allowed,
+        remaining: Math.floor(tokens),
+        reset_after_ms: fullAfterMs,
+        retry_after_ms: allowed ? 0 : Math.ceil((1 - tokens) / refillPerMs),
+      };
+    },
+  };
+}
+
+module.exports = createMemoryRateLimitStore;
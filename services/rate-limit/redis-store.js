@@ -0,0 +1,94 @@
+// Both algorithms run as Lua scripts so that concurrent requests from several app instances
+// cannot read and update a counter in between each other
+
+const FIXED_WINDOW_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return { count, redis.call('PTTL', KEYS[1]) }
+`;
+
+// The clock of the Redis server is used so that instances with drifting clocks agree. tokens are
+// returned as a string, since Lua numbers returned to Redis are truncated to integers
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refill_per_ms = tonumber(ARGV[2])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updated_at')
+local tokens = tonumber(bucket[1]) or capacity
+local updated_at = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + math.max(now - updated_at, 0) * refill_per_ms)
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+local full_after_ms = math.ceil((capacity - tokens) / refill_per_ms)
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updated_at', now)
+redis.call('PEXPIRE', KEYS[1], math.max(full_after_ms, 1))
+return { allowed, tostring(tokens), full_after_ms }
+`;
+
+const KEY_PREFIX = 'rate-limit:';
+
+/**
+ * Creates a store that keeps counters in Redis, shared by every instance of the app
+ * @param {{client?: import('ioredis').Redis, url?: string}} [storeOptions] - An existing client,
+ * or the URL to connect to. Defaults to a client for REDIS_URL
+ * @returns {import('./memory-store').RateLimitStore}
+ */
+function createRedisRateLimitStore(storeOptions = {}) {
+  let { client } = storeOptions;
+
+  function getClient() {
+    if (!client) {
+      // eslint-disable-next-line global-require
+      const Redis = require('ioredis');
+      client = new Redis(storeOptions.url || process.env.REDIS_URL);
+    }
+    return client;
+  }
+
+  return {
+    async fixedWindow({ key, limit, window_ms: windowMs }) {
+      const [count, ttl] = await getClient().eval(
+        FIXED_WINDOW_SCRIPT,
+        1,
+        `${KEY_PREFIX}${key}`,
+        windowMs
+      );
+      const allowed = count <= limit;
+      const resetAfterMs = ttl > 0 ? ttl : windowMs;
+
+      return {
+        allowed,
+        remaining: Math.max(limit - count, 0),
+        reset_after_ms: resetAfterMs,
+        retry_after_ms: allowed ? 0 : resetAfterMs,
+      };
+    },
+
+    async tokenBucket({ key, capacity, refill_per_sec: refillPerSec }) {
+      const refillPerMs = refillPerSec / 1000;
+      const [allowed, tokens, fullAfterMs] = await getClient().eval(
+        TOKEN_BUCKET_SCRIPT,
+        1,
+        `${KEY_PREFIX}${key}`,
+        capacity,
+        refillPerMs
+      );
+      const tokensLeft = Number(tokens);
+
+      return {
+        allowed: allowed === 1,
+        remaining: Math.floor(tokensLeft),
+        reset_after_ms: fullAfterMs,
+        retry_after_ms: allowed === 1 ? 0 : Math.ceil((1 - tokensLeft) / refillPerMs),
+      };
+    },
+  };
+}
+
+module.exports = createRedisRateLimitStore;
@@ -0,0 +1,25 @@
+/**
+ * Domain constraints that service specs can use like the built-in VSL constraints.
+ * Specs opt into a scope when they are parsed:
+ *   validator.parse(spec, { constraintScopes: [CONSTRAINT_SCOPES.PAYMENTS] })
+ */
+
+const validator = require('@app-core/validator');
+const { SUPPORTED_CURRENCIES } = require('@app/services/payment/constants');
+
+const CONSTRAINT_SCOPES = {
+  PAYMENTS: 'payments',
+};
+
+// currency string<uppercase|isCurrency>
+validator.registerConstraint('isCurrency', (value) => SUPPORTED_CURRENCIES.indexOf(value) >= 0, {
+  scope: CONSTRAINT_SCOPES.PAYMENTS,
+  message: (prop, value, arg, isNot) =>
+    isNot
+      ? `Passed ${prop} value ${value} should not be a supported currency`
+      : `Expected ${prop}'s value: ${value} to be one of ${SUPPORTED_CURRENCIES.join(', ')}`,
+});
+
+module.exports = {
+  CONSTRAINT_SCOPES,
+};
@@ -0,0 +1,129 @@
+/**
+ * Converts between decimal amounts and integer minor units (e.g. kobo, cents).
+ * All balance arithmetic is done on minor units so it is free of float drift.
+ */
+
+// Used for currencies without a configured exponent
+const DEFAULT_EXPONENT = 2;
+
+const DEFAULT_CURRENCY_EXPONENTS = {
+  NGN: 2,
+  USD: 2,
+  GBP: 2,
+  GHS: 2,
+};
+
+/**
+ * Reads exponent overrides from CURRENCY_EXPONENTS, a comma separated list such as "NGN:2,USD:2"
+ * @returns {Object<string, number>}
+ */
+function loadCurrencyExponents() {
+  const exponents = { ...DEFAULT_CURRENCY_EXPONENTS };
+  const overrides = (process.env.CURRENCY_EXPONENTS || '').split(',');
+
+  overrides.forEach((override) => {
+    const [currency, exponent] = override.split(':');
+    const parsedExponent = parseInt(exponent, 10);
+
+    if (currency && currency.trim() && parsedExponent >= 0) {
+      exponents[currency.trim().toUpperCase()] = parsedExponent;
+    }
+  });
+
+  return exponents;
+}
+
+const CURRENCY_EXPONENTS = loadCurrencyExponents();
+
+/**
+ * Returns the number of decimal places of a currency
+ * @param {string} currency
+ * @returns {number}
+ */
+function getCurrencyExponent(currency) {
+  const exponent = CURRENCY_EXPONENTS[`${currency || ''}`.toUpperCase()];
+  return exponent === undefined ? DEFAULT_EXPONENT : exponent;
+}
+
+/**
+ * Returns the currencies with an exponent: the defaults and any added through CURRENCY_EXPONENTS
+ * @returns {string[]}
+ */
+function getConfiguredCurrencies() {
+  return Object.keys(CURRENCY_EXPONENTS);
+}
+
+/**
+ * Checks that a string is made of digits only
+ */
+function isDigits(str) {
+  if (!str.length) return false;
+
+  for (let i = 0; i < str.length; i++) {
+    if (str[i] < '0' || str[i] > '9') return false;
+  }
+
+  return true;
+}
+
+/**
+ * Converts a decimal amount to minor units without going through floating point arithmetic
+ * @param {string|number} value - e.g. "12.50"
+ * @param {string} currency
+ * @returns {number|null} the amount in minor units, or null when the value is not a valid amount
+ * in the currency (e.g. more decimal places than its exponent)
+ */
+function toMinorUnits(value, currency) {
+  let str = `${value ?? ''}`.trim();
+  let sign = 1;
+
+  if (str.startsWith('-')) {
+    sign = -1;
+    str = str.substring(1);
+  }
+
+  const [whole, fraction = '', ...rest] = str.split('.');
+  const exponent = getCurrencyExponent(currency);
+  let minorUnits = null;
+
+  const isValid =
+    !rest.length &&
+    isDigits(whole) &&
+    (!str.includes('.') || isDigits(fraction)) &&
+    fraction.length <= exponent;
+
+  if (isValid) {
+    const parsed = parseInt(`${whole}${fraction.padEnd(exponent, '0')}`, 10);
+
+    if (Number.isSafeInteger(parsed)) {
+      minorUnits = parsed === 0 ? 0 : sign * parsed;
+    }
+  }
+
+  return minorUnits;
+}
+
+/**
+ * Renders minor units as a decimal string with exactly the currency's number of decimal places
+ * @param {number} minorUnits
+ * @param {string} currency
+ * @returns {string|null}
+ */
+function formatMinorUnits(minorUnits, currency) {
+  if (typeof minorUnits !== 'number' || !Number.isFinite(minorUnits)) return null;
+
+  const exponent = getCurrencyExponent(currency);
+  const digits = `${Math.abs(minorUnits)}`.padStart(exponent + 1, '0');
+  const whole = digits.substring(0, digits.length - exponent);
+  const fraction = digits.substring(digits.length - exponent);
+  const sign = minorUnits < 0 ? '-' : '';
+
+  return exponent ? `${sign}${whole}.${fraction}` : `${sign}${whole}`;
+}
+
+module.exports = {
+  getCurrencyExponent,
+  getConfiguredCurrencies,
+  toMinorUnits,
+  formatMinorUnits,
+};
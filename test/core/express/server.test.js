@@ -0,0 +1,198 @@
+const assert = require('assert');
+const http = require('http');
+const { Readable } = require('stream');
+const { createHandler, createServer } = require('@app-core/server');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+
+describe('server', () => {
+  let httpServer;
+  let baseURL;
+
+  /**
+   * Serves a single handler, to be called with fetch
+   */
+  async function serve(handlerConfiguration) {
+    const server = createServer();
+    server.addHandler(createHandler({ path: '/test', method: 'get', ...handlerConfiguration }));
+
+    httpServer = http.createServer(server.executeRequest);
+    await new Promise((resolve) => {
+      httpServer.listen(0, '127.0.0.1', resolve);
+    });
+    baseURL = `http://127.0.0.1:${httpServer.address().port}`;
+  }
+
+  afterEach(async () => {
+    await new Promise((resolve) => {
+      httpServer.close(resolve);
+    });
+  });
+
+  it('wraps handler data in the JSON envelope with the status and headers given', async () => {
+    await serve({
+      async handler() {
+        return { status: 201, message: 'Created', data: { id: 1 }, headers: { 'X-Total': '1' } };
+      },
+    });
+
+    const response = await fetch(`${baseURL}/test`);
+
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(response.headers.get('x-total'), '1');
+    assert.deepStrictEqual(await response.json(), {
+      status: 'success',
+      message: 'Created',
+      data: { id: 1 },
+    });
+  });
+
+  it('sets and clears cookies', async () => {
+    await serve({
+      async handler() {
+        return {
+          cookies: [
+            { name: 'session', value: 'abc', options: { httpOnly: true, path: '/' } },
+            { name: 'legacy', value: null },
+          ],
+        };
+      },
+    });
+
+    const cookies = (await fetch(`${baseURL}/test`)).headers.getSetCookie();
+
+    assert.strictEqual(cookies.length, 2);
+    assert.match(cookies[0], /^session=abc; Path=\/; HttpOnly$/);
+    assert.match(cookies[1], /^legacy=; Path=\/; Expires=Thu, 01 Jan 1970/);
+  });
+
+  it('redirects with 302 unless a 3xx status is given', async () => {
+    await serve({
+      async handler(rc) {
+        return { status: rc.query.permanent ? 301 : 200, redirect: 'https://example.com/next' };
+      },
+    });
+
+    const found = await fetch(`${baseURL}/test`, { redirect: 'manual' });
+    const moved = await fetch(`${baseURL}/test?permanent=1`, { redirect: 'manual' });
+
+    assert.strictEqual(found.status, 302);
+    assert.strictEqual(found.headers.get('location'), 'https://example.com/next');
+    assert.strictEqual(moved.status, 301);
+  });
+
+  it('sends a raw body with its content type and download name', async () => {
+    await serve({
+      async handler() {
+        return { body: 'a,b\n1,2\n', contentType: 'csv', attachment: 'report.csv' };
+      },
+    });
+
+    const response = await fetch(`${baseURL}/test`);
+
+    assert.match(response.headers.get('content-type'), /^text\/csv/);
+    assert.strictEqual(
+      response.headers.get('content-disposition'),
+      'attachment; filename="report.csv"'
+    );
+    assert.strictEqual(await response.text(), 'a,b\n1,2\n');
+  });
+
+  it('streams a readable body to the client', async () => {
+    await serve({
+      async handler() {
+        const chunks = ['first\n', 'second\n'];
+        const body = new Readable({
+          read() {
+            this.push(chunks.shift() || null);
+          },
+        });
+        return { body, contentType: 'text/plain' };
+      },
+    });
+
+    assert.strictEqual(await (await fetch(`${baseURL}/test`)).text(), 'first\nsecond\n');
+  });
+
+  it('answers with a 500 error when a stream fails before sending anything', async () => {
+    await serve({
+      async handler() {
+        const body = new Readable({
+          read() {
+            this.destroy(new Error('disk unavailable'));
+          },
+        });
+        return { body };
+      },
+    });
+
+    const response = await fetch(`${baseURL}/test`);
+
+    assert.strictEqual(response.status, 500);
+    assert.deepStrictEqual(await response.json(), {
+      status: 'error',
+      message: 'Some error occured.',
+    });
+  });
+
+  it('sends middleware headers and error details with an app error', async () => {
+    await serve({
+      middlewares: [
+        createHandler({
+          path: '*',
+          method: '',
+          async handler() {
+            return { headers: { 'X-RateLimit-Remaining': '4' } };
+          },
+        }),
+      ],
+      async handler() {
+        return throwAppError('Not here', ERROR_CODE.NOTFOUND, { context: { id: 1 } });
+      },
+    });
+
+    const response = await fetch(`${baseURL}/test`);
+
+    assert.strictEqual(response.status, 404);
+    assert.strictEqual(response.headers.get('x-ratelimit-remaining'), '4');
+    assert.deepStrictEqual(await response.json(), {
+      status: 'error',
+      message: 'Not here',
+      data: { id: 1 },
+    });
+  });
+
+  it('validates the request before the middlewares and hands on the converted values', async () => {
+    const seenQueries = [];
+    await serve({
+      validation: {
+        query: `root {
+          limit number<min:1>
+        }`,
+      },
+      middlewares: [
+        createHandler({
+          path: '*',
+          method: '',
+          async handler(rc) {
+            seenQueries.push(rc.query);
+            return {};
+          },
+        }),
+      ],
+      async handler(rc) {
+        return { data: rc.query };
+      },
+    });
+
+    const accepted = await fetch(`${baseURL}/test?limit=5`);
+    const rejected = await fetch(`${baseURL}/test?limit=five`);
+
+    assert.deepStrictEqual((await accepted.json()).data, { limit: 5 });
+    assert.strictEqual(rejected.status, 400);
+    assert.deepStrictEqual(
+      (await rejected.json()).errors.map((violation) => violation.path),
+      ['query.limit']
+    );
+    assert.deepStrictEqual(seenQueries, [{ limit: 5 }]);
+  });
+});
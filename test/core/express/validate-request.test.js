@@ -0,0 +1,97 @@
+const assert = require('assert');
+const { ERROR_CODE } = require('@app-core/errors');
+const { parseRequestValidation, validateRequest } = require('@app-core/server/validate-request');
+
+describe('validateRequest', () => {
+  const validation = parseRequestValidation({
+    body: `root {
+      amount number<min:1>
+      narration? string<trim>
+    }`,
+    query: `root {
+      limit? number<min:1|max:100>
+      ids[]? number
+      detailed? boolean
+    }`,
+    params: `root {
+      id string<trim>
+    }`,
+  });
+
+  it('returns the validated and transformed parts', () => {
+    const validatedParts = validateRequest(
+      {
+        body: { amount: 5, narration: '  rent  ' },
+        query: {},
+        params: { id: ' txn-1 ' },
+        headers: { authorization: 'Bearer token' },
+      },
+      validation
+    );
+
+    assert.deepStrictEqual(validatedParts, {
+      body: { amount: 5, narration: 'rent' },
+      query: {},
+      params: { id: 'txn-1' },
+    });
+  });
+
+  it('converts the numbers and booleans of the query from their strings', () => {
+    const { query } = validateRequest(
+      {
+        body: { amount: 5 },
+        query: { limit: '25', ids: ['1', '2'], detailed: 'false' },
+        params: { id: 'txn-1' },
+      },
+      validation
+    );
+
+    assert.deepStrictEqual(query, { limit: 25, ids: [1, 2], detailed: false });
+  });
+
+  it('lists every failing field of every part with its path', () => {
+    let error;
+    try {
+      validateRequest(
+        {
+          body: { amount: '5' },
+          query: { limit: 'ten', ids: ['1', 'x'], detailed: 'yes' },
+          params: {},
+        },
+        validation
+      );
+    } catch (e) {
+      error = e;
+    }
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.VALIDATIONERR);
+    assert.deepStrictEqual(
+      error.details.map((violation) => [violation.path, violation.constraint]),
+      [
+        ['body.amount', 'type'],
+        ['query.limit', 'type'],
+        ['query.ids[1]', 'type'],
+        ['query.detailed', 'type'],
+        ['params.id', 'required'],
+      ]
+    );
+  });
+
+  it('checks converted query values against their constraints', () => {
+    assert.throws(
+      () =>
+        validateRequest(
+          { body: { amount: 5 }, query: { limit: '0' }, params: { id: 'a' } },
+          validation
+        ),
+      (error) => error.details[0].path === 'query.limit' && error.details[0].constraint === 'min'
+    );
+  });
+
+  it('rejects a handler spec that does not parse', () => {
+    assert.throws(
+      () => parseRequestValidation({ body: 'root { amount number }' }),
+      (error) => error.errorCode === ERROR_CODE.APPERR
+    );
+  });
+});
@@ -0,0 +1,55 @@
+const assert = require('assert');
+const createMemoryQueue = require('@app-core/queue/create-memory-queue');
+const executeScheduledTransactionWorker = require('@app/workers/execute-scheduled-transaction');
+
+/**
+ * Resolves once the queue emits an event
+ */
+function nextEvent(queue, event) {
+  return new Promise((resolve) => {
+    queue.on(event, (...args) => resolve(args));
+  });
+}
+
+describe('createMemoryQueue', () => {
+  let queue;
+
+  beforeEach(() => {
+    queue = createMemoryQueue('test-queue');
+  });
+
+  afterEach(async () => {
+    await queue.close();
+  });
+
+  it('takes a job again under the id of a job that failed for good', async () => {
+    let runs = 0;
+    queue.process('job', 1, async () => {
+      runs += 1;
+      if (runs === 1) {
+        throw new Error('first run fails');
+      }
+      return 'done';
+    });
+
+    const failed = nextEvent(queue, 'failed');
+    await queue.add('job', {}, { jobId: 'txn-1', attempts: 1 });
+    await failed;
+
+    assert.strictEqual(await queue.getJob('txn-1'), null);
+
+    const completed = nextEvent(queue, 'completed');
+    await queue.add('job', {}, { jobId: 'txn-1', attempts: 1 });
+    const [job, result] = await completed;
+
+    assert.strictEqual(job.id, 'txn-1');
+    assert.strictEqual(result, 'done');
+  });
+
+  it('runs the scheduled transaction jobs with the same removal options as Bull', () => {
+    const { scheduler_options: schedulerOptions } = executeScheduledTransactionWorker;
+
+    assert.strictEqual(schedulerOptions.removeOnComplete, true);
+    assert.strictEqual(schedulerOptions.removeOnFail, true);
+  });
+});
@@ -0,0 +1,170 @@
+const assert = require('assert');
+const http = require('http');
+const { createHandler, createServer } = require('@app-core/server');
+const { getRequestId, runWithRequestContext } = require('@app-core/logger');
+const HttpRequest = require('@app-core/http-request');
+const { createQueue, createWorker } = require('@app-core/queue');
+
+const ULID = /^[0-9A-HJKMNP-TV-Z]{26}$/;
+
+/**
+ * Listens on a free local port and resolves with the base URL
+ */
+async function listen(httpServer) {
+  await new Promise((resolve) => {
+    httpServer.listen(0, '127.0.0.1', resolve);
+  });
+  return `http://127.0.0.1:${httpServer.address().port}`;
+}
+
+/**
+ * Stops a server started with listen
+ */
+function close(httpServer) {
+  return new Promise((resolve) => {
+    httpServer.close(resolve);
+  });
+}
+
+describe('request ids', () => {
+  describe('server', () => {
+    let httpServer;
+    let baseURL;
+    let seenRequestIds;
+
+    beforeEach(async () => {
+      seenRequestIds = [];
+      const server = createServer();
+      server.addHandler(
+        createHandler({
+          path: '/test',
+          method: 'get',
+          async handler(rc) {
+            // services called by the handler read the id from the request context
+            await new Promise(setImmediate);
+            seenRequestIds.push([rc.properties.requestId, getRequestId()]);
+            return { data: {} };
+          },
+        })
+      );
+
+      httpServer = http.createServer(server.executeRequest);
+      baseURL = await listen(httpServer);
+    });
+
+    afterEach(() => close(httpServer));
+
+    it('gives a request without an id a new one and sends it back', async () => {
+      const response = await fetch(`${baseURL}/test`);
+      const requestId = response.headers.get('x-request-id');
+
+      assert.match(requestId, ULID);
+      assert.deepStrictEqual(seenRequestIds, [[requestId, requestId]]);
+    });
+
+    it('keeps the id a request comes with', async () => {
+      const response = await fetch(`${baseURL}/test`, {
+        headers: { 'X-Request-Id': 'gateway-1234.abc' },
+      });
+
+      assert.strictEqual(response.headers.get('x-request-id'), 'gateway-1234.abc');
+      assert.deepStrictEqual(seenRequestIds, [['gateway-1234.abc', 'gateway-1234.abc']]);
+    });
+
+    it('replaces an id that could break log lines or headers', async () => {
+      const response = await fetch(`${baseURL}/test`, {
+        headers: { 'X-Request-Id': 'id with spaces' },
+      });
+
+      assert.match(response.headers.get('x-request-id'), ULID);
+    });
+  });
+
+  describe('outgoing requests', () => {
+    let upstream;
+    let upstreamURL;
+    let receivedHeaders;
+
+    before(async () => {
+      upstream = http.createServer((request, response) => {
+        receivedHeaders = request.headers;
+        response.setHeader('Content-Type', 'application/json');
+        response.end('{}');
+      });
+      upstreamURL = await listen(upstream);
+    });
+
+    after(() => close(upstream));
+
+    it('forwards the id of the request being handled', async () => {
+      await runWithRequestContext({ requestId: 'req-1' }, () =>
+        HttpRequest.get(`${upstreamURL}/resource`)
+      );
+
+      assert.strictEqual(receivedHeaders['x-request-id'], 'req-1');
+    });
+
+    it('keeps an id the caller set', async () => {
+      await runWithRequestContext({ requestId: 'req-1' }, () =>
+        HttpRequest.get(`${upstreamURL}/resource`, { headers: { 'x-request-id': 'own-id' } })
+      );
+
+      assert.strictEqual(receivedHeaders['x-request-id'], 'own-id');
+    });
+
+    it('sends no id outside a request', async () => {
+      await HttpRequest.get(`${upstreamURL}/resource`);
+
+      assert.strictEqual(receivedHeaders['x-request-id'], undefined);
+    });
+  });
+
+  describe('jobs', () => {
+    const queueOptions = { queueName: 'request-id-test-queue', useMemoryQueue: true };
+    let processedJobs = [];
+    let onProcessed;
+    let worker;
+
+    before(() => {
+      worker = createWorker({
+        processor_name: 'test-job',
+        concurrency: 1,
+        queue_options: queueOptions,
+        scheduler_options: { attempts: 1 },
+        async processor(job) {
+          processedJobs.push([job.data.name, getRequestId()]);
+          onProcessed();
+        },
+      });
+    });
+
+    after(() => createQueue(queueOptions).close());
+
+    beforeEach(() => {
+      processedJobs = [];
+    });
+
+    /**
+     * Schedules a job and resolves once the worker has run it
+     */
+    function runJob(name) {
+      const processed = new Promise((resolve) => {
+        onProcessed = resolve;
+      });
+      worker.scheduleJob({ name });
+      return processed;
+    }
+
+    it('runs a job in the context of the request that scheduled it', async () => {
+      await runWithRequestContext({ requestId: 'req-2' }, () => runJob('scheduled-in-request'));
+
+      assert.deepStrictEqual(processedJobs, [['scheduled-in-request', 'req-2']]);
+    });
+
+    it('runs a job scheduled outside a request without an id', async () => {
+      await runJob('scheduled-outside');
+
+      assert.deepStrictEqual(processedJobs, [['scheduled-outside', undefined]]);
+    });
+  });
+});
@@ -0,0 +1,20 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+// the validator keeps its own suites next to it; each exports a runner that throws on a failure
+const SUITES_DIR = path.join(__dirname, '../../core/validator-vsl/tests');
+
+describe('validator-vsl', () => {
+  fs.readdirSync(SUITES_DIR)
+    .filter((file) => file.endsWith('.js'))
+    .forEach((file) => {
+      it(`passes the ${path.basename(file, '.js')} suite`, async () => {
+        // eslint-disable-next-line import/no-dynamic-require, global-require
+        const runSuite = require(path.join(SUITES_DIR, file));
+        const { passed, total } = await runSuite();
+
+        assert.strictEqual(passed, total);
+      });
+    });
+});
@@ -0,0 +1,17 @@
+/**
+ * Resolves to the error a promise rejects with, failing the test when it resolves instead
+ * @param {Promise} promise
+ * @returns {Promise<Error>}
+ */
+async function getRejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the promise to reject');
+}
+
+module.exports = {
+  getRejection,
+};
@@ -0,0 +1,94 @@
+const assert = require('assert');
+const { MockModelStubs } = require('@app/mock-models');
+const { idempotency } = require('@app/middlewares');
+const { IDEMPOTENCY_KEY_STATUS } = require('@app/services/idempotency/constants');
+
+/**
+ * Builds the request components the server hands to a middleware
+ */
+function createRequest(headers = {}) {
+  return {
+    headers,
+    body: { instruction: 'DEBIT 10 NGN FROM ACCOUNT a FOR CREDIT TO ACCOUNT b' },
+    params: {},
+    meta: { user: { sub: 'user-1' } },
+    props: {},
+    properties: { method: 'POST', handlerPath: '/payment-instructions', IP: '127.0.0.1' },
+  };
+}
+
+describe('idempotency middleware', () => {
+  let stubs;
+
+  beforeEach(() => {
+    stubs = [];
+  });
+
+  afterEach(() => {
+    stubs.forEach((stub) => stub.revert());
+  });
+
+  it('lets requests without a key through untouched', async () => {
+    const result = await idempotency.handler(createRequest());
+
+    assert.deepStrictEqual(result, {});
+  });
+
+  it('passes the claim of a new key on to the handler', async () => {
+    stubs.push(MockModelStubs.IdempotencyKey.configureStubs({ method: 'findOne', mockNull: true }));
+    stubs.push(
+      MockModelStubs.IdempotencyKey.configureStubs({
+        method: 'create',
+        overrideFn: (data) => ({ ...data, _id: 'claim-1' }),
+      })
+    );
+
+    const result = await idempotency.handler(createRequest({ 'idempotency-key': 'key-1' }));
+
+    assert.deepStrictEqual(result.augments.meta.idempotency, {
+      key: 'key-1',
+      scope: 'POST /payment-instructions user:user-1',
+      claim_id: 'claim-1',
+    });
+  });
+
+  it('replays the stored status, headers and body unchanged', async () => {
+    const storedBody = {
+      status: 'success',
+      message: 'Transaction pending',
+      data: { id: 'txn-1', status_code: 'AP01' },
+    };
+    let storedKey = null;
+
+    stubs.push(
+      MockModelStubs.IdempotencyKey.configureStubs({
+        method: 'findOne',
+        overrideFn: () => storedKey,
+      }),
+      MockModelStubs.IdempotencyKey.configureStubs({
+        method: 'create',
+        overrideFn: (data) => {
+          storedKey = {
+            ...data,
+            _id: 'claim-1',
+            status: IDEMPOTENCY_KEY_STATUS.COMPLETED,
+            response_status_code: 202,
+            response_headers: { 'X-Request-Id': 'first-request', 'Retry-After': '30' },
+            response_body: storedBody,
+          };
+          return storedKey;
+        },
+      })
+    );
+
+    await idempotency.handler(createRequest({ 'idempotency-key': 'key-1' }));
+    const result = await idempotency.handler(createRequest({ 'idempotency-key': 'key-1' }));
+
+    assert.deepStrictEqual(result, {
+      endHandlerChain: true,
+      status: 202,
+      headers: { 'Retry-After': '30' },
+      body: storedBody,
+    });
+  });
+});
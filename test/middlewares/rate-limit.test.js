@@ -0,0 +1,103 @@
+const assert = require('assert');
+const { ERROR_CODE } = require('@app-core/errors');
+const { rateLimit } = require('@app/middlewares');
+const createMemoryRateLimitStore = require('@app/services/rate-limit/memory-store');
+const { getRejection } = require('../helpers');
+
+/**
+ * Builds the request components the server hands to a middleware
+ */
+function createRequest({ ip = '127.0.0.1', user } = {}) {
+  return {
+    headers: {},
+    body: {},
+    params: {},
+    meta: { user },
+    props: {},
+    properties: { method: 'POST', handlerPath: '/login', IP: ip },
+  };
+}
+
+describe('rate limit middleware', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createMemoryRateLimitStore();
+  });
+
+  it('lets requests through up to the limit and then refuses them with RTLIMERR', async () => {
+    const middleware = rateLimit({ limit: 2, window_secs: 60, store });
+
+    const first = await middleware.handler(createRequest());
+    await middleware.handler(createRequest());
+    const error = await getRejection(middleware.handler(createRequest()));
+
+    assert.deepStrictEqual(first.headers, {
+      'X-RateLimit-Limit': '2',
+      'X-RateLimit-Remaining': '1',
+      'X-RateLimit-Reset': '60',
+    });
+    assert.strictEqual(error.errorCode, ERROR_CODE.RTLIMERR);
+    assert.strictEqual(error.context.retry_after, 60);
+    assert.strictEqual(error.headers['Retry-After'], '60');
+    assert.strictEqual(error.headers['X-RateLimit-Remaining'], '0');
+  });
+
+  it('counts each IP separately', async () => {
+    const middleware = rateLimit({ limit: 1, window_secs: 60, store });
+
+    await middleware.handler(createRequest({ ip: '10.0.0.1' }));
+
+    assert.strictEqual(
+      (await getRejection(middleware.handler(createRequest({ ip: '10.0.0.1' })))).errorCode,
+      ERROR_CODE.RTLIMERR
+    );
+    assert.ok(await middleware.handler(createRequest({ ip: '10.0.0.2' })));
+  });
+
+  it('counts authenticated users by user whatever their IP when keyed by user', async () => {
+    const middleware = rateLimit({ key: 'user', limit: 1, window_secs: 60, store });
+
+    await middleware.handler(createRequest({ ip: '10.0.0.1', user: { sub: 'user-1' } }));
+    const error = await getRejection(
+      middleware.handler(createRequest({ ip: '10.0.0.2', user: { sub: 'user-1' } }))
+    );
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.RTLIMERR);
+    assert.ok(await middleware.handler(createRequest({ ip: '10.0.0.1', user: { sub: 'user-2' } })));
+  });
+
+  it('spends a token bucket and refuses once it is empty', async () => {
+    const middleware = rateLimit({ algorithm: 'token-bucket', limit: 2, window_secs: 10, store });
+
+    await middleware.handler(createRequest());
+    const second = await middleware.handler(createRequest());
+    const error = await getRejection(middleware.handler(createRequest()));
+
+    assert.strictEqual(second.headers['X-RateLimit-Remaining'], '0');
+    assert.strictEqual(error.errorCode, ERROR_CODE.RTLIMERR);
+    assert.strictEqual(error.context.retry_after, 5);
+  });
+
+  it('lets requests through when the store fails', async () => {
+    const failingStore = {
+      fixedWindow: async () => {
+        throw new Error('connection refused');
+      },
+    };
+    const middleware = rateLimit({ limit: 1, window_secs: 60, store: failingStore });
+
+    assert.deepStrictEqual(await middleware.handler(createRequest()), {});
+  });
+
+  it('rejects a limiter without a limit or window', () => {
+    assert.throws(
+      () => rateLimit({ limit: 0, window_secs: 60 }),
+      (error) => error.errorCode === ERROR_CODE.APPERR
+    );
+    assert.throws(
+      () => rateLimit({ algorithm: 'sliding-log', limit: 1, window_secs: 60 }),
+      (error) => error.errorCode === ERROR_CODE.APPERR
+    );
+  });
+});
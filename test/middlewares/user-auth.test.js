@@ -0,0 +1,87 @@
+const assert = require('assert');
+const { ERROR_CODE } = require('@app-core/errors');
+const { sign, TOKEN_TYPES } = require('@app-core/jwt');
+const { userAuth } = require('@app/middlewares');
+const { DEFAULT_USER_SCOPES } = require('@app/services/auth/constants');
+const { getRejection } = require('../helpers');
+
+/**
+ * Builds the request components the server hands to a middleware, with the handler's scopes
+ */
+function createRequest(authorization, scopes) {
+  return {
+    headers: authorization === undefined ? {} : { authorization },
+    scopes,
+    meta: {},
+  };
+}
+
+function accessToken(claims) {
+  return sign({ data: { sub: 'user-1', typ: TOKEN_TYPES.ACCESS, ...claims } });
+}
+
+describe('userAuth middleware', () => {
+  it('passes the claims and the token on to the handler', async () => {
+    const token = accessToken({ scopes: ['payments:write'] });
+
+    const result = await userAuth.handler(createRequest(`Bearer ${token}`, ['payments:write']));
+
+    assert.strictEqual(result.augments.meta.user.sub, 'user-1');
+    assert.strictEqual(result.augments.meta.access_token, token);
+  });
+
+  it('rejects a request without an authorization header', async () => {
+    const error = await getRejection(userAuth.handler(createRequest(undefined, [])));
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.NOAUTHERR);
+  });
+
+  it('rejects a header that is not a single bearer token', async () => {
+    const token = accessToken({ scopes: [] });
+
+    const errors = await Promise.all(
+      [`Basic ${token}`, 'Bearer', `Bearer ${token} extra`].map((header) =>
+        getRejection(userAuth.handler(createRequest(header, [])))
+      )
+    );
+
+    errors.forEach((error) => assert.strictEqual(error.errorCode, ERROR_CODE.INVLDAUTHTOKEN));
+  });
+
+  it('rejects a refresh token', async () => {
+    const token = accessToken({ typ: TOKEN_TYPES.REFRESH });
+
+    const error = await getRejection(userAuth.handler(createRequest(`Bearer ${token}`, [])));
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.INVLDAUTHTOKEN);
+  });
+
+  it('rejects a token missing a scope the handler requires', async () => {
+    const token = accessToken({ scopes: ['transactions:read'] });
+
+    const error = await getRejection(
+      userAuth.handler(createRequest(`Bearer ${token}`, ['transactions:read', 'payments:write']))
+    );
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.PERMERR);
+    assert.deepStrictEqual(error.context.missing_scopes, ['payments:write']);
+  });
+
+  it('accepts scopes granted through a wildcard or an OAuth scope string', async () => {
+    const wildcardToken = accessToken({ scopes: ['payments:*'] });
+    const scopeStringToken = accessToken({ scope: 'accounts:read payments:write' });
+
+    await userAuth.handler(createRequest(`Bearer ${wildcardToken}`, ['payments:write']));
+    await userAuth.handler(createRequest(`Bearer ${scopeStringToken}`, ['payments:write']));
+  });
+
+  it('does not let a self-registered user move money', async () => {
+    const token = accessToken({ scopes: DEFAULT_USER_SCOPES });
+
+    const error = await getRejection(
+      userAuth.handler(createRequest(`Bearer ${token}`, ['payments:write']))
+    );
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.PERMERR);
+  });
+});
@@ -0,0 +1,44 @@
+const assert = require('assert');
+const path = require('path');
+const { MockModelStubs } = require('@app/mock-models');
+const { clearTierConfigCache } = require('@app/services/limits/tier-config');
+const createAccount = require('@app/services/account/create-account');
+
+const TIERS_FILE = path.join(__dirname, '../../fixtures/tiers.json');
+
+describe('createAccount', () => {
+  let stub;
+
+  before(() => {
+    process.env.ACCOUNT_TIERS_FILE = TIERS_FILE;
+    clearTierConfigCache();
+  });
+
+  after(() => {
+    delete process.env.ACCOUNT_TIERS_FILE;
+    clearTierConfigCache();
+  });
+
+  beforeEach(() => {
+    stub = MockModelStubs.Account.configureStubs({ method: 'create' });
+  });
+
+  afterEach(() => {
+    stub.revert();
+  });
+
+  it("opens the caller's account on the default tier with a zero balance, whatever tier is asked for", async () => {
+    const account = await createAccount({
+      owner_id: 'user-1',
+      name: 'Savings',
+      currency: 'usd',
+      tier: 'capped',
+    });
+
+    assert.strictEqual(stub.mockedDoc.queryResponse.owner_id, 'user-1');
+    assert.strictEqual(stub.mockedDoc.queryResponse.tier, 'unlimited');
+    assert.strictEqual(account.tier, 'unlimited');
+    assert.strictEqual(account.currency, 'USD');
+    assert.strictEqual(account.balance, '0.00');
+  });
+});
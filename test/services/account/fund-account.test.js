@@ -0,0 +1,91 @@
+const assert = require('assert');
+const { ERROR_CODE } = require('@app-core/errors');
+const { MockModelStubs } = require('@app/mock-models');
+const fundAccount = require('@app/services/account/fund-account');
+const { getRejection } = require('../../helpers');
+
+const session = {};
+
+describe('fundAccount', () => {
+  let accounts;
+  let accountUpdates;
+  let ledgerEntries;
+  let stubs;
+
+  beforeEach(() => {
+    process.env.FUNDING_ACCOUNTS = 'USD:funding-usd, NGN:funding-ngn';
+    accounts = {
+      'acc-a': { _id: 'acc-a', currency: 'NGN', balance: 500 },
+      'acc-b': { _id: 'acc-b', currency: 'GBP', balance: 0 },
+      'funding-ngn': { _id: 'funding-ngn', currency: 'NGN', balance: -1000 },
+    };
+    accountUpdates = [];
+    ledgerEntries = [];
+
+    stubs = [
+      MockModelStubs.Account.configureStubs({
+        method: 'findOne',
+        overrideFn: ({ query }) => (accounts[query._id] ? { ...accounts[query._id] } : null),
+      }),
+      MockModelStubs.Account.configureStubs({
+        method: 'updateOne',
+        overrideFn: ({ query, updateValues }) => {
+          accountUpdates.push([query._id, updateValues.$inc.balance]);
+          return { acknowledged: true, modifiedCount: 1 };
+        },
+      }),
+      MockModelStubs.LedgerEntry.configureStubs({
+        method: 'createMany',
+        overrideFn: ({ entries }) => {
+          ledgerEntries.push(...entries);
+          return entries;
+        },
+      }),
+    ];
+  });
+
+  afterEach(() => {
+    delete process.env.FUNDING_ACCOUNTS;
+    stubs.forEach((stub) => stub.revert());
+  });
+
+  it('posts the amount from the funding account of the currency', async () => {
+    const result = await fundAccount({ account_id: 'acc-a', amount: 25.5 }, { session });
+
+    assert.deepStrictEqual(accountUpdates, [
+      ['funding-ngn', -2550],
+      ['acc-a', 2550],
+    ]);
+    assert.deepStrictEqual(
+      ledgerEntries.map((entry) => [
+        entry.account_id,
+        entry.entry_type,
+        entry.amount,
+        entry.balance_before,
+        entry.balance_after,
+      ]),
+      [
+        ['funding-ngn', 'debit', 2550, -1000, -3550],
+        ['acc-a', 'credit', 2550, 500, 3050],
+      ]
+    );
+    assert.ok(ledgerEntries.every((entry) => entry.transaction_ref === result.transaction_ref));
+    assert.strictEqual(result.balance, '30.50');
+  });
+
+  it('rejects an amount with more decimal places than the currency allows', async () => {
+    const error = await getRejection(
+      fundAccount({ account_id: 'acc-a', amount: 1.005 }, { session })
+    );
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.VALIDATIONERR);
+    assert.strictEqual(accountUpdates.length, 0);
+  });
+
+  it('rejects a currency without a funding account', async () => {
+    const error = await getRejection(fundAccount({ account_id: 'acc-b', amount: 10 }, { session }));
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.APPERR);
+    assert.strictEqual(ledgerEntries.length, 0);
+  });
+});
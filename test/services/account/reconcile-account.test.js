@@ -0,0 +1,41 @@
+const assert = require('assert');
+const { ERROR_CODE } = require('@app-core/errors');
+const { MockModels, MockModelStubs } = require('@app/mock-models');
+const reconcileAccount = require('@app/services/account/reconcile-account');
+const { getRejection } = require('../../helpers');
+
+describe('reconcileAccount', () => {
+  const { aggregate } = MockModels.LedgerEntry;
+  let stub;
+
+  beforeEach(() => {
+    stub = MockModelStubs.Account.configureStubs({
+      method: 'findOne',
+      overrideFn: ({ query }) =>
+        query._id === 'acc-a' && (!query.owner_id || query.owner_id === 'user-a')
+          ? { _id: 'acc-a', owner_id: 'user-a', currency: 'USD', balance: 7500 }
+          : null,
+    });
+    MockModels.LedgerEntry.aggregate = async () => [
+      { total_debits: 2500, total_credits: 10000, entry_count: 3 },
+    ];
+  });
+
+  afterEach(() => {
+    stub.revert();
+    MockModels.LedgerEntry.aggregate = aggregate;
+  });
+
+  it("checks the caller's account balance against its postings", async () => {
+    const result = await reconcileAccount({ account_id: 'acc-a', owner_id: 'user-a' });
+
+    assert.strictEqual(result.ledger_balance, '75.00');
+    assert.strictEqual(result.is_reconciled, true);
+  });
+
+  it("reports someone else's account as missing", async () => {
+    const error = await getRejection(reconcileAccount({ account_id: 'acc-a', owner_id: 'user-b' }));
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.NOTFOUND);
+  });
+});
@@ -0,0 +1,110 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ERROR_CODE } = require('@app-core/errors');
+const { calculateFees, formatFees } = require('@app/services/fees/calculate-fees');
+const { clearFeeScheduleCache } = require('@app/services/fees/fee-schedule');
+
+const FEE_SCHEDULE_FILE = path.join(__dirname, '../../fixtures/fee-schedule.json');
+
+/**
+ * Writes a schedule with a single NGN tiered fee to a temporary file and points the loader at it
+ */
+function useTieredSchedule(tiers) {
+  const file = path.join(os.tmpdir(), `fee-schedule-${process.pid}.json`);
+
+  fs.writeFileSync(
+    file,
+    JSON.stringify({
+      fee_accounts: { NGN: 'fees-ngn' },
+      schedules: [{ currency: 'NGN', fees: [{ name: 'transfer', kind: 'tiered', tiers }] }],
+    })
+  );
+  process.env.FEE_SCHEDULE_FILE = file;
+  clearFeeScheduleCache();
+
+  return file;
+}
+
+describe('calculateFees', () => {
+  beforeEach(() => {
+    process.env.FEE_SCHEDULE_FILE = FEE_SCHEDULE_FILE;
+    clearFeeScheduleCache();
+  });
+
+  after(() => {
+    delete process.env.FEE_SCHEDULE_FILE;
+    clearFeeScheduleCache();
+  });
+
+  it('works out every fee of the schedule that matches the instruction type', () => {
+    assert.deepStrictEqual(calculateFees({ amount: 100005, currency: 'NGN', type: 'DEBIT' }), {
+      currency: 'NGN',
+      fee_account: 'fees-ngn',
+      total: 1500,
+      items: [
+        { name: 'transfer', kind: 'tiered', amount: 1000 },
+        { name: 'commission', kind: 'percentage', amount: 500 },
+      ],
+    });
+  });
+
+  it('charges the last band on principals above the bounded ones and applies min and cap', () => {
+    // 0.1% of 10000.00 in the last band, and a commission capped at 20.00
+    assert.strictEqual(
+      calculateFees({ amount: 1000000, currency: 'NGN', type: 'CREDIT' }).total,
+      1000 + 2000
+    );
+    // a commission raised to its minimum of 1.00
+    assert.strictEqual(calculateFees({ amount: 100, currency: 'NGN', type: 'DEBIT' }).total, 1100);
+  });
+
+  it('charges nothing when no schedule matches the currency and type', () => {
+    assert.strictEqual(calculateFees({ amount: 100, currency: 'NGN', type: 'TRANSFER' }), null);
+    assert.strictEqual(calculateFees({ amount: 100, currency: 'USD', type: 'DEBIT' }), null);
+  });
+
+  it('loads the bundled schedule, which charges nothing', () => {
+    delete process.env.FEE_SCHEDULE_FILE;
+    clearFeeScheduleCache();
+
+    assert.strictEqual(calculateFees({ amount: 100, currency: 'NGN', type: 'DEBIT' }), null);
+  });
+
+  it('rejects a tiered fee whose last band is bounded', () => {
+    const file = useTieredSchedule([{ up_to: '5000.00', amount: '10.00' }]);
+
+    try {
+      assert.throws(
+        () => calculateFees({ amount: 100, currency: 'NGN', type: 'DEBIT' }),
+        (error) => error.errorCode === ERROR_CODE.APPERR
+      );
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+
+  it('rejects a tiered fee with an unbounded band before the last', () => {
+    const file = useTieredSchedule([{ amount: '10.00' }, { up_to: '5000.00', amount: '20.00' }]);
+
+    try {
+      assert.throws(
+        () => calculateFees({ amount: 100, currency: 'NGN', type: 'DEBIT' }),
+        (error) => error.errorCode === ERROR_CODE.APPERR
+      );
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+
+  it('renders a charge with decimal amounts', () => {
+    const charge = calculateFees({ amount: 100005, currency: 'NGN', type: 'DEBIT' });
+
+    assert.deepStrictEqual(formatFees(charge).items, [
+      { name: 'transfer', kind: 'tiered', amount: '10.00' },
+      { name: 'commission', kind: 'percentage', amount: '5.00' },
+    ]);
+    assert.strictEqual(formatFees(charge).total, '15.00');
+  });
+});
@@ -0,0 +1,46 @@
+const assert = require('assert');
+const { ERROR_CODE } = require('@app-core/errors');
+const convertAmount = require('@app/services/fx/convert-amount');
+const { ROUNDING_MODES } = require('@app/services/fx/constants');
+
+function convert(
+  amount,
+  rate,
+  roundingMode,
+  currencies = { fromCurrency: 'NGN', toCurrency: 'NGN' }
+) {
+  return convertAmount(amount, rate, { ...currencies, roundingMode });
+}
+
+describe('convertAmount', () => {
+  it('rounds ties to the even neighbour with half_even', () => {
+    assert.strictEqual(convert(1005, 0.5, ROUNDING_MODES.HALF_EVEN), 502);
+    assert.strictEqual(convert(1015, 0.5, ROUNDING_MODES.HALF_EVEN), 508);
+    assert.strictEqual(convert(1007, 0.5, ROUNDING_MODES.HALF_EVEN), 504);
+  });
+
+  it('rounds ties up with half_up', () => {
+    assert.strictEqual(convert(1005, 0.5, ROUNDING_MODES.HALF_UP), 503);
+    assert.strictEqual(convert(1003, 0.5, ROUNDING_MODES.HALF_UP), 502);
+  });
+
+  it('rounds every remainder up or down with up and down', () => {
+    assert.strictEqual(convert(1001, 0.5, ROUNDING_MODES.UP), 501);
+    assert.strictEqual(convert(1001, 0.5, ROUNDING_MODES.DOWN), 500);
+    assert.strictEqual(convert(1000, 0.5, ROUNDING_MODES.UP), 500);
+  });
+
+  it('applies rates without float drift', () => {
+    // 100 * 4.35 is 434.99999999999994 in floating point
+    assert.strictEqual(convert(100, 4.35, ROUNDING_MODES.DOWN), 435);
+    assert.strictEqual(convert(1000, 1.005, ROUNDING_MODES.DOWN), 1005);
+    assert.strictEqual(
+      convert(100, 1500.123, ROUNDING_MODES.HALF_EVEN, { fromCurrency: 'USD', toCurrency: 'NGN' }),
+      150012
+    );
+  });
+
+  it('rejects unknown rounding modes', () => {
+    assert.throws(() => convert(100, 1, 'sideways'), { errorCode: ERROR_CODE.APPERR });
+  });
+});
@@ -0,0 +1,159 @@
+const assert = require('assert');
+const { ERROR_CODE } = require('@app-core/errors');
+const { MockModelStubs } = require('@app/mock-models');
+const claimIdempotencyKey = require('@app/services/idempotency/claim-idempotency-key');
+const saveIdempotencyResponse = require('@app/services/idempotency/save-idempotency-response');
+const { IDEMPOTENCY_KEY_STATUS } = require('@app/services/idempotency/constants');
+const { getRejection } = require('../../helpers');
+
+const claimData = {
+  key: 'key-1',
+  scope: 'POST /payment-instructions user:user-1',
+  fingerprint: 'fingerprint-1',
+  ttl_secs: 3600,
+};
+
+function storedKey(values) {
+  return {
+    _id: 'claim-1',
+    key: claimData.key,
+    scope: claimData.scope,
+    fingerprint: claimData.fingerprint,
+    status: IDEMPOTENCY_KEY_STATUS.COMPLETED,
+    lease_expires_at: Date.now() - 1000,
+    expires_at: Date.now() + 60000,
+    ...values,
+  };
+}
+
+describe('idempotency keys', () => {
+  let stubs;
+
+  function stub(configuration) {
+    const configuredStub = MockModelStubs.IdempotencyKey.configureStubs(configuration);
+    stubs.push(configuredStub);
+    return configuredStub.mockedDoc;
+  }
+
+  beforeEach(() => {
+    stubs = [];
+  });
+
+  afterEach(() => {
+    stubs.forEach((configuredStub) => configuredStub.revert());
+  });
+
+  describe('claimIdempotencyKey', () => {
+    it('claims an unused key', async () => {
+      stub({ method: 'findOne', mockNull: true });
+      const created = stub({ method: 'create' });
+
+      const claim = await claimIdempotencyKey(claimData);
+
+      assert.strictEqual(claim.is_replay, false);
+      assert.strictEqual(claim.claim_id, created.queryResponse._id);
+      assert.strictEqual(created.queryResponse.status, IDEMPOTENCY_KEY_STATUS.PROCESSING);
+      assert.ok(created.queryResponse.lease_expires_at > Date.now());
+    });
+
+    it('replays the stored response of a completed request', async () => {
+      stub({
+        method: 'findOne',
+        overrideFn: () =>
+          storedKey({
+            response_status_code: 201,
+            response_headers: { 'X-RateLimit-Remaining': '9' },
+            response_body: { status: 'success', data: { id: 'txn-1' } },
+          }),
+      });
+      const created = stub({ method: 'create' });
+
+      const claim = await claimIdempotencyKey(claimData);
+
+      assert.deepStrictEqual(claim, {
+        is_replay: true,
+        response: {
+          status_code: 201,
+          headers: { 'X-RateLimit-Remaining': '9' },
+          body: { status: 'success', data: { id: 'txn-1' } },
+        },
+      });
+      assert.strictEqual(created.wasInvoked, false);
+    });
+
+    it('rejects a key reused with another payload', async () => {
+      stub({ method: 'findOne', overrideFn: () => storedKey({ fingerprint: 'fingerprint-2' }) });
+
+      const error = await getRejection(claimIdempotencyKey(claimData));
+      assert.strictEqual(error.errorCode, ERROR_CODE.IDEMPOTENCYERR);
+    });
+
+    it('rejects a key whose first request is still processing', async () => {
+      stub({
+        method: 'findOne',
+        overrideFn: () =>
+          storedKey({
+            status: IDEMPOTENCY_KEY_STATUS.PROCESSING,
+            lease_expires_at: Date.now() + 60000,
+          }),
+      });
+
+      const error = await getRejection(claimIdempotencyKey(claimData));
+      assert.strictEqual(error.errorCode, ERROR_CODE.DUPLRCRD);
+    });
+
+    it('claims afresh a key whose processing lease ran out', async () => {
+      stub({
+        method: 'findOne',
+        overrideFn: () => storedKey({ status: IDEMPOTENCY_KEY_STATUS.PROCESSING }),
+      });
+      const deleted = stub({ method: 'deleteOne' });
+      stub({ method: 'create' });
+
+      const claim = await claimIdempotencyKey(claimData);
+
+      assert.strictEqual(claim.is_replay, false);
+      assert.deepStrictEqual(deleted.queryData.query, {
+        _id: 'claim-1',
+        status: IDEMPOTENCY_KEY_STATUS.PROCESSING,
+      });
+    });
+  });
+
+  describe('saveIdempotencyResponse', () => {
+    const responseData = { key: claimData.key, scope: claimData.scope, claim_id: 'claim-1' };
+
+    it('stores the status, headers and body of a successful response', async () => {
+      const deleted = stub({ method: 'deleteOne' });
+      const updated = stub({ method: 'updateOne' });
+
+      await saveIdempotencyResponse({
+        ...responseData,
+        status_code: 201,
+        headers: { 'X-Request-Id': 'req-1' },
+        body: { status: 'success', data: { id: 'txn-1' } },
+      });
+
+      assert.strictEqual(deleted.wasInvoked, false);
+      const { updated: updatedAt, ...updateValues } = updated.queryData.updateValues;
+      assert.deepStrictEqual(updateValues, {
+        status: IDEMPOTENCY_KEY_STATUS.COMPLETED,
+        response_status_code: 201,
+        response_headers: { 'X-Request-Id': 'req-1' },
+        response_body: { status: 'success', data: { id: 'txn-1' } },
+      });
+    });
+
+    [400, 409, 500, 503].forEach((statusCode) => {
+      it(`releases the key of a ${statusCode} response`, async () => {
+        const deleted = stub({ method: 'deleteOne' });
+        const updated = stub({ method: 'updateOne' });
+
+        await saveIdempotencyResponse({ ...responseData, status_code: statusCode, body: {} });
+
+        assert.strictEqual(deleted.queryData.query._id, 'claim-1');
+        assert.strictEqual(updated.wasInvoked, false);
+      });
+    });
+  });
+});
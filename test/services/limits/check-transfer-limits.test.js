@@ -0,0 +1,114 @@
+const assert = require('assert');
+const path = require('path');
+const { ERROR_CODE } = require('@app-core/errors');
+const { MockModels } = require('@app/mock-models');
+const { clearTierConfigCache } = require('@app/services/limits/tier-config');
+const checkTransferLimits = require('@app/services/limits/check-transfer-limits');
+const { LIMIT_RULES } = require('@app/services/limits/constants');
+const { STATUS_CODES } = require('@app/services/payment/constants');
+const { getRejection } = require('../../helpers');
+
+const TIERS_FILE = path.join(__dirname, '../../fixtures/tiers.json');
+
+// the queries run against the raw model, which resolves them through .session()
+function withSession(value) {
+  return { session: async () => value };
+}
+
+describe('checkTransferLimits', () => {
+  const { aggregate, countDocuments } = MockModels.Transaction;
+  let usage;
+  let count;
+  let pipelines;
+  let countQueries;
+
+  before(() => {
+    process.env.ACCOUNT_TIERS_FILE = TIERS_FILE;
+    clearTierConfigCache();
+  });
+
+  after(() => {
+    delete process.env.ACCOUNT_TIERS_FILE;
+    clearTierConfigCache();
+  });
+
+  beforeEach(() => {
+    usage = [];
+    count = 0;
+    pipelines = [];
+    countQueries = [];
+
+    MockModels.Transaction.aggregate = (pipeline) => {
+      pipelines.push(pipeline);
+      return withSession(usage);
+    };
+    MockModels.Transaction.countDocuments = (query) => {
+      countQueries.push(query);
+      return withSession(count);
+    };
+  });
+
+  afterEach(() => {
+    MockModels.Transaction.aggregate = aggregate;
+    MockModels.Transaction.countDocuments = countDocuments;
+  });
+
+  const transfer = { account_id: 'acc-a', tier: 'capped', currency: 'USD' };
+
+  it('reports the headroom of every rule of the tier', async () => {
+    usage = [{ day: 10000, month: 50000 }];
+    count = 1;
+
+    const result = await checkTransferLimits({ ...transfer, amount: 5000, fees: 100 });
+
+    assert.strictEqual(result.tier, 'capped');
+    assert.deepStrictEqual(
+      result.limits.map(({ rule, headroom }) => [rule, headroom]),
+      [
+        [LIMIT_RULES.MAX_PER_TRANSACTION, '100.00'],
+        [LIMIT_RULES.DAILY_AMOUNT, '200.00'],
+        [LIMIT_RULES.MONTHLY_AMOUNT, '500.00'],
+        [LIMIT_RULES.VELOCITY, 1],
+      ]
+    );
+  });
+
+  it('counts the fees towards the per-transaction cap', async () => {
+    const error = await getRejection(checkTransferLimits({ ...transfer, amount: 9950, fees: 51 }));
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.LIMITERR);
+    assert.strictEqual(error.details.status_code, STATUS_CODES.LIMIT_PER_TRANSACTION);
+  });
+
+  it('counts the fees of earlier transfers and of this one towards the daily cap', async () => {
+    usage = [{ day: 25000, month: 25000 }];
+
+    const error = await getRejection(checkTransferLimits({ ...transfer, amount: 4950, fees: 51 }));
+
+    assert.strictEqual(error.details.status_code, STATUS_CODES.LIMIT_DAILY_AMOUNT);
+    assert.strictEqual(error.details.headroom, '50.00');
+
+    const [match, debited] = pipelines[0];
+    assert.strictEqual(match.$match.currency, 'USD');
+    assert.deepStrictEqual(debited.$addFields.debited, {
+      $add: ['$amount', { $ifNull: ['$fee_total', 0] }],
+    });
+  });
+
+  it('counts only transfers in the transfer currency towards the velocity window', async () => {
+    count = 2;
+
+    const error = await getRejection(checkTransferLimits({ ...transfer, amount: 100 }));
+
+    assert.strictEqual(error.details.status_code, STATUS_CODES.LIMIT_VELOCITY);
+    assert.strictEqual(countQueries[0].currency, 'USD');
+    assert.strictEqual(countQueries[0].debit_account, 'acc-a');
+  });
+
+  it('lets any transfer through a tier without rules', async () => {
+    const result = await checkTransferLimits({ ...transfer, tier: undefined, amount: 10000000 });
+
+    assert.deepStrictEqual(result, { tier: 'unlimited', limits: [] });
+    assert.strictEqual(pipelines.length, 0);
+  });
+});
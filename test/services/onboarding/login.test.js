@@ -0,0 +1,151 @@
+const assert = require('assert');
+const { ERROR_CODE } = require('@app-core/errors');
+const { hash } = require('@app-core/security');
+const { MockModelStubs } = require('@app/mock-models');
+const AuthenticationMessages = require('@app/messages/authentication');
+const login = require('@app/services/onboarding/login');
+const {
+  USER_STATUS,
+  LOGIN_OUTCOMES,
+  MAX_FAILED_LOGIN_ATTEMPTS,
+  LOGIN_LOCKOUT_SECS,
+} = require('@app/services/auth/constants');
+const { getRejection } = require('../../helpers');
+
+const PASSWORD = 'correct-horse';
+
+describe('login', () => {
+  let passwordHash;
+  let user;
+  let stubs;
+  let userUpdates;
+  let loginEvents;
+
+  before(async () => {
+    passwordHash = await hash.createBHash(PASSWORD);
+  });
+
+  beforeEach(() => {
+    user = {
+      _id: 'user-1',
+      username: 'ada',
+      password_hash: passwordHash,
+      status: USER_STATUS.ACTIVE,
+      failed_login_attempts: 0,
+      locked_until: null,
+    };
+    userUpdates = [];
+    loginEvents = [];
+
+    stubs = [
+      MockModelStubs.User.configureStubs({
+        method: 'findOne',
+        overrideFn: () => (user ? { ...user } : null),
+      }),
+      MockModelStubs.User.configureStubs({
+        method: 'updateOne',
+        overrideFn: ({ updateValues }) => {
+          userUpdates.push(updateValues);
+          return { acknowledged: true, modifiedCount: 1 };
+        },
+      }),
+      MockModelStubs.LoginEvent.configureStubs({
+        method: 'create',
+        overrideFn: (event) => {
+          loginEvents.push(event);
+          return event;
+        },
+      }),
+    ];
+  });
+
+  afterEach(() => {
+    stubs.forEach((stub) => stub.revert());
+  });
+
+  it('logs an active user in with the right password', async () => {
+    const response = await login({ username: 'ada', password: PASSWORD });
+
+    assert.deepStrictEqual(response.user, { id: 'user-1', username: 'ada' });
+    assert.ok(response.access_token);
+    assert.strictEqual(loginEvents[0].outcome, LOGIN_OUTCOMES.SUCCESS);
+  });
+
+  it('counts a failed attempt below the limit', async () => {
+    const error = await getRejection(login({ username: 'ada', password: 'wrong-password' }));
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.AUTHERR);
+    assert.deepStrictEqual(userUpdates[0].$inc, { failed_login_attempts: 1 });
+    assert.strictEqual(loginEvents[0].outcome, LOGIN_OUTCOMES.FAILED);
+  });
+
+  it('rejects an unknown username with the same error as a wrong password', async () => {
+    user = null;
+
+    const error = await getRejection(login({ username: 'grace', password: PASSWORD }));
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.AUTHERR);
+    assert.strictEqual(error.message, AuthenticationMessages.INVALID_CREDENTIALS);
+    assert.strictEqual(userUpdates.length, 0);
+    assert.strictEqual(loginEvents[0].outcome, LOGIN_OUTCOMES.FAILED);
+  });
+
+  it(`locks the user out on failed attempt number ${MAX_FAILED_LOGIN_ATTEMPTS}`, async () => {
+    user.failed_login_attempts = MAX_FAILED_LOGIN_ATTEMPTS - 1;
+    const before = Date.now();
+
+    const error = await getRejection(login({ username: 'ada', password: 'wrong-password' }));
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.AUTHERR);
+    assert.strictEqual(userUpdates[0].failed_login_attempts, 0);
+    assert.ok(userUpdates[0].locked_until >= before + LOGIN_LOCKOUT_SECS * 1000);
+    assert.strictEqual(loginEvents[0].outcome, LOGIN_OUTCOMES.LOCKED);
+  });
+
+  [
+    ['the right password', PASSWORD],
+    ['a wrong password', 'wrong-password'],
+  ].forEach(([description, password]) => {
+    it(`rejects ${description} while the user is locked out`, async () => {
+      user.locked_until = Date.now() + 60000;
+
+      const error = await getRejection(login({ username: 'ada', password }));
+
+      assert.strictEqual(error.errorCode, ERROR_CODE.AUTHERR);
+      assert.strictEqual(error.message, AuthenticationMessages.INVALID_CREDENTIALS);
+      assert.strictEqual(userUpdates.length, 0);
+      assert.strictEqual(loginEvents[0].outcome, LOGIN_OUTCOMES.LOCKED);
+    });
+  });
+
+  it('does not reveal that a user is inactive to a wrong password', async () => {
+    user.status = USER_STATUS.INACTIVE;
+
+    const error = await getRejection(login({ username: 'ada', password: 'wrong-password' }));
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.AUTHERR);
+    assert.strictEqual(loginEvents[0].outcome, LOGIN_OUTCOMES.FAILED);
+  });
+
+  it('refuses an inactive user who gives the right password', async () => {
+    user.status = USER_STATUS.INACTIVE;
+
+    const error = await getRejection(login({ username: 'ada', password: PASSWORD }));
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.INACTIVEACCT);
+    assert.strictEqual(userUpdates.length, 0);
+    assert.strictEqual(loginEvents[0].outcome, LOGIN_OUTCOMES.INACTIVE);
+  });
+
+  it('clears the failed attempts once the lockout is over', async () => {
+    user.failed_login_attempts = MAX_FAILED_LOGIN_ATTEMPTS - 1;
+    user.locked_until = Date.now() - 1000;
+
+    const response = await login({ username: 'ada', password: PASSWORD });
+
+    assert.deepStrictEqual(response.user, { id: 'user-1', username: 'ada' });
+    assert.strictEqual(userUpdates[0].failed_login_attempts, 0);
+    assert.strictEqual(userUpdates[0].locked_until, null);
+    assert.strictEqual(loginEvents[0].outcome, LOGIN_OUTCOMES.SUCCESS);
+  });
+});
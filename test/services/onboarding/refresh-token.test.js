@@ -0,0 +1,125 @@
+const assert = require('assert');
+const jwt = require('jsonwebtoken');
+const { ERROR_CODE } = require('@app-core/errors');
+const {
+  issueTokenPair,
+  configureTokenStore,
+  getTokenStore,
+  createMemoryTokenStore,
+} = require('@app-core/jwt');
+const { MockModelStubs } = require('@app/mock-models');
+const { USER_STATUS } = require('@app/services/auth/constants');
+const refreshToken = require('@app/services/onboarding/refresh-token');
+const { getRejection } = require('../../helpers');
+
+describe('refreshToken', () => {
+  let previousStore;
+  let user;
+  let userStub;
+
+  beforeEach(() => {
+    previousStore = getTokenStore();
+    configureTokenStore(createMemoryTokenStore());
+
+    user = {
+      _id: 'user-1',
+      username: 'ada',
+      status: USER_STATUS.ACTIVE,
+      scopes: ['accounts:read'],
+    };
+    userStub = MockModelStubs.User.configureStubs({
+      method: 'findOne',
+      overrideFn: ({ query }) => (user && query._id === user._id ? { ...user } : null),
+    });
+  });
+
+  afterEach(() => {
+    configureTokenStore(previousStore);
+    userStub.revert();
+  });
+
+  it('exchanges a refresh token for a new pair of the same family', async () => {
+    const first = await issueTokenPair({
+      subject: 'user-1',
+      claims: { scopes: ['accounts:read'] },
+    });
+    const second = await refreshToken({ refresh_token: first.refresh_token });
+
+    assert.notStrictEqual(second.refresh_token, first.refresh_token);
+    assert.strictEqual(jwt.decode(second.refresh_token).fid, jwt.decode(first.refresh_token).fid);
+    assert.deepStrictEqual(jwt.decode(second.access_token).scopes, ['accounts:read']);
+  });
+
+  it('revokes the whole family when a used refresh token is presented again', async () => {
+    const first = await issueTokenPair({ subject: 'user-1' });
+    const second = await refreshToken({ refresh_token: first.refresh_token });
+
+    const reuseError = await getRejection(refreshToken({ refresh_token: first.refresh_token }));
+    assert.strictEqual(reuseError.errorCode, ERROR_CODE.INVLDAUTHTOKEN);
+    assert.strictEqual(reuseError.context.family_id, jwt.decode(first.refresh_token).fid);
+
+    // the token rotated from the leaked one belongs to the family, so it is revoked too
+    const revokedError = await getRejection(refreshToken({ refresh_token: second.refresh_token }));
+    assert.strictEqual(revokedError.errorCode, ERROR_CODE.INVLDAUTHTOKEN);
+    assert.strictEqual(revokedError.message, 'This token has been revoked.');
+  });
+
+  it('leaves other families alone', async () => {
+    const leaked = await issueTokenPair({ subject: 'user-1' });
+    const otherLogin = await issueTokenPair({ subject: 'user-1' });
+
+    await refreshToken({ refresh_token: leaked.refresh_token });
+    await getRejection(refreshToken({ refresh_token: leaked.refresh_token }));
+
+    const rotated = await refreshToken({ refresh_token: otherLogin.refresh_token });
+    assert.ok(rotated.access_token);
+  });
+
+  it('does not rotate an access token', async () => {
+    const { access_token: accessToken } = await issueTokenPair({ subject: 'user-1' });
+
+    const error = await getRejection(refreshToken({ refresh_token: accessToken }));
+    assert.strictEqual(error.errorCode, ERROR_CODE.INVLDAUTHTOKEN);
+  });
+
+  it("gives the new access token the user's current scopes", async () => {
+    const first = await issueTokenPair({
+      subject: 'user-1',
+      claims: { username: 'ada', scopes: ['accounts:read', 'payments:write'] },
+    });
+    user.scopes = ['accounts:read'];
+
+    const second = await refreshToken({ refresh_token: first.refresh_token });
+
+    assert.deepStrictEqual(jwt.decode(second.access_token).scopes, ['accounts:read']);
+  });
+
+  it('refuses a deactivated user and keeps the token for when they are reactivated', async () => {
+    const first = await issueTokenPair({ subject: 'user-1' });
+    user.status = USER_STATUS.INACTIVE;
+
+    const error = await getRejection(refreshToken({ refresh_token: first.refresh_token }));
+    assert.strictEqual(error.errorCode, ERROR_CODE.INACTIVEACCT);
+
+    user.status = USER_STATUS.ACTIVE;
+    const rotated = await refreshToken({ refresh_token: first.refresh_token });
+    assert.ok(rotated.access_token);
+  });
+
+  it('refuses a locked out user', async () => {
+    const first = await issueTokenPair({ subject: 'user-1' });
+    user.locked_until = Date.now() + 60000;
+
+    const error = await getRejection(refreshToken({ refresh_token: first.refresh_token }));
+    assert.strictEqual(error.errorCode, ERROR_CODE.RTLIMERR);
+    assert.ok(error.context.retry_after > 0);
+  });
+
+  it('refuses a user that no longer exists', async () => {
+    const first = await issueTokenPair({ subject: 'user-1' });
+    user = null;
+
+    const error = await getRejection(refreshToken({ refresh_token: first.refresh_token }));
+    assert.strictEqual(error.errorCode, ERROR_CODE.INVLDAUTHTOKEN);
+  });
+});
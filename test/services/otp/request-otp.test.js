@@ -0,0 +1,100 @@
+const assert = require('assert');
+const { ERROR_CODE } = require('@app-core/errors');
+const { hash } = require('@app-core/security');
+const { MockModelStubs } = require('@app/mock-models');
+const { emailNotification } = require('@app/notification');
+const requestOtp = require('@app/services/otp/request-otp');
+const {
+  OTP_STATUS,
+  OTP_PURPOSES,
+  OTP_LENGTH,
+  OTP_TTL_SECS,
+} = require('@app/services/otp/constants');
+const { getRejection } = require('../../helpers');
+
+describe('requestOtp', () => {
+  const { send } = emailNotification;
+  let sentEmails;
+  let stubs;
+
+  function stub(Model, configuration) {
+    const configuredStub = MockModelStubs[Model].configureStubs(configuration);
+    stubs.push(configuredStub);
+    return configuredStub.mockedDoc;
+  }
+
+  beforeEach(() => {
+    sentEmails = [];
+    stubs = [];
+    emailNotification.send = async (data) => {
+      sentEmails.push(data);
+      return { _id: 'notification-1', nextResendTimestamp: Date.now() + 60000 };
+    };
+  });
+
+  afterEach(() => {
+    emailNotification.send = send;
+    stubs.forEach((configuredStub) => configuredStub.revert());
+  });
+
+  it('stores a hash of a new code, supersedes older codes and emails the code', async () => {
+    stub('Notification', { method: 'findOne', mockNull: true });
+    const superseded = stub('Otp', { method: 'updateMany' });
+    const created = stub('Otp', { method: 'create' });
+    const before = Date.now();
+
+    const response = await requestOtp({ email: ' Ada@Example.com ', name: 'Ada' });
+
+    const [email] = sentEmails;
+    assert.strictEqual(response.email, 'ada@example.com');
+    assert.ok(response.expires_at >= before + OTP_TTL_SECS * 1000);
+    assert.ok(response.resend_after > Date.now());
+    assert.strictEqual(email.recipient, 'ada@example.com');
+    assert.strictEqual(email.payload.name, 'Ada');
+    assert.match(email.payload.otp, new RegExp(`^\\d{${OTP_LENGTH}}$`));
+    assert.deepStrictEqual(superseded.queryData.query, {
+      recipient: 'ada@example.com',
+      purpose: OTP_PURPOSES.ACCOUNT_ACTIVATION,
+      status: OTP_STATUS.PENDING,
+    });
+    assert.strictEqual(superseded.queryData.updateValues.status, OTP_STATUS.SUPERSEDED);
+    assert.strictEqual(created.queryResponse.status, OTP_STATUS.PENDING);
+    assert.strictEqual(created.queryResponse.attempts, 0);
+    assert.notStrictEqual(created.queryResponse.code_hash, email.payload.otp);
+    assert.ok(await hash.validateBHash(email.payload.otp, created.queryResponse.code_hash));
+  });
+
+  it('resends through the notification the previous code went out with', async () => {
+    const previousNotification = { _id: 'notification-1', nextResendTimestamp: Date.now() - 1 };
+    stub('Notification', { method: 'findOne', overrideFn: () => previousNotification });
+    stub('Otp', { method: 'updateMany' });
+    stub('Otp', { method: 'create' });
+
+    await requestOtp({ email: 'ada@example.com' });
+
+    assert.strictEqual(sentEmails[0].existingNotification, previousNotification);
+    assert.strictEqual(sentEmails[0].payload.name, 'ada@example.com');
+  });
+
+  it('refuses a new code before the previous one may be resent', async () => {
+    stub('Notification', {
+      method: 'findOne',
+      overrideFn: () => ({ _id: 'notification-1', nextResendTimestamp: Date.now() + 30000 }),
+    });
+    const created = stub('Otp', { method: 'create' });
+
+    const error = await getRejection(requestOtp({ email: 'ada@example.com' }));
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.RTLIMERR);
+    assert.ok(error.context.retry_after > 0 && error.context.retry_after <= 30);
+    assert.strictEqual(created.wasInvoked, false);
+    assert.strictEqual(sentEmails.length, 0);
+  });
+
+  it('rejects an address that is not an email', async () => {
+    const error = await getRejection(requestOtp({ email: 'not-an-email' }));
+
+    assert.strictEqual(error.errorCode, 'SPCL_VALIDATION');
+    assert.strictEqual(sentEmails.length, 0);
+  });
+});
@@ -0,0 +1,109 @@
+const assert = require('assert');
+const { ERROR_CODE } = require('@app-core/errors');
+const { hash } = require('@app-core/security');
+const { MockModelStubs } = require('@app/mock-models');
+const verifyOtp = require('@app/services/otp/verify-otp');
+const { OTP_STATUS, OTP_MAX_ATTEMPTS } = require('@app/services/otp/constants');
+const { getRejection } = require('../../helpers');
+
+const CODE = '042917';
+
+describe('verifyOtp', () => {
+  let codeHash;
+  let otp;
+  let otpUpdates;
+  let stubs;
+
+  before(async () => {
+    codeHash = await hash.createBHash(CODE);
+  });
+
+  beforeEach(() => {
+    otp = {
+      _id: 'otp-1',
+      recipient: 'ada@example.com',
+      code_hash: codeHash,
+      status: OTP_STATUS.PENDING,
+      attempts: 0,
+      expires_at: Date.now() + 60000,
+    };
+    otpUpdates = [];
+
+    stubs = [
+      MockModelStubs.Otp.configureStubs({
+        method: 'findOne',
+        overrideFn: () => (otp ? { ...otp } : null),
+      }),
+      MockModelStubs.Otp.configureStubs({
+        method: 'updateOne',
+        overrideFn: ({ query, updateValues }) => {
+          otpUpdates.push({ query, updateValues });
+          const isMatched =
+            (!query.attempts || otp.attempts < query.attempts.$lt) &&
+            (!query.status || otp.status === query.status);
+          return { acknowledged: true, modifiedCount: isMatched ? 1 : 0 };
+        },
+      }),
+    ];
+  });
+
+  afterEach(() => {
+    stubs.forEach((stub) => stub.revert());
+  });
+
+  it('verifies the pending code of an address', async () => {
+    const response = await verifyOtp({ email: 'Ada@example.com', otp: CODE });
+
+    assert.strictEqual(response.email, 'ada@example.com');
+    assert.strictEqual(response.verified, true);
+    assert.deepStrictEqual(otpUpdates[0].updateValues.$inc, { attempts: 1 });
+    assert.deepStrictEqual(otpUpdates[1].query, { _id: 'otp-1', status: OTP_STATUS.PENDING });
+    assert.strictEqual(otpUpdates[1].updateValues.status, OTP_STATUS.VERIFIED);
+  });
+
+  it('counts a wrong code and says how many attempts are left', async () => {
+    otp.attempts = 1;
+
+    const error = await getRejection(verifyOtp({ email: 'ada@example.com', otp: '999999' }));
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.VALIDATIONERR);
+    assert.strictEqual(error.context.attempts_remaining, OTP_MAX_ATTEMPTS - 2);
+    assert.strictEqual(otpUpdates.length, 1);
+  });
+
+  it('refuses even the right code once the attempts are used up', async () => {
+    otp.attempts = OTP_MAX_ATTEMPTS;
+
+    const error = await getRejection(verifyOtp({ email: 'ada@example.com', otp: CODE }));
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.RTLIMERR);
+    assert.strictEqual(otpUpdates.length, 1);
+  });
+
+  it('rejects an expired code without counting an attempt', async () => {
+    otp.expires_at = Date.now() - 1;
+
+    const error = await getRejection(verifyOtp({ email: 'ada@example.com', otp: CODE }));
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.VALIDATIONERR);
+    assert.strictEqual(otpUpdates.length, 0);
+  });
+
+  it('rejects an address without a pending code', async () => {
+    otp = null;
+
+    const error = await getRejection(verifyOtp({ email: 'ada@example.com', otp: CODE }));
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.VALIDATIONERR);
+    assert.strictEqual(otpUpdates.length, 0);
+  });
+
+  it('does not verify a code twice', async () => {
+    // another request verified the code after this one looked it up as pending
+    otp.status = OTP_STATUS.VERIFIED;
+
+    const error = await getRejection(verifyOtp({ email: 'ada@example.com', otp: CODE }));
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.VALIDATIONERR);
+  });
+});
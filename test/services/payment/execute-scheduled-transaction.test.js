@@ -0,0 +1,135 @@
+const assert = require('assert');
+const path = require('path');
+const { ERROR_CODE } = require('@app-core/errors');
+const { MockModelStubs } = require('@app/mock-models');
+const { clearTierConfigCache } = require('@app/services/limits/tier-config');
+const { clearFeeScheduleCache } = require('@app/services/fees/fee-schedule');
+const executeScheduledTransaction = require('@app/services/payment/execute-scheduled-transaction');
+const { STATUS_CODES, TRANSACTION_STATUS } = require('@app/services/payment/constants');
+const { getRejection } = require('../../helpers');
+
+const TIERS_FILE = path.join(__dirname, '../../fixtures/tiers.json');
+// it charges NGN transfers only, so the USD transfers below carry no fees
+const FEE_SCHEDULE_FILE = path.join(__dirname, '../../fixtures/fee-schedule.json');
+
+const session = {};
+
+describe('executeScheduledTransaction', () => {
+  let transaction;
+  let accounts;
+  let transactionUpdates;
+  let accountUpdates;
+  let isStillPending;
+  let stubs;
+
+  before(() => {
+    process.env.ACCOUNT_TIERS_FILE = TIERS_FILE;
+    process.env.FEE_SCHEDULE_FILE = FEE_SCHEDULE_FILE;
+    clearTierConfigCache();
+    clearFeeScheduleCache();
+  });
+
+  after(() => {
+    delete process.env.ACCOUNT_TIERS_FILE;
+    delete process.env.FEE_SCHEDULE_FILE;
+    clearTierConfigCache();
+    clearFeeScheduleCache();
+  });
+
+  beforeEach(() => {
+    transaction = {
+      _id: 'txn-1',
+      type: 'DEBIT',
+      amount: 5000,
+      currency: 'USD',
+      debit_account: 'acc-a',
+      credit_account: 'acc-b',
+      status: TRANSACTION_STATUS.PENDING,
+      ledger_ref: 'ledger-1',
+      instruction: 'DEBIT 50 USD FROM ACCOUNT acc-a FOR CREDIT TO ACCOUNT acc-b ON 2026-10-19',
+    };
+    accounts = {
+      'acc-a': { _id: 'acc-a', currency: 'USD', balance: 10000 },
+      'acc-b': { _id: 'acc-b', currency: 'USD', balance: 0 },
+    };
+    transactionUpdates = [];
+    accountUpdates = [];
+    isStillPending = true;
+
+    stubs = [
+      MockModelStubs.Transaction.configureStubs({
+        method: 'findOne',
+        overrideFn: () => ({ ...transaction }),
+      }),
+      MockModelStubs.Transaction.configureStubs({
+        method: 'updateOne',
+        overrideFn: ({ query, updateValues }) => {
+          transactionUpdates.push({ query, updateValues });
+          return { acknowledged: true, modifiedCount: isStillPending ? 1 : 0 };
+        },
+      }),
+      MockModelStubs.Account.configureStubs({
+        method: 'findOne',
+        overrideFn: ({ query }) => (accounts[query._id] ? { ...accounts[query._id] } : null),
+      }),
+      MockModelStubs.Account.configureStubs({
+        method: 'updateOne',
+        overrideFn: ({ query, updateValues }) => {
+          accountUpdates.push([query._id, updateValues.$inc.balance]);
+          return { acknowledged: true, modifiedCount: 1 };
+        },
+      }),
+    ];
+  });
+
+  afterEach(() => {
+    stubs.forEach((stub) => stub.revert());
+  });
+
+  it('moves a due transaction off pending and posts it', async () => {
+    const result = await executeScheduledTransaction({ transaction_id: 'txn-1' }, { session });
+
+    assert.strictEqual(result.status, TRANSACTION_STATUS.SUCCESSFUL);
+    assert.strictEqual(result.status_code, STATUS_CODES.SUCCESS);
+    assert.deepStrictEqual(transactionUpdates[0].query, {
+      _id: 'txn-1',
+      status: TRANSACTION_STATUS.PENDING,
+    });
+    assert.deepStrictEqual(accountUpdates, [
+      ['acc-a', -5000],
+      ['acc-b', 5000],
+    ]);
+  });
+
+  it('does not post a transaction another run moved off pending first', async () => {
+    isStillPending = false;
+
+    const error = await getRejection(
+      executeScheduledTransaction({ transaction_id: 'txn-1' }, { session })
+    );
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.DUPLRCRD);
+    assert.strictEqual(accountUpdates.length, 0);
+  });
+
+  it('leaves a transaction that is no longer pending as it is', async () => {
+    transaction.status = TRANSACTION_STATUS.SUCCESSFUL;
+
+    const result = await executeScheduledTransaction({ transaction_id: 'txn-1' }, { session });
+
+    assert.strictEqual(result.status, TRANSACTION_STATUS.SUCCESSFUL);
+    assert.strictEqual(transactionUpdates.length, 0);
+    assert.strictEqual(accountUpdates.length, 0);
+  });
+
+  it('fails a transaction the balance no longer covers without posting it', async () => {
+    accounts['acc-a'].balance = 4999;
+
+    const result = await executeScheduledTransaction({ transaction_id: 'txn-1' }, { session });
+
+    assert.strictEqual(result.status, TRANSACTION_STATUS.FAILED);
+    assert.strictEqual(result.status_code, STATUS_CODES.INSUFFICIENT_FUNDS);
+    assert.strictEqual(transactionUpdates[0].updateValues.status, TRANSACTION_STATUS.FAILED);
+    assert.strictEqual(accountUpdates.length, 0);
+  });
+});
@@ -0,0 +1,72 @@
+const assert = require('assert');
+const { ERROR_CODE } = require('@app-core/errors');
+const { MockModelStubs } = require('@app/mock-models');
+const exportTransactions = require('@app/services/payment/export-transactions');
+const { getRejection } = require('../../helpers');
+
+async function readAll(stream) {
+  let text = '';
+
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const chunk of stream) {
+    text += chunk;
+  }
+
+  return text;
+}
+
+describe('exportTransactions', () => {
+  let finds;
+  let stub;
+
+  beforeEach(() => {
+    finds = [];
+    // 150 records, so the export has to fetch a second page
+    const records = Array.from({ length: 150 }, (value, index) => ({
+      _id: `txn-${String(150 - index).padStart(3, '0')}`,
+      type: 'DEBIT',
+      amount: 100,
+      currency: 'USD',
+      status: 'successful',
+      status_reason: index ? 'Transaction executed successfully' : '=HYPERLINK("x")',
+    }));
+
+    stub = MockModelStubs.Transaction.configureStubs({
+      method: 'findMany',
+      overrideFn: ({ query, options }) => {
+        finds.push(query);
+        const start = query._id ? records.findIndex((record) => record._id < query._id.$lt) : 0;
+        return records.slice(start, start + options.limit);
+      },
+    });
+  });
+
+  afterEach(() => {
+    stub.revert();
+  });
+
+  it('streams every matching transaction as CSV, page by page', async () => {
+    const csv = await readAll(await exportTransactions({ currency: 'usd', limit: 5 }));
+    const rows = csv.split('\r\n');
+
+    assert.match(rows[0], /^transaction_id,type,amount,currency,/);
+    // header, 150 rows and the empty string after the last line break
+    assert.strictEqual(rows.length, 152);
+    assert.strictEqual(finds.length, 2);
+    assert.strictEqual(finds[1].currency, 'USD');
+    assert.match(rows[1], /^txn-150,DEBIT,1\.00,USD,/);
+    assert.match(rows[150], /^txn-001,/);
+  });
+
+  it('quotes fields a spreadsheet would read as formulas', async () => {
+    const csv = await readAll(await exportTransactions({}));
+
+    assert.ok(csv.split('\r\n')[1].includes(`"'=HYPERLINK(""x"")"`));
+  });
+
+  it('fails invalid filters before the stream is returned', async () => {
+    const error = await getRejection(exportTransactions({ to: 'soon' }));
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.VALIDATIONERR);
+  });
+});
@@ -0,0 +1,87 @@
+const assert = require('assert');
+const { ERROR_CODE } = require('@app-core/errors');
+const { MockModelStubs } = require('@app/mock-models');
+const getTransaction = require('@app/services/payment/get-transaction');
+const { getRejection } = require('../../helpers');
+
+describe('getTransaction', () => {
+  let stub;
+
+  afterEach(() => {
+    stub.revert();
+  });
+
+  it('returns the stored transaction with decimal amounts', async () => {
+    stub = MockModelStubs.Transaction.configureStubs({
+      method: 'findOne',
+      overrideFn: ({ query }) => ({
+        _id: query._id,
+        type: 'DEBIT',
+        amount: 100005,
+        currency: 'NGN',
+        fee_total: 1500,
+        status: 'successful',
+      }),
+    });
+
+    const transaction = await getTransaction({ transaction_id: ' txn-1 ' });
+
+    assert.strictEqual(transaction.transaction_id, 'txn-1');
+    assert.strictEqual(transaction.amount, '1000.05');
+    assert.strictEqual(transaction.fee_total, '15.00');
+    assert.strictEqual(transaction.reversed_amount, '0.00');
+  });
+
+  it('rejects a transaction that is not stored', async () => {
+    stub = MockModelStubs.Transaction.configureStubs({ method: 'findOne', mockNull: true });
+
+    const error = await getRejection(getTransaction({ transaction_id: 'txn-9' }));
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.NOTFOUND);
+  });
+
+  describe('for a caller', () => {
+    let accountStub;
+
+    beforeEach(() => {
+      stub = MockModelStubs.Transaction.configureStubs({
+        method: 'findOne',
+        overrideFn: ({ query }) => ({
+          _id: query._id,
+          type: 'DEBIT',
+          amount: 100,
+          currency: 'USD',
+          debit_account: 'acc-a',
+          credit_account: 'acc-b',
+          status: 'successful',
+        }),
+      });
+      // user-1 owns acc-a only
+      accountStub = MockModelStubs.Account.configureStubs({
+        method: 'findMany',
+        overrideFn: ({ query }) =>
+          query.owner_id === 'user-1' && query._id.$in.indexOf('acc-a') >= 0
+            ? [{ _id: 'acc-a' }]
+            : [],
+      });
+    });
+
+    afterEach(() => {
+      accountStub.revert();
+    });
+
+    it('returns a transaction on one of their accounts', async () => {
+      const transaction = await getTransaction({ transaction_id: 'txn-1', owner_id: 'user-1' });
+
+      assert.strictEqual(transaction.transaction_id, 'txn-1');
+    });
+
+    it("reports a transaction on someone else's accounts as missing", async () => {
+      const error = await getRejection(
+        getTransaction({ transaction_id: 'txn-1', owner_id: 'user-2' })
+      );
+
+      assert.strictEqual(error.errorCode, ERROR_CODE.NOTFOUND);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const assert = require('assert');
+const { ERROR_CODE } = require('@app-core/errors');
+const { MockModelStubs } = require('@app/mock-models');
+const listTransactions = require('@app/services/payment/list-transactions');
+const { getRejection } = require('../../helpers');
+
+function storedTransaction(id) {
+  return {
+    _id: id,
+    type: 'DEBIT',
+    amount: 1050,
+    currency: 'USD',
+    debit_account: 'acc-a',
+    credit_account: 'acc-b',
+    status: 'successful',
+    status_code: 'AP00',
+  };
+}
+
+describe('listTransactions', () => {
+  let finds;
+  let records;
+  let stub;
+
+  beforeEach(() => {
+    finds = [];
+    records = ['txn-3', 'txn-2', 'txn-1'].map(storedTransaction);
+    stub = MockModelStubs.Transaction.configureStubs({
+      method: 'findMany',
+      overrideFn: ({ query, options }) => {
+        finds.push({ query, options });
+        return records.slice(0, options.limit);
+      },
+    });
+  });
+
+  afterEach(() => {
+    stub.revert();
+  });
+
+  it('filters on the account on either side and on the listed fields', async () => {
+    await listTransactions({
+      account: 'acc-a',
+      status: 'Successful',
+      currency: 'usd',
+      type: 'debit',
+    });
+
+    assert.deepStrictEqual(finds[0].query, {
+      $or: [{ debit_account: 'acc-a' }, { credit_account: 'acc-a' }],
+      status: 'successful',
+      currency: 'USD',
+      type: 'DEBIT',
+    });
+  });
+
+  it('includes the whole day of a date-only upper bound', async () => {
+    await listTransactions({ from: '2026-10-01', to: '2026-10-02' });
+
+    assert.deepStrictEqual(finds[0].query.created, {
+      $gte: Date.parse('2026-10-01'),
+      $lt: Date.parse('2026-10-03'),
+    });
+  });
+
+  it('rejects a date range it cannot read', async () => {
+    const error = await getRejection(listTransactions({ from: 'last week' }));
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.VALIDATIONERR);
+    assert.strictEqual(finds.length, 0);
+  });
+
+  it('returns one page of formatted transactions with a cursor to the next', async () => {
+    const page = await listTransactions({ limit: 2 });
+
+    assert.deepStrictEqual(finds[0].options.sort, { _id: -1 });
+    assert.deepStrictEqual(
+      page.transactions.map((transaction) => [transaction.transaction_id, transaction.amount]),
+      [
+        ['txn-3', '10.50'],
+        ['txn-2', '10.50'],
+      ]
+    );
+    assert.strictEqual(page.pagination.has_more, true);
+
+    await listTransactions({ cursor: page.pagination.next_cursor, limit: 2 });
+
+    assert.deepStrictEqual(finds[1].query._id, { $lt: 'txn-2' });
+  });
+
+  describe('for a caller', () => {
+    let accountStub;
+
+    beforeEach(() => {
+      accountStub = MockModelStubs.Account.configureStubs({
+        method: 'findMany',
+        overrideFn: ({ query }) =>
+          ['acc-a', 'acc-c']
+            .filter(
+              (id) => query.owner_id === 'user-1' && (!query._id || query._id.$in.indexOf(id) >= 0)
+            )
+            .map((id) => ({ _id: id })),
+      });
+    });
+
+    afterEach(() => {
+      accountStub.revert();
+    });
+
+    it('lists only transactions on their accounts', async () => {
+      await listTransactions({ owner_id: 'user-1' });
+
+      assert.deepStrictEqual(finds[0].query.$or, [
+        { debit_account: { $in: ['acc-a', 'acc-c'] } },
+        { credit_account: { $in: ['acc-a', 'acc-c'] } },
+      ]);
+    });
+
+    it("finds nothing when filtering on someone else's account", async () => {
+      await listTransactions({ owner_id: 'user-1', account: 'acc-b' });
+
+      assert.deepStrictEqual(finds[0].query.$or, [
+        { debit_account: { $in: [] } },
+        { credit_account: { $in: [] } },
+      ]);
+    });
+  });
+});
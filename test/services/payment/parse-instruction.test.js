@@ -0,0 +1,84 @@
+const assert = require('assert');
+const tokenize = require('@app/services/payment/instruction/tokenize');
+const parseInstruction = require('@app/services/payment/parse-instruction');
+const { STATUS_CODES } = require('@app/services/payment/constants');
+
+describe('parseInstruction', () => {
+  it('records the offset of every token', () => {
+    assert.deepStrictEqual(
+      tokenize(' debit  100\tNGN\n').map(({ value, upper, offset }) => ({ value, upper, offset })),
+      [
+        { value: 'debit', upper: 'DEBIT', offset: 1 },
+        { value: '100', upper: '100', offset: 8 },
+        { value: 'NGN', upper: 'NGN', offset: 12 },
+      ]
+    );
+  });
+
+  it('parses a complete instruction', () => {
+    const result = parseInstruction(
+      'DEBIT 100.50 ngn FROM ACCOUNT acc-1 FOR CREDIT TO ACCOUNT acc-2 ON 2026-11-02'
+    );
+
+    assert.strictEqual(result.error, null);
+    assert.strictEqual(result.type, 'DEBIT');
+    assert.strictEqual(result.amount, '100.50');
+    assert.strictEqual(result.currency, 'NGN');
+    assert.strictEqual(result.debit_account, 'acc-1');
+    assert.strictEqual(result.credit_account, 'acc-2');
+    assert.strictEqual(result.execute_by, '2026-11-02');
+  });
+
+  it('parses a reversal', () => {
+    const result = parseInstruction('reverse transaction 01JAB3XK');
+
+    assert.strictEqual(result.error, null);
+    assert.strictEqual(result.type, 'REVERSE');
+    assert.strictEqual(result.transaction_id, '01JAB3XK');
+    assert.strictEqual(result.amount, null);
+  });
+
+  it('points at an invalid value', () => {
+    const { error } = parseInstruction('TRANSFER 10.5.0 NGN FROM ACCOUNT a TO ACCOUNT b');
+
+    assert.strictEqual(error.status_code, STATUS_CODES.INVALID_AMOUNT);
+    assert.strictEqual(error.token, '10.5.0');
+    assert.strictEqual(error.offset, 9);
+    assert.deepStrictEqual(error.expected, ['amount']);
+  });
+
+  it('reports keywords out of order at the first misplaced one', () => {
+    const { error } = parseInstruction('TRANSFER 10 NGN ACCOUNT FROM a TO ACCOUNT b');
+
+    assert.strictEqual(error.status_code, STATUS_CODES.INVALID_KEYWORD_ORDER);
+    assert.strictEqual(error.token, 'ACCOUNT');
+    assert.strictEqual(error.offset, 16);
+    assert.match(error.status_reason, /found "ACCOUNT" at offset 16, expected FROM$/);
+  });
+
+  it('points past the end of an instruction that ends early', () => {
+    const instruction = 'CREDIT 10 NGN TO ACCOUNT b FOR DEBIT';
+    const { error } = parseInstruction(instruction);
+
+    assert.strictEqual(error.status_code, STATUS_CODES.MISSING_KEYWORD);
+    assert.strictEqual(error.token, null);
+    assert.strictEqual(error.offset, instruction.length);
+    assert.deepStrictEqual(error.expected, ['FROM']);
+  });
+
+  it('lists the skipped optional clause along with the end of the instruction', () => {
+    const { error } = parseInstruction('TRANSFER 10 NGN FROM ACCOUNT a TO ACCOUNT b NOW');
+
+    assert.strictEqual(error.status_code, STATUS_CODES.UNPARSEABLE_INSTRUCTION);
+    assert.strictEqual(error.token, 'NOW');
+    assert.strictEqual(error.offset, 44);
+    assert.deepStrictEqual(error.expected, ['ON', 'end of instruction']);
+  });
+
+  it('points at an unknown verb', () => {
+    const { error } = parseInstruction('  PAY 10 NGN');
+
+    assert.strictEqual(error.status_code, STATUS_CODES.UNPARSEABLE_INSTRUCTION);
+    assert.strictEqual(error.offset, 2);
+  });
+});
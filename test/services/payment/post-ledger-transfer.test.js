@@ -0,0 +1,203 @@
+const assert = require('assert');
+const { ERROR_CODE } = require('@app-core/errors');
+const { MockModelStubs } = require('@app/mock-models');
+const postLedgerTransfer = require('@app/services/payment/post-ledger-transfer');
+const { getRejection } = require('../../helpers');
+
+// the transfer runs inside the caller's session, so no database session is opened
+const session = {};
+
+describe('postLedgerTransfer', () => {
+  let accounts;
+  let accountUpdates;
+  let stubs;
+
+  beforeEach(() => {
+    accounts = {
+      'acc-a': { _id: 'acc-a', currency: 'NGN', balance: 200000 },
+      'acc-b': { _id: 'acc-b', currency: 'NGN', balance: 500 },
+      'fees-ngn': { _id: 'fees-ngn', currency: 'NGN', balance: 0 },
+    };
+    accountUpdates = [];
+
+    stubs = [
+      MockModelStubs.Account.configureStubs({
+        method: 'findOne',
+        overrideFn: ({ query }) => (accounts[query._id] ? { ...accounts[query._id] } : null),
+      }),
+      MockModelStubs.Account.configureStubs({
+        method: 'updateOne',
+        overrideFn: ({ query, updateValues }) => {
+          accountUpdates.push({ query, updateValues });
+          const isCovered = !query.balance || accounts[query._id].balance >= query.balance.$gte;
+          return { acknowledged: true, modifiedCount: isCovered ? 1 : 0 };
+        },
+      }),
+    ];
+  });
+
+  afterEach(() => {
+    stubs.forEach((stub) => stub.revert());
+  });
+
+  it('posts a balanced debit and credit pair and moves both balances', async () => {
+    const result = await postLedgerTransfer(
+      {
+        transaction_ref: 'txn-1',
+        debit_account: 'acc-a',
+        credit_account: 'acc-b',
+        amount: 100005,
+        currency: 'NGN',
+        narration: 'rent',
+      },
+      { session }
+    );
+
+    assert.deepStrictEqual(
+      accountUpdates.map(({ query, updateValues }) => [query, updateValues.$inc.balance]),
+      [
+        [{ _id: 'acc-a', balance: { $gte: 100005 } }, -100005],
+        [{ _id: 'acc-b' }, 100005],
+      ]
+    );
+    assert.deepStrictEqual(
+      result.entries.map((entry) => [
+        entry.transaction_ref,
+        entry.account_id,
+        entry.entry_type,
+        entry.amount,
+        entry.balance_before,
+        entry.balance_after,
+      ]),
+      [
+        ['txn-1', 'acc-a', 'debit', 100005, 200000, 99995],
+        ['txn-1', 'acc-b', 'credit', 100005, 500, 100505],
+      ]
+    );
+    assert.strictEqual(result.debit_account.balance, 99995);
+    assert.strictEqual(result.credit_account.balance, 100505);
+  });
+
+  it('rejects a transfer the debit balance does not cover', async () => {
+    const error = await getRejection(
+      postLedgerTransfer(
+        {
+          transaction_ref: 'txn-2',
+          debit_account: 'acc-b',
+          credit_account: 'acc-a',
+          amount: 501,
+          currency: 'NGN',
+        },
+        { session }
+      )
+    );
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.INVLDREQ);
+    assert.strictEqual(accountUpdates.length, 1);
+  });
+
+  it('rejects a transfer from an account that is not stored', async () => {
+    const error = await getRejection(
+      postLedgerTransfer(
+        {
+          transaction_ref: 'txn-3',
+          debit_account: 'acc-x',
+          credit_account: 'acc-a',
+          amount: 100,
+          currency: 'NGN',
+        },
+        { session }
+      )
+    );
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.NOTFOUND);
+    assert.strictEqual(accountUpdates.length, 0);
+  });
+
+  it('debits the fees on top of the amount and credits them to the fee account', async () => {
+    const result = await postLedgerTransfer(
+      {
+        transaction_ref: 'txn-4',
+        debit_account: 'acc-a',
+        credit_account: 'acc-b',
+        amount: 100005,
+        currency: 'NGN',
+        fees: [
+          { credit_account: 'fees-ngn', amount: 1000, narration: 'transfer fee' },
+          { credit_account: 'fees-ngn', amount: 500, narration: 'commission fee' },
+        ],
+      },
+      { session }
+    );
+
+    assert.deepStrictEqual(
+      accountUpdates.map(({ query, updateValues }) => [query, updateValues.$inc.balance]),
+      [
+        [{ _id: 'acc-a', balance: { $gte: 101505 } }, -101505],
+        [{ _id: 'acc-b' }, 100005],
+        [{ _id: 'fees-ngn' }, 1000],
+        [{ _id: 'fees-ngn' }, 500],
+      ]
+    );
+    assert.deepStrictEqual(
+      result.entries.map((entry) => [
+        entry.account_id,
+        entry.entry_type,
+        entry.amount,
+        entry.balance_before,
+        entry.balance_after,
+      ]),
+      [
+        ['acc-a', 'debit', 100005, 200000, 99995],
+        ['acc-b', 'credit', 100005, 500, 100505],
+        ['acc-a', 'debit', 1000, 99995, 98995],
+        ['fees-ngn', 'credit', 1000, 0, 1000],
+        ['acc-a', 'debit', 500, 98995, 98495],
+        ['fees-ngn', 'credit', 500, 1000, 1500],
+      ]
+    );
+    assert.strictEqual(result.debit_account.balance, 98495);
+  });
+
+  it('rejects a transfer the balance covers but the fees do not', async () => {
+    accounts['acc-a'].balance = 100005;
+
+    const error = await getRejection(
+      postLedgerTransfer(
+        {
+          transaction_ref: 'txn-5',
+          debit_account: 'acc-a',
+          credit_account: 'acc-b',
+          amount: 100005,
+          currency: 'NGN',
+          fees: [{ credit_account: 'fees-ngn', amount: 1000 }],
+        },
+        { session }
+      )
+    );
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.INVLDREQ);
+    assert.strictEqual(accountUpdates.length, 1);
+  });
+
+  it('rejects fees credited to an account in another currency', async () => {
+    accounts['fees-ngn'].currency = 'USD';
+
+    const error = await getRejection(
+      postLedgerTransfer(
+        {
+          transaction_ref: 'txn-6',
+          debit_account: 'acc-a',
+          credit_account: 'acc-b',
+          amount: 100,
+          currency: 'NGN',
+          fees: [{ credit_account: 'fees-ngn', amount: 10 }],
+        },
+        { session }
+      )
+    );
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.FEEERR);
+    assert.strictEqual(accountUpdates.length, 0);
+  });
+});
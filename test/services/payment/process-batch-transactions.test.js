@@ -0,0 +1,108 @@
+const assert = require('assert');
+const path = require('path');
+const { ERROR_CODE } = require('@app-core/errors');
+const { clearFeeScheduleCache } = require('@app/services/fees/fee-schedule');
+const processBatchTransactions = require('@app/services/payment/process-batch-transactions');
+const {
+  BATCH_STATUS,
+  MAX_BATCH_SIZE,
+  STATUS_CODES,
+  TRANSACTION_STATUS,
+} = require('@app/services/payment/constants');
+const { getRejection } = require('../../helpers');
+
+// it charges NGN transfers only, so the USD transfers below carry no fees
+const FEE_SCHEDULE_FILE = path.join(__dirname, '../../fixtures/fee-schedule.json');
+
+const accounts = [
+  { id: 'acc-a', balance: '100', currency: 'USD' },
+  { id: 'acc-b', balance: '10', currency: 'USD' },
+];
+
+const instructions = [
+  'DEBIT 30 USD FROM ACCOUNT acc-a FOR CREDIT TO ACCOUNT acc-b',
+  'DEBIT 500 USD FROM ACCOUNT acc-a FOR CREDIT TO ACCOUNT acc-b',
+  'CREDIT 5 USD TO ACCOUNT acc-a FOR DEBIT FROM ACCOUNT acc-b',
+];
+
+/**
+ * Lists the balances of a batch response as [id, balance, decimal balance] entries
+ */
+function getBalances(response) {
+  return response.accounts.map((account) => [account.id, account.balance, account.balance_decimal]);
+}
+
+describe('processBatchTransactions', () => {
+  before(() => {
+    process.env.FEE_SCHEDULE_FILE = FEE_SCHEDULE_FILE;
+    clearFeeScheduleCache();
+  });
+
+  after(() => {
+    delete process.env.FEE_SCHEDULE_FILE;
+    clearFeeScheduleCache();
+  });
+
+  it('runs every instruction on the balances the previous ones left', async () => {
+    const response = await processBatchTransactions({ accounts, instructions });
+
+    assert.strictEqual(response.status, BATCH_STATUS.COMPLETED);
+    assert.deepStrictEqual(
+      response.results.map((result) => result.status_code),
+      [STATUS_CODES.SUCCESS, STATUS_CODES.INSUFFICIENT_FUNDS, STATUS_CODES.SUCCESS]
+    );
+    assert.deepStrictEqual(
+      [response.processed, response.successful, response.pending, response.failed],
+      [3, 2, 0, 1]
+    );
+    assert.deepStrictEqual(getBalances(response), [
+      ['acc-a', 75, '75.00'],
+      ['acc-b', 35, '35.00'],
+    ]);
+  });
+
+  it('stops an atomic batch at the first failure and reports the balances from before it', async () => {
+    const response = await processBatchTransactions({ accounts, instructions, atomic: true });
+
+    assert.strictEqual(response.status, BATCH_STATUS.ROLLED_BACK);
+    assert.strictEqual(response.processed, 2);
+    assert.deepStrictEqual(
+      response.results.map((result) => [result.status, !!result.rolled_back]),
+      [
+        [TRANSACTION_STATUS.SUCCESSFUL, true],
+        [TRANSACTION_STATUS.FAILED, false],
+      ]
+    );
+    // rolled back instructions took no effect, so they are not counted as successful
+    assert.deepStrictEqual([response.successful, response.failed], [0, 1]);
+    assert.deepStrictEqual(getBalances(response), [
+      ['acc-a', 100, '100.00'],
+      ['acc-b', 10, '10.00'],
+    ]);
+  });
+
+  it('commits an atomic batch in which every instruction succeeds', async () => {
+    const response = await processBatchTransactions({
+      accounts,
+      instructions: [instructions[0], instructions[2]],
+      atomic: true,
+    });
+
+    assert.strictEqual(response.status, BATCH_STATUS.COMPLETED);
+    assert.deepStrictEqual(getBalances(response), [
+      ['acc-a', 75, '75.00'],
+      ['acc-b', 35, '35.00'],
+    ]);
+  });
+
+  it(`rejects batches of more than ${MAX_BATCH_SIZE} instructions`, async () => {
+    const error = await getRejection(
+      processBatchTransactions({
+        accounts,
+        instructions: new Array(MAX_BATCH_SIZE + 1).fill(instructions[0]),
+      })
+    );
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.VALIDATIONERR);
+  });
+});
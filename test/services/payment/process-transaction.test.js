@@ -0,0 +1,258 @@
+const assert = require('assert');
+const path = require('path');
+const { MockModelStubs } = require('@app/mock-models');
+const { clearTierConfigCache } = require('@app/services/limits/tier-config');
+const { clearFeeScheduleCache } = require('@app/services/fees/fee-schedule');
+const processTransaction = require('@app/services/payment/process-transaction');
+const { STATUS_CODES, TRANSACTION_STATUS } = require('@app/services/payment/constants');
+
+// it charges NGN transfers only, so the USD transfers below carry no fees
+const FEE_SCHEDULE_FILE = path.join(__dirname, '../../fixtures/fee-schedule.json');
+const TIERS_FILE = path.join(__dirname, '../../fixtures/tiers.json');
+
+const session = {};
+
+describe('processTransaction', () => {
+  before(() => {
+    process.env.FEE_SCHEDULE_FILE = FEE_SCHEDULE_FILE;
+    process.env.ACCOUNT_TIERS_FILE = TIERS_FILE;
+    clearFeeScheduleCache();
+    clearTierConfigCache();
+  });
+
+  after(() => {
+    delete process.env.FEE_SCHEDULE_FILE;
+    delete process.env.ACCOUNT_TIERS_FILE;
+    clearFeeScheduleCache();
+    clearTierConfigCache();
+  });
+
+  describe('with accounts posted in the request', () => {
+    const accounts = [
+      { id: 'acc-a', balance: 230, currency: 'USD' },
+      { id: 'acc-b', balance: '300.5', currency: 'USD' },
+    ];
+
+    it('sends amounts as numbers with their exact decimals next to them', async () => {
+      const response = await processTransaction({
+        accounts,
+        instruction: 'DEBIT 30.25 USD FROM ACCOUNT acc-a FOR CREDIT TO ACCOUNT acc-b',
+      });
+
+      assert.strictEqual(response.status_code, STATUS_CODES.SUCCESS);
+      assert.strictEqual(response.amount, 30.25);
+      assert.strictEqual(response.amount_decimal, '30.25');
+      assert.deepStrictEqual(response.accounts, [
+        {
+          id: 'acc-a',
+          balance: 199.75,
+          balance_decimal: '199.75',
+          balance_before: 230,
+          balance_before_decimal: '230.00',
+          currency: 'USD',
+        },
+        {
+          id: 'acc-b',
+          balance: 330.75,
+          balance_decimal: '330.75',
+          balance_before: 300.5,
+          balance_before_decimal: '300.50',
+          currency: 'USD',
+        },
+      ]);
+    });
+
+    it('rejects an amount with more decimal places than the currency has', async () => {
+      const response = await processTransaction({
+        accounts,
+        instruction: 'DEBIT 30.255 USD FROM ACCOUNT acc-a FOR CREDIT TO ACCOUNT acc-b',
+      });
+
+      assert.strictEqual(response.status_code, STATUS_CODES.INVALID_AMOUNT);
+      assert.strictEqual(response.amount, null);
+      assert.deepStrictEqual(
+        response.accounts.map((account) => account.balance),
+        [230, 300.5]
+      );
+    });
+
+    it('lists every field that does not match the request spec', async () => {
+      const response = await processTransaction({
+        accounts: [{ id: 'acc-a', balance: 100 }],
+        allow_fx: 'yes',
+      });
+
+      assert.strictEqual(response.status_code, STATUS_CODES.MALFORMED_INSTRUCTION);
+      assert.deepStrictEqual(
+        response.errors.map((violation) => violation.path),
+        ['accounts[0].currency', 'instruction', 'allow_fx']
+      );
+    });
+  });
+
+  describe('with stored accounts', () => {
+    let accountUpdates;
+    let stubs;
+
+    beforeEach(() => {
+      const accounts = [
+        { _id: 'acc-a', owner_id: 'user-a', currency: 'USD', balance: 10000 },
+        { _id: 'acc-b', owner_id: 'user-b', currency: 'USD', balance: 500 },
+      ];
+      accountUpdates = [];
+
+      stubs = [
+        MockModelStubs.Account.configureStubs({
+          method: 'findMany',
+          overrideFn: ({ query }) => accounts.filter((acc) => query._id.$in.indexOf(acc._id) >= 0),
+        }),
+        MockModelStubs.Account.configureStubs({
+          method: 'findOne',
+          overrideFn: ({ query }) => accounts.find((acc) => acc._id === query._id) || null,
+        }),
+        MockModelStubs.Account.configureStubs({
+          method: 'updateOne',
+          overrideFn: ({ query, updateValues }) => {
+            accountUpdates.push([query._id, updateValues.$inc.balance]);
+            return { acknowledged: true, modifiedCount: 1 };
+          },
+        }),
+        MockModelStubs.Transaction.configureStubs({
+          method: 'create',
+          overrideFn: (values) => ({ _id: 'txn-1', ...values }),
+        }),
+      ];
+    });
+
+    afterEach(() => {
+      stubs.forEach((stub) => stub.revert());
+    });
+
+    const instruction = 'DEBIT 20 USD FROM ACCOUNT acc-a FOR CREDIT TO ACCOUNT acc-b';
+
+    it("debits the caller's account and shows them their own balances only", async () => {
+      const response = await processTransaction({ instruction, owner_id: 'user-a' }, { session });
+
+      assert.strictEqual(response.status_code, STATUS_CODES.SUCCESS);
+      assert.deepStrictEqual(accountUpdates, [
+        ['acc-a', -2000],
+        ['acc-b', 2000],
+      ]);
+      assert.deepStrictEqual(
+        response.accounts.map((account) => [account.id, account.balance]),
+        [['acc-a', 80]]
+      );
+    });
+
+    it("refuses to debit someone else's account", async () => {
+      const response = await processTransaction({ instruction, owner_id: 'user-b' }, { session });
+
+      assert.strictEqual(response.status_code, STATUS_CODES.ACCOUNT_NOT_OWNED);
+      assert.strictEqual(accountUpdates.length, 0);
+      assert.deepStrictEqual(
+        response.accounts.map((account) => account.id),
+        ['acc-b']
+      );
+    });
+  });
+
+  describe('REVERSE instructions', () => {
+    let transactions;
+    let accountUpdates;
+    let createdTransactions;
+    let stubs;
+
+    beforeEach(() => {
+      transactions = {
+        'txn-1': {
+          _id: 'txn-1',
+          type: 'DEBIT',
+          amount: 3000,
+          currency: 'USD',
+          debit_account: 'acc-a',
+          credit_account: 'acc-b',
+          status: TRANSACTION_STATUS.SUCCESSFUL,
+        },
+      };
+      const accounts = {
+        'acc-a': { _id: 'acc-a', currency: 'USD', balance: 1000 },
+        'acc-b': { _id: 'acc-b', currency: 'USD', balance: 5000 },
+      };
+      accountUpdates = [];
+      createdTransactions = [];
+
+      stubs = [
+        MockModelStubs.Transaction.configureStubs({
+          method: 'findOne',
+          overrideFn: ({ query }) =>
+            transactions[query._id] ? { ...transactions[query._id] } : null,
+        }),
+        MockModelStubs.Transaction.configureStubs({
+          method: 'updateOne',
+          overrideFn: () => ({ acknowledged: true, modifiedCount: 1 }),
+        }),
+        MockModelStubs.Transaction.configureStubs({
+          method: 'create',
+          overrideFn: (values) => {
+            createdTransactions.push(values);
+            return { _id: 'txn-2', ...values };
+          },
+        }),
+        MockModelStubs.Account.configureStubs({
+          method: 'findOne',
+          overrideFn: ({ query }) => (accounts[query._id] ? { ...accounts[query._id] } : null),
+        }),
+        MockModelStubs.Account.configureStubs({
+          method: 'updateOne',
+          overrideFn: ({ query, updateValues }) => {
+            accountUpdates.push([query._id, updateValues.$inc.balance]);
+            return { acknowledged: true, modifiedCount: 1 };
+          },
+        }),
+      ];
+    });
+
+    afterEach(() => {
+      stubs.forEach((stub) => stub.revert());
+    });
+
+    it('reverses a stored transaction', async () => {
+      const response = await processTransaction(
+        { instruction: 'REVERSE TRANSACTION txn-1' },
+        { session }
+      );
+
+      assert.strictEqual(response.type, 'REVERSE');
+      assert.strictEqual(response.status_code, STATUS_CODES.REVERSAL_SUCCESSFUL);
+      assert.strictEqual(response.reversal_of, 'txn-1');
+      assert.strictEqual(response.amount, 30);
+      assert.deepStrictEqual(accountUpdates, [
+        ['acc-b', -3000],
+        ['acc-a', 3000],
+      ]);
+      assert.strictEqual(createdTransactions.length, 1);
+    });
+
+    it('fails the instruction when the transaction is not stored', async () => {
+      const response = await processTransaction(
+        { instruction: 'REVERSE TRANSACTION txn-9' },
+        { session }
+      );
+
+      assert.strictEqual(response.status, 'failed');
+      assert.strictEqual(response.status_code, STATUS_CODES.REVERSAL_NOT_ALLOWED);
+      assert.strictEqual(accountUpdates.length, 0);
+      assert.strictEqual(createdTransactions.length, 0);
+    });
+
+    it('fails a reversal posted with in-request accounts', async () => {
+      const response = await processTransaction({
+        accounts: [{ id: 'acc-a', balance: 10, currency: 'USD' }],
+        instruction: 'REVERSE TRANSACTION txn-1',
+      });
+
+      assert.strictEqual(response.status_code, STATUS_CODES.REVERSAL_NOT_ALLOWED);
+      assert.strictEqual(createdTransactions.length, 0);
+    });
+  });
+});
@@ -0,0 +1,190 @@
+const assert = require('assert');
+const { ERROR_CODE } = require('@app-core/errors');
+const { MockModelStubs } = require('@app/mock-models');
+const reverseTransaction = require('@app/services/payment/reverse-transaction');
+const { STATUS_CODES, TRANSACTION_STATUS } = require('@app/services/payment/constants');
+const { getRejection } = require('../../helpers');
+
+const session = {};
+
+describe('reverseTransaction', () => {
+  let transaction;
+  let accounts;
+  let transactionUpdates;
+  let accountUpdates;
+  let createdTransactions;
+  let stubs;
+
+  beforeEach(() => {
+    transaction = {
+      _id: 'txn-1',
+      type: 'DEBIT',
+      amount: 10000,
+      currency: 'USD',
+      debit_account: 'acc-a',
+      credit_account: 'acc-b',
+      fee_total: 200,
+      fee_account: 'fees-usd',
+      reversed_amount: 0,
+      status: TRANSACTION_STATUS.SUCCESSFUL,
+    };
+    accounts = {
+      'acc-a': { _id: 'acc-a', currency: 'USD', balance: 0 },
+      'acc-b': { _id: 'acc-b', currency: 'USD', balance: 20000 },
+      'fees-usd': { _id: 'fees-usd', currency: 'USD', balance: 200 },
+    };
+    // user-a owns the debited account and user-b the credited one
+    const owners = { 'acc-a': 'user-a', 'acc-b': 'user-b' };
+    transactionUpdates = [];
+    accountUpdates = [];
+    createdTransactions = [];
+
+    stubs = [
+      MockModelStubs.Transaction.configureStubs({
+        method: 'findOne',
+        overrideFn: ({ query }) => (query._id === transaction._id ? { ...transaction } : null),
+      }),
+      MockModelStubs.Transaction.configureStubs({
+        method: 'updateOne',
+        overrideFn: ({ query, updateValues }) => {
+          transactionUpdates.push({ query, updateValues });
+          return { acknowledged: true, modifiedCount: 1 };
+        },
+      }),
+      MockModelStubs.Transaction.configureStubs({
+        method: 'create',
+        overrideFn: (values) => {
+          createdTransactions.push(values);
+          return { _id: 'txn-2', ...values };
+        },
+      }),
+      MockModelStubs.Account.configureStubs({
+        method: 'findOne',
+        overrideFn: ({ query }) => (accounts[query._id] ? { ...accounts[query._id] } : null),
+      }),
+      MockModelStubs.Account.configureStubs({
+        method: 'findMany',
+        overrideFn: ({ query }) =>
+          query._id.$in.filter((id) => owners[id] === query.owner_id).map((id) => ({ _id: id })),
+      }),
+      MockModelStubs.Account.configureStubs({
+        method: 'updateOne',
+        overrideFn: ({ query, updateValues }) => {
+          accountUpdates.push([query._id, updateValues.$inc.balance]);
+          return { acknowledged: true, modifiedCount: 1 };
+        },
+      }),
+    ];
+  });
+
+  afterEach(() => {
+    stubs.forEach((stub) => stub.revert());
+  });
+
+  it('moves the full amount back and refunds the fees', async () => {
+    const result = await reverseTransaction({ transaction_id: 'txn-1' }, { session });
+
+    assert.strictEqual(result.status_code, STATUS_CODES.REVERSAL_SUCCESSFUL);
+    assert.strictEqual(result.amount, '100.00');
+    assert.strictEqual(result.fee_refund, '2.00');
+    assert.strictEqual(result.remaining_amount, '0.00');
+    assert.deepStrictEqual(accountUpdates, [
+      ['acc-b', -10000],
+      ['acc-a', 10000],
+      ['fees-usd', -200],
+      ['acc-a', 200],
+    ]);
+    assert.deepStrictEqual(transactionUpdates[0].updateValues.$inc, { reversed_amount: 10000 });
+    assert.strictEqual(createdTransactions[0].reversal_of, 'txn-1');
+  });
+
+  it('refunds the share of the fees that goes with a partial reversal', async () => {
+    const result = await reverseTransaction(
+      { transaction_id: 'txn-1', amount: '25.00', reason: 'damaged goods' },
+      { session }
+    );
+
+    assert.strictEqual(result.status_code, STATUS_CODES.REVERSAL_SUCCESSFUL);
+    assert.strictEqual(result.fee_refund, '0.50');
+    assert.strictEqual(result.reversed_amount, '25.00');
+    assert.strictEqual(result.remaining_amount, '75.00');
+    assert.strictEqual(result.reason, 'damaged goods');
+  });
+
+  it('rejects a transaction that has been fully reversed', async () => {
+    transaction.reversed_amount = 10000;
+
+    const result = await reverseTransaction({ transaction_id: 'txn-1' }, { session });
+
+    assert.strictEqual(result.status_code, STATUS_CODES.ALREADY_REVERSED);
+    assert.strictEqual(accountUpdates.length, 0);
+    assert.strictEqual(createdTransactions[0].status, TRANSACTION_STATUS.FAILED);
+  });
+
+  it('rejects a partial reversal larger than what is left', async () => {
+    transaction.reversed_amount = 8000;
+
+    const result = await reverseTransaction(
+      { transaction_id: 'txn-1', amount: '30.00' },
+      { session }
+    );
+
+    assert.strictEqual(result.status_code, STATUS_CODES.REVERSAL_EXCEEDS_REMAINING);
+    assert.strictEqual(result.remaining_amount, '20.00');
+    assert.strictEqual(transactionUpdates.length, 0);
+  });
+
+  it('rejects a transaction that did not succeed', async () => {
+    transaction.status = TRANSACTION_STATUS.PENDING;
+
+    const result = await reverseTransaction({ transaction_id: 'txn-1' }, { session });
+
+    assert.strictEqual(result.status_code, STATUS_CODES.REVERSAL_NOT_ALLOWED);
+    assert.strictEqual(accountUpdates.length, 0);
+  });
+
+  it('fails before posting anything when the fee account cannot cover the refund', async () => {
+    accounts['fees-usd'].balance = 199;
+
+    const result = await reverseTransaction({ transaction_id: 'txn-1' }, { session });
+
+    assert.strictEqual(result.status_code, STATUS_CODES.FEE_REFUND_UNAVAILABLE);
+    assert.strictEqual(result.reversed_amount, '0.00');
+    assert.strictEqual(transactionUpdates.length, 0);
+    assert.strictEqual(accountUpdates.length, 0);
+    assert.strictEqual(createdTransactions[0].status, TRANSACTION_STATUS.FAILED);
+  });
+
+  it('rejects a transaction that is not stored', async () => {
+    const error = await getRejection(reverseTransaction({ transaction_id: 'txn-9' }, { session }));
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.NOTFOUND);
+  });
+
+  it('lets the owner of the credited account reverse it', async () => {
+    const result = await reverseTransaction(
+      { transaction_id: 'txn-1', owner_id: 'user-b' },
+      { session }
+    );
+
+    assert.strictEqual(result.status_code, STATUS_CODES.REVERSAL_SUCCESSFUL);
+  });
+
+  it('does not let the owner of the debited account take the money back', async () => {
+    const error = await getRejection(
+      reverseTransaction({ transaction_id: 'txn-1', owner_id: 'user-a' }, { session })
+    );
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.PERMERR);
+    assert.strictEqual(accountUpdates.length, 0);
+    assert.strictEqual(createdTransactions.length, 0);
+  });
+
+  it('reports a transaction on accounts the caller does not own as missing', async () => {
+    const error = await getRejection(
+      reverseTransaction({ transaction_id: 'txn-1', owner_id: 'user-c' }, { session })
+    );
+
+    assert.strictEqual(error.errorCode, ERROR_CODE.NOTFOUND);
+  });
+});
@@ -0,0 +1,57 @@
+const assert = require('assert');
+const { MockModelStubs } = require('@app/mock-models');
+const workers = require('@app/workers');
+const sweepPendingTransactions = require('@app/services/payment/sweep-pending-transactions');
+const { TRANSACTION_STATUS } = require('@app/services/payment/constants');
+
+describe('sweepPendingTransactions', () => {
+  let scheduleJob;
+  let scheduledJobs;
+  let transactionQueries;
+  let stub;
+
+  beforeEach(() => {
+    scheduleJob = workers.executeScheduledTransaction.scheduleJob;
+    scheduledJobs = [];
+    transactionQueries = [];
+
+    workers.executeScheduledTransaction.scheduleJob = async (jobData, opts) => {
+      scheduledJobs.push({ jobData, opts });
+      return jobData.transaction_id === 'txn-lost' ? null : { id: opts.jobId };
+    };
+    stub = MockModelStubs.Transaction.configureStubs({
+      method: 'findMany',
+      overrideFn: ({ query }) => {
+        transactionQueries.push(query);
+        return [
+          { _id: 'txn-due', execute_at: Date.now() - 1000 },
+          { _id: 'txn-lost', execute_at: Date.now() - 1000 },
+        ];
+      },
+    });
+  });
+
+  afterEach(() => {
+    workers.executeScheduledTransaction.scheduleJob = scheduleJob;
+    stub.revert();
+  });
+
+  it('hands every due pending transaction to the scheduler under its own id', async () => {
+    const dueBy = Date.now();
+
+    const result = await sweepPendingTransactions({ due_by: dueBy });
+
+    assert.deepStrictEqual(transactionQueries[0], {
+      status: TRANSACTION_STATUS.PENDING,
+      execute_at: { $lte: dueBy },
+    });
+    assert.deepStrictEqual(
+      scheduledJobs.map(({ jobData, opts }) => [jobData.transaction_id, opts.jobId, opts.delay]),
+      [
+        ['txn-due', 'txn-due', 0],
+        ['txn-lost', 'txn-lost', 0],
+      ]
+    );
+    assert.deepStrictEqual(result, { scheduled: 1, unscheduled: 1 });
+  });
+});
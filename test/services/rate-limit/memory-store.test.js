@@ -0,0 +1,95 @@
+const assert = require('assert');
+const createMemoryRateLimitStore = require('@app/services/rate-limit/memory-store');
+
+describe('memory rate limit store', () => {
+  const realNow = Date.now;
+  let now;
+  let store;
+
+  beforeEach(() => {
+    now = 1700000000000;
+    Date.now = () => now;
+    store = createMemoryRateLimitStore();
+  });
+
+  afterEach(() => {
+    Date.now = realNow;
+  });
+
+  describe('fixedWindow', () => {
+    const config = { key: 'ip:1', limit: 2, window_ms: 1000 };
+
+    it('allows the limit within a window and rejects the rest until it resets', async () => {
+      assert.deepStrictEqual(await store.fixedWindow(config), {
+        allowed: true,
+        remaining: 1,
+        reset_after_ms: 1000,
+        retry_after_ms: 0,
+      });
+
+      now += 400;
+      assert.strictEqual((await store.fixedWindow(config)).remaining, 0);
+      assert.deepStrictEqual(await store.fixedWindow(config), {
+        allowed: false,
+        remaining: 0,
+        reset_after_ms: 600,
+        retry_after_ms: 600,
+      });
+
+      now += 600;
+      assert.deepStrictEqual(await store.fixedWindow(config), {
+        allowed: true,
+        remaining: 1,
+        reset_after_ms: 1000,
+        retry_after_ms: 0,
+      });
+    });
+
+    it('counts keys separately', async () => {
+      await store.fixedWindow(config);
+      await store.fixedWindow(config);
+
+      assert.strictEqual((await store.fixedWindow(config)).allowed, false);
+      assert.strictEqual((await store.fixedWindow({ ...config, key: 'ip:2' })).allowed, true);
+    });
+  });
+
+  describe('tokenBucket', () => {
+    const config = { key: 'user:1', capacity: 2, refill_per_sec: 1 };
+
+    it('allows a burst up to the capacity, then one request per refilled token', async () => {
+      assert.deepStrictEqual(await store.tokenBucket(config), {
+        allowed: true,
+        remaining: 1,
+        reset_after_ms: 1000,
+        retry_after_ms: 0,
+      });
+      assert.strictEqual((await store.tokenBucket(config)).remaining, 0);
+      assert.deepStrictEqual(await store.tokenBucket(config), {
+        allowed: false,
+        remaining: 0,
+        reset_after_ms: 2000,
+        retry_after_ms: 1000,
+      });
+
+      now += 500;
+      assert.deepStrictEqual(await store.tokenBucket(config), {
+        allowed: false,
+        remaining: 0,
+        reset_after_ms: 1500,
+        retry_after_ms: 500,
+      });
+
+      now += 500;
+      assert.strictEqual((await store.tokenBucket(config)).allowed, true);
+      assert.strictEqual((await store.tokenBucket(config)).allowed, false);
+    });
+
+    it('does not refill past the capacity', async () => {
+      await store.tokenBucket(config);
+
+      now += 60000;
+      assert.strictEqual((await store.tokenBucket(config)).remaining, 1);
+    });
+  });
+});
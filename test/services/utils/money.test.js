@@ -0,0 +1,59 @@
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const {
+  toMinorUnits,
+  formatMinorUnits,
+  getConfiguredCurrencies,
+} = require('@app/services/utils/money');
+
+describe('money', () => {
+  describe('toMinorUnits', () => {
+    it('converts decimal amounts without float drift', () => {
+      assert.strictEqual(toMinorUnits('12.50', 'NGN'), 1250);
+      assert.strictEqual(toMinorUnits('0.29', 'USD'), 29);
+      assert.strictEqual(toMinorUnits('1.1', 'NGN'), 110);
+      assert.strictEqual(toMinorUnits(19.99, 'NGN'), 1999);
+      assert.strictEqual(toMinorUnits('-4.05', 'NGN'), -405);
+      assert.strictEqual(toMinorUnits('-0.00', 'NGN'), 0);
+    });
+
+    it('rejects amounts with more decimal places than the currency has', () => {
+      assert.strictEqual(toMinorUnits('12.345', 'NGN'), null);
+    });
+
+    it('rejects malformed amounts', () => {
+      ['', '1.2.3', '1e3', '12.', '.5', 'abc', '9007199254740992'].forEach((value) => {
+        assert.strictEqual(toMinorUnits(value, 'NGN'), null, value);
+      });
+    });
+  });
+
+  describe('formatMinorUnits', () => {
+    it('renders the currency number of decimal places', () => {
+      assert.strictEqual(formatMinorUnits(1250, 'NGN'), '12.50');
+      assert.strictEqual(formatMinorUnits(5, 'NGN'), '0.05');
+      assert.strictEqual(formatMinorUnits(-405, 'USD'), '-4.05');
+      assert.strictEqual(formatMinorUnits(NaN, 'NGN'), null);
+    });
+  });
+
+  describe('supported currencies', () => {
+    it('are the currencies with an exponent', () => {
+      assert.deepStrictEqual(getConfiguredCurrencies(), ['NGN', 'USD', 'GBP', 'GHS']);
+    });
+
+    it('take in a currency set up through CURRENCY_EXPONENTS', () => {
+      // the exponents are read once, when the module is loaded
+      const supportedCurrencies = execFileSync(
+        process.execPath,
+        [
+          '-e',
+          "process.stdout.write(require('@app/services/payment/constants').SUPPORTED_CURRENCIES.join())",
+        ],
+        { env: { ...process.env, CURRENCY_EXPONENTS: 'KWD:3' } }
+      ).toString();
+
+      assert.strictEqual(supportedCurrencies, 'NGN,USD,GBP,GHS,KWD');
+    });
+  });
+});
@@ -0,0 +1,2 @@
+// Models are picked when the repository factory is first loaded, so this runs before any test file
+process.env.USE_MOCK_MODEL = '1';
@@ -0,0 +1,34 @@
+const { appLogger } = require('@app-core/logger');
+const executeScheduledTransaction = require('@app/services/payment/execute-scheduled-transaction');
+
+module.exports = {
+  concurrency: 1,
+  queue_options: {},
+  scheduler_options: {
+    attempts: 3,
+    backoff: { type: 'exponential', delay: 60000 },
+    removeOnComplete: true,
+    // a job that failed for good must not keep its id (the transaction id), or the sweep could
+    // never schedule the transaction again
+    removeOnFail: true,
+  },
+  processor_name: 'execute-scheduled-transaction',
+  async processor(job) {
+    const transaction = await executeScheduledTransaction({
+      transaction_id: job.data?.transaction_id,
+    });
+
+    appLogger.info(
+      {
+        label: 'SCHEDULED TRANSACTION',
+        jobId: job.id,
+        transactionId: transaction._id,
+        status: transaction.status,
+        statusCode: transaction.status_code,
+      },
+      'Scheduled transaction processed'
+    );
+
+    return transaction.status;
+  },
+};
@@ -1,6 +1,8 @@
 const { createWorker } = require('../core/queue');
 const echoLoginValidation = require('./echo-login-validation');
+const executeScheduledTransaction = require('./execute-scheduled-transaction');
 
 module.exports = {
   echoLoginValidation: createWorker(echoLoginValidation),
+  executeScheduledTransaction: createWorker(executeScheduledTransaction),
 };